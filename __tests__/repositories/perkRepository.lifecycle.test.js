@@ -0,0 +1,51 @@
+const Perk = require('../../models/Perk');
+const perkRepository = require('../../repositories/perkRepository');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+// Capture the filter a repository method sends to Perk.find
+const captureFind = () => {
+  const lean = jest.fn().mockResolvedValue([]);
+  const select = jest.fn(() => ({ lean }));
+  return jest.spyOn(Perk, 'find').mockImplementation(() => ({ select }));
+};
+
+describe('perkRepository lifecycle queries', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reactivates only approved perks the job expired that now have a future end or expiry date', async () => {
+    const find = captureFind();
+
+    await perkRepository.findDueForReactivation(NOW);
+
+    const filter = find.mock.calls[0][0];
+    expect(filter).toMatchObject({
+      status: 'expired',
+      'approval.status': 'approved',
+      'lifecycle.expiredAt': { $ne: null }
+    });
+    // At least one date must be in the future: perks with no dates stay expired
+    expect(filter.$and).toContainEqual({
+      $or: [
+        { 'availability.endDate': { $gt: NOW } },
+        { 'redemption.expiryDate': { $gt: NOW } }
+      ]
+    });
+    expect(filter.$and).toContainEqual({ $or: [{ 'availability.endDate': null }, { 'availability.endDate': { $gt: NOW } }] });
+    expect(filter.$and).toContainEqual({ $or: [{ 'redemption.expiryDate': null }, { 'redemption.expiryDate': { $gt: NOW } }] });
+  });
+
+  it('activates only scheduled inactive perks, never expired ones', async () => {
+    const find = captureFind();
+
+    await perkRepository.findDueForActivation(NOW);
+
+    expect(find.mock.calls[0][0]).toMatchObject({
+      status: 'inactive',
+      'lifecycle.autoActivate': true,
+      'approval.status': 'approved'
+    });
+  });
+});
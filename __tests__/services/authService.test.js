@@ -0,0 +1,103 @@
+jest.mock('../../repositories/sessionRepository', () => ({
+  findByIdWithToken: jest.fn(),
+  updateToken: jest.fn(),
+  revokeAllForUser: jest.fn(),
+  revoke: jest.fn()
+}));
+jest.mock('../../repositories/authRepository', () => ({
+  findById: jest.fn()
+}));
+
+const sessionRepository = require('../../repositories/sessionRepository');
+const authRepository = require('../../repositories/authRepository');
+const authService = require('../../services/authService');
+const jwtUtils = require('../../utils/jwt');
+
+const USER_ID = '64b000000000000000000001';
+const SESSION_ID = '64b000000000000000000002';
+
+// In-memory session whose updateToken behaves like the conditional findOneAndUpdate
+const useSessionStore = (refreshToken) => {
+  const session = {
+    _id: SESSION_ID,
+    userId: USER_ID,
+    tokenHash: authService.hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  };
+
+  sessionRepository.findByIdWithToken.mockImplementation(async () => ({ ...session }));
+  sessionRepository.updateToken.mockImplementation(async (id, tokenHash, expiresAt, requestInfo, previousHash) => {
+    // Yield so concurrent refreshes both read the session before either writes
+    await new Promise(resolve => setImmediate(resolve));
+    if (previousHash && session.tokenHash !== previousHash) return null;
+    session.tokenHash = tokenHash;
+    session.expiresAt = expiresAt;
+    return { ...session };
+  });
+
+  return session;
+};
+
+const issueRefreshToken = () => jwtUtils.generateRefreshToken({ id: USER_ID, sid: SESSION_ID, jti: Math.random().toString(36) });
+
+describe('authService.refreshToken', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authRepository.findById.mockResolvedValue({ _id: USER_ID, email: 'user@example.com', role: 'client', status: 'active' });
+  });
+
+  it('rotates the refresh token only while the presented one is current', async () => {
+    const refreshToken = issueRefreshToken();
+    const session = useSessionStore(refreshToken);
+
+    const result = await authService.refreshToken(refreshToken);
+
+    expect(result.refreshToken).not.toBe(refreshToken);
+    expect(sessionRepository.updateToken).toHaveBeenCalledWith(
+      SESSION_ID,
+      authService.hashToken(result.refreshToken),
+      expect.any(Date),
+      {},
+      authService.hashToken(refreshToken)
+    );
+    expect(session.tokenHash).toBe(authService.hashToken(result.refreshToken));
+  });
+
+  it('revokes every session when a rotated-out token is replayed', async () => {
+    const refreshToken = issueRefreshToken();
+    useSessionStore(refreshToken);
+    await authService.refreshToken(refreshToken);
+
+    await expect(authService.refreshToken(refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    expect(sessionRepository.revokeAllForUser).toHaveBeenCalledWith(USER_ID, 'token_reuse');
+  });
+
+  it('lets only one of two concurrent refreshes with the same token succeed', async () => {
+    const refreshToken = issueRefreshToken();
+    useSessionStore(refreshToken);
+
+    const results = await Promise.allSettled([
+      authService.refreshToken(refreshToken),
+      authService.refreshToken(refreshToken)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    const rejected = results.find(result => result.status === 'rejected');
+    expect(rejected.reason.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(sessionRepository.revokeAllForUser).toHaveBeenCalledWith(USER_ID, 'token_reuse');
+  });
+
+  it('rejects tokens for revoked sessions without rotating', async () => {
+    const refreshToken = issueRefreshToken();
+    sessionRepository.findByIdWithToken.mockResolvedValue({
+      _id: SESSION_ID,
+      userId: USER_ID,
+      tokenHash: authService.hashToken(refreshToken),
+      revokedAt: new Date(),
+      expiresAt: new Date(Date.now() + 60 * 1000)
+    });
+
+    await expect(authService.refreshToken(refreshToken)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+    expect(sessionRepository.updateToken).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('../../repositories/partnerRepository', () => ({
+  findById: jest.fn(),
+  claimForConversion: jest.fn(),
+  releaseConversion: jest.fn(),
+  markConverted: jest.fn()
+}));
+jest.mock('../../repositories/categoryRepository', () => ({
+  findBySlug: jest.fn()
+}));
+jest.mock('../../services/perkService', () => ({
+  createPerk: jest.fn()
+}));
+
+const partnerRepository = require('../../repositories/partnerRepository');
+const perkService = require('../../services/perkService');
+const partnerService = require('../../services/partnerService');
+const { AppError } = require('../../middleware/errorHandler');
+
+const PARTNER_ID = '64b000000000000000000040';
+const ADMIN_ID = '64b000000000000000000041';
+const CATEGORY_ID = '64b000000000000000000042';
+
+// In-memory submission whose claim, release and link behave like the conditional updates
+const usePartnerStore = () => {
+  const partner = {
+    _id: PARTNER_ID,
+    status: 'approved',
+    companyName: 'Acme',
+    email: 'partner@example.com',
+    offerType: 'discount',
+    shortDescription: 'A partner offer',
+    convertedToPerkId: null
+  };
+
+  partnerRepository.findById.mockImplementation(async () => ({ ...partner }));
+  partnerRepository.claimForConversion.mockImplementation(async () => {
+    // Yield so concurrent conversions both read the submission before either claims it
+    await new Promise(resolve => setImmediate(resolve));
+    if (partner.status !== 'approved') return null;
+    partner.status = 'converted';
+    return { ...partner };
+  });
+  partnerRepository.releaseConversion.mockImplementation(async () => {
+    if (partner.status === 'converted' && !partner.convertedToPerkId) partner.status = 'approved';
+    return { ...partner };
+  });
+  partnerRepository.markConverted.mockImplementation(async (id, perkId) => {
+    partner.convertedToPerkId = perkId;
+    return { ...partner };
+  });
+
+  return partner;
+};
+
+describe('partnerService.convertToPerk', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('creates one perk when the same submission is converted twice at once', async () => {
+    const partner = usePartnerStore();
+    perkService.createPerk.mockImplementation(async (data) => ({ _id: 'perk-1', ...data }));
+
+    const results = await Promise.allSettled([
+      partnerService.convertToPerk(PARTNER_ID, { categoryId: CATEGORY_ID }, ADMIN_ID),
+      partnerService.convertToPerk(PARTNER_ID, { categoryId: CATEGORY_ID }, ADMIN_ID)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('PARTNER_ALREADY_CONVERTED');
+    expect(perkService.createPerk).toHaveBeenCalledTimes(1);
+    expect(partner).toMatchObject({ status: 'converted', convertedToPerkId: 'perk-1' });
+  });
+
+  it('returns the submission to approved when the perk cannot be created', async () => {
+    const partner = usePartnerStore();
+    perkService.createPerk.mockRejectedValue(new AppError('Validation error', 400, 'VALIDATION_ERROR'));
+
+    await expect(partnerService.convertToPerk(PARTNER_ID, { categoryId: CATEGORY_ID }, ADMIN_ID))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    expect(partnerRepository.markConverted).not.toHaveBeenCalled();
+    expect(partner.status).toBe('approved');
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../../repositories/perkRepository', () => ({
+  findById: jest.fn(),
+  transitionWorkflow: jest.fn(),
+  findDueForActivation: jest.fn(),
+  findDueForUnpublish: jest.fn(),
+  findTransitioned: jest.fn(),
+  transitionStatus: jest.fn()
+}));
+jest.mock('../../repositories/categoryRepository', () => ({
+  updateCounters: jest.fn()
+}));
+jest.mock('../../repositories/authRepository', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../services/emailService', () => ({
+  sendPerkWorkflowUpdate: jest.fn()
+}));
+
+const perkRepository = require('../../repositories/perkRepository');
+const perkWorkflowService = require('../../services/perkWorkflowService');
+const perkLifecycleService = require('../../services/perkLifecycleService');
+
+const PERK_ID = '64b000000000000000000030';
+const EDITOR_ID = '64b000000000000000000031';
+
+// Set dotted update paths on a plain object
+const applyUpdate = (doc, { $unset = {}, $push, ...fields }) => {
+  Object.entries(fields).forEach(([path, value]) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => (node[key] = node[key] || {}), doc);
+    target[last] = value;
+  });
+  Object.keys($unset).forEach(path => delete doc[path]);
+};
+
+describe('reviewing changes to a scheduled perk', () => {
+  let perk;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+
+    perk = {
+      _id: PERK_ID,
+      status: 'inactive',
+      approval: { status: 'approved' },
+      lifecycle: { autoActivate: true },
+      workflow: { state: 'scheduled' },
+      schedule: { publishAt: new Date('2026-03-01T09:00:00Z') },
+      availability: {},
+      vendor: {},
+      pendingChanges: { changes: { title: 'Proposed title' }, submittedAt: new Date('2026-02-20T00:00:00Z') }
+    };
+
+    perkRepository.findById.mockImplementation(async () => ({
+      ...perk,
+      getWorkflowState: () => perk.workflow.state,
+      hasPendingChanges: () => !!perk.pendingChanges?.submittedAt,
+      canEditSEO: () => false,
+      getPublishAt: () => perk.schedule.publishAt
+    }));
+    perkRepository.transitionWorkflow.mockImplementation(async (id, expected, updateData, entry) => {
+      applyUpdate(perk, updateData);
+      perk.workflow.state = entry.to;
+      return { ...perk };
+    });
+    // Same conditions as the repository query for perks to make live
+    perkRepository.findDueForActivation.mockImplementation(async (now) => (
+      perk.status === 'inactive' &&
+      perk.lifecycle.autoActivate &&
+      perk.approval.status === 'approved' &&
+      perk.schedule.publishAt <= now
+        ? [{ _id: perk._id, status: perk.status }]
+        : []
+    ));
+    perkRepository.findDueForUnpublish.mockResolvedValue([]);
+    perkRepository.transitionStatus.mockImplementation(async (ids, from, to) => {
+      perk.status = to;
+      return ids.length;
+    });
+    perkRepository.findTransitioned.mockResolvedValue([]);
+  });
+
+  it.each(['reject', 'request_revision'])('still publishes the perk on schedule after %s', async (action) => {
+    await perkWorkflowService.transition(PERK_ID, action, EDITOR_ID, { comments: 'Keep the original title' });
+
+    expect(perk.workflow.state).toBe('scheduled');
+    expect(perk.approval.status).toBe('approved');
+    expect(perk.workflow.reviewComments).toBe('Keep the original title');
+    expect(perk.pendingChanges).toBeUndefined();
+
+    const result = await perkLifecycleService.publishScheduled(new Date('2026-03-01T12:00:00Z'));
+
+    expect(result.published).toBe(1);
+    expect(perk.status).toBe('active');
+  });
+});
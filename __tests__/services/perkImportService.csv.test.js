@@ -0,0 +1,54 @@
+jest.mock('../../services/perkService', () => ({
+  createPerk: jest.fn()
+}));
+jest.mock('../../repositories/perkRepository', () => ({
+  findAll: jest.fn()
+}));
+jest.mock('../../repositories/categoryRepository', () => ({
+  findBySlugs: jest.fn()
+}));
+
+const perkImportService = require('../../services/perkImportService');
+const csvUtils = require('../../utils/csv');
+
+describe('perkImportService CSV cells', () => {
+  const row = {
+    id: 'perk-1',
+    status: 'active',
+    title: '=HYPERLINK("https://example.com","Click")',
+    'vendor.name': '+Vendor',
+    'vendor.description': '@SUM(A1:A2)',
+    shortDescription: '\tIndented',
+    value: '-50% off',
+    discountPercentage: -5,
+    tags: ['=cmd', 'saas']
+  };
+
+  it('quotes text cells that a spreadsheet would run as a formula', () => {
+    const csvRow = perkImportService.toCsvRow(row);
+
+    expect(csvRow).toMatchObject({
+      id: 'perk-1',
+      status: 'active',
+      title: '\'=HYPERLINK("https://example.com","Click")',
+      'vendor.name': '\'+Vendor',
+      'vendor.description': '\'@SUM(A1:A2)',
+      shortDescription: '\'\tIndented',
+      value: '\'-50% off',
+      discountPercentage: -5,
+      tags: '\'=cmd|saas'
+    });
+  });
+
+  it('reads its own export back without the added quotes', () => {
+    const csv = csvUtils.stringify([perkImportService.toCsvRow(row)], Object.keys(row));
+    const [parsed] = csvUtils.parseObjects(csv).map(cells => perkImportService.fromCsvRow(cells));
+
+    expect(parsed).toMatchObject({
+      title: row.title,
+      vendor: { name: '+Vendor', description: '@SUM(A1:A2)' },
+      value: '-50% off',
+      tags: ['=cmd', 'saas']
+    });
+  });
+});
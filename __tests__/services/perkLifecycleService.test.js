@@ -0,0 +1,135 @@
+jest.mock('../../repositories/perkRepository', () => ({
+  findDueForExpiry: jest.fn(),
+  findDueForReactivation: jest.fn(),
+  findDueForActivation: jest.fn(),
+  findDueForUnpublish: jest.fn(),
+  findTransitioned: jest.fn(),
+  transitionStatus: jest.fn(),
+  getExpiringSoon: jest.fn(),
+  claimExpiryWarning: jest.fn()
+}));
+jest.mock('../../repositories/categoryRepository', () => ({
+  updateCounters: jest.fn()
+}));
+jest.mock('../../services/emailService', () => ({
+  sendPerkExpiryWarning: jest.fn()
+}));
+jest.mock('../../services/perkWorkflowService', () => ({
+  notifyScheduled: jest.fn()
+}));
+
+const perkRepository = require('../../repositories/perkRepository');
+const categoryRepository = require('../../repositories/categoryRepository');
+const emailService = require('../../services/emailService');
+const perkWorkflowService = require('../../services/perkWorkflowService');
+const perkLifecycleService = require('../../services/perkLifecycleService');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+describe('perkLifecycleService', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('updateStatuses', () => {
+    it('expires perks past their dates, recording when the job expired them', async () => {
+      perkRepository.findDueForExpiry.mockResolvedValue([
+        { _id: 'perk-1', status: 'active', categoryId: 'category-1' },
+        { _id: 'perk-2', status: 'active', categoryId: 'category-1' }
+      ]);
+      perkRepository.findDueForReactivation.mockResolvedValue([]);
+      perkRepository.transitionStatus.mockResolvedValue(2);
+
+      const result = await perkLifecycleService.updateStatuses(NOW);
+
+      expect(perkRepository.transitionStatus).toHaveBeenCalledWith(['perk-1', 'perk-2'], 'active', 'expired', {
+        'lifecycle.expiredAt': NOW
+      });
+      expect(result).toEqual({ reactivated: 0, expired: 2, categoriesUpdated: 1 });
+      expect(categoryRepository.updateCounters).toHaveBeenCalledTimes(1);
+    });
+
+    it('reactivates only the perks the reactivation query returns and clears their expiry marker', async () => {
+      perkRepository.findDueForExpiry.mockResolvedValue([]);
+      perkRepository.findDueForReactivation.mockResolvedValue([
+        { _id: 'perk-3', status: 'expired', categoryId: 'category-2' }
+      ]);
+      perkRepository.transitionStatus.mockResolvedValue(1);
+
+      const result = await perkLifecycleService.updateStatuses(NOW);
+
+      expect(perkRepository.findDueForReactivation).toHaveBeenCalledWith(NOW);
+      expect(perkRepository.transitionStatus).toHaveBeenCalledWith(['perk-3'], 'expired', 'active', {
+        'lifecycle.activatedAt': NOW,
+        'lifecycle.expiredAt': null
+      });
+      expect(result.reactivated).toBe(1);
+    });
+
+    it('writes nothing when no perk is due', async () => {
+      perkRepository.findDueForExpiry.mockResolvedValue([]);
+      perkRepository.findDueForReactivation.mockResolvedValue([]);
+
+      const result = await perkLifecycleService.updateStatuses(NOW);
+
+      expect(perkRepository.transitionStatus).not.toHaveBeenCalled();
+      expect(result).toEqual({ reactivated: 0, expired: 0, categoriesUpdated: 0 });
+    });
+  });
+
+  describe('publishScheduled', () => {
+    it('publishes due perks and unpublishes expired windows, recording workflow history', async () => {
+      perkRepository.findDueForActivation.mockResolvedValue([{ _id: 'perk-1', status: 'inactive', categoryId: 'category-1' }]);
+      perkRepository.findDueForUnpublish.mockResolvedValue([{ _id: 'perk-2', status: 'active', categoryId: 'category-2' }]);
+      perkRepository.transitionStatus.mockResolvedValue(1);
+      perkRepository.findTransitioned.mockImplementation(async (ids) => ids.map(_id => ({ _id })));
+      perkWorkflowService.notifyScheduled.mockResolvedValue(1);
+
+      const result = await perkLifecycleService.publishScheduled(NOW);
+
+      expect(perkRepository.transitionStatus).toHaveBeenCalledWith(['perk-1'], 'inactive', 'active', expect.objectContaining({
+        publishedAt: NOW,
+        'workflow.state': 'published',
+        $push: { 'workflow.history': expect.objectContaining({ $each: [expect.objectContaining({ from: 'scheduled', to: 'published' })] }) }
+      }));
+      expect(perkRepository.transitionStatus).toHaveBeenCalledWith(['perk-2'], 'active', 'inactive', expect.objectContaining({
+        'lifecycle.unpublishedAt': NOW,
+        'workflow.state': 'approved',
+        $unset: { 'schedule.unpublishAt': 1 }
+      }));
+      expect(result).toEqual({ published: 1, unpublished: 1, notified: 2, categoriesUpdated: 2 });
+    });
+
+    it('only notifies clients about perks this run actually moved', async () => {
+      perkRepository.findDueForActivation.mockResolvedValue([{ _id: 'perk-1', status: 'inactive' }]);
+      perkRepository.findDueForUnpublish.mockResolvedValue([]);
+      // Another instance published it first
+      perkRepository.transitionStatus.mockResolvedValue(0);
+
+      const result = await perkLifecycleService.publishScheduled(NOW);
+
+      expect(perkWorkflowService.notifyScheduled).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ published: 0, notified: 0 });
+    });
+  });
+
+  describe('sendExpiryWarnings', () => {
+    it('emails each vendor once, skipping warnings another run already claimed', async () => {
+      const expiresAt = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+      perkRepository.getExpiringSoon.mockResolvedValue([
+        { _id: 'perk-1', vendor: { email: 'one@example.com' }, availability: { endDate: expiresAt }, redemption: {} },
+        { _id: 'perk-2', vendor: { email: 'two@example.com' }, availability: { endDate: expiresAt }, redemption: {} }
+      ]);
+      perkRepository.claimExpiryWarning
+        .mockResolvedValueOnce({ _id: 'perk-1' })
+        .mockResolvedValueOnce(null);
+      emailService.sendPerkExpiryWarning.mockResolvedValue(true);
+
+      const result = await perkLifecycleService.sendExpiryWarnings();
+
+      expect(result).toMatchObject({ checked: 2, sent: 1 });
+      expect(emailService.sendPerkExpiryWarning).toHaveBeenCalledTimes(1);
+      expect(emailService.sendPerkExpiryWarning.mock.calls[0][0]._id).toBe('perk-1');
+    });
+  });
+});
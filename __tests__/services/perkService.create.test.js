@@ -0,0 +1,55 @@
+jest.mock('../../repositories/perkRepository', () => ({
+  create: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../../repositories/categoryRepository', () => ({
+  findById: jest.fn(),
+  updateCounters: jest.fn()
+}));
+jest.mock('../../services/perkRevisionService', () => ({
+  record: jest.fn()
+}));
+jest.mock('../../services/analyticsService', () => ({
+  isConfigured: jest.fn(() => false),
+  trackEvent: jest.fn()
+}));
+
+const perkRepository = require('../../repositories/perkRepository');
+const categoryRepository = require('../../repositories/categoryRepository');
+const perkService = require('../../services/perkService');
+
+const USER_ID = '64b000000000000000000050';
+const CATEGORY_ID = '64b000000000000000000051';
+
+const managedFields = {
+  workflow: { state: 'published' },
+  'approval.status': 'approved',
+  schedule: { publishAt: new Date('2026-03-01T00:00:00Z') },
+  'lifecycle.autoActivate': true,
+  pendingChanges: { changes: { title: 'Other title' } },
+  publishedAt: new Date('2026-01-01T00:00:00Z')
+};
+
+describe('perkService.createPerk', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    categoryRepository.findById.mockResolvedValue({ _id: CATEGORY_ID });
+    perkRepository.create.mockImplementation(async (data) => ({ _id: 'perk-1', ...data }));
+  });
+
+  it('ignores workflow, approval, schedule and lifecycle fields in the request', async () => {
+    await perkService.createPerk({ title: 'New perk', categoryId: CATEGORY_ID, status: 'active', ...managedFields }, USER_ID);
+
+    const created = perkRepository.create.mock.calls[0][0];
+    expect(created).toMatchObject({ title: 'New perk', categoryId: CATEGORY_ID });
+    Object.keys({ status: 'active', ...managedFields }).forEach(key => expect(created).not.toHaveProperty(key));
+  });
+
+  it('lets a new perk start as a draft', async () => {
+    await perkService.createPerk({ title: 'New perk', status: 'draft', workflow: { state: 'published' } }, USER_ID);
+
+    const created = perkRepository.create.mock.calls[0][0];
+    expect(created.status).toBe('draft');
+    expect(created).not.toHaveProperty('workflow');
+  });
+});
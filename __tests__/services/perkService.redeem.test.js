@@ -0,0 +1,156 @@
+jest.mock('../../repositories/perkRepository', () => ({
+  findById: jest.fn(),
+  reserveRedemption: jest.fn()
+}));
+jest.mock('../../repositories/perkRedemptionRepository', () => ({
+  create: jest.fn(),
+  setCode: jest.fn(),
+  delete: jest.fn()
+}));
+jest.mock('../../repositories/redemptionCodeRepository', () => ({
+  findClaim: jest.fn()
+}));
+jest.mock('../../services/redemptionCodeService', () => ({
+  claimCode: jest.fn()
+}));
+jest.mock('../../services/analyticsService', () => ({
+  isConfigured: jest.fn(() => false),
+  trackEvent: jest.fn()
+}));
+
+const perkRepository = require('../../repositories/perkRepository');
+const perkRedemptionRepository = require('../../repositories/perkRedemptionRepository');
+const redemptionCodeRepository = require('../../repositories/redemptionCodeRepository');
+const redemptionCodeService = require('../../services/redemptionCodeService');
+const perkService = require('../../services/perkService');
+const { AppError } = require('../../middleware/errorHandler');
+
+const PERK_ID = '64b000000000000000000010';
+
+const buildPerk = (redemption = {}) => ({
+  _id: PERK_ID,
+  title: 'Half price hosting',
+  status: 'active',
+  isVisible: true,
+  isAvailable: true,
+  availability: { isLimited: true },
+  vendor: { email: 'vendor@example.com', website: 'https://example.com' },
+  redemption: { type: 'code', code: 'HALFOFF', useCodePool: false, ...redemption }
+});
+
+// Redemption records with the unique { perkId, email } index enforced in memory
+const useRedemptionStore = () => {
+  const records = new Map();
+  let nextId = 1;
+
+  perkRedemptionRepository.create.mockImplementation(async (data) => {
+    // Yield so concurrent requests interleave like separate database round trips
+    await new Promise(resolve => setImmediate(resolve));
+    const key = data.email ? `${data.perkId}:${data.email.toLowerCase()}` : `anonymous:${nextId}`;
+    if (records.has(key)) {
+      throw new AppError('This perk has already been redeemed with this email', 409, 'ALREADY_REDEEMED');
+    }
+    const record = { _id: `redemption-${nextId++}`, ...data };
+    records.set(key, record);
+    return record;
+  });
+  perkRedemptionRepository.delete.mockImplementation(async (id) => {
+    for (const [key, record] of records) {
+      if (record._id === id) records.delete(key);
+    }
+  });
+
+  return records;
+};
+
+describe('perkService.redeemPerk', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('takes a single unit for concurrent redemptions from the same email', async () => {
+    perkRepository.findById.mockResolvedValue(buildPerk());
+    perkRepository.reserveRedemption.mockResolvedValue({ _id: PERK_ID });
+    const records = useRedemptionStore();
+
+    const results = await Promise.all([
+      perkService.redeemPerk(PERK_ID, { email: 'visitor@example.com' }),
+      perkService.redeemPerk(PERK_ID, { email: 'Visitor@example.com' })
+    ]);
+
+    expect(perkRepository.reserveRedemption).toHaveBeenCalledTimes(1);
+    expect(results.map(result => result.alreadyRedeemed).sort()).toEqual([false, true]);
+    expect(results.every(result => result.code === 'HALFOFF')).toBe(true);
+    expect(records.size).toBe(1);
+  });
+
+  it('removes the redemption record when the perk is sold out', async () => {
+    perkRepository.findById.mockResolvedValue(buildPerk());
+    perkRepository.reserveRedemption.mockResolvedValue(null);
+    const records = useRedemptionStore();
+
+    await expect(perkService.redeemPerk(PERK_ID, { email: 'visitor@example.com' }))
+      .rejects.toMatchObject({ code: 'PERK_SOLD_OUT' });
+
+    expect(perkRedemptionRepository.delete).toHaveBeenCalledTimes(1);
+    expect(records.size).toBe(0);
+  });
+
+  it('records anonymous redemptions after reserving a unit', async () => {
+    perkRepository.findById.mockResolvedValue(buildPerk());
+    perkRepository.reserveRedemption.mockResolvedValue({ _id: PERK_ID });
+    useRedemptionStore();
+
+    const result = await perkService.redeemPerk(PERK_ID);
+
+    expect(result.alreadyRedeemed).toBe(false);
+    expect(perkRepository.reserveRedemption.mock.invocationCallOrder[0])
+      .toBeLessThan(perkRedemptionRepository.create.mock.invocationCallOrder[0]);
+  });
+
+  describe('with a code pool', () => {
+    beforeEach(() => {
+      perkRepository.findById.mockResolvedValue(buildPerk({ useCodePool: true, code: null }));
+    });
+
+    it('stores the claimed code on the redemption', async () => {
+      useRedemptionStore();
+      redemptionCodeService.claimCode.mockResolvedValue({ code: { _id: 'code-1', code: 'POOL-1' }, alreadyClaimed: false });
+
+      const result = await perkService.redeemPerk(PERK_ID, { email: 'visitor@example.com' });
+
+      expect(result).toMatchObject({ code: 'POOL-1', alreadyRedeemed: false });
+      expect(perkRedemptionRepository.setCode).toHaveBeenCalledWith('redemption-1', 'code-1');
+    });
+
+    it('returns the existing code to a repeat email without claiming another', async () => {
+      useRedemptionStore();
+      redemptionCodeService.claimCode.mockResolvedValue({ code: { _id: 'code-1', code: 'POOL-1' }, alreadyClaimed: false });
+      redemptionCodeRepository.findClaim.mockResolvedValue({ _id: 'code-1', code: 'POOL-1' });
+
+      await perkService.redeemPerk(PERK_ID, { email: 'visitor@example.com' });
+      const repeat = await perkService.redeemPerk(PERK_ID, { email: 'visitor@example.com' });
+
+      expect(repeat).toMatchObject({ code: 'POOL-1', alreadyRedeemed: true });
+      expect(redemptionCodeService.claimCode).toHaveBeenCalledTimes(1);
+    });
+
+    it('removes the redemption record when no code can be claimed', async () => {
+      const records = useRedemptionStore();
+      redemptionCodeService.claimCode.mockRejectedValue(
+        new AppError('No redemption codes are left for this perk', 409, 'CODES_EXHAUSTED')
+      );
+
+      await expect(perkService.redeemPerk(PERK_ID, { email: 'visitor@example.com' }))
+        .rejects.toMatchObject({ code: 'CODES_EXHAUSTED' });
+
+      expect(records.size).toBe(0);
+    });
+
+    it('requires an email', async () => {
+      await expect(perkService.redeemPerk(PERK_ID, {}))
+        .rejects.toMatchObject({ code: 'EMAIL_REQUIRED' });
+      expect(perkRedemptionRepository.create).not.toHaveBeenCalled();
+    });
+  });
+});
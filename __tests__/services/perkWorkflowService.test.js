@@ -0,0 +1,166 @@
+jest.mock('../../repositories/perkRepository', () => ({
+  findById: jest.fn(),
+  transitionWorkflow: jest.fn(),
+  validatePendingChanges: jest.fn(),
+  applyPendingChanges: jest.fn()
+}));
+jest.mock('../../repositories/categoryRepository', () => ({
+  updateCounters: jest.fn()
+}));
+jest.mock('../../repositories/authRepository', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../services/perkRevisionService', () => ({
+  ensureBaseline: jest.fn(),
+  record: jest.fn()
+}));
+jest.mock('../../services/emailService', () => ({
+  sendPerkWorkflowUpdate: jest.fn()
+}));
+
+const perkRepository = require('../../repositories/perkRepository');
+const categoryRepository = require('../../repositories/categoryRepository');
+const emailService = require('../../services/emailService');
+const perkWorkflowService = require('../../services/perkWorkflowService');
+const { AppError } = require('../../middleware/errorHandler');
+
+const PERK_ID = '64b000000000000000000020';
+const EDITOR_ID = '64b000000000000000000021';
+const CLIENT_ID = '64b000000000000000000022';
+
+const buildPerk = ({ state, status, pendingChanges = null } = {}) => ({
+  _id: PERK_ID,
+  status,
+  categoryId: 'category-1',
+  clientId: null,
+  vendor: { name: 'Vendor', email: 'vendor@example.com' },
+  availability: {},
+  schedule: {},
+  pendingChanges,
+  getWorkflowState: () => state,
+  hasPendingChanges: () => !!pendingChanges?.submittedAt,
+  canEditSEO: (clientId) => clientId === CLIENT_ID,
+  getPublishAt: (publishAt) => publishAt || null
+});
+
+const pendingChanges = {
+  changes: { title: 'Updated title' },
+  submittedBy: CLIENT_ID,
+  submittedAt: new Date('2026-01-01T00:00:00Z')
+};
+
+describe('perkWorkflowService.transition', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    perkRepository.transitionWorkflow.mockImplementation(async (id, expected, updateData, entry) => ({
+      ...buildPerk({ state: entry.to, status: updateData.status }),
+      workflow: { state: entry.to }
+    }));
+    emailService.sendPerkWorkflowUpdate.mockResolvedValue(true);
+  });
+
+  it('moves a draft to submitted with a conditional update and history entry', async () => {
+    perkRepository.findById.mockResolvedValue(buildPerk({ state: 'draft', status: 'draft' }));
+
+    const updated = await perkWorkflowService.transition(PERK_ID, 'submit', EDITOR_ID);
+
+    expect(updated.workflow.state).toBe('submitted');
+    expect(perkRepository.transitionWorkflow).toHaveBeenCalledWith(
+      PERK_ID,
+      { state: 'draft', status: 'draft' },
+      expect.objectContaining({ status: 'pending', 'approval.status': 'pending' }),
+      expect.objectContaining({ from: 'draft', to: 'submitted', action: 'submit', by: EDITOR_ID })
+    );
+    expect(emailService.sendPerkWorkflowUpdate).toHaveBeenCalled();
+  });
+
+  it('rejects transitions the workflow does not allow without writing', async () => {
+    perkRepository.findById.mockResolvedValue(buildPerk({ state: 'draft', status: 'draft' }));
+
+    await expect(perkWorkflowService.transition(PERK_ID, 'publish', EDITOR_ID))
+      .rejects.toMatchObject({ statusCode: 409, code: 'INVALID_WORKFLOW_TRANSITION' });
+    expect(perkRepository.transitionWorkflow).not.toHaveBeenCalled();
+  });
+
+  it('reports a conflict when the perk left its state in the meantime', async () => {
+    perkRepository.findById.mockResolvedValue(buildPerk({ state: 'submitted', status: 'pending' }));
+    perkRepository.transitionWorkflow.mockResolvedValue(null);
+
+    await expect(perkWorkflowService.transition(PERK_ID, 'approve', EDITOR_ID))
+      .rejects.toMatchObject({ code: 'WORKFLOW_CONFLICT' });
+    expect(categoryRepository.updateCounters).not.toHaveBeenCalled();
+    expect(emailService.sendPerkWorkflowUpdate).not.toHaveBeenCalled();
+  });
+
+  it('keeps clients to their own perks and their own actions', async () => {
+    perkRepository.findById.mockResolvedValue(buildPerk({ state: 'submitted', status: 'pending' }));
+
+    await expect(perkWorkflowService.transition(PERK_ID, 'approve', CLIENT_ID, { clientId: CLIENT_ID }))
+      .rejects.toMatchObject({ code: 'WORKFLOW_ACTION_FORBIDDEN' });
+    await expect(perkWorkflowService.transition(PERK_ID, 'withdraw', 'other-client', { clientId: 'other-client' }))
+      .rejects.toMatchObject({ code: 'PERK_NOT_FOUND' });
+    expect(perkRepository.transitionWorkflow).not.toHaveBeenCalled();
+  });
+
+  describe('approving proposed changes', () => {
+    it('applies the changes only after the transition succeeds', async () => {
+      perkRepository.findById.mockResolvedValue(buildPerk({ state: 'submitted', status: 'pending', pendingChanges }));
+      perkRepository.applyPendingChanges.mockResolvedValue({ _id: PERK_ID, workflow: { state: 'published' } });
+
+      await perkWorkflowService.transition(PERK_ID, 'approve', EDITOR_ID);
+
+      const validated = perkRepository.validatePendingChanges.mock.invocationCallOrder[0];
+      const transitioned = perkRepository.transitionWorkflow.mock.invocationCallOrder[0];
+      const applied = perkRepository.applyPendingChanges.mock.invocationCallOrder[0];
+      expect(validated).toBeLessThan(transitioned);
+      expect(transitioned).toBeLessThan(applied);
+      expect(perkRepository.applyPendingChanges).toHaveBeenCalledWith(PERK_ID, EDITOR_ID, pendingChanges.submittedAt);
+    });
+
+    it('leaves the changes unapplied when the transition conflicts', async () => {
+      perkRepository.findById.mockResolvedValue(buildPerk({ state: 'submitted', status: 'pending', pendingChanges }));
+      perkRepository.transitionWorkflow.mockResolvedValue(null);
+
+      await expect(perkWorkflowService.transition(PERK_ID, 'approve', EDITOR_ID))
+        .rejects.toMatchObject({ code: 'WORKFLOW_CONFLICT' });
+      expect(perkRepository.applyPendingChanges).not.toHaveBeenCalled();
+    });
+
+    it('writes nothing when the changes would leave the perk invalid', async () => {
+      perkRepository.findById.mockResolvedValue(buildPerk({ state: 'published', status: 'active', pendingChanges }));
+      perkRepository.validatePendingChanges.mockRejectedValue(new AppError('Validation error', 400, 'VALIDATION_ERROR'));
+
+      await expect(perkWorkflowService.transition(PERK_ID, 'approve', EDITOR_ID))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      expect(perkRepository.transitionWorkflow).not.toHaveBeenCalled();
+      expect(perkRepository.applyPendingChanges).not.toHaveBeenCalled();
+    });
+
+    it('reviews changes to a published perk without moving it, applying them after the update', async () => {
+      perkRepository.findById.mockResolvedValue(buildPerk({ state: 'published', status: 'active', pendingChanges }));
+      perkRepository.validatePendingChanges.mockResolvedValue(true);
+      perkRepository.applyPendingChanges.mockResolvedValue({ _id: PERK_ID, workflow: { state: 'published' } });
+
+      await perkWorkflowService.transition(PERK_ID, 'approve', EDITOR_ID);
+
+      expect(perkRepository.transitionWorkflow).toHaveBeenCalledWith(
+        PERK_ID,
+        { state: 'published', status: 'active' },
+        expect.objectContaining({ 'approval.status': 'approved' }),
+        expect.objectContaining({ from: 'published', to: 'published', action: 'approve' })
+      );
+      expect(perkRepository.transitionWorkflow.mock.invocationCallOrder[0])
+        .toBeLessThan(perkRepository.applyPendingChanges.mock.invocationCallOrder[0]);
+    });
+
+    it('leaves reviewed changes unapplied when the review conflicts', async () => {
+      perkRepository.findById.mockResolvedValue(buildPerk({ state: 'published', status: 'active', pendingChanges }));
+      perkRepository.validatePendingChanges.mockResolvedValue(true);
+      perkRepository.transitionWorkflow.mockResolvedValue(null);
+
+      await expect(perkWorkflowService.transition(PERK_ID, 'approve', EDITOR_ID))
+        .rejects.toMatchObject({ code: 'WORKFLOW_CONFLICT' });
+      expect(perkRepository.applyPendingChanges).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('../../repositories/perkRepository', () => ({
+  findById: jest.fn(),
+  reserveRedemption: jest.fn(),
+  releaseRedemption: jest.fn()
+}));
+jest.mock('../../repositories/redemptionCodeRepository', () => ({
+  findClaim: jest.fn(),
+  claimNext: jest.fn()
+}));
+jest.mock('../../repositories/leadRepository', () => ({
+  findById: jest.fn()
+}));
+
+const perkRepository = require('../../repositories/perkRepository');
+const redemptionCodeRepository = require('../../repositories/redemptionCodeRepository');
+const redemptionCodeService = require('../../services/redemptionCodeService');
+const { AppError } = require('../../middleware/errorHandler');
+
+const PERK_ID = '64b000000000000000000060';
+
+// In-memory code pool whose claimNext enforces the unique { perkId, claimedEmail } index
+const useCodeStore = () => {
+  const store = {
+    reserved: 0,
+    codes: [
+      { _id: 'code-1', code: 'AAA', status: 'available' },
+      { _id: 'code-2', code: 'BBB', status: 'available' }
+    ]
+  };
+
+  perkRepository.findById.mockResolvedValue({ _id: PERK_ID, redemption: { useCodePool: true } });
+  perkRepository.reserveRedemption.mockImplementation(async () => {
+    store.reserved += 1;
+    return { _id: PERK_ID };
+  });
+  perkRepository.releaseRedemption.mockImplementation(async () => {
+    store.reserved -= 1;
+  });
+  redemptionCodeRepository.findClaim.mockImplementation(async (perkId, { email }) => (
+    store.codes.find(code => code.status === 'claimed' && code.claimedEmail === email) || null
+  ));
+  redemptionCodeRepository.claimNext.mockImplementation(async (perkId, { email }) => {
+    // Yield so concurrent claims both pass the existing-claim check first
+    await new Promise(resolve => setImmediate(resolve));
+    if (store.codes.some(code => code.status === 'claimed' && code.claimedEmail === email)) {
+      throw new AppError('A code has already been claimed for this email', 409, 'CODE_ALREADY_CLAIMED');
+    }
+    const code = store.codes.find(item => item.status === 'available');
+    if (!code) return null;
+    Object.assign(code, { status: 'claimed', claimedEmail: email });
+    return { ...code };
+  });
+
+  return store;
+};
+
+describe('redemptionCodeService.claimCode', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('gives concurrent claims for one email the same code and uses one unit', async () => {
+    const store = useCodeStore();
+
+    const results = await Promise.all([
+      redemptionCodeService.claimCode(PERK_ID, { email: 'buyer@example.com' }),
+      redemptionCodeService.claimCode(PERK_ID, { email: 'buyer@example.com' })
+    ]);
+
+    expect(results.map(result => result.code.code)).toEqual(['AAA', 'AAA']);
+    expect(results.filter(result => result.alreadyClaimed)).toHaveLength(1);
+    expect(store.reserved).toBe(1);
+    expect(store.codes[1].status).toBe('available');
+  });
+
+  it('gives different emails their own codes', async () => {
+    const store = useCodeStore();
+
+    const results = await Promise.all([
+      redemptionCodeService.claimCode(PERK_ID, { email: 'one@example.com' }),
+      redemptionCodeService.claimCode(PERK_ID, { email: 'two@example.com' })
+    ]);
+
+    expect(results.map(result => result.code.code).sort()).toEqual(['AAA', 'BBB']);
+    expect(store.reserved).toBe(2);
+  });
+});
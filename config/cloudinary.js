@@ -138,6 +138,51 @@ async uploadImage(file, folder = 'images', preset = 'medium') {
     }
   }
 
+  // Upload video to Cloudinary
+  async uploadVideo(file, folder = 'videos') {
+    try {
+      const options = {
+        folder: `perks-marketplace/${folder}`,
+        resource_type: 'video',
+        allowed_formats: ['mp4', 'webm', 'mov'],
+        public_id: `${Date.now()}-${Math.round(Math.random() * 1e9)}`
+      };
+
+      const result = await new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(options, (error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        });
+        stream.end(file.buffer);
+      });
+
+      return {
+        url: result.secure_url,
+        publicId: result.public_id,
+        format: result.format,
+        width: result.width,
+        height: result.height,
+        duration: result.duration,
+        size: result.bytes,
+        resourceType: result.resource_type,
+        createdAt: result.created_at
+      };
+    } catch (error) {
+      console.error('Cloudinary video upload error:', error);
+      throw new Error(`Failed to upload video to Cloudinary: ${error.message}`);
+    }
+  }
+
+  // Delete video from Cloudinary
+  async deleteVideo(publicId) {
+    try {
+      return await cloudinary.uploader.destroy(publicId, { resource_type: 'video' });
+    } catch (error) {
+      console.error('Cloudinary video delete error:', error);
+      throw new Error(`Failed to delete video from Cloudinary: ${error.message}`);
+    }
+  }
+
   // Delete image from Cloudinary
   async deleteImage(publicId) {
     try {
@@ -71,6 +71,26 @@ class EmailConfig {
       partnerApproval: {
         subject: 'Your Partnership Application has been Approved',
         template: 'partner-approval'
+      },
+      contactSubmission: {
+        subject: 'New Contact Form Submission',
+        template: 'contact-submission'
+      },
+      userInvitation: {
+        subject: 'You have been invited to Perks Marketplace',
+        template: 'user-invitation'
+      },
+      adminPasswordReset: {
+        subject: 'Password Reset Required',
+        template: 'admin-password-reset'
+      },
+      perkExpiryWarning: {
+        subject: 'Your Perk Is Expiring Soon',
+        template: 'perk-expiry-warning'
+      },
+      perkWorkflowUpdate: {
+        subject: 'Update on Your Perk',
+        template: 'perk-workflow-update'
       }
     };
   }
@@ -0,0 +1,159 @@
+const affiliateService = require('../services/affiliateService');
+const { validationResult } = require('express-validator');
+const { catchAsync } = require('../middleware/errorHandler');
+
+class AffiliateController {
+  // Tracked redirect to a perk's destination (Public)
+  redirect = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const result = await affiliateService.resolveRedirect(req.params.slug, {
+      method: req.method,
+      query: req.query,
+      referrer: req.get('Referer'),
+      userAgent: req.get('User-Agent'),
+      purpose: req.get('Sec-Purpose') || req.get('Purpose'),
+      ipAddress: req.ip,
+      clientId: req.get('X-Client-ID'),
+      userId: req.user?.id
+    });
+
+    // Every visit must reach the server to be counted
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+    res.redirect(302, result.url);
+  });
+
+  // Get affiliate programs (Admin)
+  getPrograms = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { page = 1, limit = 20, isActive, search } = req.query;
+
+    const result = await affiliateService.getPrograms({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      isActive: isActive !== undefined ? isActive === 'true' : undefined,
+      search
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      meta: result.meta
+    });
+  });
+
+  // Get affiliate program by ID (Admin)
+  getProgramById = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const program = await affiliateService.getProgramById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: program
+    });
+  });
+
+  // Create affiliate program (Admin)
+  createProgram = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const program = await affiliateService.createProgram(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: program,
+      message: 'Affiliate program created successfully'
+    });
+  });
+
+  // Update affiliate program (Admin)
+  updateProgram = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const program = await affiliateService.updateProgram(req.params.id, req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: program,
+      message: 'Affiliate program updated successfully'
+    });
+  });
+
+  // Delete affiliate program (Admin)
+  deleteProgram = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    await affiliateService.deleteProgram(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Affiliate program deleted successfully'
+    });
+  });
+}
+
+module.exports = new AffiliateController();
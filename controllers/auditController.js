@@ -0,0 +1,87 @@
+const auditService = require('../services/auditService');
+const { validationResult } = require('express-validator');
+const { catchAsync } = require('../middleware/errorHandler');
+
+class AuditController {
+  // Get audit log (Admin)
+  getAuditLog = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 50,
+      entityType,
+      entityId,
+      action,
+      actorId,
+      field,
+      requestId,
+      dateFrom,
+      dateTo
+    } = req.query;
+
+    const result = await auditService.getAuditLog({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      entityType,
+      entityId,
+      action,
+      actorId,
+      field,
+      requestId,
+      dateFrom,
+      dateTo
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      meta: result.meta
+    });
+  });
+
+  // Get audited entity types (Admin)
+  getEntityTypes = catchAsync(async (req, res) => {
+    const entityTypes = await auditService.getEntityTypes();
+
+    res.status(200).json({
+      success: true,
+      data: entityTypes
+    });
+  });
+
+  // Get audit entry by ID (Admin)
+  getAuditEntryById = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const entry = await auditService.getAuditEntryById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  });
+}
+
+module.exports = new AuditController();
@@ -1,4 +1,5 @@
 const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
 const { validationResult } = require('express-validator');
 const { catchAsync } = require('../middleware/errorHandler');
 
@@ -54,8 +55,25 @@ class AuthController {
 
   // Refresh access token
   refreshToken = catchAsync(async (req, res) => {
-    const { user } = req;
-    const result = await authService.refreshToken(user.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { refreshToken } = req.body;
+    const requestInfo = {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const result = await authService.refreshToken(refreshToken, requestInfo);
 
     res.status(200).json({
       success: true,
@@ -80,7 +98,7 @@ class AuthController {
     const { currentPassword, newPassword } = req.body;
     const { user } = req;
 
-    const result = await authService.changePassword(user.id, currentPassword, newPassword);
+    const result = await authService.changePassword(user.id, currentPassword, newPassword, user.sessionId);
 
     res.status(200).json({
       success: true,
@@ -206,9 +224,106 @@ class AuthController {
   // Logout user
   logout = catchAsync(async (req, res) => {
     const { user } = req;
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    const result = await authService.logout(user.id, token);
+    const allDevices = req.body?.allDevices === true || req.body?.allDevices === 'true';
+
+    const result = await authService.logout(user.id, user.sessionId, allDevices);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  });
+
+  // List active sessions for current user
+  getSessions = catchAsync(async (req, res) => {
+    const { user } = req;
+    const sessions = await authService.getSessions(user.id, user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      data: sessions
+    });
+  });
+
+  // Revoke a single session (sign out one device)
+  revokeSession = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { user } = req;
+    const { id } = req.params;
+
+    const result = await authService.revokeSession(user.id, id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Revoke all other sessions
+  revokeOtherSessions = catchAsync(async (req, res) => {
+    const { user } = req;
+    const result = await authService.revokeOtherSessions(user.id, user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Complete login with a two-factor code (second step)
+  verifyTwoFactorLogin = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { pendingToken, code, backupCode } = req.body;
+    const requestInfo = {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const result = await authService.verifyTwoFactorLogin(pendingToken, { code, backupCode }, requestInfo);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Start required two-factor enrollment during login
+  startTwoFactorSetup = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const result = await authService.startTwoFactorSetup(req.body.pendingToken);
 
     res.status(200).json({
       success: true,
@@ -216,6 +331,124 @@ class AuthController {
     });
   });
 
+  // Confirm required two-factor enrollment during login and sign in
+  confirmTwoFactorSetup = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { pendingToken, code } = req.body;
+    const requestInfo = {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    const result = await authService.confirmTwoFactorSetup(pendingToken, code, requestInfo);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.'
+    });
+  });
+
+  // Get two-factor status for current user
+  getTwoFactorStatus = catchAsync(async (req, res) => {
+    const status = await twoFactorService.getStatus(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  });
+
+  // Start two-factor enrollment
+  startTwoFactorEnrollment = catchAsync(async (req, res) => {
+    const result = await twoFactorService.startEnrollment(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Confirm two-factor enrollment
+  confirmTwoFactorEnrollment = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const result = await twoFactorService.confirmEnrollment(req.user.id, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.'
+    });
+  });
+
+  // Disable two-factor authentication
+  disableTwoFactor = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { password, code, backupCode } = req.body;
+    const result = await twoFactorService.disable(req.user.id, password, { code, backupCode });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Regenerate backup codes
+  regenerateBackupCodes = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const result = await twoFactorService.regenerateBackupCodes(req.user.id, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: 'Backup codes regenerated. Previous codes no longer work.'
+    });
+  });
+
   // Get current user (from token)
   me = catchAsync(async (req, res) => {
     const { user } = req;
@@ -1,6 +1,8 @@
 const dashboardService = require('../services/dashboardService');
 const { validationResult } = require('express-validator');
 const { catchAsync } = require('../middleware/errorHandler');
+const permissionUtils = require('../utils/permissions');
+const { PERMISSIONS } = require('../utils/constants');
 
 class DashboardController {
   // Get complete dashboard overview
@@ -240,6 +242,17 @@ class DashboardController {
       period = '30d'
     } = req.query;
 
+    // Lead data leaves the system in bulk here, so it needs its own permission
+    if (module === 'leads' && !permissionUtils.hasPermission(req.user, PERMISSIONS.LEADS_EXPORT)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Insufficient permissions'
+        }
+      });
+    }
+
     const dateRange = this.parseDateRange(startDate, endDate, period);
     let data;
 
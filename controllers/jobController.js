@@ -0,0 +1,38 @@
+const schedulerService = require('../services/schedulerService');
+const { validationResult } = require('express-validator');
+const { catchAsync } = require('../middleware/errorHandler');
+
+class JobController {
+  // Get scheduler and job status (Super Admin)
+  getJobs = catchAsync(async (req, res) => {
+    res.status(200).json({
+      success: true,
+      data: schedulerService.getStatus()
+    });
+  });
+
+  // Run a job immediately (Super Admin)
+  runJob = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const job = await schedulerService.runJob(req.params.name);
+
+    res.status(200).json({
+      success: true,
+      data: job,
+      message: 'Job completed successfully'
+    });
+  });
+}
+
+module.exports = new JobController();
@@ -0,0 +1,250 @@
+const partnerService = require('../services/partnerService');
+const { validationResult } = require('express-validator');
+const { catchAsync } = require('../middleware/errorHandler');
+const multer = require('multer');
+
+const storage = multer.memoryStorage();
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 1 * 1024 * 1024, // 1MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'), false);
+    }
+  }
+});
+
+class PartnerController {
+  // File upload middleware
+  uploadLogo = upload.single('logo');
+
+  // Submit partner application (Public)
+  submitPartner = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    // Extract request information for tracking
+    const requestInfo = {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      referrer: req.get('Referer'),
+      utmParams: {
+        source: req.query.utm_source,
+        medium: req.query.utm_medium,
+        campaign: req.query.utm_campaign
+      }
+    };
+
+    const partner = await partnerService.submitPartner(req.body, requestInfo, req.file);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: partner._id,
+        companyName: partner.companyName,
+        status: partner.status
+      },
+      message: 'Partner application submitted successfully'
+    });
+  });
+
+  // Get all partner submissions (Admin)
+  getPartners = catchAsync(async (req, res) => {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      offerType,
+      email,
+      dateFrom,
+      dateTo,
+      search,
+      sortBy
+    } = req.query;
+
+    const options = {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status,
+      offerType,
+      email,
+      dateFrom,
+      dateTo,
+      search,
+      sortBy
+    };
+
+    const result = await partnerService.getPartners(options);
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      meta: result.meta
+    });
+  });
+
+  // Get pending partner submissions (Admin)
+  getPendingPartners = catchAsync(async (req, res) => {
+    const partners = await partnerService.getPendingPartners();
+
+    res.status(200).json({
+      success: true,
+      data: partners
+    });
+  });
+
+  // Get partner statistics (Admin)
+  getPartnerStats = catchAsync(async (req, res) => {
+    const stats = await partnerService.getPartnerStats();
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  });
+
+  // Get partner submission by ID (Admin)
+  getPartnerById = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const partner = await partnerService.getPartnerById(id);
+
+    res.status(200).json({
+      success: true,
+      data: partner
+    });
+  });
+
+  // Add review notes (Admin)
+  reviewPartner = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { adminNotes } = req.body;
+
+    const partner = await partnerService.reviewPartner(id, adminNotes, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: partner,
+      message: 'Review notes saved successfully'
+    });
+  });
+
+  // Approve partner submission (Admin)
+  approvePartner = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { notes } = req.body;
+
+    const partner = await partnerService.approvePartner(id, req.user.id, notes);
+
+    res.status(200).json({
+      success: true,
+      data: partner,
+      message: 'Partner approved successfully'
+    });
+  });
+
+  // Reject partner submission (Admin)
+  rejectPartner = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { notes } = req.body;
+
+    const partner = await partnerService.rejectPartner(id, req.user.id, notes);
+
+    res.status(200).json({
+      success: true,
+      data: partner,
+      message: 'Partner rejected successfully'
+    });
+  });
+
+  // Convert approved partner submission to draft perk (Admin)
+  convertToPerk = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+
+    const result = await partnerService.convertToPerk(id, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Partner converted to draft perk successfully'
+    });
+  });
+
+  // Delete partner submission (Admin)
+  deletePartner = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    await partnerService.deletePartner(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Partner submission deleted successfully'
+    });
+  });
+}
+
+module.exports = new PartnerController();
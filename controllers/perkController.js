@@ -1,9 +1,20 @@
 const perkService = require('../services/perkService');
+const perkRevisionService = require('../services/perkRevisionService');
+const perkWorkflowService = require('../services/perkWorkflowService');
 const { validationResult } = require('express-validator');
 const { catchAsync } = require('../middleware/errorHandler');
 const multer = require('multer');
 const path = require('path');
 
+// Multi-value query params accept repeated keys or comma-separated values
+const toList = (value) => {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
 // Simple multer configuration for handling file uploads
 // const storage = multer.diskStorage({
 //   destination: (req, file, cb) => {
@@ -71,6 +82,35 @@ class PerkController {
     });
   });
 
+  // Clone perk into a new draft (Admin)
+  clonePerk = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { title, markets } = req.body;
+    const overrides = {};
+    if (title) overrides.title = title;
+    if (markets) overrides.markets = markets;
+
+    const perk = await perkService.clonePerk(id, req.user.id, overrides);
+
+    res.status(201).json({
+      success: true,
+      data: perk,
+      message: 'Perk cloned successfully'
+    });
+  });
+
   // Get all perks (Admin)
   getPerks = catchAsync(async (req, res) => {
     const {
@@ -83,6 +123,7 @@ class PerkController {
       isFeatured,
       isExclusive,
       approvalStatus,
+      workflowState,
       vendorEmail,
       dateFrom,
       dateTo,
@@ -102,11 +143,13 @@ class PerkController {
       isFeatured: isFeatured !== undefined ? isFeatured === 'true' : undefined,
       isExclusive: isExclusive !== undefined ? isExclusive === 'true' : undefined,
       approvalStatus,
+      workflowState,
       vendorEmail,
       dateFrom,
       dateTo,
       search,
       tags: tags ? (Array.isArray(tags) ? tags : [tags]) : undefined,
+      market: req.market,
       sortBy,
       includeRelations: includeRelations === 'true'
     };
@@ -140,7 +183,8 @@ class PerkController {
       tags: tags ? (Array.isArray(tags) ? tags : [tags]) : undefined,
       isFeatured: isFeatured !== undefined ? isFeatured === 'true' : undefined,
       isExclusive: isExclusive !== undefined ? isExclusive === 'true' : undefined,
-      vendorEmail
+      vendorEmail,
+      market: req.market
     };
 
     const result = await perkService.getActivePerks(options);
@@ -161,7 +205,7 @@ class PerkController {
   getFeaturedPerks = catchAsync(async (req, res) => {
     const { limit = 10, categoryId } = req.query;
 
-    const perks = await perkService.getFeaturedPerks(parseInt(limit), categoryId);
+    const perks = await perkService.getFeaturedPerks(parseInt(limit), categoryId, req.market);
 
     res.status(200).json({
       success: true,
@@ -183,6 +227,18 @@ class PerkController {
   });
 
   getPerkByIdPublic = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
     const { id } = req.params;
     const { includeRelations = false } = req.query;
 
@@ -197,6 +253,31 @@ class PerkController {
     });
   });
 
+  // Get related perks (Public)
+  getRelatedPerks = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { limit } = req.query;
+
+    const perks = await perkService.getRelatedPerks(id, limit ? parseInt(limit) : undefined, req.market);
+
+    res.status(200).json({
+      success: true,
+      data: perks
+    });
+  });
+
   // Get perk by slug (Public)
   getPerkBySlug = catchAsync(async (req, res) => {
     const { slug } = req.params;
@@ -226,12 +307,95 @@ class PerkController {
     });
   });
 
+  // Get own perk with metrics (Client)
+  getClientPerkById = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+
+    const result = await perkService.getClientPerkById(id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Get leads for own perk (Client)
+  getClientPerkLeads = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 20, status, dateFrom, dateTo } = req.query;
+
+    const options = {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status,
+      dateFrom,
+      dateTo
+    };
+
+    const result = await perkService.getClientPerkLeads(id, req.user.id, options);
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination
+    });
+  });
+
+  // Propose changes to own perk (Client)
+  submitClientChanges = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+
+    const perk = await perkService.submitClientChanges(id, req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: perk,
+      message: 'Changes submitted for approval'
+    });
+  });
+
   // Get perks by category (Public)
   getPerksByCategory = catchAsync(async (req, res) => {
     const { categoryId } = req.params;
     const { page = 1, limit = 20 } = req.query;
 
-    const result = await perkService.getPerksByCategory(categoryId, parseInt(page), parseInt(limit));
+    const result = await perkService.getPerksByCategory(categoryId, parseInt(page), parseInt(limit), req.market);
 
     res.status(200).json({
       success: true,
@@ -327,7 +491,8 @@ class PerkController {
       page: parseInt(page),
       limit: parseInt(limit),
       categoryId,
-      status
+      status,
+      market: req.market
     };
 
     const result = await perkService.searchPerks(query, options);
@@ -344,12 +509,95 @@ class PerkController {
     });
   });
 
+  // Faceted catalogue search (Public)
+  catalogSearch = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const {
+      q,
+      page = 1,
+      limit = 20,
+      sortBy = 'relevance',
+      minPrice,
+      maxPrice,
+      minDiscount,
+      maxDiscount,
+      isExclusive,
+      isFeatured,
+      expiresWithin
+    } = req.query;
+
+    const toNumber = value => (value === undefined ? undefined : parseFloat(value));
+    const toBoolean = value => (value === undefined ? undefined : value === 'true');
+
+    const filters = {
+      q,
+      categoryIds: toList(req.query.categoryId),
+      currencies: toList(req.query.currency).map(currency => currency.toUpperCase()),
+      redemptionTypes: toList(req.query.redemptionType),
+      vendors: toList(req.query.vendor),
+      tags: toList(req.query.tag).map(tag => tag.toLowerCase()),
+      minPrice: toNumber(minPrice),
+      maxPrice: toNumber(maxPrice),
+      minDiscount: toNumber(minDiscount),
+      maxDiscount: toNumber(maxDiscount),
+      isExclusive: toBoolean(isExclusive),
+      isFeatured: toBoolean(isFeatured),
+      expiresWithin: expiresWithin ? parseInt(expiresWithin) : undefined,
+      market: req.market
+    };
+
+    const options = {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sortBy
+    };
+
+    const result = await perkService.catalogSearch(filters, options, req.user?.clientId, req.user?.id);
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      facets: result.facets,
+      pagination: result.pagination,
+      meta: result.meta
+    });
+  });
+
   // Approve perk (Admin)
   approvePerk = catchAsync(async (req, res) => {
-    const { id } = req.params;
-    const { notes } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
 
-    const perk = await perkService.approvePerk(id, req.user.id, notes);
+    const { id } = req.params;
+    const { notes, comments, publish, publishAt, unpublishAt } = req.body;
+
+    const perk = await perkWorkflowService.transition(id, 'approve', req.user.id, {
+      notes,
+      comments,
+      publish: publish !== false,
+      publishAt,
+      unpublishAt
+    });
 
     res.status(200).json({
       success: true,
@@ -375,7 +623,10 @@ class PerkController {
     const { id } = req.params;
     const { reason, notes } = req.body;
 
-    const perk = await perkService.rejectPerk(id, req.user.id, reason, notes);
+    const perk = await perkWorkflowService.transition(id, 'reject', req.user.id, {
+      comments: reason,
+      notes
+    });
 
     res.status(200).json({
       success: true,
@@ -384,6 +635,287 @@ class PerkController {
     });
   });
 
+  // Other workflow actions: submit, withdraw, request_revision, schedule, publish, unpublish, reopen (Admin)
+  transitionPerk = (action) => catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { comments, notes, publishAt, unpublishAt } = req.body;
+
+    const perk = await perkWorkflowService.transition(id, action, req.user.id, {
+      comments,
+      notes,
+      publishAt,
+      unpublishAt
+    });
+
+    res.status(200).json({
+      success: true,
+      data: perk,
+      message: `Perk is now ${perk.workflow.state.replace('_', ' ')}`
+    });
+  });
+
+  // Submit own perk for review or withdraw it (Client)
+  transitionClientPerk = (action) => catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+
+    const perk = await perkWorkflowService.transition(id, action, req.user.id, {
+      clientId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: perk,
+      message: `Perk is now ${perk.workflow.state.replace('_', ' ')}`
+    });
+  });
+
+  // Editor review queue (Admin)
+  getReviewQueue = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { type, clientId, page = 1, limit = 20 } = req.query;
+
+    const result = await perkWorkflowService.getQueue(
+      { type, clientId },
+      parseInt(page),
+      parseInt(limit)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      counts: result.counts,
+      pagination: result.pagination,
+      meta: result.meta
+    });
+  });
+
+  // Get perk revisions (Admin)
+  getPerkRevisions = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const result = await perkRevisionService.getRevisions(id, parseInt(page), parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      meta: result.meta
+    });
+  });
+
+  // Get perk revision (Admin)
+  getPerkRevision = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id, revision } = req.params;
+
+    const result = await perkRevisionService.getRevision(id, parseInt(revision));
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Diff perk revisions (Admin)
+  diffPerkRevisions = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const result = await perkRevisionService.diffRevisions(id, parseInt(from), to ? parseInt(to) : null);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Restore perk revision (Admin)
+  restorePerkRevision = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id, revision } = req.params;
+
+    const perk = await perkRevisionService.restoreRevision(id, parseInt(revision), req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: perk,
+      message: 'Revision restore submitted for approval'
+    });
+  });
+
+  // Redeem perk (Public)
+  redeemPerk = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+
+    const requestInfo = {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      referrer: req.get('Referer'),
+      clientId: req.user?.clientId,
+      userId: req.user?.id
+    };
+
+    // Signed-in visitors redeem under their account email unless they give another
+    const email = req.body.email || req.user?.email;
+
+    const result = await perkService.redeemPerk(id, { email }, requestInfo);
+
+    res.status(result.alreadyRedeemed ? 200 : 201).json({
+      success: true,
+      data: result,
+      message: result.alreadyRedeemed ? 'Perk was already redeemed with this email' : 'Perk redeemed successfully'
+    });
+  });
+
+  // Get perk redemptions (Admin)
+  getPerkRedemptions = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const result = await perkService.getPerkRedemptions(id, parseInt(page), parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      meta: result.meta
+    });
+  });
+
+  // Get tracked redirect clicks for a perk (Admin)
+  getPerkClicks = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const result = await perkService.getPerkClicks(id, parseInt(page), parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      sources: result.sources,
+      pagination: result.pagination,
+      meta: result.meta
+    });
+  });
+
   // Track perk click (Public)
   trackClick = catchAsync(async (req, res) => {
     const { id } = req.params;
@@ -0,0 +1,134 @@
+const perkImportService = require('../services/perkImportService');
+const { validationResult } = require('express-validator');
+const { catchAsync } = require('../middleware/errorHandler');
+const multer = require('multer');
+const path = require('path');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or JSON files are allowed'), false);
+    }
+  }
+});
+
+class PerkImportController {
+  // Import file upload middleware (field "file")
+  uploadImportFile = upload.single('file');
+
+  // Read the uploaded file or JSON body into req.importRows
+  parseImport = catchAsync(async (req, res, next) => {
+    const source = {};
+
+    if (req.file) {
+      const content = req.file.buffer.toString('utf8');
+      if (path.extname(req.file.originalname).toLowerCase() === '.json') {
+        source.json = content;
+      } else {
+        source.csv = content;
+      }
+    } else if (Array.isArray(req.body.perks)) {
+      source.perks = req.body.perks;
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_IMPORT_DATA',
+          message: 'Upload a CSV or JSON file, or send { perks: [] }'
+        }
+      });
+    }
+
+    req.importRows = await perkImportService.parseRows(source);
+    next();
+  });
+
+  // Import perks, or validate only with ?dryRun=true (Admin)
+  importPerks = catchAsync(async (req, res) => {
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const result = await perkImportService.importRows(req.importRows, req.rowErrors, { dryRun }, req.user.id);
+
+    res.status(!dryRun && result.summary.created ? 201 : 200).json({
+      success: true,
+      data: result,
+      message: dryRun
+        ? `${result.summary.valid} of ${result.summary.total} perks are valid`
+        : `${result.summary.created} of ${result.summary.total} perks imported`
+    });
+  });
+
+  // Export perks as CSV or JSON (Admin)
+  exportPerks = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const {
+      format = 'json',
+      status,
+      categoryId,
+      clientId,
+      isVisible,
+      isFeatured,
+      isExclusive,
+      approvalStatus,
+      vendorEmail,
+      dateFrom,
+      dateTo,
+      search,
+      tags
+    } = req.query;
+
+    const filters = {
+      status,
+      categoryId,
+      clientId,
+      isVisible: isVisible !== undefined ? isVisible === 'true' : undefined,
+      isFeatured: isFeatured !== undefined ? isFeatured === 'true' : undefined,
+      isExclusive: isExclusive !== undefined ? isExclusive === 'true' : undefined,
+      approvalStatus,
+      vendorEmail,
+      dateFrom,
+      dateTo,
+      search,
+      tags: tags ? (Array.isArray(tags) ? tags : [tags]) : undefined,
+      sortBy: 'created_asc'
+    };
+
+    const result = await perkImportService.exportPerks(filters, format);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="perks-${Date.now()}.csv"`);
+      return res.send(result);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.perks,
+      meta: {
+        format,
+        total: result.total,
+        truncated: result.truncated,
+        exportedAt: new Date().toISOString()
+      }
+    });
+  });
+}
+
+module.exports = new PerkImportController();
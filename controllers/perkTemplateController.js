@@ -0,0 +1,159 @@
+const perkTemplateService = require('../services/perkTemplateService');
+const { validationResult } = require('express-validator');
+const { catchAsync } = require('../middleware/errorHandler');
+
+class PerkTemplateController {
+  // Get perk templates (Admin)
+  getTemplates = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { page = 1, limit = 20, sourcePerkId, search } = req.query;
+
+    const result = await perkTemplateService.getTemplates(
+      { sourcePerkId, search },
+      parseInt(page),
+      parseInt(limit)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      meta: result.meta
+    });
+  });
+
+  // Get perk template with its pre-fill data (Admin)
+  getTemplateById = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const template = await perkTemplateService.getTemplateById(req.params.templateId);
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  });
+
+  // Save a perk as a template (Admin)
+  createTemplate = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { perkId, name, description } = req.body;
+
+    const template = await perkTemplateService.createTemplate(perkId, { name, description }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: 'Perk template created successfully'
+    });
+  });
+
+  // Update perk template name/description (Admin)
+  updateTemplate = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { name, description } = req.body;
+
+    const template = await perkTemplateService.updateTemplate(req.params.templateId, { name, description }, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: template,
+      message: 'Perk template updated successfully'
+    });
+  });
+
+  // Delete perk template (Admin)
+  deleteTemplate = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    await perkTemplateService.deleteTemplate(req.params.templateId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Perk template deleted successfully'
+    });
+  });
+
+  // Create a draft perk from a template (Admin)
+  createPerkFromTemplate = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { title, markets } = req.body;
+    const overrides = {};
+    if (title) overrides.title = title;
+    if (markets) overrides.markets = markets;
+
+    const perk = await perkTemplateService.createPerkFromTemplate(req.params.templateId, overrides, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: perk,
+      message: 'Perk created from template successfully'
+    });
+  });
+}
+
+module.exports = new PerkTemplateController();
@@ -0,0 +1,176 @@
+const redemptionCodeService = require('../services/redemptionCodeService');
+const { validationResult } = require('express-validator');
+const { catchAsync } = require('../middleware/errorHandler');
+const multer = require('multer');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (['text/csv', 'text/plain', 'application/vnd.ms-excel'].includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
+
+class RedemptionCodeController {
+  // CSV upload middleware (first column holds the code)
+  uploadCsv = upload.single('file');
+
+  // Get codes for a perk (Admin)
+  getCodes = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 50, status, batchId, search } = req.query;
+
+    const result = await redemptionCodeService.getCodes(id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status,
+      batchId,
+      search
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      summary: result.summary,
+      pagination: result.pagination,
+      meta: result.meta
+    });
+  });
+
+  // Upload codes from CSV file or JSON list (Admin)
+  importCodes = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const csv = req.file ? req.file.buffer.toString('utf8') : null;
+
+    if (!csv && !Array.isArray(req.body.codes)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_CODES',
+          message: 'Upload a CSV file or provide a codes array'
+        }
+      });
+    }
+
+    const result = await redemptionCodeService.importCodes(id, { csv, codes: req.body.codes }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `${result.inserted} codes added`
+    });
+  });
+
+  // Generate a batch of codes (Admin)
+  generateCodes = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { count, prefix, length } = req.body;
+
+    const result = await redemptionCodeService.generateCodes(id, {
+      count: parseInt(count),
+      prefix,
+      length: length ? parseInt(length) : undefined
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `${result.inserted} codes generated`
+    });
+  });
+
+  // Hand out a code to an email or lead (Admin)
+  claimCode = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { email, leadId } = req.body;
+
+    const result = await redemptionCodeService.claimCode(id, { email, leadId });
+
+    res.status(result.alreadyClaimed ? 200 : 201).json({
+      success: true,
+      data: result.code,
+      message: result.alreadyClaimed ? 'Code was already claimed for this recipient' : 'Code claimed successfully'
+    });
+  });
+
+  // Revoke a code (Admin)
+  revokeCode = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id, codeId } = req.params;
+
+    const code = await redemptionCodeService.revokeCode(id, codeId, req.user.id, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: code,
+      message: 'Code revoked successfully'
+    });
+  });
+}
+
+module.exports = new RedemptionCodeController();
@@ -0,0 +1,39 @@
+const searchService = require('../services/searchService');
+const { validationResult } = require('express-validator');
+const { catchAsync } = require('../middleware/errorHandler');
+const { SEARCH_SUGGEST } = require('../utils/constants');
+
+class SearchController {
+  // Typeahead suggestions (Public)
+  suggest = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { q, types, limit = SEARCH_SUGGEST.DEFAULT_LIMIT } = req.query;
+
+    const result = await searchService.suggest(q, {
+      types: types ? [...new Set(types.split(',').map(type => type.trim()))] : SEARCH_SUGGEST.TYPES,
+      limit: parseInt(limit),
+      market: req.market
+    });
+
+    // Let browsers and CDNs reuse suggestions briefly
+    res.set('Cache-Control', `public, max-age=${Math.floor(SEARCH_SUGGEST.CACHE_TTL_MS / 1000)}`);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  });
+}
+
+module.exports = new SearchController();
@@ -0,0 +1,82 @@
+const siteSettingsService = require('../services/siteSettingsService');
+const { validationResult } = require('express-validator');
+const { catchAsync } = require('../middleware/errorHandler');
+const multer = require('multer');
+
+const storage = multer.memoryStorage();
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB limit (hero video)
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname === 'heroVideo' && file.mimetype.startsWith('video/')) {
+      cb(null, true);
+    } else if (file.fieldname === 'heroImage' && file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('heroImage must be an image and heroVideo must be a video'), false);
+    }
+  }
+});
+
+class SiteSettingsController {
+  // File upload middleware
+  uploadHeroMedia = upload.fields([
+    { name: 'heroImage', maxCount: 1 },
+    { name: 'heroVideo', maxCount: 1 }
+  ]);
+
+  // Get resolved homepage, navigation and footer (Public)
+  getPublicSettings = catchAsync(async (req, res) => {
+    const settings = await siteSettingsService.getPublicSettings(req.market);
+
+    res.status(200).json({
+      success: true,
+      data: settings
+    });
+  });
+
+  // Get raw site settings (Admin)
+  getSettings = catchAsync(async (req, res) => {
+    const settings = await siteSettingsService.getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: settings
+    });
+  });
+
+  // Update site settings (Super Admin)
+  updateSettings = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    // Organize uploaded files
+    const mediaFiles = {};
+    if (req.files) {
+      if (req.files.heroImage) mediaFiles.heroImage = req.files.heroImage[0];
+      if (req.files.heroVideo) mediaFiles.heroVideo = req.files.heroVideo[0];
+    }
+
+    const settings = await siteSettingsService.updateSettings(req.body, req.user.id, mediaFiles);
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+      message: 'Site settings updated successfully'
+    });
+  });
+}
+
+module.exports = new SiteSettingsController();
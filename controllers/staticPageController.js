@@ -0,0 +1,293 @@
+const staticPageService = require('../services/staticPageService');
+const contactFormService = require('../services/contactFormService');
+const { validationResult } = require('express-validator');
+const { catchAsync } = require('../middleware/errorHandler');
+const multer = require('multer');
+
+const storage = multer.memoryStorage();
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 1 * 1024 * 1024 // 1MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'), false);
+    }
+  }
+});
+
+class StaticPageController {
+  // File upload middleware
+  uploadOgImage = upload.single('ogImage');
+
+  // Get page by slug (Public)
+  getPageBySlug = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { slug } = req.params;
+
+    const page = await staticPageService.getPageBySlug(slug);
+
+    res.status(200).json({
+      success: true,
+      data: page
+    });
+  });
+
+  // Get page by type (Public)
+  getPageByType = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { pageType } = req.params;
+
+    const page = await staticPageService.getPageByType(pageType);
+
+    res.status(200).json({
+      success: true,
+      data: page
+    });
+  });
+
+  // List active pages (Public)
+  getActivePages = catchAsync(async (req, res) => {
+    const pages = await staticPageService.getActivePages();
+
+    res.status(200).json({
+      success: true,
+      data: pages
+    });
+  });
+
+  // Get all pages (Admin)
+  getPages = catchAsync(async (req, res) => {
+    const { page = 1, limit = 20, status, pageType, search } = req.query;
+
+    const options = {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status,
+      pageType,
+      search
+    };
+
+    const result = await staticPageService.getPages(options);
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      meta: result.meta
+    });
+  });
+
+  // Get page by ID (Admin)
+  getPageById = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const page = await staticPageService.getPageById(id);
+
+    res.status(200).json({
+      success: true,
+      data: page
+    });
+  });
+
+  // Create page (Admin)
+  createPage = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const page = await staticPageService.createPage(req.body, req.user.id, req.file);
+
+    res.status(201).json({
+      success: true,
+      data: page,
+      message: 'Page created successfully'
+    });
+  });
+
+  // Update page (Admin)
+  updatePage = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+
+    const page = await staticPageService.updatePage(id, req.body, req.user.id, req.file);
+
+    res.status(200).json({
+      success: true,
+      data: page,
+      message: 'Page updated successfully'
+    });
+  });
+
+  // Delete page (Admin)
+  deletePage = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    await staticPageService.deletePage(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Page deleted successfully'
+    });
+  });
+
+  // Submit contact form on a page (Public)
+  submitContactForm = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { slug } = req.params;
+
+    // Extract request information for tracking
+    const requestInfo = {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      referrer: req.get('Referer'),
+      utmParams: {
+        source: req.query.utm_source,
+        medium: req.query.utm_medium,
+        campaign: req.query.utm_campaign
+      }
+    };
+
+    const { submission, thankYouMessage } = await contactFormService.submitContactForm(slug, req.body, requestInfo);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: submission._id
+      },
+      message: thankYouMessage
+    });
+  });
+
+  // Get contact form submissions (Admin)
+  getContactSubmissions = catchAsync(async (req, res) => {
+    const { page = 1, limit = 20, pageId, status, email, dateFrom, dateTo } = req.query;
+
+    const options = {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pageId,
+      status,
+      email,
+      dateFrom,
+      dateTo
+    };
+
+    const result = await contactFormService.getSubmissions(options);
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      meta: result.meta
+    });
+  });
+
+  // Get contact form submission by ID (Admin)
+  getContactSubmissionById = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const submission = await contactFormService.getSubmissionById(id);
+
+    res.status(200).json({
+      success: true,
+      data: submission
+    });
+  });
+
+  // Update contact form submission status (Admin)
+  updateContactSubmissionStatus = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { status } = req.body;
+
+    const submission = await contactFormService.updateSubmissionStatus(id, status);
+
+    res.status(200).json({
+      success: true,
+      data: submission,
+      message: 'Submission status updated successfully'
+    });
+  });
+
+  // Delete contact form submission (Admin)
+  deleteContactSubmission = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    await contactFormService.deleteSubmission(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Submission deleted successfully'
+    });
+  });
+}
+
+module.exports = new StaticPageController();
@@ -0,0 +1,318 @@
+const userService = require('../services/userService');
+const { validationResult } = require('express-validator');
+const { catchAsync } = require('../middleware/errorHandler');
+
+class UserController {
+  // Get all users (Super Admin)
+  getUsers = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      role,
+      status,
+      search
+    } = req.query;
+
+    const result = await userService.getUsers({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      role,
+      status,
+      search
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      meta: result.meta
+    });
+  });
+
+  // Get user statistics (Super Admin)
+  getUserStats = catchAsync(async (req, res) => {
+    const stats = await userService.getUserStats();
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  });
+
+  // Get user by ID (Super Admin)
+  getUserById = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const user = await userService.getUserById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  });
+
+  // Create user (Super Admin)
+  createUser = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const user = await userService.createUser(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: user,
+      message: 'User created successfully'
+    });
+  });
+
+  // Invite user by email (Super Admin)
+  inviteUser = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const result = await userService.inviteUser(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: result.emailSent
+        ? 'Invitation sent successfully'
+        : 'User invited, but the invitation email could not be sent'
+    });
+  });
+
+  // Resend pending invitation (Super Admin)
+  resendInvitation = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const result = await userService.resendInvitation(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: result.emailSent
+        ? 'Invitation resent successfully'
+        : 'Invitation renewed, but the email could not be sent'
+    });
+  });
+
+  // Update user details (Super Admin)
+  updateUser = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const user = await userService.updateUser(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: user,
+      message: 'User updated successfully'
+    });
+  });
+
+  // Change user role (Super Admin)
+  changeRole = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const user = await userService.changeRole(req.params.id, req.body.role, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: user,
+      message: 'User role updated successfully'
+    });
+  });
+
+  // Update user status (Super Admin)
+  updateStatus = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const user = await userService.updateStatus(req.params.id, req.body.status, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: user,
+      message: 'User status updated successfully'
+    });
+  });
+
+  // Force password reset (Super Admin)
+  forcePasswordReset = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const result = await userService.forcePasswordReset(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Delete user (Super Admin)
+  deleteUser = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const result = await userService.deleteUser(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Get permission catalogue and role defaults (Super Admin)
+  getPermissionCatalogue = catchAsync(async (req, res) => {
+    const catalogue = userService.getPermissionCatalogue();
+
+    res.status(200).json({
+      success: true,
+      data: catalogue
+    });
+  });
+
+  // Get a user's permissions (Super Admin)
+  getUserPermissions = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const permissions = await userService.getUserPermissions(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: permissions
+    });
+  });
+
+  // Update a user's permissions (Super Admin)
+  updateUserPermissions = catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array()
+        }
+      });
+    }
+
+    const permissions = await userService.updateUserPermissions(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: permissions,
+      message: 'User permissions updated successfully'
+    });
+  });
+}
+
+module.exports = new UserController();
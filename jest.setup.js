@@ -0,0 +1,11 @@
+// Environment the modules expect at load time; tests never touch a real database or mail server
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-jwt-refresh-secret';
+
+// The email config verifies the SMTP connection as soon as it is loaded
+jest.mock('nodemailer', () => ({
+  createTransport: jest.fn(() => ({
+    verify: jest.fn().mockResolvedValue(true),
+    sendMail: jest.fn().mockResolvedValue({ messageId: 'test-message' })
+  }))
+}));
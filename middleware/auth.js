@@ -1,6 +1,10 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const authConfig = require('../config/auth');
 const authRepository = require('../repositories/authRepository');
+const sessionRepository = require('../repositories/sessionRepository');
+const permissionUtils = require('../utils/permissions');
+const auditContext = require('../utils/auditContext');
 const { AppError } = require('./errorHandler');
 
 class AuthMiddleware {
@@ -29,14 +33,26 @@ class AuthMiddleware {
         throw new AppError('Account is temporarily locked', 423, 'ACCOUNT_LOCKED');
       }
 
+      // Check the session behind the token has not been revoked
+      const session = await this.findActiveSession(decoded, user);
+      if (!session) {
+        throw new AppError('Session has been revoked, please log in again', 401, 'SESSION_REVOKED');
+      }
+
       req.user = {
         id: user._id,
         email: user.email,
         name: user.name,
         role: user.role,
-        permissions: user.permissions || []
+        permissions: permissionUtils.resolve(user),
+        sessionId: session._id
       };
 
+      // Mutations are written to the audit log under this user (see catchAsync)
+      if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+        req.auditContext = auditContext.fromRequest(req);
+      }
+
       next();
     } catch (error) {
       if (error.name === 'JsonWebTokenError') {
@@ -58,13 +74,18 @@ class AuthMiddleware {
         const decoded = authConfig.verifyAccessToken(token);
         const user = await authRepository.findById(decoded.id);
 
-        if (user && user.status === 'active') {
+        const session = user && user.status === 'active'
+          ? await this.findActiveSession(decoded, user)
+          : null;
+
+        if (session) {
           req.user = {
             id: user._id,
             email: user.email,
             name: user.name,
             role: user.role,
-            permissions: user.permissions || []
+            permissions: permissionUtils.resolve(user),
+            sessionId: session._id
           };
         }
       }
@@ -91,16 +112,17 @@ class AuthMiddleware {
     };
   };
 
-  // Permission-based authorization
+  // Permission-based authorization (accepts one permission or a list that must all be held)
   requirePermission = (requiredPermissions) => {
+    const permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
+
     return (req, res, next) => {
       if (!req.user) {
         return next(new AppError('Authentication required', 401, 'AUTH_REQUIRED'));
       }
 
-      const userPermissions = req.user.permissions || [];
-      const hasPermission = requiredPermissions.every(permission => 
-        userPermissions.includes(permission)
+      const hasPermission = permissions.every(permission => 
+        permissionUtils.hasPermission(req.user, permission)
       );
 
       if (!hasPermission) {
@@ -143,6 +165,39 @@ class AuthMiddleware {
     return this.requireRole(['super_admin'])(req, res, next);
   };
 
+  // Client (vendor) only middleware
+  clientOnly = (req, res, next) => {
+    return this.requireRole(['client'])(req, res, next);
+  };
+
+  // Scheduled job calls (e.g. Vercel Cron) authenticated with CRON_SECRET as a bearer token
+  authenticateCron = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    const token = this.extractToken(req);
+
+    if (!secret || !token) {
+      return next(new AppError('Cron secret is required', 401, 'CRON_SECRET_REQUIRED'));
+    }
+
+    const expected = crypto.createHash('sha256').update(secret).digest();
+    const received = crypto.createHash('sha256').update(token).digest();
+    if (!crypto.timingSafeEqual(expected, received)) {
+      return next(new AppError('Invalid cron secret', 401, 'INVALID_CRON_SECRET'));
+    }
+
+    next();
+  };
+
+  // Find the active session an access token belongs to
+  async findActiveSession(decoded, user) {
+    if (!decoded.sid) return null;
+
+    const session = await sessionRepository.findActiveById(decoded.sid);
+    if (!session || session.userId.toString() !== user._id.toString()) return null;
+
+    return session;
+  }
+
   // Extract token from request headers
   extractToken(req) {
     const authHeader = req.headers.authorization;
@@ -1,4 +1,5 @@
 const config = require('../config').app;
+const auditContext = require('../utils/auditContext');
 
 // Custom error class
 class AppError extends Error {
@@ -216,7 +217,10 @@ class ErrorHandler {
   // Async error wrapper
   catchAsync = (fn) => {
     return (req, res, next) => {
-      fn(req, res, next).catch(next);
+      const run = () => fn(req, res, next).catch(next);
+
+      // Writes made by the handler are attributed to the authenticated user
+      return req.auditContext ? auditContext.run(req.auditContext, run) : run();
     };
   };
 
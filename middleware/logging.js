@@ -1,6 +1,7 @@
 const morgan = require('morgan');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const config = require('../config').app;
 
 class LoggingMiddleware {
@@ -73,10 +74,18 @@ class LoggingMiddleware {
     });
   };
 
+  // Attach a request ID (honours a sane incoming X-Request-Id) and echo it back
+  assignRequestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.requestId = incoming && /^[\w.-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.requestId);
+    next();
+  };
+
   // Custom request logging middleware
   requestLogger = (req, res, next) => {
     req.startTime = Date.now();
-    req.requestId = this.generateRequestId();
+    req.requestId = req.requestId || this.generateRequestId();
 
     // Log request start
     this.logRequest(req);
@@ -0,0 +1,41 @@
+const { AppError } = require('./errorHandler');
+const { PERK_LOCATIONS, PERK_MARKETS } = require('../utils/constants');
+
+class MarketMiddleware {
+  // Resolve a market name or code (case-insensitive) to a PERK_LOCATIONS value
+  normalize(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const key = String(value).trim().toLowerCase();
+    return Object.values(PERK_LOCATIONS).find(market =>
+      market.toLowerCase() === key || PERK_MARKETS.CODES[market].toLowerCase() === key
+    ) || null;
+  }
+
+  // Set req.market from the ?market= query or the X-Market header (query wins).
+  // Requests without either are not filtered by market.
+  resolveMarket = (req, res, next) => {
+    // Responses differ per market, so shared caches must key on the header
+    res.vary(PERK_MARKETS.HEADER);
+
+    const requested = req.query[PERK_MARKETS.QUERY_PARAM] ?? req.get(PERK_MARKETS.HEADER);
+    if (requested === undefined || requested === '') {
+      req.market = null;
+      return next();
+    }
+
+    const market = typeof requested === 'string' ? this.normalize(requested) : null;
+    if (!market) {
+      return next(new AppError(
+        `Unknown market. Use one of: ${Object.values(PERK_LOCATIONS).join(', ')}`,
+        400,
+        'INVALID_MARKET'
+      ));
+    }
+
+    req.market = market;
+    next();
+  };
+}
+
+module.exports = new MarketMiddleware();
@@ -80,6 +80,13 @@ class RateLimitMiddleware {
             message: 'Too many lead submissions, please try again later'
         });
 
+        // Perk redemption limiter
+        this.redemptionLimiter = this.createLimiter({
+            windowMs: 60 * 1000,
+            max: 5,
+            message: 'Too many redemption requests, please try again later'
+        });
+
         // Partner submission limiter
         this.partnerSubmissionLimiter = this.createLimiter({
             windowMs: 60 * 60 * 1000,
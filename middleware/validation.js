@@ -22,6 +22,32 @@ class ValidationMiddleware {
     next();
   };
 
+  // Run validation chains against each object in req[key] (e.g. bulk import rows).
+  // Sanitizers apply to the objects in place; errors are collected per item in req.rowErrors.
+  validateEach = (key, chains) => {
+    return async (req, res, next) => {
+      try {
+        req.rowErrors = [];
+
+        for (const item of req[key] || []) {
+          const itemReq = { body: item };
+          for (const chain of chains) {
+            await chain.run(itemReq);
+          }
+
+          req.rowErrors.push(validationResult(itemReq).array().map(error => ({
+            field: error.path || error.param,
+            message: error.msg
+          })));
+        }
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  };
+
   // Common validation rules
   mongoId = (field = 'id') => {
     return param(field)
@@ -0,0 +1,78 @@
+// models/AffiliateProgram.js
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { AFFILIATE_REDIRECT } = require('../utils/constants');
+
+// Per-vendor parameters appended to tracked redirects
+const affiliateProgramSchema = new mongoose.Schema({
+  vendorName: {
+    type: String,
+    required: [true, 'Vendor name is required'],
+    trim: true,
+    maxlength: [100, 'Vendor name cannot be more than 100 characters']
+  },
+  // Case-insensitive match against perk vendor.name
+  vendorKey: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  params: {
+    type: [{
+      _id: false,
+      key: {
+        type: String,
+        required: [true, 'Parameter name is required'],
+        trim: true,
+        match: [/^[A-Za-z0-9_.\-[\]]+$/, 'Invalid parameter name']
+      },
+      // Literal text and/or placeholders such as {clickId}
+      value: {
+        type: String,
+        required: [true, 'Parameter value is required'],
+        trim: true,
+        maxlength: [200, 'Parameter value cannot be more than 200 characters']
+      }
+    }],
+    validate: {
+      validator: params => params.length <= AFFILIATE_REDIRECT.MAX_PARAMS,
+      message: `An affiliate program can have at most ${AFFILIATE_REDIRECT.MAX_PARAMS} parameters`
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+
+  // Admin tracking
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+affiliateProgramSchema.index({ vendorKey: 1 }, { unique: true });
+
+// Pre-save middleware to derive the vendor lookup key
+affiliateProgramSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('vendorName')) {
+    this.vendorKey = this.vendorName.trim().toLowerCase();
+  }
+  next();
+});
+
+// Audit trail
+affiliateProgramSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('AffiliateProgram', affiliateProgramSchema);
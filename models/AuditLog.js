@@ -0,0 +1,84 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Append-only record of writes made by authenticated users
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    required: true,
+    index: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+
+  // Field-level changes (updates)
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Full document (creates and deletes)
+  snapshot: mongoose.Schema.Types.Mixed,
+
+  // Who
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    name: String,
+    role: String
+  },
+
+  // Request
+  ipAddress: String,
+  userAgent: String,
+  requestId: String,
+  method: String,
+  path: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditLogSchema.index({ 'changes.path': 1 });
+auditLogSchema.index({ requestId: 1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries are never modified or removed through the application
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  rejectMutation
+);
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+auditLogSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
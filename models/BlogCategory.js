@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const slugifyUtils = require('../utils/slugify');
+const auditTrail = require('./plugins/auditTrail');
 
 const blogCategorySchema = new mongoose.Schema({
   name: {
@@ -202,4 +203,9 @@ blogCategorySchema.statics.updateCategoryCounters = async function(categoryId) {
   });
 };
 
+// Audit trail
+blogCategorySchema.plugin(auditTrail, {
+  ignore: ['postCount', 'viewCount']
+});
+
 module.exports = mongoose.model('BlogCategory', blogCategorySchema);
\ No newline at end of file
@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const slugifyUtils = require('../utils/slugify');
+const auditTrail = require('./plugins/auditTrail');
 
 const blogPostSchema = new mongoose.Schema({
   // Basic Information
@@ -94,9 +95,14 @@ const blogPostSchema = new mongoose.Schema({
     type: Date,
     index: true
   },
+  // Editor-set publish time for a draft; the publishing job makes it live
   scheduledAt: {
     type: Date
   },
+  // Editor-set time to take a published post down (archives it)
+  unpublishAt: {
+    type: Date
+  },
   
   // SEO Fields
   seo: {
@@ -199,6 +205,8 @@ const blogPostSchema = new mongoose.Schema({
 blogPostSchema.index({ slug: 1 }, { unique: true });
 blogPostSchema.index({ status: 1, isVisible: 1, publishedAt: -1 });
 blogPostSchema.index({ categoryId: 1, status: 1 });
+blogPostSchema.index({ status: 1, scheduledAt: 1 });
+blogPostSchema.index({ status: 1, unpublishAt: 1 });
 blogPostSchema.index({ tags: 1 });
 blogPostSchema.index({ createdBy: 1 });
 blogPostSchema.index({ title: 'text', excerpt: 'text', content: 'text', tags: 'text' });
@@ -382,4 +390,9 @@ blogPostSchema.statics.searchPosts = async function(searchQuery, options = {}) {
   return { posts, total };
 };
 
+// Audit trail
+blogPostSchema.plugin(auditTrail, {
+  ignore: ['analytics', 'readTime']
+});
+
 module.exports = mongoose.model('BlogPost', blogPostSchema);
\ No newline at end of file
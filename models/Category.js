@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const slugifyUtils = require('../utils/slugify');
+const auditTrail = require('./plugins/auditTrail');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -352,4 +353,9 @@ categorySchema.statics.updateCategoryCounters = async function(categoryId) {
   }
 };
 
+// Audit trail
+categorySchema.plugin(auditTrail, {
+  ignore: ['perkCount', 'totalPerkCount', 'viewCount']
+});
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
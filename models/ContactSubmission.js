@@ -0,0 +1,68 @@
+// models/ContactSubmission.js
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const contactSubmissionSchema = new mongoose.Schema({
+  // Source page
+  pageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StaticPage',
+    required: [true, 'Page is required']
+  },
+  pageSlug: {
+    type: String,
+    trim: true
+  },
+
+  // Submitted values keyed by field name (as defined on the page's contactForm)
+  fields: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+
+  // First email-type field, used for reply-to
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+
+  // Delivery
+  emailTo: String,
+  emailSent: {
+    type: Boolean,
+    default: false
+  },
+
+  // Admin Processing
+  status: {
+    type: String,
+    enum: ['new', 'read', 'archived'],
+    default: 'new'
+  },
+
+  // Source Tracking
+  source: {
+    referrer: String,
+    userAgent: String,
+    ipAddress: String,
+    utmParameters: {
+      source: String,
+      medium: String,
+      campaign: String
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+contactSubmissionSchema.index({ pageId: 1, createdAt: -1 });
+contactSubmissionSchema.index({ status: 1, createdAt: -1 });
+contactSubmissionSchema.index({ email: 1 });
+
+// Audit trail
+contactSubmissionSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('ContactSubmission', contactSubmissionSchema);
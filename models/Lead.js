@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { LEAD_STATUSES } = require('../utils/constants');
+const auditTrail = require('./plugins/auditTrail');
 
 const leadSchema = new mongoose.Schema({
   // Contact Information
@@ -576,4 +577,7 @@ leadSchema.statics.searchLeads = async function(query, options = {}) {
   return { leads, total };
 };
 
+// Audit trail
+leadSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Lead', leadSchema);
\ No newline at end of file
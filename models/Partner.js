@@ -1,5 +1,6 @@
 // models/Partner.js
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const imageSchema = new mongoose.Schema({
   url: {
@@ -111,4 +112,7 @@ partnerSchema.statics.findPending = function() {
   return this.find({ status: 'pending' }).sort({ createdAt: -1 });
 };
 
+// Audit trail
+partnerSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Partner', partnerSchema);
\ No newline at end of file
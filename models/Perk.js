@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const slugifyUtils = require('../utils/slugify');
 const { optional } = require('joi');
+const auditTrail = require('./plugins/auditTrail');
+const { CATALOG_SEARCH, PERK_LOCATIONS, PERK_STATUSES, PERK_WORKFLOW } = require('../utils/constants');
 
 const perkSchema = new mongoose.Schema({
   // Basic Information
@@ -147,6 +149,11 @@ const perkSchema = new mongoose.Schema({
       type: String,
       trim: true,
       maxlength: [500, 'Limitations cannot be more than 500 characters']
+    },
+    // Hand out unique single-use codes from the perk's pool instead of `code`
+    useCodePool: {
+      type: Boolean,
+      default: false
     }
   },
   
@@ -229,12 +236,21 @@ const perkSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Each feature cannot be more than 100 characters']
   }],
+
+  // Markets the perk is offered in
+  markets: {
+    type: [{
+      type: String,
+      enum: Object.values(PERK_LOCATIONS)
+    }],
+    default: [PERK_LOCATIONS.GLOBAL]
+  },
   
   // Status and Visibility
   status: {
     type: String,
-    enum: ['active', 'inactive', 'pending', 'rejected', 'expired'],
-    default: 'pending',
+    enum: Object.values(PERK_STATUSES),
+    default: PERK_STATUSES.PENDING,
     index: true
   },
   isVisible: {
@@ -327,6 +343,88 @@ const perkSchema = new mongoose.Schema({
     index: true
   },
   
+  // Changes proposed by the client (or a revision restore), applied when an admin approves them
+  pendingChanges: {
+    changes: mongoose.Schema.Types.Mixed,
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: Date,
+    // Set when the changes roll the perk back to an earlier revision
+    restoredFrom: Number
+  },
+  
+  // Scheduled status changes and vendor notices
+  lifecycle: {
+    // Approved before its start date; the scheduler activates it on time
+    autoActivate: {
+      type: Boolean,
+      default: false
+    },
+    activatedAt: Date,
+    unpublishedAt: Date,
+    expiredAt: Date,
+    // Expiry date the vendor was last warned about
+    expiryWarningFor: Date,
+    expiryWarningSentAt: Date
+  },
+
+  // Editor-set publishing window; go-live also waits for availability.startDate
+  schedule: {
+    publishAt: Date,
+    unpublishAt: Date
+  },
+  // When the perk last went live through publishing
+  publishedAt: Date,
+
+  // Editorial review state (status and approval.status follow it)
+  workflow: {
+    state: {
+      type: String,
+      enum: Object.values(PERK_WORKFLOW.STATES)
+    },
+    // Latest reviewer feedback for the client (revision requests, rejections)
+    reviewComments: {
+      type: String,
+      trim: true,
+      maxlength: [PERK_WORKFLOW.COMMENTS_MAX_LENGTH, `Review comments cannot be more than ${PERK_WORKFLOW.COMMENTS_MAX_LENGTH} characters`]
+    },
+    submittedAt: Date,
+    history: [{
+      _id: false,
+      from: String,
+      to: String,
+      action: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      comments: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+
+  // Partner submission this perk was converted from
+  sourcePartnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    index: true
+  },
+
+  // Perk this one was cloned from, or template it was created from
+  clonedFromId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Perk'
+  },
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PerkTemplate'
+  },
+  
   // Audit Fields
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -369,7 +467,11 @@ perkSchema.index({ status: 1, isVisible: 1, 'availability.endDate': 1 });
 perkSchema.index({ isFeatured: 1, status: 1, priority: -1 });
 perkSchema.index({ 'vendor.email': 1 });
 perkSchema.index({ tags: 1 });
+perkSchema.index({ markets: 1, status: 1 });
 perkSchema.index({ 'approval.status': 1 });
+perkSchema.index({ 'workflow.state': 1, 'workflow.submittedAt': 1 });
+perkSchema.index({ 'pendingChanges.submittedAt': 1 }, { sparse: true });
+perkSchema.index({ status: 1, 'schedule.unpublishAt': 1 });
 perkSchema.index({ 'redemption.expiryDate': 1 });
 
 // Text search index
@@ -459,7 +561,9 @@ perkSchema.virtual('client', {
 
 // Pre-save middleware to generate slug
 perkSchema.pre('save', async function(next) {
-  if (this.isNew || this.isModified('title')) {
+  // Clones arrive with a slug already reserved by the service
+  const hasReservedSlug = this.isNew && this.slug;
+  if (!hasReservedSlug && (this.isNew || this.isModified('title'))) {
     let baseSlug = slugifyUtils.createSeoSlug(this.title);
     
     const existingPerk = await this.constructor.findOne({ 
@@ -517,6 +621,24 @@ perkSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to keep markets unique and never empty
+perkSchema.pre('save', function(next) {
+  if (this.isModified('markets')) {
+    const markets = [...new Set(this.markets || [])];
+    this.markets = markets.length ? markets : [PERK_LOCATIONS.GLOBAL];
+  }
+  next();
+});
+
+// Derive the workflow state for new perks and any status set outside the workflow actions
+perkSchema.pre('save', function(next) {
+  const statusChanged = this.isNew ? !this.workflow.state : this.isModified('status') && !this.isModified('workflow.state');
+  if (statusChanged) {
+    this.workflow.state = this.deriveWorkflowState();
+  }
+  next();
+});
+
 // Pre-save middleware to update metrics
 perkSchema.pre('save', function(next) {
   if (this.metrics.viewCount > 0 && this.metrics.clickCount > 0) {
@@ -537,11 +659,9 @@ perkSchema.methods.incrementClickCount = async function() {
   return this.save();
 };
 
-// Instance method to increment redemption count
+// Instance method to increment redemption count (atomic; resolves to null when sold out)
 perkSchema.methods.incrementRedemptionCount = async function() {
-  this.metrics.redemptionCount += 1;
-  this.availability.redeemedQuantity += 1;
-  return this.save();
+  return this.constructor.reserveRedemption(this._id);
 };
 
 // Instance method to check if user can edit SEO
@@ -549,6 +669,43 @@ perkSchema.methods.canEditSEO = function(userId) {
   return this.clientId.toString() === userId.toString();
 };
 
+// Instance method to check if the perk has unreviewed client changes
+perkSchema.methods.hasPendingChanges = function() {
+  return !!(this.pendingChanges && this.pendingChanges.submittedAt);
+};
+
+// Instance method to get the workflow state (derived for perks created before the workflow)
+perkSchema.methods.getWorkflowState = function() {
+  return this.workflow?.state || this.deriveWorkflowState();
+};
+
+// Instance method to get when the perk may go live (later of start date and publish time)
+perkSchema.methods.getPublishAt = function(publishAt = this.schedule?.publishAt) {
+  const dates = [this.availability?.startDate, publishAt].filter(Boolean).map(date => new Date(date));
+  return dates.length ? new Date(Math.max(...dates)) : null;
+};
+
+// Instance method to map status/approval onto a workflow state
+perkSchema.methods.deriveWorkflowState = function() {
+  const { STATES } = PERK_WORKFLOW;
+  const approvalStatus = this.approval?.status;
+
+  switch (this.status) {
+    case PERK_STATUSES.ACTIVE:
+    case PERK_STATUSES.EXPIRED:
+      return STATES.PUBLISHED;
+    case PERK_STATUSES.PENDING:
+      return STATES.SUBMITTED;
+    case PERK_STATUSES.REJECTED:
+      return STATES.REJECTED;
+    case PERK_STATUSES.INACTIVE:
+      if (approvalStatus !== 'approved') return STATES.DRAFT;
+      return this.lifecycle?.autoActivate ? STATES.SCHEDULED : STATES.APPROVED;
+    default:
+      return approvalStatus === 'needs_revision' ? STATES.NEEDS_REVISION : STATES.DRAFT;
+  }
+};
+
 // Instance method to add approval note
 perkSchema.methods.addApprovalNote = function(content, userId) {
   this.approval.notes.push({
@@ -559,12 +716,40 @@ perkSchema.methods.addApprovalNote = function(content, userId) {
   return this.save();
 };
 
+// Static method to atomically reserve one unit, respecting totalQuantity on limited perks
+perkSchema.statics.reserveRedemption = async function(id) {
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { 'availability.isLimited': { $ne: true } },
+        { $expr: { $lt: ['$availability.redeemedQuantity', '$availability.totalQuantity'] } }
+      ]
+    },
+    {
+      $inc: {
+        'availability.redeemedQuantity': 1,
+        'metrics.redemptionCount': 1
+      }
+    },
+    { new: true }
+  );
+};
+
+// Static method for the market condition of public queries. Global perks and
+// perks saved before markets existed are shown in every market.
+perkSchema.statics.marketFilter = function(market = null) {
+  if (!market) return {};
+  return { markets: { $in: [...new Set([market, PERK_LOCATIONS.GLOBAL]), null] } };
+};
+
 // Static method to get featured perks
-perkSchema.statics.getFeaturedPerks = async function(limit = 10, categoryId = null) {
+perkSchema.statics.getFeaturedPerks = async function(limit = 10, categoryId = null, market = null) {
   const query = {
     status: 'active',
     isVisible: true,
-    isFeatured: true
+    isFeatured: true,
+    ...this.marketFilter(market)
   };
   
   if (categoryId) {
@@ -601,6 +786,7 @@ perkSchema.statics.getActivePerks = async function(filters = {}, page = 1, limit
   if (filters.isFeatured) query.isFeatured = filters.isFeatured;
   if (filters.isExclusive) query.isExclusive = filters.isExclusive;
   if (filters.vendorEmail) query['vendor.email'] = filters.vendorEmail;
+  Object.assign(query, this.marketFilter(filters.market));
   
   const skip = (page - 1) * limit;
   
@@ -622,13 +808,15 @@ perkSchema.statics.searchPerks = async function(searchQuery, options = {}) {
     page = 1,
     limit = 20,
     categoryId = null,
-    status = 'active'
+    status = 'active',
+    market = null
   } = options;
   
   const query = {
     $text: { $search: searchQuery },
     status: status,
-    isVisible: true
+    isVisible: true,
+    ...this.marketFilter(market)
   };
   
   if (categoryId) query.categoryId = categoryId;
@@ -647,4 +835,202 @@ perkSchema.statics.searchPerks = async function(searchQuery, options = {}) {
   return { perks, total };
 };
 
+// Static method for catalogue search with facet counts. Each facet is counted
+// with every filter applied except its own, so selecting a value doesn't hide
+// the alternatives in the same dimension.
+perkSchema.statics.facetedSearch = async function(filters = {}, options = {}) {
+  const { page = 1, limit = 20, sortBy } = options;
+  const now = new Date();
+
+  // Public visibility (plus text search, which must be the first stage)
+  const baseMatch = {
+    status: 'active',
+    isVisible: true,
+    'availability.startDate': { $lte: now },
+    $or: [
+      { 'availability.endDate': { $exists: false } },
+      { 'availability.endDate': null },
+      { 'availability.endDate': { $gte: now } }
+    ]
+  };
+  if (filters.q) baseMatch.$text = { $search: filters.q };
+  Object.assign(baseMatch, this.marketFilter(filters.market));
+
+  // One condition per facet dimension
+  const conditions = {};
+
+  if (filters.categoryIds && filters.categoryIds.length) {
+    conditions.category = { categoryId: { $in: filters.categoryIds.map(id => new mongoose.Types.ObjectId(id)) } };
+  }
+  if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+    conditions.price = { effectivePrice: {} };
+    if (filters.minPrice !== undefined) conditions.price.effectivePrice.$gte = filters.minPrice;
+    if (filters.maxPrice !== undefined) conditions.price.effectivePrice.$lte = filters.maxPrice;
+  }
+  if (filters.minDiscount !== undefined || filters.maxDiscount !== undefined) {
+    conditions.discount = { discountPercentage: {} };
+    if (filters.minDiscount !== undefined) conditions.discount.discountPercentage.$gte = filters.minDiscount;
+    if (filters.maxDiscount !== undefined) conditions.discount.discountPercentage.$lte = filters.maxDiscount;
+  }
+  if (filters.currencies && filters.currencies.length) {
+    conditions.currency = { effectiveCurrency: { $in: filters.currencies } };
+  }
+  if (filters.redemptionTypes && filters.redemptionTypes.length) {
+    conditions.redemptionType = { 'redemption.type': { $in: filters.redemptionTypes } };
+  }
+  if (filters.vendors && filters.vendors.length) {
+    conditions.vendor = { 'vendor.name': { $in: filters.vendors } };
+  }
+  if (filters.tags && filters.tags.length) {
+    conditions.tags = { tags: { $in: filters.tags } };
+  }
+  if (filters.isExclusive !== undefined) {
+    conditions.exclusive = { isExclusive: filters.isExclusive };
+  }
+  if (filters.isFeatured !== undefined) {
+    conditions.featured = { isFeatured: filters.isFeatured };
+  }
+  if (filters.expiresWithin) {
+    conditions.expiry = { expiresAt: { $gte: now, $lte: new Date(now.getTime() + filters.expiresWithin * 24 * 60 * 60 * 1000) } };
+  }
+
+  const matchExcept = (...dimensions) => {
+    const applied = Object.keys(conditions)
+      .filter(dimension => !dimensions.includes(dimension))
+      .map(dimension => conditions[dimension]);
+    return { $match: applied.length ? { $and: applied } : {} };
+  };
+
+  let sort;
+  switch (sortBy) {
+    case 'newest':
+      sort = { createdAt: -1 };
+      break;
+    case 'ending_soon':
+      sort = { hasExpiry: -1, expiresAt: 1, createdAt: -1 };
+      break;
+    case 'biggest_discount':
+      sort = { discountPercentage: -1, createdAt: -1 };
+      break;
+    case 'popular':
+      sort = { 'metrics.clickCount': -1, 'metrics.viewCount': -1, createdAt: -1 };
+      break;
+    default:
+      sort = filters.q
+        ? { score: { $meta: 'textScore' }, isFeatured: -1 }
+        : { isFeatured: -1, priority: -1, createdAt: -1 };
+  }
+
+  const countBy = (field, limit = null) => {
+    const stages = [
+      { $group: { _id: field, count: { $sum: 1 } } },
+      { $match: { _id: { $ne: null } } },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+    if (limit) stages.push({ $limit: limit });
+    return stages;
+  };
+
+  const expiryCounts = {};
+  CATALOG_SEARCH.EXPIRY_WINDOWS.forEach(days => {
+    const cutoff = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    expiryCounts[`within${days}Days`] = {
+      $sum: { $cond: [{ $and: [{ $gte: ['$expiresAt', now] }, { $lte: ['$expiresAt', cutoff] }] }, 1, 0] }
+    };
+  });
+
+  const skip = (page - 1) * limit;
+
+  const [result] = await this.aggregate([
+    { $match: baseMatch },
+    {
+      $addFields: {
+        effectivePrice: { $ifNull: ['$discountedPrice.amount', '$originalPrice.amount'] },
+        effectiveCurrency: { $ifNull: ['$discountedPrice.currency', '$originalPrice.currency'] },
+        // $min skips missing dates, so this is whichever deadline comes first
+        expiresAt: { $min: ['$availability.endDate', '$redemption.expiryDate'] }
+      }
+    },
+    { $addFields: { hasExpiry: { $cond: [{ $ifNull: ['$expiresAt', false] }, 1, 0] } } },
+    {
+      $facet: {
+        results: [
+          matchExcept(),
+          { $sort: sort },
+          { $skip: skip },
+          { $limit: limit },
+          { $unset: ['effectivePrice', 'effectiveCurrency', 'expiresAt', 'hasExpiry'] }
+        ],
+        total: [matchExcept(), { $count: 'count' }],
+        categories: [matchExcept('category'), ...countBy('$categoryId')],
+        currencies: [matchExcept('currency'), ...countBy('$effectiveCurrency')],
+        redemptionTypes: [matchExcept('redemptionType'), ...countBy('$redemption.type')],
+        vendors: [matchExcept('vendor'), ...countBy('$vendor.name', CATALOG_SEARCH.VENDOR_FACET_LIMIT)],
+        tags: [matchExcept('tags'), { $unwind: '$tags' }, ...countBy('$tags', CATALOG_SEARCH.TAG_FACET_LIMIT)],
+        priceRanges: [
+          matchExcept('price'),
+          { $match: { effectivePrice: { $ne: null } } },
+          { $bucket: { groupBy: '$effectivePrice', boundaries: CATALOG_SEARCH.PRICE_BUCKETS, default: 'other', output: { count: { $sum: 1 } } } }
+        ],
+        discountRanges: [
+          matchExcept('discount'),
+          { $match: { discountPercentage: { $ne: null } } },
+          { $bucket: { groupBy: '$discountPercentage', boundaries: CATALOG_SEARCH.DISCOUNT_BUCKETS, default: 'other', output: { count: { $sum: 1 } } } }
+        ],
+        flags: [
+          matchExcept('exclusive', 'featured'),
+          {
+            $group: {
+              _id: null,
+              exclusive: { $sum: { $cond: ['$isExclusive', 1, 0] } },
+              featured: { $sum: { $cond: ['$isFeatured', 1, 0] } }
+            }
+          }
+        ],
+        expiry: [matchExcept('expiry'), { $group: { _id: null, ...expiryCounts } }]
+      }
+    }
+  ]);
+
+  const perks = result.results.map(doc => this.hydrate(doc));
+  await this.populate(perks, { path: 'categoryId', select: 'name slug' });
+
+  const toRanges = (buckets, boundaries) => buckets
+    .filter(bucket => bucket._id !== 'other')
+    .map(bucket => {
+      const index = boundaries.indexOf(bucket._id);
+      const max = boundaries[index + 1];
+      return {
+        min: bucket._id,
+        max: max === Number.MAX_SAFE_INTEGER ? null : max,
+        count: bucket.count
+      };
+    });
+
+  const { _id: flagsId, ...flags } = result.flags[0] || { exclusive: 0, featured: 0 };
+  const { _id: expiryId, ...expiry } = result.expiry[0] || {};
+
+  return {
+    perks,
+    total: result.total[0] ? result.total[0].count : 0,
+    facets: {
+      categories: result.categories.map(item => ({ categoryId: item._id, count: item.count })),
+      currencies: result.currencies.map(item => ({ value: item._id, count: item.count })),
+      redemptionTypes: result.redemptionTypes.map(item => ({ value: item._id, count: item.count })),
+      vendors: result.vendors.map(item => ({ value: item._id, count: item.count })),
+      tags: result.tags.map(item => ({ value: item._id, count: item.count })),
+      priceRanges: toRanges(result.priceRanges, CATALOG_SEARCH.PRICE_BUCKETS),
+      discountRanges: toRanges(result.discountRanges, CATALOG_SEARCH.DISCOUNT_BUCKETS),
+      exclusive: flags.exclusive || 0,
+      featured: flags.featured || 0,
+      expiry: CATALOG_SEARCH.EXPIRY_WINDOWS.map(days => ({ days, count: expiry[`within${days}Days`] || 0 }))
+    }
+  };
+};
+
+// Audit trail
+perkSchema.plugin(auditTrail, {
+  ignore: ['metrics']
+});
+
 module.exports = mongoose.model('Perk', perkSchema);
\ No newline at end of file
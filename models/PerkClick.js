@@ -0,0 +1,45 @@
+// models/PerkClick.js
+const mongoose = require('mongoose');
+
+// One record per human click through a tracked redirect
+const perkClickSchema = new mongoose.Schema({
+  perkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Perk',
+    required: [true, 'Perk is required']
+  },
+  affiliateProgramId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AffiliateProgram'
+  },
+
+  // Campaign attribution
+  utm: {
+    source: String,
+    medium: String,
+    campaign: String,
+    term: String,
+    content: String
+  },
+  referrer: String,
+
+  // Tracking Information
+  ipAddress: String,
+  userAgent: String,
+  clientId: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+perkClickSchema.index({ perkId: 1, createdAt: -1 });
+perkClickSchema.index({ 'utm.source': 1, createdAt: -1 });
+
+perkClickSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('PerkClick', perkClickSchema);
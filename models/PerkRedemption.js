@@ -0,0 +1,54 @@
+// models/PerkRedemption.js
+const mongoose = require('mongoose');
+
+// One record per successful redemption through the public endpoint
+const perkRedemptionSchema = new mongoose.Schema({
+  perkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Perk',
+    required: [true, 'Perk is required']
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  redemptionType: {
+    type: String,
+    enum: ['code', 'link', 'email', 'phone', 'visit'],
+    required: true
+  },
+  // Pool code handed out, if the perk uses one
+  codeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RedemptionCode'
+  },
+
+  // Tracking Information
+  ipAddress: String,
+  userAgent: String,
+  referrer: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+perkRedemptionSchema.index({ perkId: 1, createdAt: -1 });
+// One redemption per email and perk; concurrent repeats fail on this index
+perkRedemptionSchema.index(
+  { perkId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { email: { $type: 'string' } } }
+);
+
+perkRedemptionSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('PerkRedemption', perkRedemptionSchema);
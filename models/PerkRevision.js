@@ -0,0 +1,57 @@
+// models/PerkRevision.js
+const mongoose = require('mongoose');
+
+// Snapshot of a perk's editable content, stored after every change
+const perkRevisionSchema = new mongoose.Schema({
+  perkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Perk',
+    required: [true, 'Perk is required']
+  },
+  // Sequential per perk, starting at 1
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Content fields only (see PERK_REVISION_FIELDS)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Field-level changes from the previous revision
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+
+  source: {
+    type: String,
+    enum: ['initial', 'create', 'clone', 'update', 'seo', 'client_changes', 'restore'],
+    required: true
+  },
+  // Revision number this one was restored from
+  restoredFrom: Number,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+perkRevisionSchema.index({ perkId: 1, revision: -1 }, { unique: true });
+
+perkRevisionSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('PerkRevision', perkRevisionSchema);
@@ -0,0 +1,54 @@
+// models/PerkTemplate.js
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+// Reusable perk content that pre-fills new perks
+const perkTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Template description cannot be more than 500 characters']
+  },
+  // Perk fields (PERK_COPY_FIELDS) as copied from the source perk; images
+  // reference the source perk's Cloudinary assets
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  sourcePerkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Perk',
+    index: true
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date,
+
+  // Admin tracking
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+perkTemplateSchema.index({ name: 1 });
+
+// Audit trail
+perkTemplateSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('PerkTemplate', perkTemplateSchema);
@@ -0,0 +1,74 @@
+// models/RedemptionCode.js
+const mongoose = require('mongoose');
+
+// Single-use code from a perk's code pool
+const redemptionCodeSchema = new mongoose.Schema({
+  perkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Perk',
+    required: [true, 'Perk is required']
+  },
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    trim: true,
+    maxlength: [100, 'Code cannot be more than 100 characters']
+  },
+  status: {
+    type: String,
+    enum: ['available', 'claimed', 'revoked'],
+    default: 'available'
+  },
+
+  // Claim
+  claimedAt: Date,
+  claimedEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+
+  // Revocation
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+
+  // Upload or generated batch the code came from
+  batchId: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+redemptionCodeSchema.index({ perkId: 1, code: 1 }, { unique: true });
+redemptionCodeSchema.index({ perkId: 1, status: 1, createdAt: 1 });
+// One claimed code per email and perk; concurrent claims fail on this index
+redemptionCodeSchema.index(
+  { perkId: 1, claimedEmail: 1 },
+  { unique: true, partialFilterExpression: { status: 'claimed', claimedEmail: { $type: 'string' } } }
+);
+redemptionCodeSchema.index({ leadId: 1 });
+
+redemptionCodeSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('RedemptionCode', redemptionCodeSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const seoSettingSchema = new mongoose.Schema({
   // Site Identity
@@ -363,4 +364,7 @@ seoSettingSchema.statics.getActiveSettings = async function() {
   return await this.findOne({ isActive: true }).sort({ updatedAt: -1 });
 };
 
+// Audit trail
+seoSettingSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('SeoSetting', seoSettingSchema);
\ No newline at end of file
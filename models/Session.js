@@ -0,0 +1,61 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+// One document per signed-in device; the refresh token is rotated on every use
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+
+  // SHA-256 of the current refresh token (the token itself is never stored)
+  tokenHash: {
+    type: String,
+    select: false
+  },
+
+  // Device Information
+  userAgent: String,
+  ipAddress: String,
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Revocation
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_change', 'password_reset', 'user_revoked', 'token_reuse', 'account_suspended']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+// Expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active state
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.tokenHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,7 @@
 // models/SiteSettings.js
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { PERK_LOCATIONS } = require('../utils/constants');
 
 const imageSchema = new mongoose.Schema({
   url: {
@@ -58,7 +60,20 @@ const siteSettingsSchema = new mongoose.Schema({
         limit: {
           type: Number,
           default: 6
-        }
+        },
+        // Perks pinned (in order) ahead of the featured list for a market
+        marketSlots: [{
+          _id: false,
+          market: {
+            type: String,
+            enum: Object.values(PERK_LOCATIONS),
+            required: true
+          },
+          perks: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Perk'
+          }]
+        }]
       },
       newestPerks: {
         enabled: {
@@ -141,6 +156,15 @@ const siteSettingsSchema = new mongoose.Schema({
     }
   },
   
+  // Security Policy
+  security: {
+    // Force super_admin and content_editor accounts to use two-factor authentication
+    requireTwoFactorForAdmins: {
+      type: Boolean,
+      default: false
+    }
+  },
+
   // Admin tracking
   updatedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -159,12 +183,15 @@ siteSettingsSchema.statics.getInstance = async function() {
   return settings;
 };
 
-// Method to update settings
+// Method to update settings (nested objects are merged, arrays replaced)
 siteSettingsSchema.statics.updateSettings = async function(updates, userId) {
   const settings = await this.getInstance();
-  Object.assign(settings, updates);
+  settings.set(updates, undefined, { merge: true });
   settings.updatedBy = userId;
   return settings.save();
 };
 
+// Audit trail
+siteSettingsSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('SiteSettings', siteSettingsSchema);
\ No newline at end of file
@@ -1,5 +1,6 @@
 // models/StaticPage.js
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const imageSchema = new mongoose.Schema({
   url: {
@@ -96,4 +97,7 @@ staticPageSchema.statics.findByPageType = function(pageType) {
   return this.findOne({ pageType, status: 'active' });
 };
 
+// Audit trail
+staticPageSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('StaticPage', staticPageSchema);
\ No newline at end of file
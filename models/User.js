@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { USER_ROLES, USER_STATUSES } = require('../utils/constants');
+const auditTrail = require('./plugins/auditTrail');
 
 // Cloudinary image schema
 const imageSchema = new mongoose.Schema({
@@ -47,10 +48,16 @@ const userSchema = new mongoose.Schema({
     default: USER_ROLES.CONTENT_EDITOR,
     required: true
   },
+  // Explicit grants on top of the role defaults (see utils/permissions.js)
   permissions: [{
     type: String,
     trim: true
   }],
+  // Role defaults explicitly taken away from this user
+  deniedPermissions: [{
+    type: String,
+    trim: true
+  }],
   status: {
     type: String,
     enum: Object.values(USER_STATUSES),
@@ -70,6 +77,25 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false
   },
+  // Secret generated at enrollment, promoted to twoFactorSecret once a code is verified
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of one-time backup codes
+  twoFactorBackupCodes: {
+    type: [{
+      codeHash: String,
+      usedAt: Date
+    }],
+    select: false
+  },
+  // Last accepted TOTP time step (prevents code replay)
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorEnabledAt: Date,
   lastLogin: {
     type: Date,
     default: null
@@ -96,6 +122,21 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Set by admins (forced reset) and for invited users until they choose a password
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+
+  // Invitation (staff accounts created by a super admin)
+  invitation: {
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: Date,
+    acceptedAt: Date
+  },
   
   // Email verification
   emailVerified: {
@@ -157,6 +198,9 @@ const userSchema = new mongoose.Schema({
     transform: function(doc, ret) {
       delete ret.password;
       delete ret.twoFactorSecret;
+      delete ret.twoFactorPendingSecret;
+      delete ret.twoFactorBackupCodes;
+      delete ret.twoFactorLastUsedStep;
       delete ret.passwordResetToken;
       delete ret.passwordResetExpires;
       delete ret.emailVerificationToken;
@@ -238,7 +282,7 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
 };
 
 // Instance method to create password reset token
-userSchema.methods.createPasswordResetToken = function() {
+userSchema.methods.createPasswordResetToken = function(expiresIn = 10 * 60 * 1000) {
   const crypto = require('crypto');
   const resetToken = crypto.randomBytes(32).toString('hex');
   
@@ -247,7 +291,7 @@ userSchema.methods.createPasswordResetToken = function() {
     .update(resetToken)
     .digest('hex');
     
-  this.passwordResetExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+  this.passwordResetExpires = Date.now() + expiresIn; // 10 minutes by default
   
   return resetToken;
 };
@@ -343,4 +387,10 @@ userSchema.statics.cleanupUnverifiedUsers = function() {
   });
 };
 
+// Audit trail
+userSchema.plugin(auditTrail, {
+  ignore: ['lastLogin', 'lastActive', 'loginAttempts', 'lockUntil', 'twoFactorLastUsedStep'],
+  redact: ['password', 'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorBackupCodes', 'passwordResetToken', 'emailVerificationToken']
+});
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,196 @@
+// models/plugins/auditTrail.js
+const AuditLog = require('../AuditLog');
+const auditContext = require('../../utils/auditContext');
+const diffUtils = require('../../utils/diff');
+
+const DEFAULT_IGNORED_PATHS = ['_id', '__v', 'id', 'createdAt', 'updatedAt'];
+
+// Cap on documents captured for a single updateMany/deleteMany
+const MAX_AUDITED_DOCUMENTS = 500;
+
+const UPDATE_OPERATIONS = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+const DELETE_OPERATIONS = ['findOneAndDelete', 'deleteOne', 'deleteMany'];
+
+/**
+ * Records create/update/delete audit entries for writes made inside an audit
+ * context (see utils/auditContext.js). Writes outside a context, such as public
+ * tracking counters, are not recorded.
+ *
+ * Apply the plugin after the model's own save hooks so their changes are included.
+ *
+ * Options:
+ *   ignore - paths (or path prefixes) that never produce an entry on their own
+ *   redact - paths whose values are masked in entries
+ */
+module.exports = function auditTrail(schema, options = {}) {
+  const ignore = [...DEFAULT_IGNORED_PATHS, ...(options.ignore || [])];
+  const redact = options.redact || [];
+
+  // Include select:false paths so changes to them are detected
+  const hiddenPaths = [];
+  schema.eachPath((path, schemaType) => {
+    if (schemaType.options && schemaType.options.select === false) {
+      hiddenPaths.push(`+${path}`);
+    }
+  });
+
+  const beforeByQuery = new WeakMap();
+
+  const loadDocuments = (model, filter, limit = MAX_AUDITED_DOCUMENTS) => {
+    const query = model.find(filter).limit(limit).lean();
+    return hiddenPaths.length ? query.select(hiddenPaths.join(' ')) : query;
+  };
+
+  const write = async (context, entries) => {
+    if (!entries.length) return;
+
+    try {
+      await AuditLog.insertMany(entries.map(entry => ({
+        ...entry,
+        actor: context.actor,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        requestId: context.requestId,
+        method: context.method,
+        path: context.path
+      })));
+    } catch (error) {
+      // Auditing must never break the write it describes
+      console.error('Failed to write audit log:', error.message);
+    }
+  };
+
+  const updateEntry = (entityType, before, after, filterPath = null) => {
+    let changes = diffUtils.diff(before, after, { ignore, redact });
+    if (filterPath) {
+      changes = changes.filter(change => filterPath(change.path));
+    }
+
+    if (!changes.length) return null;
+
+    return {
+      entityType,
+      entityId: after._id || before._id,
+      action: 'update',
+      changes
+    };
+  };
+
+  // Document saves
+  schema.pre('save', async function() {
+    const context = auditContext.get();
+    if (!context) return;
+
+    this.$locals.auditIsNew = this.isNew;
+    if (!this.isNew) {
+      // Modified paths are cleared by the time post('save') runs
+      this.$locals.auditModifiedPaths = this.modifiedPaths();
+
+      const [before] = await loadDocuments(this.constructor, { _id: this._id }, 1);
+      this.$locals.auditBefore = before;
+    }
+  });
+
+  schema.post('save', async function(doc) {
+    const context = auditContext.get();
+    if (!context || this.$locals.auditIsNew === undefined) return;
+
+    const entityType = this.constructor.modelName;
+
+    if (this.$locals.auditIsNew) {
+      await write(context, [{
+        entityType,
+        entityId: doc._id,
+        action: 'create',
+        snapshot: diffUtils.snapshot(doc, redact)
+      }]);
+    } else if (this.$locals.auditBefore) {
+      // Only paths this save touched (the in-memory doc may not have every field loaded)
+      const modified = this.$locals.auditModifiedPaths || [];
+      const entry = updateEntry(entityType, this.$locals.auditBefore, doc, path =>
+        modified.some(modifiedPath => path === modifiedPath || path.startsWith(`${modifiedPath}.`) || modifiedPath.startsWith(`${path}.`))
+      );
+      if (entry) await write(context, [entry]);
+    }
+
+    delete this.$locals.auditIsNew;
+    delete this.$locals.auditBefore;
+    delete this.$locals.auditModifiedPaths;
+  });
+
+  // Query updates and deletes
+  schema.pre([...UPDATE_OPERATIONS, ...DELETE_OPERATIONS], { document: false, query: true }, async function() {
+    const context = auditContext.get();
+    if (!context) return;
+
+    const limit = ['updateMany', 'deleteMany'].includes(this.op) ? MAX_AUDITED_DOCUMENTS : 1;
+    beforeByQuery.set(this, await loadDocuments(this.model, this.getFilter(), limit));
+  });
+
+  schema.post(UPDATE_OPERATIONS, { document: false, query: true }, async function() {
+    const context = auditContext.get();
+    const before = beforeByQuery.get(this);
+    if (!context || !before || !before.length) return;
+
+    beforeByQuery.delete(this);
+
+    const after = await loadDocuments(this.model, { _id: { $in: before.map(doc => doc._id) } });
+    const afterById = new Map(after.map(doc => [doc._id.toString(), doc]));
+
+    const entries = before
+      .map(doc => {
+        const updated = afterById.get(doc._id.toString());
+        return updated ? updateEntry(this.model.modelName, doc, updated) : null;
+      })
+      .filter(Boolean);
+
+    await write(context, entries);
+  });
+
+  schema.post(DELETE_OPERATIONS, { document: false, query: true }, async function() {
+    const context = auditContext.get();
+    const before = beforeByQuery.get(this);
+    if (!context || !before || !before.length) return;
+
+    beforeByQuery.delete(this);
+
+    // Only documents that are actually gone
+    const remaining = await this.model.find({ _id: { $in: before.map(doc => doc._id) } }).select('_id').lean();
+    const remainingIds = new Set(remaining.map(doc => doc._id.toString()));
+
+    await write(context, before
+      .filter(doc => !remainingIds.has(doc._id.toString()))
+      .map(doc => ({
+        entityType: this.model.modelName,
+        entityId: doc._id,
+        action: 'delete',
+        snapshot: diffUtils.snapshot(doc, redact)
+      })));
+  });
+
+  // doc.deleteOne()
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    const context = auditContext.get();
+    if (!context) return;
+
+    await write(context, [{
+      entityType: this.constructor.modelName,
+      entityId: doc._id,
+      action: 'delete',
+      snapshot: diffUtils.snapshot(doc, redact)
+    }]);
+  });
+
+  // Bulk inserts (imports)
+  schema.post('insertMany', async function(docs) {
+    const context = auditContext.get();
+    if (!context) return;
+
+    await write(context, docs.map(doc => ({
+      entityType: this.modelName,
+      entityId: doc._id,
+      action: 'create',
+      snapshot: diffUtils.snapshot(doc, redact)
+    })));
+  });
+};
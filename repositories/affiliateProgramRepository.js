@@ -0,0 +1,109 @@
+const AffiliateProgram = require('../models/AffiliateProgram');
+const { AppError } = require('../middleware/errorHandler');
+const paginationUtils = require('../utils/pagination');
+
+class AffiliateProgramRepository {
+  // Create affiliate program
+  async create(programData) {
+    try {
+      const program = new AffiliateProgram(programData);
+      return await program.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('An affiliate program already exists for this vendor', 409, 'AFFILIATE_PROGRAM_EXISTS');
+      }
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+        throw new AppError('Validation error', 400, 'VALIDATION_ERROR', errors);
+      }
+      throw new AppError('Database error while creating affiliate program', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find affiliate program by ID
+  async findById(id) {
+    try {
+      return await AffiliateProgram.findById(id);
+    } catch (error) {
+      throw new AppError('Database error while finding affiliate program', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find the active program for a vendor name (case-insensitive)
+  async findActiveByVendor(vendorName) {
+    try {
+      if (!vendorName) return null;
+
+      return await AffiliateProgram.findOne({
+        vendorKey: vendorName.trim().toLowerCase(),
+        isActive: true
+      });
+    } catch (error) {
+      throw new AppError('Database error while finding affiliate program', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get affiliate programs with filters and pagination
+  async findAll(filters = {}, page = 1, limit = 20) {
+    try {
+      const query = {};
+
+      if (filters.isActive !== undefined) query.isActive = filters.isActive;
+      if (filters.search) {
+        const escaped = filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query.vendorName = { $regex: escaped, $options: 'i' };
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [programs, total] = await Promise.all([
+        AffiliateProgram.find(query)
+          .sort({ vendorName: 1 })
+          .skip(skip)
+          .limit(limit),
+        AffiliateProgram.countDocuments(query)
+      ]);
+
+      return paginationUtils.createPaginationResponse(programs, page, limit, total);
+    } catch (error) {
+      throw new AppError('Database error while fetching affiliate programs', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Update affiliate program (saved so the vendor key stays in sync)
+  async update(id, updateData) {
+    try {
+      const program = await AffiliateProgram.findById(id);
+      if (!program) return null;
+
+      program.set(updateData);
+      return await program.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('An affiliate program already exists for this vendor', 409, 'AFFILIATE_PROGRAM_EXISTS');
+      }
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+        throw new AppError('Validation error', 400, 'VALIDATION_ERROR', errors);
+      }
+      throw new AppError('Database error while updating affiliate program', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Delete affiliate program
+  async delete(id) {
+    try {
+      return await AffiliateProgram.findByIdAndDelete(id);
+    } catch (error) {
+      throw new AppError('Database error while deleting affiliate program', 500, 'DATABASE_ERROR');
+    }
+  }
+}
+
+module.exports = new AffiliateProgramRepository();
@@ -0,0 +1,64 @@
+const AuditLog = require('../models/AuditLog');
+const { AppError } = require('../middleware/errorHandler');
+const paginationUtils = require('../utils/pagination');
+
+class AuditLogRepository {
+  // Find audit entry by ID
+  async findById(id) {
+    try {
+      return await AuditLog.findById(id).populate('actor.userId', 'name email role');
+    } catch (error) {
+      throw new AppError('Database error while finding audit entry', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get audit entries with filtering and pagination (newest first)
+  async findAll(filters = {}, page = 1, limit = 50) {
+    try {
+      const query = {};
+
+      if (filters.entityType) query.entityType = filters.entityType;
+      if (filters.entityId) query.entityId = filters.entityId;
+      if (filters.action) query.action = filters.action;
+      if (filters.actorId) query['actor.userId'] = filters.actorId;
+      if (filters.requestId) query.requestId = filters.requestId;
+
+      // Match the field itself or anything nested under it (e.g. "seo" matches "seo.metaTitle")
+      if (filters.field) {
+        const escaped = filters.field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query['changes.path'] = { $regex: `^${escaped}(\\.|$)` };
+      }
+
+      if (filters.dateFrom || filters.dateTo) {
+        query.createdAt = {};
+        if (filters.dateFrom) query.createdAt.$gte = new Date(filters.dateFrom);
+        if (filters.dateTo) query.createdAt.$lte = new Date(filters.dateTo);
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        AuditLog.countDocuments(query)
+      ]);
+
+      return paginationUtils.createPaginationResponse(entries, page, limit, total);
+    } catch (error) {
+      throw new AppError('Database error while fetching audit log', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Distinct entity types present in the log
+  async getEntityTypes() {
+    try {
+      return await AuditLog.distinct('entityType');
+    } catch (error) {
+      throw new AppError('Database error while fetching audit entity types', 500, 'DATABASE_ERROR');
+    }
+  }
+}
+
+module.exports = new AuditLogRepository();
@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const { AppError } = require('../middleware/errorHandler');
+const { USER_ROLES, USER_STATUSES } = require('../utils/constants');
 
 class AuthRepository {
   // Find user by email
@@ -38,6 +39,16 @@ class AuthRepository {
     }
   }
 
+  // Find user by ID including two-factor secrets (and optionally password)
+  async findByIdWithTwoFactor(id, includePassword = false) {
+    try {
+      const fields = '+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes +twoFactorLastUsedStep';
+      return await User.findById(id).select(includePassword ? `${fields} +password` : fields);
+    } catch (error) {
+      throw new AppError('Database error while finding user', 500, 'DATABASE_ERROR');
+    }
+  }
+
   // Create new user
   async create(userData) {
     try {
@@ -100,6 +111,7 @@ class AuthRepository {
       return await User.findByIdAndUpdate(userId, {
         password: hashedPassword,
         passwordChangedAt: new Date(),
+        passwordResetRequired: false,
         updatedAt: new Date(),
         $unset: { passwordResetToken: 1, passwordResetExpires: 1 }
       });
@@ -108,6 +120,45 @@ class AuthRepository {
     }
   }
 
+  // Record an accepted TOTP time step; fails if the step (or a later one) was already used
+  async claimTwoFactorStep(userId, timeStep) {
+    try {
+      const result = await User.updateOne(
+        {
+          _id: userId,
+          $or: [
+            { twoFactorLastUsedStep: { $exists: false } },
+            { twoFactorLastUsedStep: { $lt: timeStep } }
+          ]
+        },
+        { twoFactorLastUsedStep: timeStep }
+      );
+
+      return result.modifiedCount > 0;
+    } catch (error) {
+      throw new AppError('Database error while verifying two-factor code', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Mark an unused backup code as used
+  async consumeBackupCode(userId, codeHash) {
+    try {
+      const result = await User.updateOne(
+        {
+          _id: userId,
+          twoFactorBackupCodes: {
+            $elemMatch: { codeHash, usedAt: { $exists: false } }
+          }
+        },
+        { $set: { 'twoFactorBackupCodes.$.usedAt': new Date() } }
+      );
+
+      return result.modifiedCount > 0;
+    } catch (error) {
+      throw new AppError('Database error while verifying backup code', 500, 'DATABASE_ERROR');
+    }
+  }
+
   // Increment login attempts
   async incrementLoginAttempts(userId) {
     try {
@@ -258,6 +309,24 @@ class AuthRepository {
     }
   }
 
+  // Count active super admins (optionally excluding one user)
+  async countActiveSuperAdmins(excludeUserId = null) {
+    try {
+      const query = {
+        role: USER_ROLES.SUPER_ADMIN,
+        status: USER_STATUSES.ACTIVE
+      };
+
+      if (excludeUserId) {
+        query._id = { $ne: excludeUserId };
+      }
+
+      return await User.countDocuments(query);
+    } catch (error) {
+      throw new AppError('Database error while counting users', 500, 'DATABASE_ERROR');
+    }
+  }
+
   // Get user stats
   async getUserStats() {
     try {
@@ -281,6 +350,9 @@ class AuthRepository {
             contentEditors: {
               $sum: { $cond: [{ $eq: ['$role', 'content_editor'] }, 1, 0] }
             },
+            clients: {
+              $sum: { $cond: [{ $eq: ['$role', 'client'] }, 1, 0] }
+            },
             verifiedEmails: {
               $sum: { $cond: [{ $eq: ['$emailVerified', true] }, 1, 0] }
             }
@@ -295,6 +367,7 @@ class AuthRepository {
         suspended: 0,
         superAdmins: 0,
         contentEditors: 0,
+        clients: 0,
         verifiedEmails: 0
       };
     } catch (error) {
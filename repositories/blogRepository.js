@@ -4,6 +4,13 @@ const BlogPost = require('../models/BlogPost');
 const { AppError } = require('../middleware/errorHandler');
 const paginationUtils = require('../utils/pagination');
 
+// Posts shown on the public site
+const publishedFilter = () => ({
+  status: 'published',
+  isVisible: true,
+  publishedAt: { $lte: new Date() }
+});
+
 class BlogRepository {
   // Create new blog post
   async create(postData) {
@@ -190,6 +197,37 @@ class BlogRepository {
     }
   }
 
+  // Typeahead: published post titles
+  async suggestTitles(pattern, limit, maxTimeMS) {
+    try {
+      return await BlogPost.find({ ...publishedFilter(), title: pattern })
+        .select('title slug publishedAt')
+        .sort({ publishedAt: -1 })
+        .limit(limit)
+        .maxTimeMS(maxTimeMS)
+        .lean();
+    } catch (error) {
+      throw new AppError('Database error while fetching blog suggestions', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Typeahead: tags used by published posts
+  async suggestTags(pattern, limit, maxTimeMS) {
+    try {
+      return await BlogPost.aggregate([
+        { $match: { ...publishedFilter(), tags: pattern } },
+        { $unwind: '$tags' },
+        { $match: { tags: pattern } },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, tag: '$_id', count: 1 } }
+      ]).option({ maxTimeMS });
+    } catch (error) {
+      throw new AppError('Database error while fetching tag suggestions', 500, 'DATABASE_ERROR');
+    }
+  }
+
   // Update blog post
   async update(id, updateData) {
     try {
@@ -224,6 +262,70 @@ class BlogRepository {
     }
   }
 
+  // Drafts whose scheduled publish time has passed
+  async findDueForPublishing(now = new Date()) {
+    try {
+      return await BlogPost.find({
+        status: 'draft',
+        scheduledAt: { $lte: now }
+      }).select('_id categoryId').lean();
+    } catch (error) {
+      throw new AppError('Database error while finding posts to publish', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Published posts whose unpublish time has passed
+  async findDueForUnpublishing(now = new Date()) {
+    try {
+      return await BlogPost.find({
+        status: 'published',
+        unpublishAt: { $lte: now }
+      }).select('_id categoryId').lean();
+    } catch (error) {
+      throw new AppError('Database error while finding posts to unpublish', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Publish scheduled drafts; publishedAt defaults to the scheduled time
+  // (skips any rescheduled or published in the meantime)
+  async publishScheduled(ids, now = new Date()) {
+    try {
+      const result = await BlogPost.updateMany(
+        { _id: { $in: ids }, status: 'draft', scheduledAt: { $lte: now } },
+        [
+          {
+            $set: {
+              status: 'published',
+              publishedAt: { $ifNull: ['$publishedAt', '$scheduledAt'] },
+              updatedAt: now
+            }
+          },
+          { $unset: 'scheduledAt' }
+        ]
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      throw new AppError('Database error while publishing scheduled posts', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Archive published posts past their unpublish time
+  async unpublishScheduled(ids, now = new Date()) {
+    try {
+      const result = await BlogPost.updateMany(
+        { _id: { $in: ids }, status: 'published', unpublishAt: { $lte: now } },
+        {
+          status: 'archived',
+          $unset: { unpublishAt: 1 },
+          updatedAt: now
+        }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      throw new AppError('Database error while unpublishing scheduled posts', 500, 'DATABASE_ERROR');
+    }
+  }
+
   // Delete blog post
   async delete(id) {
     try {
@@ -164,6 +164,65 @@ class CategoryRepository {
     }
   }
 
+  // Get active categories by IDs, preserving the given order
+  async findActiveByIds(ids = []) {
+    try {
+      const categories = await Category.find({
+        _id: { $in: ids },
+        status: 'active',
+        isVisible: true
+      });
+
+      const categoriesById = new Map(categories.map(category => [category._id.toString(), category]));
+
+      return ids
+        .map(id => categoriesById.get(id.toString()))
+        .filter(Boolean);
+    } catch (error) {
+      throw new AppError('Database error while finding categories', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find categories by slug
+  async findBySlugs(slugs = []) {
+    try {
+      return await Category.find({ slug: { $in: slugs } }).select('_id slug');
+    } catch (error) {
+      throw new AppError('Database error while finding categories', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Visible categories sharing a hierarchy path (same parent)
+  async findSiblingIds(category) {
+    try {
+      const siblings = await Category.find({
+        _id: { $ne: category._id },
+        path: category.path,
+        level: category.level,
+        status: 'active',
+        isVisible: true
+      }).select('_id');
+
+      return siblings.map(sibling => sibling._id);
+    } catch (error) {
+      throw new AppError('Database error while finding sibling categories', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Typeahead: visible category names
+  async suggest(pattern, limit, maxTimeMS) {
+    try {
+      return await Category.find({ status: 'active', isVisible: true, name: pattern })
+        .select('name slug level perkCount')
+        .sort({ isFeatured: -1, perkCount: -1 })
+        .limit(limit)
+        .maxTimeMS(maxTimeMS)
+        .lean();
+    } catch (error) {
+      throw new AppError('Database error while fetching category suggestions', 500, 'DATABASE_ERROR');
+    }
+  }
+
   // Update category
   async update(id, updateData) {
     try {
@@ -0,0 +1,112 @@
+const ContactSubmission = require('../models/ContactSubmission');
+const { AppError } = require('../middleware/errorHandler');
+const paginationUtils = require('../utils/pagination');
+
+class ContactSubmissionRepository {
+  // Create new contact submission
+  async create(submissionData) {
+    try {
+      const submission = new ContactSubmission(submissionData);
+      return await submission.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+        throw new AppError('Validation error', 400, 'VALIDATION_ERROR', errors);
+      }
+      throw new AppError('Database error while creating contact submission', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find contact submission by ID
+  async findById(id, populate = false) {
+    try {
+      let query = ContactSubmission.findById(id);
+
+      if (populate) {
+        query = query.populate('pageId', 'title slug pageType');
+      }
+
+      return await query;
+    } catch (error) {
+      throw new AppError('Database error while finding contact submission', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get all contact submissions with filters and pagination
+  async findAll(filters = {}, page = 1, limit = 20, populate = false) {
+    try {
+      const query = {};
+
+      if (filters.pageId) query.pageId = filters.pageId;
+      if (filters.status) query.status = filters.status;
+      if (filters.email) query.email = filters.email.toLowerCase();
+
+      if (filters.dateFrom || filters.dateTo) {
+        query.createdAt = {};
+        if (filters.dateFrom) query.createdAt.$gte = new Date(filters.dateFrom);
+        if (filters.dateTo) query.createdAt.$lte = new Date(filters.dateTo);
+      }
+
+      const skip = (page - 1) * limit;
+
+      let baseQuery = ContactSubmission.find(query);
+
+      if (populate) {
+        baseQuery = baseQuery.populate('pageId', 'title slug pageType');
+      }
+
+      const [submissions, total] = await Promise.all([
+        baseQuery
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        ContactSubmission.countDocuments(query)
+      ]);
+
+      return paginationUtils.createPaginationResponse(submissions, page, limit, total);
+    } catch (error) {
+      throw new AppError('Database error while fetching contact submissions', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Update contact submission
+  async update(id, updateData) {
+    try {
+      const submission = await ContactSubmission.findByIdAndUpdate(
+        id,
+        updateData,
+        { new: true, runValidators: true }
+      );
+
+      if (!submission) {
+        throw new AppError('Contact submission not found', 404, 'SUBMISSION_NOT_FOUND');
+      }
+
+      return submission;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database error while updating contact submission', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Delete contact submission
+  async delete(id) {
+    try {
+      const submission = await ContactSubmission.findByIdAndDelete(id);
+
+      if (!submission) {
+        throw new AppError('Contact submission not found', 404, 'SUBMISSION_NOT_FOUND');
+      }
+
+      return submission;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database error while deleting contact submission', 500, 'DATABASE_ERROR');
+    }
+  }
+}
+
+module.exports = new ContactSubmissionRepository();
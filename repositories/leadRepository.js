@@ -1,4 +1,5 @@
 const Lead = require('../models/Lead');
+const mongoose = require('mongoose');
 const { AppError } = require('../middleware/errorHandler');
 const paginationUtils = require('../utils/pagination');
 
@@ -292,6 +293,54 @@ class LeadRepository {
     }
   }
 
+  // Get lead counts by status for a perk
+  async getStatusCountsByPerk(perkId) {
+    try {
+      const counts = await Lead.aggregate([
+        { $match: { perkId: new mongoose.Types.ObjectId(perkId.toString()) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+
+      const byStatus = {};
+      let total = 0;
+      counts.forEach(({ _id, count }) => {
+        byStatus[_id] = count;
+        total += count;
+      });
+
+      return { total, byStatus };
+    } catch (error) {
+      throw new AppError('Database error while counting perk leads', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Other perks requested by people who submitted a lead for this perk,
+  // with the number of distinct shared emails
+  async findCoEngagedPerks(perkId, leadLimit = 500, limit = 50) {
+    try {
+      const objectId = new mongoose.Types.ObjectId(perkId.toString());
+
+      const [recent] = await Lead.aggregate([
+        { $match: { perkId: objectId } },
+        { $sort: { createdAt: -1 } },
+        { $limit: leadLimit },
+        { $group: { _id: null, emails: { $addToSet: '$email' } } }
+      ]);
+
+      if (!recent || !recent.emails.length) return [];
+
+      return await Lead.aggregate([
+        { $match: { email: { $in: recent.emails }, perkId: { $exists: true, $nin: [null, objectId] } } },
+        { $group: { _id: '$perkId', emails: { $addToSet: '$email' } } },
+        { $project: { _id: 0, perkId: '$_id', sharedEmails: { $size: '$emails' } } },
+        { $sort: { sharedEmails: -1 } },
+        { $limit: limit }
+      ]);
+    } catch (error) {
+      throw new AppError('Database error while finding co-engaged perks', 500, 'DATABASE_ERROR');
+    }
+  }
+
   // Get conversion funnel
   async getConversionFunnel(dateRange = {}) {
     try {
@@ -0,0 +1,252 @@
+const Partner = require('../models/Partner');
+const { AppError } = require('../middleware/errorHandler');
+const paginationUtils = require('../utils/pagination');
+
+class PartnerRepository {
+  // Create new partner submission
+  async create(partnerData) {
+    try {
+      const partner = new Partner(partnerData);
+      return await partner.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+        throw new AppError('Validation error', 400, 'VALIDATION_ERROR', errors);
+      }
+      throw new AppError('Database error while creating partner submission', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find partner submission by ID
+  async findById(id, populate = false) {
+    try {
+      let query = Partner.findById(id);
+
+      if (populate) {
+        query = query
+          .populate('reviewedBy', 'name email')
+          .populate('convertedToPerkId', 'title slug status');
+      }
+
+      return await query;
+    } catch (error) {
+      throw new AppError('Database error while finding partner submission', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find pending submission by email (duplicate check)
+  async findPendingByEmail(email) {
+    try {
+      return await Partner.findOne({ email: email.toLowerCase(), status: 'pending' });
+    } catch (error) {
+      throw new AppError('Database error while finding partner submission', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get all partner submissions with filters and pagination
+  async findAll(filters = {}, page = 1, limit = 20, populate = false) {
+    try {
+      const query = {};
+
+      // Apply filters
+      if (filters.status) query.status = filters.status;
+      if (filters.offerType) query.offerType = filters.offerType;
+      if (filters.email) query.email = filters.email.toLowerCase();
+
+      // Date range filters
+      if (filters.dateFrom || filters.dateTo) {
+        query.createdAt = {};
+        if (filters.dateFrom) query.createdAt.$gte = new Date(filters.dateFrom);
+        if (filters.dateTo) query.createdAt.$lte = new Date(filters.dateTo);
+      }
+
+      // Search by name, company or email
+      if (filters.search) {
+        const escaped = filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query.$or = [
+          { name: { $regex: escaped, $options: 'i' } },
+          { companyName: { $regex: escaped, $options: 'i' } },
+          { email: { $regex: escaped, $options: 'i' } }
+        ];
+      }
+
+      const skip = (page - 1) * limit;
+
+      let baseQuery = Partner.find(query);
+
+      if (populate) {
+        baseQuery = baseQuery
+          .populate('reviewedBy', 'name email')
+          .populate('convertedToPerkId', 'title slug status');
+      }
+
+      let sortOptions = { createdAt: -1 };
+      if (filters.sortBy === 'created_asc') sortOptions = { createdAt: 1 };
+      if (filters.sortBy === 'company') sortOptions = { companyName: 1 };
+
+      const [partners, total] = await Promise.all([
+        baseQuery
+          .sort(sortOptions)
+          .skip(skip)
+          .limit(limit),
+        Partner.countDocuments(query)
+      ]);
+
+      return paginationUtils.createPaginationResponse(partners, page, limit, total);
+    } catch (error) {
+      throw new AppError('Database error while fetching partner submissions', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get pending submissions
+  async findPending() {
+    try {
+      return await Partner.findPending();
+    } catch (error) {
+      throw new AppError('Database error while fetching pending partner submissions', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Update partner submission
+  async update(id, updateData) {
+    try {
+      const partner = await Partner.findByIdAndUpdate(
+        id,
+        updateData,
+        { new: true, runValidators: true }
+      );
+
+      if (!partner) {
+        throw new AppError('Partner submission not found', 404, 'PARTNER_NOT_FOUND');
+      }
+
+      return partner;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database error while updating partner submission', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Approve partner submission
+  async approve(id, reviewerId, notes = null) {
+    try {
+      const partner = await Partner.findById(id);
+      if (!partner) {
+        throw new AppError('Partner submission not found', 404, 'PARTNER_NOT_FOUND');
+      }
+
+      if (notes) partner.adminNotes = notes;
+      return await partner.approve(reviewerId);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database error while approving partner submission', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Reject partner submission
+  async reject(id, reviewerId, notes = null) {
+    try {
+      const partner = await Partner.findById(id);
+      if (!partner) {
+        throw new AppError('Partner submission not found', 404, 'PARTNER_NOT_FOUND');
+      }
+
+      return await partner.reject(reviewerId, notes);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database error while rejecting partner submission', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Claim an approved submission for conversion; null when it is not (or no longer) approved
+  async claimForConversion(id) {
+    try {
+      return await Partner.findOneAndUpdate(
+        { _id: id, status: 'approved' },
+        { status: 'converted' },
+        { new: true }
+      );
+    } catch (error) {
+      throw new AppError('Database error while converting partner submission', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Return a claimed submission to approved when its perk could not be created
+  async releaseConversion(id) {
+    try {
+      return await Partner.findOneAndUpdate(
+        { _id: id, status: 'converted', convertedToPerkId: null },
+        { status: 'approved' },
+        { new: true }
+      );
+    } catch (error) {
+      throw new AppError('Database error while converting partner submission', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Link a claimed submission to the perk created from it
+  async markConverted(id, perkId, userId) {
+    try {
+      const partner = await Partner.findOneAndUpdate(
+        { _id: id, status: 'converted' },
+        {
+          convertedToPerkId: perkId,
+          reviewedBy: userId,
+          reviewedAt: new Date()
+        },
+        { new: true }
+      );
+      if (!partner) {
+        throw new AppError('Partner submission not found', 404, 'PARTNER_NOT_FOUND');
+      }
+
+      return partner;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database error while converting partner submission', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Delete partner submission
+  async delete(id) {
+    try {
+      const partner = await Partner.findByIdAndDelete(id);
+
+      if (!partner) {
+        throw new AppError('Partner submission not found', 404, 'PARTNER_NOT_FOUND');
+      }
+
+      return partner;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database error while deleting partner submission', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get partner submission statistics
+  async getStats() {
+    try {
+      const stats = await Partner.aggregate([
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+            approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
+            rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+            converted: { $sum: { $cond: [{ $eq: ['$status', 'converted'] }, 1, 0] } }
+          }
+        }
+      ]);
+
+      return stats[0] || { total: 0, pending: 0, approved: 0, rejected: 0, converted: 0 };
+    } catch (error) {
+      throw new AppError('Database error while getting partner stats', 500, 'DATABASE_ERROR');
+    }
+  }
+}
+
+module.exports = new PartnerRepository();
@@ -0,0 +1,61 @@
+const PerkClick = require('../models/PerkClick');
+const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+const paginationUtils = require('../utils/pagination');
+
+class PerkClickRepository {
+  // Create click record
+  async create(clickData) {
+    try {
+      const click = new PerkClick(clickData);
+      return await click.save();
+    } catch (error) {
+      throw new AppError('Database error while recording click', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get clicks for a perk, newest first
+  async findByPerk(perkId, page = 1, limit = 20) {
+    try {
+      const skip = (page - 1) * limit;
+
+      const [clicks, total] = await Promise.all([
+        PerkClick.find({ perkId })
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        PerkClick.countDocuments({ perkId })
+      ]);
+
+      return paginationUtils.createPaginationResponse(clicks, page, limit, total);
+    } catch (error) {
+      throw new AppError('Database error while fetching clicks', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Click counts for a perk by UTM source
+  async getSourceCounts(perkId) {
+    try {
+      const counts = await PerkClick.aggregate([
+        { $match: { perkId: new mongoose.Types.ObjectId(perkId.toString()) } },
+        { $group: { _id: { $ifNull: ['$utm.source', null] }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]);
+
+      return counts.map(({ _id, count }) => ({ source: _id, count }));
+    } catch (error) {
+      throw new AppError('Database error while counting clicks', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Delete all clicks for a perk
+  async deleteByPerk(perkId) {
+    try {
+      return await PerkClick.deleteMany({ perkId });
+    } catch (error) {
+      throw new AppError('Database error while deleting clicks', 500, 'DATABASE_ERROR');
+    }
+  }
+}
+
+module.exports = new PerkClickRepository();
@@ -0,0 +1,67 @@
+const PerkRedemption = require('../models/PerkRedemption');
+const { AppError } = require('../middleware/errorHandler');
+const paginationUtils = require('../utils/pagination');
+
+class PerkRedemptionRepository {
+  // Create redemption record
+  async create(redemptionData) {
+    try {
+      const redemption = new PerkRedemption(redemptionData);
+      return await redemption.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('This perk has already been redeemed with this email', 409, 'ALREADY_REDEEMED');
+      }
+      throw new AppError('Database error while recording redemption', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Attach the pool code handed out for a redemption
+  async setCode(id, codeId) {
+    try {
+      return await PerkRedemption.findByIdAndUpdate(id, { codeId }, { new: true });
+    } catch (error) {
+      throw new AppError('Database error while updating redemption', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Delete a redemption whose unit could not be reserved
+  async delete(id) {
+    try {
+      return await PerkRedemption.findByIdAndDelete(id);
+    } catch (error) {
+      throw new AppError('Database error while deleting redemption', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get redemptions for a perk, newest first
+  async findByPerk(perkId, page = 1, limit = 20) {
+    try {
+      const skip = (page - 1) * limit;
+
+      const [redemptions, total] = await Promise.all([
+        PerkRedemption.find({ perkId })
+          .populate('codeId', 'code status')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        PerkRedemption.countDocuments({ perkId })
+      ]);
+
+      return paginationUtils.createPaginationResponse(redemptions, page, limit, total);
+    } catch (error) {
+      throw new AppError('Database error while fetching redemptions', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Delete all redemptions for a perk
+  async deleteByPerk(perkId) {
+    try {
+      return await PerkRedemption.deleteMany({ perkId });
+    } catch (error) {
+      throw new AppError('Database error while deleting redemptions', 500, 'DATABASE_ERROR');
+    }
+  }
+}
+
+module.exports = new PerkRedemptionRepository();
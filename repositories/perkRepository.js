@@ -1,6 +1,23 @@
 const Perk = require('../models/Perk');
 const { AppError } = require('../middleware/errorHandler');
 const paginationUtils = require('../utils/pagination');
+const { PERK_WORKFLOW, PERK_IMAGE_PATHS } = require('../utils/constants');
+
+// Perks shown on the public site (optionally in one market)
+const publicFilter = (market = null) => {
+  const now = new Date();
+  return {
+    ...Perk.marketFilter(market),
+    status: 'active',
+    isVisible: true,
+    'availability.startDate': { $lte: now },
+    $or: [
+      { 'availability.endDate': { $exists: false } },
+      { 'availability.endDate': null },
+      { 'availability.endDate': { $gte: now } }
+    ]
+  };
+};
 
 class PerkRepository {
   // Create new perk
@@ -74,7 +91,9 @@ class PerkRepository {
       if (filters.isFeatured !== undefined) query.isFeatured = filters.isFeatured;
       if (filters.isExclusive !== undefined) query.isExclusive = filters.isExclusive;
       if (filters.approvalStatus) query['approval.status'] = filters.approvalStatus;
+      if (filters.workflowState) query['workflow.state'] = filters.workflowState;
       if (filters.vendorEmail) query['vendor.email'] = filters.vendorEmail;
+      if (filters.market) query.markets = filters.market;
 
       // Date range filters
       if (filters.dateFrom || filters.dateTo) {
@@ -158,14 +177,42 @@ class PerkRepository {
   }
 
   // Get featured perks
-  async getFeaturedPerks(limit = 10, categoryId = null) {
+  async getFeaturedPerks(limit = 10, categoryId = null, market = null) {
     try {
-      return await Perk.getFeaturedPerks(limit, categoryId);
+      return await Perk.getFeaturedPerks(limit, categoryId, market);
     } catch (error) {
       throw new AppError('Database error while fetching featured perks', 500, 'DATABASE_ERROR');
     }
   }
 
+  // Get newest active perks
+  async getNewestPerks(limit = 8, market = null) {
+    try {
+      return await Perk.find(publicFilter(market))
+        .populate('categoryId', 'name slug')
+        .sort({ createdAt: -1 })
+        .limit(limit);
+    } catch (error) {
+      throw new AppError('Database error while fetching newest perks', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get public perks by IDs, preserving the given order
+  async findPublicByIds(ids = [], market = null) {
+    try {
+      const perks = await Perk.find({ ...publicFilter(market), _id: { $in: ids } })
+        .populate('categoryId', 'name slug');
+
+      const perksById = new Map(perks.map(perk => [perk._id.toString(), perk]));
+
+      return ids
+        .map(id => perksById.get(id.toString()))
+        .filter(Boolean);
+    } catch (error) {
+      throw new AppError('Database error while finding perks', 500, 'DATABASE_ERROR');
+    }
+  }
+
   // Get perks by client ID
   async findByClientId(clientId, page = 1, limit = 20, populate = false) {
     try {
@@ -195,9 +242,9 @@ class PerkRepository {
   }
 
   // Get perks by category
-  async findByCategoryId(categoryId, page = 1, limit = 20, activeOnly = true) {
+  async findByCategoryId(categoryId, page = 1, limit = 20, activeOnly = true, market = null) {
     try {
-      const query = { categoryId };
+      const query = { categoryId, ...Perk.marketFilter(market) };
 
       if (activeOnly) {
         query.status = 'active';
@@ -230,6 +277,114 @@ class PerkRepository {
     }
   }
 
+  // Catalogue search with facet counts
+  async catalogSearch(filters = {}, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const { perks, total, facets } = await Perk.facetedSearch(filters, options);
+
+      return {
+        ...paginationUtils.createPaginationResponse(perks, page, limit, total),
+        facets
+      };
+    } catch (error) {
+      throw new AppError('Database error while searching the perk catalogue', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Live, in-stock perks matching any of the given relations
+  async findRelatedCandidates(perkId, relations = {}, limit = 100) {
+    try {
+      const { tags = [], categoryIds = [], vendorName, perkIds = [], market = null } = relations;
+      const now = new Date();
+
+      const criteria = [];
+      if (tags.length) criteria.push({ tags: { $in: tags } });
+      if (categoryIds.length) criteria.push({ categoryId: { $in: categoryIds } });
+      if (vendorName) {
+        const escaped = vendorName.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        criteria.push({ 'vendor.name': new RegExp(`^${escaped}$`, 'i') });
+      }
+      if (perkIds.length) criteria.push({ _id: { $in: perkIds } });
+
+      if (!criteria.length) return [];
+
+      return await Perk.find({
+        ...publicFilter(market),
+        _id: { $ne: perkId },
+        $and: [
+          // Redemption window still open
+          {
+            $or: [
+              { 'redemption.expiryDate': { $exists: false } },
+              { 'redemption.expiryDate': null },
+              { 'redemption.expiryDate': { $gte: now } }
+            ]
+          },
+          // In stock
+          {
+            $or: [
+              { 'availability.isLimited': { $ne: true } },
+              { $expr: { $lt: ['$availability.redeemedQuantity', '$availability.totalQuantity'] } }
+            ]
+          },
+          { $or: criteria }
+        ]
+      })
+        .populate('categoryId', 'name slug')
+        .sort({ isFeatured: -1, 'metrics.clickCount': -1 })
+        .limit(limit);
+    } catch (error) {
+      throw new AppError('Database error while finding related perks', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Typeahead: perk titles
+  async suggestTitles(pattern, limit, maxTimeMS, market = null) {
+    try {
+      return await Perk.find({ ...publicFilter(market), title: pattern })
+        .select('title slug vendor.name')
+        .sort({ isFeatured: -1, 'metrics.clickCount': -1 })
+        .limit(limit)
+        .maxTimeMS(maxTimeMS)
+        .lean();
+    } catch (error) {
+      throw new AppError('Database error while fetching perk suggestions', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Typeahead: vendor names with their number of live perks
+  async suggestVendors(pattern, limit, maxTimeMS, market = null) {
+    try {
+      return await Perk.aggregate([
+        { $match: { ...publicFilter(market), 'vendor.name': pattern } },
+        { $group: { _id: '$vendor.name', perkCount: { $sum: 1 } } },
+        { $sort: { perkCount: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, name: '$_id', perkCount: 1 } }
+      ]).option({ maxTimeMS });
+    } catch (error) {
+      throw new AppError('Database error while fetching vendor suggestions', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Typeahead: tags used by live perks
+  async suggestTags(pattern, limit, maxTimeMS, market = null) {
+    try {
+      return await Perk.aggregate([
+        { $match: { ...publicFilter(market), tags: pattern } },
+        { $unwind: '$tags' },
+        { $match: { tags: pattern } },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, tag: '$_id', count: 1 } }
+      ]).option({ maxTimeMS });
+    } catch (error) {
+      throw new AppError('Database error while fetching tag suggestions', 500, 'DATABASE_ERROR');
+    }
+  }
+
   // Update perk
   async update(id, updateData) {
     try {
@@ -308,28 +463,22 @@ class PerkRepository {
     }
   }
 
-  // Approve perk
-  async approvePerk(id, reviewerId, notes = null) {
+  // Store proposed changes and send the perk back for approval
+  async submitPendingChanges(id, changes, userId, restoredFrom = null) {
     try {
-      const updateData = {
-        'approval.status': 'approved',
-        'approval.reviewedBy': reviewerId,
-        'approval.reviewedAt': new Date(),
-        status: 'active',
-        updatedAt: new Date()
+      const pendingChanges = {
+        changes,
+        submittedBy: userId,
+        submittedAt: new Date()
       };
+      if (restoredFrom) pendingChanges.restoredFrom = restoredFrom;
 
-      if (notes) {
-        updateData.$push = {
-          'approval.notes': {
-            content: notes,
-            addedBy: reviewerId,
-            addedAt: new Date()
-          }
-        };
-      }
-
-      const perk = await Perk.findByIdAndUpdate(id, updateData, { new: true });
+      const perk = await Perk.findByIdAndUpdate(id, {
+        pendingChanges,
+        'approval.status': 'pending',
+        'approval.rejectionReason': null,
+        updatedAt: new Date()
+      }, { new: true });
 
       if (!perk) {
         throw new AppError('Perk not found', 404, 'PERK_NOT_FOUND');
@@ -338,42 +487,247 @@ class PerkRepository {
       return perk;
     } catch (error) {
       if (error instanceof AppError) throw error;
-      throw new AppError('Database error while approving perk', 500, 'DATABASE_ERROR');
+      throw new AppError('Database error while submitting perk changes', 500, 'DATABASE_ERROR');
     }
   }
 
-  // Reject perk
-  async rejectPerk(id, reviewerId, reason, notes = null) {
+  // Check that proposed changes would leave the perk valid, without saving them
+  async validatePendingChanges(perk) {
     try {
-      const updateData = {
-        'approval.status': 'rejected',
-        'approval.reviewedBy': reviewerId,
-        'approval.reviewedAt': new Date(),
-        'approval.rejectionReason': reason,
-        status: 'rejected',
-        updatedAt: new Date()
-      };
-
-      if (notes) {
-        updateData.$push = {
-          'approval.notes': {
-            content: notes,
-            addedBy: reviewerId,
-            addedAt: new Date()
-          }
-        };
+      const draft = Perk.hydrate(perk.toObject({ depopulate: true }));
+      draft.set(perk.pendingChanges.changes || {}, undefined, { merge: true });
+      await draft.validate();
+      return true;
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+        throw new AppError('Validation error', 400, 'VALIDATION_ERROR', errors);
       }
+      throw new AppError('Database error while validating perk changes', 500, 'DATABASE_ERROR');
+    }
+  }
 
-      const perk = await Perk.findByIdAndUpdate(id, updateData, { new: true });
+  // Apply client-proposed changes to the perk. With submittedAt, only applies the
+  // changes submitted at that time (null if they were replaced or withdrawn)
+  async applyPendingChanges(id, reviewerId, submittedAt = null) {
+    try {
+      const query = { _id: id };
+      if (submittedAt) query['pendingChanges.submittedAt'] = submittedAt;
+
+      const perk = await Perk.findOne(query);
 
       if (!perk) {
+        if (submittedAt) return null;
         throw new AppError('Perk not found', 404, 'PERK_NOT_FOUND');
       }
 
-      return perk;
+      if (perk.pendingChanges?.changes) {
+        perk.set(perk.pendingChanges.changes, undefined, { merge: true });
+      }
+
+      perk.pendingChanges = undefined;
+      perk.updatedBy = reviewerId;
+
+      return await perk.save();
     } catch (error) {
       if (error instanceof AppError) throw error;
-      throw new AppError('Database error while rejecting perk', 500, 'DATABASE_ERROR');
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+        throw new AppError('Validation error', 400, 'VALIDATION_ERROR', errors);
+      }
+      throw new AppError('Database error while applying perk changes', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Move a perk to a workflow state, recording the step in its history.
+  // Resolves to null when the perk left the expected state in the meantime;
+  // perks created before the workflow are matched on their status instead.
+  async transitionWorkflow(id, expected, updateData, historyEntry) {
+    try {
+      const { $push = {}, $unset, ...fields } = updateData;
+      const update = {
+        ...fields,
+        'workflow.state': historyEntry.to,
+        updatedAt: new Date(),
+        $push: {
+          ...$push,
+          'workflow.history': { $each: [historyEntry], $slice: -PERK_WORKFLOW.HISTORY_LIMIT }
+        }
+      };
+      if ($unset) update.$unset = $unset;
+
+      return await Perk.findOneAndUpdate(
+        {
+          _id: id,
+          $or: [
+            { 'workflow.state': expected.state },
+            { 'workflow.state': null, status: expected.status }
+          ]
+        },
+        update,
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+        throw new AppError('Validation error', 400, 'VALIDATION_ERROR', errors);
+      }
+      throw new AppError('Database error while updating perk workflow', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Perks waiting on an editor, oldest first: new submissions and changes
+  // proposed for approved perks (type: 'submissions' | 'changes')
+  async findReviewQueue(filters = {}, page = 1, limit = 20) {
+    try {
+      const { STATES } = PERK_WORKFLOW;
+      const submissions = {
+        $or: [
+          { 'workflow.state': STATES.SUBMITTED },
+          { 'workflow.state': null, status: 'pending' }
+        ]
+      };
+      const changes = {
+        'workflow.state': { $in: [STATES.APPROVED, STATES.SCHEDULED, STATES.PUBLISHED] },
+        'pendingChanges.submittedAt': { $ne: null }
+      };
+
+      let query;
+      if (filters.type === 'submissions') query = submissions;
+      else if (filters.type === 'changes') query = changes;
+      else query = { $or: [submissions, changes] };
+
+      if (filters.clientId) query = { $and: [query, { clientId: filters.clientId }] };
+
+      const [entries, total] = await Promise.all([
+        Perk.aggregate([
+          { $match: query },
+          {
+            $addFields: {
+              queuedAt: { $ifNull: ['$pendingChanges.submittedAt', { $ifNull: ['$workflow.submittedAt', '$createdAt'] }] }
+            }
+          },
+          { $sort: { queuedAt: 1, _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { _id: 1, queuedAt: 1 } }
+        ]),
+        Perk.countDocuments(query)
+      ]);
+
+      const perks = await Perk.find({ _id: { $in: entries.map(entry => entry._id) } })
+        .populate('categoryId', 'name slug')
+        .populate('clientId', 'name email')
+        .populate('pendingChanges.submittedBy', 'name email');
+      const perksById = new Map(perks.map(perk => [perk._id.toString(), perk]));
+
+      const data = entries
+        .filter(entry => perksById.has(entry._id.toString()))
+        .map(entry => {
+          const perk = perksById.get(entry._id.toString());
+          return {
+            ...perk.toJSON(),
+            queue: {
+              type: perk.getWorkflowState() === STATES.SUBMITTED ? 'submissions' : 'changes',
+              queuedAt: entry.queuedAt
+            }
+          };
+        });
+
+      return paginationUtils.createPaginationResponse(data, page, limit, total);
+    } catch (error) {
+      throw new AppError('Database error while fetching review queue', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Number of perks in each workflow state, plus approved perks with proposed changes
+  async getWorkflowCounts() {
+    try {
+      const { STATES } = PERK_WORKFLOW;
+      const [states, pendingChanges] = await Promise.all([
+        Perk.aggregate([
+          { $match: { 'workflow.state': { $ne: null } } },
+          { $group: { _id: '$workflow.state', count: { $sum: 1 } } }
+        ]),
+        Perk.countDocuments({
+          'workflow.state': { $in: [STATES.APPROVED, STATES.SCHEDULED, STATES.PUBLISHED] },
+          'pendingChanges.submittedAt': { $ne: null }
+        })
+      ]);
+
+      const counts = {};
+      Object.values(STATES).forEach(state => {
+        counts[state] = 0;
+      });
+      states.forEach(({ _id, count }) => {
+        counts[_id] = count;
+      });
+
+      return { ...counts, pendingChanges };
+    } catch (error) {
+      throw new AppError('Database error while counting perk workflow states', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Perks a scheduler run moved to a status (matched on the timestamp it wrote)
+  async findTransitioned(ids, status, timestampPath, at) {
+    try {
+      return await Perk.find({
+        _id: { $in: ids },
+        status,
+        [timestampPath]: at
+      });
+    } catch (error) {
+      throw new AppError('Database error while finding updated perks', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Reserve one unit, failing when a limited perk is sold out
+  async reserveRedemption(id) {
+    try {
+      return await Perk.reserveRedemption(id);
+    } catch (error) {
+      throw new AppError('Database error while reserving perk redemption', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Give back a reserved unit
+  async releaseRedemption(id) {
+    try {
+      return await Perk.findOneAndUpdate(
+        { _id: id, 'availability.redeemedQuantity': { $gt: 0 } },
+        {
+          $inc: {
+            'availability.redeemedQuantity': -1,
+            'metrics.redemptionCount': -1
+          }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      throw new AppError('Database error while releasing perk redemption', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Turn the code pool on or off
+  async setCodePool(id, enabled) {
+    try {
+      return await Perk.findByIdAndUpdate(
+        id,
+        { 'redemption.useCodePool': enabled, updatedAt: new Date() },
+        { new: true }
+      );
+    } catch (error) {
+      throw new AppError('Database error while updating perk code pool', 500, 'DATABASE_ERROR');
     }
   }
 
@@ -454,6 +808,28 @@ class PerkRepository {
     }
   }
 
+  // Slugs from the list that are already taken
+  async findExistingSlugs(slugs = []) {
+    try {
+      const perks = await Perk.find({ slug: { $in: slugs } }).select('slug').lean();
+      return perks.map(perk => perk.slug);
+    } catch (error) {
+      throw new AppError('Database error while checking slugs', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Count other perks still using a Cloudinary image (clones share assets)
+  async countImageReferences(publicId, excludeId = null) {
+    try {
+      const query = { $or: PERK_IMAGE_PATHS.map(path => ({ [path]: publicId })) };
+      if (excludeId) query._id = { $ne: excludeId };
+
+      return await Perk.countDocuments(query);
+    } catch (error) {
+      throw new AppError('Database error while checking image references', 500, 'DATABASE_ERROR');
+    }
+  }
+
   // Check if slug exists
   async slugExists(slug, excludeId = null) {
     try {
@@ -491,6 +867,106 @@ class PerkRepository {
     }
   }
 
+  // Perks the scheduler should make live: approved ones whose start date and publish
+  // time have arrived
+  async findDueForActivation(now = new Date()) {
+    try {
+      return await Perk.find({
+        status: 'inactive',
+        'lifecycle.autoActivate': true,
+        'approval.status': 'approved',
+        $and: [
+          { $or: [{ 'availability.startDate': null }, { 'availability.startDate': { $lte: now } }] },
+          { $or: [{ 'schedule.publishAt': null }, { 'schedule.publishAt': { $lte: now } }] },
+          { $or: [{ 'availability.endDate': null }, { 'availability.endDate': { $gt: now } }] },
+          { $or: [{ 'redemption.expiryDate': null }, { 'redemption.expiryDate': { $gt: now } }] }
+        ]
+      }).select('_id status categoryId').lean();
+    } catch (error) {
+      throw new AppError('Database error while finding perks to activate', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Perks the scheduler expired whose end or redemption expiry date has since been
+  // moved into the future (perks expired by hand have no expiredAt and stay expired)
+  async findDueForReactivation(now = new Date()) {
+    try {
+      return await Perk.find({
+        status: 'expired',
+        'approval.status': 'approved',
+        'lifecycle.expiredAt': { $ne: null },
+        $and: [
+          {
+            $or: [
+              { 'availability.endDate': { $gt: now } },
+              { 'redemption.expiryDate': { $gt: now } }
+            ]
+          },
+          { $or: [{ 'availability.endDate': null }, { 'availability.endDate': { $gt: now } }] },
+          { $or: [{ 'redemption.expiryDate': null }, { 'redemption.expiryDate': { $gt: now } }] }
+        ]
+      }).select('_id status categoryId').lean();
+    } catch (error) {
+      throw new AppError('Database error while finding perks to reactivate', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Active perks past their end or redemption expiry date
+  async findDueForExpiry(now = new Date()) {
+    try {
+      return await Perk.find({
+        status: 'active',
+        $or: [
+          { 'availability.endDate': { $lte: now } },
+          { 'redemption.expiryDate': { $lte: now } }
+        ]
+      }).select('_id status categoryId').lean();
+    } catch (error) {
+      throw new AppError('Database error while finding perks to expire', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Live perks whose editor-set unpublish time has passed
+  async findDueForUnpublish(now = new Date()) {
+    try {
+      return await Perk.find({
+        status: 'active',
+        'schedule.unpublishAt': { $lte: now }
+      }).select('_id status categoryId').lean();
+    } catch (error) {
+      throw new AppError('Database error while finding perks to unpublish', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Move perks from one status to another (skips any changed in the meantime)
+  async transitionStatus(ids, fromStatus, toStatus, extraFields = {}) {
+    try {
+      const result = await Perk.updateMany(
+        { _id: { $in: ids }, status: fromStatus },
+        { status: toStatus, ...extraFields, updatedAt: new Date() }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      throw new AppError('Database error while updating perk statuses', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Mark the expiry warning as sent; null if it was already sent for this date
+  async claimExpiryWarning(id, expiresAt) {
+    try {
+      return await Perk.findOneAndUpdate(
+        { _id: id, 'lifecycle.expiryWarningFor': { $ne: expiresAt } },
+        {
+          'lifecycle.expiryWarningFor': expiresAt,
+          'lifecycle.expiryWarningSentAt': new Date()
+        },
+        { new: true }
+      );
+    } catch (error) {
+      throw new AppError('Database error while recording expiry warning', 500, 'DATABASE_ERROR');
+    }
+  }
+
   // Bulk update perks
   async bulkUpdate(updates) {
     try {
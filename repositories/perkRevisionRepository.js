@@ -0,0 +1,69 @@
+const PerkRevision = require('../models/PerkRevision');
+const { AppError } = require('../middleware/errorHandler');
+const paginationUtils = require('../utils/pagination');
+
+class PerkRevisionRepository {
+  // Create revision
+  async create(revisionData) {
+    try {
+      const revision = new PerkRevision(revisionData);
+      return await revision.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('Revision number already exists', 409, 'REVISION_EXISTS');
+      }
+      throw new AppError('Database error while creating perk revision', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find revision by number
+  async findByNumber(perkId, revision) {
+    try {
+      return await PerkRevision.findOne({ perkId, revision })
+        .populate('createdBy', 'name email');
+    } catch (error) {
+      throw new AppError('Database error while finding perk revision', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find latest revision
+  async findLatest(perkId) {
+    try {
+      return await PerkRevision.findOne({ perkId }).sort({ revision: -1 });
+    } catch (error) {
+      throw new AppError('Database error while finding perk revision', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get revisions for a perk, newest first (snapshots omitted)
+  async findByPerk(perkId, page = 1, limit = 20) {
+    try {
+      const skip = (page - 1) * limit;
+
+      const [revisions, total] = await Promise.all([
+        PerkRevision.find({ perkId })
+          .select('-snapshot')
+          .populate('createdBy', 'name email')
+          .sort({ revision: -1 })
+          .skip(skip)
+          .limit(limit),
+        PerkRevision.countDocuments({ perkId })
+      ]);
+
+      return paginationUtils.createPaginationResponse(revisions, page, limit, total);
+    } catch (error) {
+      throw new AppError('Database error while fetching perk revisions', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Delete all revisions for a perk
+  async deleteByPerk(perkId) {
+    try {
+      return await PerkRevision.deleteMany({ perkId });
+    } catch (error) {
+      throw new AppError('Database error while deleting perk revisions', 500, 'DATABASE_ERROR');
+    }
+  }
+}
+
+module.exports = new PerkRevisionRepository();
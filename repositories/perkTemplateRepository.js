@@ -0,0 +1,118 @@
+const PerkTemplate = require('../models/PerkTemplate');
+const { AppError } = require('../middleware/errorHandler');
+const paginationUtils = require('../utils/pagination');
+const { PERK_IMAGE_PATHS } = require('../utils/constants');
+
+class PerkTemplateRepository {
+  // Create perk template
+  async create(templateData) {
+    try {
+      const template = new PerkTemplate(templateData);
+      return await template.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+        throw new AppError('Validation error', 400, 'VALIDATION_ERROR', errors);
+      }
+      throw new AppError('Database error while creating perk template', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find perk template by ID
+  async findById(id) {
+    try {
+      return await PerkTemplate.findById(id)
+        .populate('sourcePerkId', 'title slug')
+        .populate('createdBy', 'name email');
+    } catch (error) {
+      throw new AppError('Database error while finding perk template', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get perk templates with filters and pagination (without the copied perk data)
+  async findAll(filters = {}, page = 1, limit = 20) {
+    try {
+      const query = {};
+
+      if (filters.sourcePerkId) query.sourcePerkId = filters.sourcePerkId;
+      if (filters.search) {
+        const escaped = filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query.name = { $regex: escaped, $options: 'i' };
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [templates, total] = await Promise.all([
+        PerkTemplate.find(query)
+          .select('-data')
+          .populate('createdBy', 'name email')
+          .sort({ name: 1 })
+          .skip(skip)
+          .limit(limit),
+        PerkTemplate.countDocuments(query)
+      ]);
+
+      return paginationUtils.createPaginationResponse(templates, page, limit, total);
+    } catch (error) {
+      throw new AppError('Database error while fetching perk templates', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Update perk template
+  async update(id, updateData) {
+    try {
+      const template = await PerkTemplate.findById(id);
+      if (!template) return null;
+
+      template.set(updateData);
+      return await template.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+        throw new AppError('Validation error', 400, 'VALIDATION_ERROR', errors);
+      }
+      throw new AppError('Database error while updating perk template', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Record that a perk was created from the template
+  async recordUsage(id) {
+    try {
+      return await PerkTemplate.findByIdAndUpdate(id, {
+        $inc: { usageCount: 1 },
+        lastUsedAt: new Date()
+      }, { new: true });
+    } catch (error) {
+      throw new AppError('Database error while updating perk template usage', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Delete perk template
+  async delete(id) {
+    try {
+      return await PerkTemplate.findByIdAndDelete(id);
+    } catch (error) {
+      throw new AppError('Database error while deleting perk template', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Count templates still using a Cloudinary image
+  async countImageReferences(publicId, excludeId = null) {
+    try {
+      const query = { $or: PERK_IMAGE_PATHS.map(path => ({ [`data.${path}`]: publicId })) };
+      if (excludeId) query._id = { $ne: excludeId };
+
+      return await PerkTemplate.countDocuments(query);
+    } catch (error) {
+      throw new AppError('Database error while checking image references', 500, 'DATABASE_ERROR');
+    }
+  }
+}
+
+module.exports = new PerkTemplateRepository();
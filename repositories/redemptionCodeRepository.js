@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const RedemptionCode = require('../models/RedemptionCode');
+const { AppError } = require('../middleware/errorHandler');
+const paginationUtils = require('../utils/pagination');
+
+class RedemptionCodeRepository {
+  // Insert codes; duplicates raced in by a concurrent upload are skipped
+  async insertMany(codesData) {
+    try {
+      const inserted = await RedemptionCode.insertMany(codesData, { ordered: false });
+      return inserted.length;
+    } catch (error) {
+      if (error.code === 11000 || error.writeErrors) {
+        return (error.insertedDocs || []).length;
+      }
+      throw new AppError('Database error while inserting redemption codes', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Codes from the list that already exist for the perk
+  async findExistingCodes(perkId, codes) {
+    try {
+      const existing = await RedemptionCode.find({ perkId, code: { $in: codes } }).select('code').lean();
+      return existing.map(doc => doc.code);
+    } catch (error) {
+      throw new AppError('Database error while checking redemption codes', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get codes for a perk with filtering and pagination
+  async findAll(perkId, filters = {}, page = 1, limit = 50) {
+    try {
+      const query = { perkId };
+
+      if (filters.status) query.status = filters.status;
+      if (filters.batchId) query.batchId = filters.batchId;
+
+      if (filters.search) {
+        const escaped = filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query.$or = [
+          { code: { $regex: escaped, $options: 'i' } },
+          { claimedEmail: { $regex: escaped, $options: 'i' } }
+        ];
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [codes, total] = await Promise.all([
+        RedemptionCode.find(query)
+          .populate('leadId', 'name email')
+          .populate('revokedBy', 'name email')
+          .sort({ createdAt: 1, _id: 1 })
+          .skip(skip)
+          .limit(limit),
+        RedemptionCode.countDocuments(query)
+      ]);
+
+      return paginationUtils.createPaginationResponse(codes, page, limit, total);
+    } catch (error) {
+      throw new AppError('Database error while fetching redemption codes', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Count codes by status for a perk
+  async getStatusCounts(perkId) {
+    try {
+      const results = await RedemptionCode.aggregate([
+        { $match: { perkId: new mongoose.Types.ObjectId(perkId.toString()) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+
+      const counts = { available: 0, claimed: 0, revoked: 0, total: 0 };
+      results.forEach(result => {
+        counts[result._id] = result.count;
+        counts.total += result.count;
+      });
+
+      return counts;
+    } catch (error) {
+      throw new AppError('Database error while counting redemption codes', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Atomically hand out the oldest available code
+  async claimNext(perkId, claim = {}) {
+    try {
+      return await RedemptionCode.findOneAndUpdate(
+        { perkId, status: 'available' },
+        {
+          status: 'claimed',
+          claimedAt: new Date(),
+          claimedEmail: claim.email,
+          leadId: claim.leadId
+        },
+        { sort: { createdAt: 1, _id: 1 }, new: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('A code has already been claimed for this email', 409, 'CODE_ALREADY_CLAIMED');
+      }
+      throw new AppError('Database error while claiming redemption code', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find an existing claim for a perk by email or lead
+  async findClaim(perkId, { email, leadId } = {}) {
+    try {
+      const conditions = [];
+      if (email) conditions.push({ claimedEmail: email.toLowerCase() });
+      if (leadId) conditions.push({ leadId });
+      if (!conditions.length) return null;
+
+      return await RedemptionCode.findOne({ perkId, status: 'claimed', $or: conditions });
+    } catch (error) {
+      throw new AppError('Database error while finding redemption code claim', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Revoke a code (available or claimed)
+  async revoke(id, perkId, userId, reason = null) {
+    try {
+      return await RedemptionCode.findOneAndUpdate(
+        { _id: id, perkId, status: { $ne: 'revoked' } },
+        {
+          status: 'revoked',
+          revokedAt: new Date(),
+          revokedBy: userId,
+          revokedReason: reason
+        },
+        { new: true }
+      );
+    } catch (error) {
+      throw new AppError('Database error while revoking redemption code', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find code by ID within a perk
+  async findById(id, perkId) {
+    try {
+      return await RedemptionCode.findOne({ _id: id, perkId });
+    } catch (error) {
+      throw new AppError('Database error while finding redemption code', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Delete all codes for a perk
+  async deleteByPerk(perkId) {
+    try {
+      return await RedemptionCode.deleteMany({ perkId });
+    } catch (error) {
+      throw new AppError('Database error while deleting redemption codes', 500, 'DATABASE_ERROR');
+    }
+  }
+}
+
+module.exports = new RedemptionCodeRepository();
@@ -0,0 +1,112 @@
+const Session = require('../models/Session');
+const { AppError } = require('../middleware/errorHandler');
+
+class SessionRepository {
+  // Create new session
+  async create(sessionData) {
+    try {
+      const session = new Session(sessionData);
+      return await session.save();
+    } catch (error) {
+      throw new AppError('Database error while creating session', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find session by ID (including token hash)
+  async findByIdWithToken(id) {
+    try {
+      return await Session.findById(id).select('+tokenHash');
+    } catch (error) {
+      throw new AppError('Database error while finding session', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find active (not revoked, not expired) session by ID
+  async findActiveById(id) {
+    try {
+      return await Session.findOne({
+        _id: id,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+      });
+    } catch (error) {
+      throw new AppError('Database error while finding session', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get active sessions for a user
+  async findActiveByUser(userId) {
+    try {
+      return await Session.find({
+        userId,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+      }).sort({ lastUsedAt: -1 });
+    } catch (error) {
+      throw new AppError('Database error while fetching sessions', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Store the rotated refresh token hash. With previousHash, only rotates if that
+  // token is still current (null when another request already rotated it)
+  async updateToken(id, tokenHash, expiresAt, requestInfo = {}, previousHash = null) {
+    try {
+      const updateData = {
+        tokenHash,
+        expiresAt,
+        lastUsedAt: new Date()
+      };
+
+      if (requestInfo.ipAddress) updateData.ipAddress = requestInfo.ipAddress;
+      if (requestInfo.userAgent) updateData.userAgent = requestInfo.userAgent;
+
+      const query = { _id: id };
+      if (previousHash) {
+        query.tokenHash = previousHash;
+        query.revokedAt = { $exists: false };
+      }
+
+      return await Session.findOneAndUpdate(query, updateData, { new: true });
+    } catch (error) {
+      throw new AppError('Database error while updating session', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Revoke a single session
+  async revoke(id, reason) {
+    try {
+      return await Session.findOneAndUpdate(
+        { _id: id, revokedAt: { $exists: false } },
+        { revokedAt: new Date(), revokedReason: reason },
+        { new: true }
+      );
+    } catch (error) {
+      throw new AppError('Database error while revoking session', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Revoke all sessions for a user, optionally keeping one
+  async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    try {
+      const query = {
+        userId,
+        revokedAt: { $exists: false }
+      };
+
+      if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+      }
+
+      const result = await Session.updateMany(query, {
+        revokedAt: new Date(),
+        revokedReason: reason
+      });
+
+      return result.modifiedCount;
+    } catch (error) {
+      throw new AppError('Database error while revoking sessions', 500, 'DATABASE_ERROR');
+    }
+  }
+}
+
+module.exports = new SessionRepository();
@@ -0,0 +1,169 @@
+const StaticPage = require('../models/StaticPage');
+const { AppError } = require('../middleware/errorHandler');
+const paginationUtils = require('../utils/pagination');
+
+class StaticPageRepository {
+  // Create new static page
+  async create(pageData) {
+    try {
+      const page = new StaticPage(pageData);
+      return await page.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('Page slug already exists', 409, 'SLUG_EXISTS');
+      }
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+        throw new AppError('Validation error', 400, 'VALIDATION_ERROR', errors);
+      }
+      throw new AppError('Database error while creating page', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find static page by ID
+  async findById(id, populate = false) {
+    try {
+      let query = StaticPage.findById(id);
+
+      if (populate) {
+        query = query.populate('updatedBy', 'name email');
+      }
+
+      return await query;
+    } catch (error) {
+      throw new AppError('Database error while finding page', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find active static page by slug
+  async findActiveBySlug(slug) {
+    try {
+      return await StaticPage.findBySlug(slug);
+    } catch (error) {
+      throw new AppError('Database error while finding page by slug', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Find active static page by page type
+  async findActiveByPageType(pageType) {
+    try {
+      return await StaticPage.findByPageType(pageType);
+    } catch (error) {
+      throw new AppError('Database error while finding page by type', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get all static pages with filters and pagination (Admin)
+  async findAll(filters = {}, page = 1, limit = 20, populate = false) {
+    try {
+      const query = {};
+
+      if (filters.status) query.status = filters.status;
+      if (filters.pageType) query.pageType = filters.pageType;
+
+      if (filters.search) {
+        query.$or = [
+          { title: { $regex: filters.search, $options: 'i' } },
+          { slug: { $regex: filters.search, $options: 'i' } }
+        ];
+      }
+
+      const skip = (page - 1) * limit;
+
+      let baseQuery = StaticPage.find(query);
+
+      if (populate) {
+        baseQuery = baseQuery.populate('updatedBy', 'name email');
+      }
+
+      const [pages, total] = await Promise.all([
+        baseQuery
+          .sort({ pageType: 1, title: 1 })
+          .skip(skip)
+          .limit(limit),
+        StaticPage.countDocuments(query)
+      ]);
+
+      return paginationUtils.createPaginationResponse(pages, page, limit, total);
+    } catch (error) {
+      throw new AppError('Database error while fetching pages', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Get all active pages (sitemap, navigation)
+  async findActive() {
+    try {
+      return await StaticPage.find({ status: 'active' })
+        .select('title slug pageType updatedAt')
+        .sort({ pageType: 1, title: 1 });
+    } catch (error) {
+      throw new AppError('Database error while fetching active pages', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Update static page
+  async update(id, updateData) {
+    try {
+      const page = await StaticPage.findByIdAndUpdate(
+        id,
+        updateData,
+        { new: true, runValidators: true }
+      );
+
+      if (!page) {
+        throw new AppError('Page not found', 404, 'PAGE_NOT_FOUND');
+      }
+
+      return page;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.code === 11000) {
+        throw new AppError('Page slug already exists', 409, 'SLUG_EXISTS');
+      }
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+        throw new AppError('Validation error', 400, 'VALIDATION_ERROR', errors);
+      }
+      throw new AppError('Database error while updating page', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Delete static page
+  async delete(id) {
+    try {
+      const page = await StaticPage.findByIdAndDelete(id);
+
+      if (!page) {
+        throw new AppError('Page not found', 404, 'PAGE_NOT_FOUND');
+      }
+
+      return page;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Database error while deleting page', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  // Check if slug exists
+  async slugExists(slug, excludeId = null) {
+    try {
+      const query = { slug };
+      if (excludeId) {
+        query._id = { $ne: excludeId };
+      }
+
+      const page = await StaticPage.findOne(query);
+      return !!page;
+    } catch (error) {
+      throw new AppError('Database error while checking slug', 500, 'DATABASE_ERROR');
+    }
+  }
+}
+
+module.exports = new StaticPageRepository();
@@ -0,0 +1,84 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const affiliateController = require('../controllers/affiliateController');
+const authMiddleware = require('../middleware/auth');
+const { PERMISSIONS, AFFILIATE_REDIRECT } = require('../utils/constants');
+
+const router = express.Router();
+
+// Validation rules
+const programValidation = (optional = false) => [
+  (optional ? body('vendorName').optional() : body('vendorName'))
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Vendor name must be between 2 and 100 characters'),
+  body('params')
+    .optional()
+    .isArray({ max: AFFILIATE_REDIRECT.MAX_PARAMS })
+    .withMessage(`Params must be an array of at most ${AFFILIATE_REDIRECT.MAX_PARAMS} items`),
+  body('params.*.key')
+    .trim()
+    .matches(/^[A-Za-z0-9_.\-[\]]+$/)
+    .withMessage('Invalid parameter name'),
+  body('params.*.value')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Parameter value must be between 1 and 200 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters')
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid affiliate program ID')
+];
+
+// ADMIN ROUTES (Authentication required)
+router.use(authMiddleware.authenticate);
+router.use(authMiddleware.adminOnly);
+
+// List affiliate programs
+router.get('/',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('isActive').optional().isIn(['true', 'false']).withMessage('isActive must be true or false'),
+  affiliateController.getPrograms
+);
+
+// Get affiliate program by ID
+router.get('/:id',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
+  idValidation,
+  affiliateController.getProgramById
+);
+
+// Create affiliate program
+router.post('/',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  programValidation(),
+  affiliateController.createProgram
+);
+
+// Update affiliate program
+router.put('/:id',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  idValidation,
+  programValidation(true),
+  affiliateController.updateProgram
+);
+
+// Delete affiliate program
+router.delete('/:id',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_DELETE),
+  idValidation,
+  affiliateController.deleteProgram
+);
+
+module.exports = router;
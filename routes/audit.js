@@ -0,0 +1,76 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const auditController = require('../controllers/auditController');
+const authMiddleware = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Query validation
+const auditListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('entityType')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Invalid entity type'),
+  query('entityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid entity ID'),
+  query('action')
+    .optional()
+    .isIn(['create', 'update', 'delete'])
+    .withMessage('Action must be create, update or delete'),
+  query('actorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID'),
+  query('field')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Field cannot be more than 100 characters'),
+  query('requestId')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Invalid request ID'),
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date is required')
+];
+
+// ADMIN ROUTES (Authentication required)
+router.use(authMiddleware.authenticate);
+router.use(authMiddleware.adminOnly);
+router.use(authMiddleware.requirePermission(PERMISSIONS.AUDIT_READ));
+
+// List audit entries (filter by entity, actor, field, request or date)
+router.get('/',
+  auditListValidation,
+  auditController.getAuditLog
+);
+
+// Entity types with audit entries
+router.get('/entity-types', auditController.getEntityTypes);
+
+// Get audit entry by ID
+router.get('/:id',
+  param('id').isMongoId().withMessage('Invalid audit entry ID'),
+  auditController.getAuditEntryById
+);
+
+module.exports = router;
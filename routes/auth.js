@@ -33,10 +33,16 @@ const registerValidation = [
     .withMessage('Password must be at least 8 characters with uppercase, lowercase, number and special character'),
   body('role')
     .optional()
-    .isIn(['super_admin', 'content_editor', 'user'])
+    .isIn(['super_admin', 'content_editor', 'client', 'user'])
     .withMessage('Invalid role')
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
 const changePasswordValidation = [
   body('currentPassword')
     .notEmpty()
@@ -87,6 +93,41 @@ const updateProfileValidation = [
     .withMessage('Invalid language preference')
 ];
 
+const pendingTokenValidation = [
+  body('pendingToken')
+    .notEmpty()
+    .withMessage('Pending two-factor token is required')
+];
+
+const totpCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit authentication code is required')
+];
+
+// Either an authenticator code or a one-time backup code
+const twoFactorCredentialsValidation = [
+  body('code')
+    .if(body('backupCode').not().exists())
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit authentication code or a backup code is required'),
+  body('backupCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid backup code')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCredentialsValidation
+];
+
 // Public routes (no authentication required)
 router.post('/login', 
   rateLimitMiddleware.authLimiter, 
@@ -123,13 +164,74 @@ router.post('/resend-verification',
   authController.resendEmailVerification
 );
 
+// Exchange a refresh token for a new token pair (refresh token is rotated)
+router.post('/refresh-token',
+  refreshTokenValidation,
+  authController.refreshToken
+);
+
+// Second login step for accounts with two-factor authentication
+router.post('/2fa/login',
+  rateLimitMiddleware.authLimiter,
+  pendingTokenValidation,
+  twoFactorCredentialsValidation,
+  authController.verifyTwoFactorLogin
+);
+
+// Enrollment during login when site policy requires two-factor authentication
+router.post('/2fa/setup',
+  rateLimitMiddleware.authLimiter,
+  pendingTokenValidation,
+  authController.startTwoFactorSetup
+);
+
+router.post('/2fa/setup/verify',
+  rateLimitMiddleware.authLimiter,
+  pendingTokenValidation,
+  totpCodeValidation,
+  authController.confirmTwoFactorSetup
+);
+
 // Protected routes (authentication required)
 router.use(authMiddleware.authenticate);
 
-router.post('/refresh-token', authController.refreshToken);
-
 router.post('/logout', authController.logout);
 
+// Device sessions
+router.get('/sessions', authController.getSessions);
+
+router.delete('/sessions',
+  authController.revokeOtherSessions
+);
+
+router.delete('/sessions/:id',
+  param('id').isMongoId().withMessage('Invalid session ID'),
+  authController.revokeSession
+);
+
+// Two-factor authentication
+router.get('/2fa', authController.getTwoFactorStatus);
+
+router.post('/2fa/enroll', authController.startTwoFactorEnrollment);
+
+router.post('/2fa/enroll/verify',
+  rateLimitMiddleware.authLimiter,
+  totpCodeValidation,
+  authController.confirmTwoFactorEnrollment
+);
+
+router.post('/2fa/disable',
+  rateLimitMiddleware.authLimiter,
+  disableTwoFactorValidation,
+  authController.disableTwoFactor
+);
+
+router.post('/2fa/backup-codes',
+  rateLimitMiddleware.authLimiter,
+  totpCodeValidation,
+  authController.regenerateBackupCodes
+);
+
 router.get('/me', authController.me);
 
 router.get('/profile', authController.getProfile);
@@ -5,6 +5,7 @@ const { body, param, query } = require('express-validator');
 const blogController = require('../controllers/blogController');
 const authMiddleware = require('../middleware/auth');
 const rateLimitMiddleware = require('../middleware/rateLimit');
+const { PERMISSIONS } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -41,6 +42,20 @@ const createPostValidation = [
     .optional()
     .isIn(['draft', 'published', 'archived'])
     .withMessage('Invalid status'),
+  body('scheduledAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Scheduled publish time must be a valid date'),
+  body('unpublishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Unpublish time must be a valid date')
+    .custom((value, { req }) => {
+      if (req.body.scheduledAt && new Date(value) <= new Date(req.body.scheduledAt)) {
+        throw new Error('Unpublish time must be after the scheduled publish time');
+      }
+      return true;
+    }),
   body('isVisible')
     .optional()
     .isBoolean()
@@ -106,13 +121,20 @@ router.use(authMiddleware.authenticate);
 router.use(authMiddleware.adminOnly);
 
 // Get all blog posts (Admin)
-router.get('/admin/all', blogController.getPosts);
+router.get('/admin/all',
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_READ),
+  blogController.getPosts
+);
 
 // Get blog post statistics
-router.get('/admin/stats', blogController.getPostStats);
+router.get('/admin/stats',
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_READ),
+  blogController.getPostStats
+);
 
 // Create blog post
 router.post('/admin', 
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_WRITE),
   rateLimitMiddleware.createLimiter({ max: 50, windowMs: 60 * 1000 }),
   blogController.uploadFiles,
   createPostValidation,
@@ -121,12 +143,14 @@ router.post('/admin',
 
 // Get blog post by ID (Admin)
 router.get('/admin/:id', 
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_READ),
   mongoIdValidation,
   blogController.getPostById
 );
 
 // Update blog post (Admin)
 router.put('/admin/:id', 
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_WRITE),
   mongoIdValidation,
   blogController.uploadFiles,
   createPostValidation,
@@ -135,12 +159,14 @@ router.put('/admin/:id',
 
 // Delete blog post (Admin)
 router.delete('/admin/:id', 
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_DELETE),
   mongoIdValidation,
   blogController.deletePost
 );
 
 // Remove gallery image
 router.delete('/admin/:id/gallery',
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_WRITE),
   mongoIdValidation,
   body('publicId').notEmpty().withMessage('Image public ID is required'),
   blogController.removeGalleryImage
@@ -148,11 +174,13 @@ router.delete('/admin/:id/gallery',
 
 // Utility routes
 router.get('/admin/validate-slug/:slug', 
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_WRITE),
   slugValidation,
   blogController.validateSlug
 );
 
 router.post('/admin/generate-slug',
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_WRITE),
   generateSlugValidation,
   blogController.generateSlug
 );
@@ -5,6 +5,7 @@ const { body, param, query } = require('express-validator');
 const blogCategoryController = require('../controllers/blogCategoryController');
 const authMiddleware = require('../middleware/auth');
 const rateLimitMiddleware = require('../middleware/rateLimit');
+const { PERMISSIONS } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -70,41 +71,61 @@ router.use(authMiddleware.adminOnly);
 
 // Blog category CRUD operations
 router.post('/', 
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_WRITE),
   rateLimitMiddleware.categoryCreationLimiter,
   blogCategoryController.uploadSingle,
   createCategoryValidation,
   blogCategoryController.createCategory
 );
 
-router.get('/', blogCategoryController.getCategories);
+router.get('/',
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_READ),
+  blogCategoryController.getCategories
+);
 
-router.get('/:id', mongoIdValidation, blogCategoryController.getCategoryById);
+router.get('/:id',
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_READ),
+  mongoIdValidation,
+  blogCategoryController.getCategoryById
+);
 
 router.put('/:id', 
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_WRITE),
   mongoIdValidation,
   blogCategoryController.uploadSingle,
   createCategoryValidation,
   blogCategoryController.updateCategory
 );
 
-router.delete('/:id', mongoIdValidation, blogCategoryController.deleteCategory);
+router.delete('/:id',
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_DELETE),
+  mongoIdValidation,
+  blogCategoryController.deleteCategory
+);
 
 // Image upload
 router.post('/:id/upload-image',
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_WRITE),
   mongoIdValidation,
   blogCategoryController.uploadSingle,
   blogCategoryController.uploadCategoryImage
 );
 
 // Utility routes
-router.get('/validate-slug/:slug', slugValidation, blogCategoryController.validateSlug);
+router.get('/validate-slug/:slug',
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_WRITE),
+  slugValidation,
+  blogCategoryController.validateSlug
+);
 
 router.post('/generate-slug',
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_WRITE),
   generateSlugValidation,
   blogCategoryController.generateSlug
 );
 
 router.post('/:id/update-counters', 
+  authMiddleware.requirePermission(PERMISSIONS.BLOG_WRITE),
   mongoIdValidation,
   blogCategoryController.updateCategoryCounters
 );
@@ -4,6 +4,7 @@ const categoryController = require('../controllers/categoryController');
 const authMiddleware = require('../middleware/auth');
 const rateLimitMiddleware = require('../middleware/rateLimit');
 const { analyticsMiddleware } = require('../middleware/analytics');
+const { PERMISSIONS } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -92,55 +93,84 @@ router.use(authMiddleware.adminOnly);
 
 // Category CRUD operations
 router.post('/', 
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_WRITE),
   rateLimitMiddleware.categoryCreationLimiter,
   categoryController.uploadSingle,
   createCategoryValidation,
   categoryController.createCategory
 );
 
-router.get('/', categoryController.getCategories);
-router.get('/root', categoryController.getRootCategories);
+router.get('/',
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_READ),
+  categoryController.getCategories
+);
+router.get('/root',
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_READ),
+  categoryController.getRootCategories
+);
 
-router.get('/:id', mongoIdValidation, categoryController.getCategoryById);
+router.get('/:id',
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_READ),
+  mongoIdValidation,
+  categoryController.getCategoryById
+);
 
 router.put('/:id', 
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_WRITE),
   mongoIdValidation,
   categoryController.uploadSingle,
   createCategoryValidation,
   categoryController.updateCategory
 );
 
-router.delete('/:id', mongoIdValidation, categoryController.deleteCategory);
+router.delete('/:id',
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_DELETE),
+  mongoIdValidation,
+  categoryController.deleteCategory
+);
 
-router.get('/:id/breadcrumb', mongoIdValidation, categoryController.getCategoryBreadcrumb);
+router.get('/:id/breadcrumb',
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_READ),
+  mongoIdValidation,
+  categoryController.getCategoryBreadcrumb
+);
 
 router.get('/:parentId/subcategories', 
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_READ),
   param('parentId').isMongoId().withMessage('Invalid parent category ID'),
   categoryController.getSubcategories
 );
 
 // Image upload
 router.post('/:id/upload-image',
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_WRITE),
   mongoIdValidation,
   categoryController.uploadSingle,
   categoryController.uploadCategoryImage
 );
 
 // Utility routes
-router.get('/validate-slug/:slug', slugValidation, categoryController.validateSlug);
+router.get('/validate-slug/:slug',
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_WRITE),
+  slugValidation,
+  categoryController.validateSlug
+);
 
 router.post('/generate-slug',
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_WRITE),
   generateSlugValidation,
   categoryController.generateSlug
 );
 
 router.post('/:id/update-counters', 
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_WRITE),
   mongoIdValidation,
   categoryController.updateCategoryCounters
 );
 
 // Update category status
 router.post('/:id/update-status',
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_WRITE),
   mongoIdValidation,
     body('status')
       .notEmpty()
@@ -150,6 +180,7 @@ router.post('/:id/update-status',
 );
 
 router.post('/:id/track-view',
+  authMiddleware.requirePermission(PERMISSIONS.CATEGORIES_READ),
   mongoIdValidation,
   analyticsMiddleware,
   categoryController.trackCategoryView
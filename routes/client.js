@@ -0,0 +1,145 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const perkController = require('../controllers/perkController');
+const authMiddleware = require('../middleware/auth');
+const { LEAD_STATUSES } = require('../utils/constants');
+
+const router = express.Router();
+
+// Validation rules
+const proposeChangesValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters'),
+  body('shortDescription')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 300 })
+    .withMessage('Short description must be between 10 and 300 characters'),
+  body('value')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Perk value cannot be more than 100 characters'),
+  body('discountPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Discount percentage must be between 0 and 100'),
+  body('vendor.website')
+    .optional()
+    .isURL()
+    .withMessage('Valid website URL is required'),
+  body('redemption.instructions')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Redemption instructions must be between 5 and 1000 characters'),
+  body('redemption.link')
+    .optional()
+    .isURL()
+    .withMessage('Valid redemption link is required'),
+  body('redemption.expiryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid expiry date is required'),
+  body('availability.endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end date is required'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('features')
+    .optional()
+    .isArray()
+    .withMessage('Features must be an array')
+];
+
+const updateSEOValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 60 })
+    .withMessage('SEO title cannot be more than 60 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 160 })
+    .withMessage('SEO description cannot be more than 160 characters'),
+  body('keywords')
+    .optional()
+    .isArray()
+    .withMessage('Keywords must be an array')
+];
+
+// MongoDB ID validation
+const mongoIdValidation = [
+  param('id').isMongoId().withMessage('Invalid perk ID')
+];
+
+// Query validation
+const leadListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(Object.values(LEAD_STATUSES))
+    .withMessage('Invalid lead status')
+];
+
+// CLIENT ROUTES (Authentication required - clients only see their own perks)
+router.use(authMiddleware.authenticate);
+router.use(authMiddleware.clientOnly);
+
+// List own perks
+router.get('/perks', perkController.getClientPerks);
+
+// Get own perk with metrics
+router.get('/perks/:id',
+  mongoIdValidation,
+  perkController.getClientPerkById
+);
+
+// Get leads for own perk
+router.get('/perks/:id/leads',
+  mongoIdValidation,
+  leadListValidation,
+  perkController.getClientPerkLeads
+);
+
+// Propose perk changes (sent back to the approval queue)
+router.put('/perks/:id',
+  mongoIdValidation,
+  proposeChangesValidation,
+  perkController.submitClientChanges
+);
+
+// Submit own perk for review
+router.post('/perks/:id/submit',
+  mongoIdValidation,
+  perkController.transitionClientPerk('submit')
+);
+
+// Withdraw own perk from review
+router.post('/perks/:id/withdraw',
+  mongoIdValidation,
+  perkController.transitionClientPerk('withdraw')
+);
+
+// Update own perk SEO
+router.put('/perks/:id/seo',
+  mongoIdValidation,
+  updateSEOValidation,
+  perkController.updatePerkSEO
+);
+
+module.exports = router;
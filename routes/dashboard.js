@@ -3,6 +3,7 @@ const { query } = require('express-validator');
 const dashboardController = require('../controllers/dashboardController');
 const authMiddleware = require('../middleware/auth');
 const rateLimitMiddleware = require('../middleware/rateLimit');
+const { PERMISSIONS } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -46,6 +47,7 @@ router.use(rateLimitMiddleware.createLimiter({
 
 // ADMIN ROUTES (Admin and Manager access)
 router.use(authMiddleware.adminOnly);
+router.use(authMiddleware.requirePermission(PERMISSIONS.DASHBOARD_READ));
 
 // Dashboard Overview
 router.get('/',
@@ -104,6 +106,7 @@ router.get('/summary',
 
 // Export Analytics Data
 router.get('/export',
+  authMiddleware.requirePermission(PERMISSIONS.DASHBOARD_EXPORT),
   rateLimitMiddleware.createLimiter({ 
     max: 10, 
     windowMs: 60 * 1000,
@@ -0,0 +1,17 @@
+const express = require('express');
+const { param } = require('express-validator');
+const affiliateController = require('../controllers/affiliateController');
+const rateLimitMiddleware = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// PUBLIC ROUTES (No authentication required)
+
+// Tracked redirect to a perk's redemption link
+router.get('/:slug',
+  rateLimitMiddleware.createLimiter({ max: 60, windowMs: 60 * 1000 }),
+  param('slug').matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Invalid slug format'),
+  affiliateController.redirect
+);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { param } = require('express-validator');
+const jobController = require('../controllers/jobController');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+const jobNameValidation = param('name').matches(/^[a-z0-9-]+$/).withMessage('Invalid job name');
+
+// CRON ROUTES (CRON_SECRET bearer token; Vercel Cron sends GET requests, see vercel.json)
+router.get('/:name/run',
+  authMiddleware.authenticateCron,
+  jobNameValidation,
+  jobController.runJob
+);
+
+// SUPER ADMIN ROUTES
+router.use(authMiddleware.authenticate);
+router.use(authMiddleware.superAdminOnly);
+
+// Scheduler status and last run of each job
+router.get('/', jobController.getJobs);
+
+// Run a job now (also usable from an external cron where the process can't keep timers)
+router.post('/:name/run',
+  jobNameValidation,
+  jobController.runJob
+);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const leadController = require('../controllers/leadController');
 const authMiddleware = require('../middleware/auth');
 const rateLimitMiddleware = require('../middleware/rateLimit');
 const { analyticsMiddleware } = require('../middleware/analytics');
+const { PERMISSIONS } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -236,89 +237,105 @@ router.use(authMiddleware.adminOnly);
 
 // Lead CRUD operations
 router.get('/', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_READ),
   paginationValidation,
   dateRangeValidation,
   leadController.getLeads
 );
 
 router.get('/search', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_READ),
   rateLimitMiddleware.searchLimiter,
   paginationValidation,
   leadController.searchLeads
 );
 
 router.get('/stats', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_READ),
   dateRangeValidation,
   leadController.getLeadStats
 );
 
 router.get('/funnel', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_READ),
   dateRangeValidation,
   leadController.getConversionFunnel
 );
 
 router.get('/sources', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_READ),
   dateRangeValidation,
   leadController.getLeadSources
 );
 
 router.get('/analytics', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_READ),
   dateRangeValidation,
   leadController.getLeadAnalytics
 );
 
 router.get('/recent', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_READ),
   query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   leadController.getRecentLeads
 );
 
 router.get('/high-value', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_READ),
   query('minScore').optional().isInt({ min: 0, max: 100 }).withMessage('Min score must be between 0 and 100'),
   paginationValidation,
   leadController.getHighValueLeads
 );
 
 router.get('/follow-up', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_READ),
   paginationValidation,
   leadController.getLeadsNeedingFollowUp
 );
 
 router.get('/my-leads', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_READ),
   paginationValidation,
   leadController.getMyLeads
 );
 
 router.get('/status/:status', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_READ),
   statusValidation,
   paginationValidation,
   leadController.getLeadsByStatus
 );
 
 router.get('/:id', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_READ),
   mongoIdValidation,
   leadController.getLeadById
 );
 
 router.put('/:id', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_WRITE),
   mongoIdValidation,
   updateLeadValidation,
   leadController.updateLead
 );
 
 router.delete('/:id', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_DELETE),
   mongoIdValidation,
   leadController.deleteLead
 );
 
 // Lead management operations
 router.post('/:id/notes', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_WRITE),
   mongoIdValidation,
   addNoteValidation,
   leadController.addNote
 );
 
 router.post('/:id/assign', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_WRITE),
   mongoIdValidation,
   assignLeadValidation,
   analyticsMiddleware,
@@ -326,6 +343,7 @@ router.post('/:id/assign',
 );
 
 router.put('/:id/status', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_WRITE),
   mongoIdValidation,
   updateStatusValidation,
   analyticsMiddleware,
@@ -333,12 +351,14 @@ router.put('/:id/status',
 );
 
 router.post('/:id/follow-up', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_WRITE),
   mongoIdValidation,
   scheduleFollowUpValidation,
   leadController.scheduleFollowUp
 );
 
 router.post('/:id/contact', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_WRITE),
   mongoIdValidation,
   recordContactValidation,
   analyticsMiddleware,
@@ -346,6 +366,7 @@ router.post('/:id/contact',
 );
 
 router.post('/:id/convert', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_WRITE),
   mongoIdValidation,
   convertLeadValidation,
   analyticsMiddleware,
@@ -354,6 +375,7 @@ router.post('/:id/convert',
 
 // Bulk operations
 router.post('/bulk-update', 
+  authMiddleware.requirePermission(PERMISSIONS.LEADS_WRITE),
   bulkUpdateValidation,
   leadController.bulkUpdateLeads
 );
@@ -0,0 +1,209 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const staticPageController = require('../controllers/staticPageController');
+const authMiddleware = require('../middleware/auth');
+const rateLimitMiddleware = require('../middleware/rateLimit');
+const { PAGE_TYPES, PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Validation rules
+const createPageValidation = [
+  body('title')
+    .notEmpty()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Title must be between 2 and 200 characters'),
+  body('slug')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug can only contain lowercase letters, numbers, and hyphens'),
+  body('content')
+    .notEmpty()
+    .withMessage('Content is required'),
+  body('pageType')
+    .isIn(Object.values(PAGE_TYPES))
+    .withMessage('Invalid page type'),
+  body('status')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Status must be active or inactive')
+];
+
+const updatePageValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Title must be between 2 and 200 characters'),
+  body('slug')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug can only contain lowercase letters, numbers, and hyphens'),
+  body('content')
+    .optional()
+    .notEmpty()
+    .withMessage('Content cannot be empty'),
+  body('pageType')
+    .optional()
+    .isIn(Object.values(PAGE_TYPES))
+    .withMessage('Invalid page type'),
+  body('status')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Status must be active or inactive')
+];
+
+// MongoDB ID validation
+const mongoIdValidation = [
+  param('id').isMongoId().withMessage('Invalid page ID')
+];
+
+const slugValidation = [
+  param('slug').matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Invalid slug format')
+];
+
+const pageTypeValidation = [
+  param('pageType').isIn(Object.values(PAGE_TYPES)).withMessage('Invalid page type')
+];
+
+const submissionStatusValidation = [
+  body('status')
+    .isIn(['new', 'read', 'archived'])
+    .withMessage('Status must be new, read or archived')
+];
+
+// Query validation
+const listValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Invalid status'),
+  query('pageType')
+    .optional()
+    .isIn(Object.values(PAGE_TYPES))
+    .withMessage('Invalid page type')
+];
+
+const submissionListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('pageId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid page ID'),
+  query('status')
+    .optional()
+    .isIn(['new', 'read', 'archived'])
+    .withMessage('Invalid status')
+];
+
+// PUBLIC ROUTES
+
+// List active pages (navigation/footer links)
+router.get('/', staticPageController.getActivePages);
+
+// Get active page by type
+router.get('/type/:pageType',
+  pageTypeValidation,
+  staticPageController.getPageByType
+);
+
+// Get active page by slug
+router.get('/:slug',
+  slugValidation,
+  staticPageController.getPageBySlug
+);
+
+// Submit page contact form (rate limited)
+router.post('/:slug/contact',
+  rateLimitMiddleware.leadSubmissionLimiter,
+  slugValidation,
+  staticPageController.submitContactForm
+);
+
+// ADMIN ROUTES (Authentication required)
+router.use(authMiddleware.authenticate);
+router.use(authMiddleware.adminOnly);
+
+// Get all pages (Admin)
+router.get('/admin/all',
+  authMiddleware.requirePermission(PERMISSIONS.PAGES_READ),
+  listValidation,
+  staticPageController.getPages
+);
+
+// Contact form submissions
+router.get('/admin/submissions',
+  authMiddleware.requirePermission(PERMISSIONS.PAGES_READ),
+  submissionListValidation,
+  staticPageController.getContactSubmissions
+);
+
+router.get('/admin/submissions/:id',
+  authMiddleware.requirePermission(PERMISSIONS.PAGES_READ),
+  mongoIdValidation,
+  staticPageController.getContactSubmissionById
+);
+
+router.put('/admin/submissions/:id/status',
+  authMiddleware.requirePermission(PERMISSIONS.PAGES_WRITE),
+  mongoIdValidation,
+  submissionStatusValidation,
+  staticPageController.updateContactSubmissionStatus
+);
+
+router.delete('/admin/submissions/:id',
+  authMiddleware.requirePermission(PERMISSIONS.PAGES_DELETE),
+  mongoIdValidation,
+  staticPageController.deleteContactSubmission
+);
+
+// Create page
+router.post('/admin',
+  authMiddleware.requirePermission(PERMISSIONS.PAGES_WRITE),
+  staticPageController.uploadOgImage,
+  createPageValidation,
+  staticPageController.createPage
+);
+
+// Get page by ID (Admin)
+router.get('/admin/:id',
+  authMiddleware.requirePermission(PERMISSIONS.PAGES_READ),
+  mongoIdValidation,
+  staticPageController.getPageById
+);
+
+// Update page
+router.put('/admin/:id',
+  authMiddleware.requirePermission(PERMISSIONS.PAGES_WRITE),
+  mongoIdValidation,
+  staticPageController.uploadOgImage,
+  updatePageValidation,
+  staticPageController.updatePage
+);
+
+// Delete page
+router.delete('/admin/:id',
+  authMiddleware.requirePermission(PERMISSIONS.PAGES_DELETE),
+  mongoIdValidation,
+  staticPageController.deletePage
+);
+
+module.exports = router;
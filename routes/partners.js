@@ -0,0 +1,181 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const partnerController = require('../controllers/partnerController');
+const authMiddleware = require('../middleware/auth');
+const rateLimitMiddleware = require('../middleware/rateLimit');
+const { OFFER_TYPES, PARTNER_STATUSES, PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Validation rules
+const submitPartnerValidation = [
+  body('name')
+    .notEmpty()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('companyName')
+    .notEmpty()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Company name must be between 2 and 100 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  body('offerType')
+    .isIn(Object.values(OFFER_TYPES))
+    .withMessage('Invalid offer type'),
+  body('shortDescription')
+    .notEmpty()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Description must be between 10 and 1000 characters')
+];
+
+const reviewPartnerValidation = [
+  body('adminNotes')
+    .notEmpty()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Admin notes are required and cannot be more than 1000 characters')
+];
+
+const decisionValidation = [
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot be more than 1000 characters')
+];
+
+const convertPartnerValidation = [
+  body('categoryId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters'),
+  body('value')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Perk value cannot be more than 100 characters'),
+  body('redemption.type')
+    .optional()
+    .isIn(['code', 'link', 'email', 'phone', 'visit'])
+    .withMessage('Invalid redemption type'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array')
+];
+
+// MongoDB ID validation
+const mongoIdValidation = [
+  param('id').isMongoId().withMessage('Invalid partner ID')
+];
+
+// Query validation
+const listValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(Object.values(PARTNER_STATUSES))
+    .withMessage('Invalid status'),
+  query('offerType')
+    .optional()
+    .isIn(Object.values(OFFER_TYPES))
+    .withMessage('Invalid offer type')
+];
+
+// PUBLIC ROUTES
+
+// Submit partner application (rate limited)
+router.post('/submit',
+  rateLimitMiddleware.partnerSubmissionLimiter,
+  partnerController.uploadLogo,
+  submitPartnerValidation,
+  partnerController.submitPartner
+);
+
+// ADMIN ROUTES (Authentication required)
+router.use(authMiddleware.authenticate);
+router.use(authMiddleware.adminOnly);
+
+// List partner submissions
+router.get('/',
+  authMiddleware.requirePermission(PERMISSIONS.PARTNERS_READ),
+  listValidation,
+  partnerController.getPartners
+);
+
+// Pending review queue
+router.get('/pending',
+  authMiddleware.requirePermission(PERMISSIONS.PARTNERS_READ),
+  partnerController.getPendingPartners
+);
+
+// Submission statistics
+router.get('/stats',
+  authMiddleware.requirePermission(PERMISSIONS.PARTNERS_READ),
+  partnerController.getPartnerStats
+);
+
+// Get partner submission by ID
+router.get('/:id',
+  authMiddleware.requirePermission(PERMISSIONS.PARTNERS_READ),
+  mongoIdValidation,
+  partnerController.getPartnerById
+);
+
+// Save review notes
+router.put('/:id/review',
+  authMiddleware.requirePermission(PERMISSIONS.PARTNERS_REVIEW),
+  mongoIdValidation,
+  reviewPartnerValidation,
+  partnerController.reviewPartner
+);
+
+// Approve partner submission
+router.post('/:id/approve',
+  authMiddleware.requirePermission(PERMISSIONS.PARTNERS_REVIEW),
+  mongoIdValidation,
+  decisionValidation,
+  partnerController.approvePartner
+);
+
+// Reject partner submission
+router.post('/:id/reject',
+  authMiddleware.requirePermission(PERMISSIONS.PARTNERS_REVIEW),
+  mongoIdValidation,
+  decisionValidation,
+  partnerController.rejectPartner
+);
+
+// Convert approved submission to a draft perk
+router.post('/:id/convert',
+  authMiddleware.requirePermission(PERMISSIONS.PARTNERS_REVIEW),
+  mongoIdValidation,
+  convertPartnerValidation,
+  partnerController.convertToPerk
+);
+
+// Delete partner submission
+router.delete('/:id',
+  authMiddleware.requirePermission(PERMISSIONS.PARTNERS_DELETE),
+  mongoIdValidation,
+  partnerController.deletePartner
+);
+
+module.exports = router;
@@ -1,9 +1,15 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const perkController = require('../controllers/perkController');
+const redemptionCodeController = require('../controllers/redemptionCodeController');
+const perkImportController = require('../controllers/perkImportController');
+const perkTemplateController = require('../controllers/perkTemplateController');
 const authMiddleware = require('../middleware/auth');
 const rateLimitMiddleware = require('../middleware/rateLimit');
+const validationMiddleware = require('../middleware/validation');
+const marketMiddleware = require('../middleware/market');
 const { analyticsMiddleware } = require('../middleware/analytics');
+const { PERMISSIONS, CATALOG_SEARCH, RELATED_PERKS, PERK_LOCATIONS, PERK_WORKFLOW } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -55,7 +61,29 @@ const createPerkValidation = [
   body('availability.endDate')
     .optional()
     .isISO8601()
-    .withMessage('Valid end date is required')
+    .withMessage('Valid end date is required'),
+  body('schedule.publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid publish time is required'),
+  body('schedule.unpublishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid unpublish time is required')
+    .custom((value, { req }) => {
+      const publishAt = req.body.schedule?.publishAt;
+      if (publishAt && new Date(value) <= new Date(publishAt)) {
+        throw new Error('Unpublish time must be after the publish time');
+      }
+      return true;
+    }),
+  body('markets')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Markets must be a non-empty array'),
+  body('markets.*')
+    .isIn(Object.values(PERK_LOCATIONS))
+    .withMessage(`Market must be one of: ${Object.values(PERK_LOCATIONS).join(', ')}`)
 ];
 
 const updateSEOValidation = [
@@ -103,6 +131,109 @@ const rejectPerkValidation = [
     .withMessage('Notes cannot be more than 1000 characters')
 ];
 
+const reviewNotesValidation = body('notes')
+  .optional()
+  .trim()
+  .isLength({ max: 1000 })
+  .withMessage('Notes cannot be more than 1000 characters');
+
+const reviewCommentsValidation = body('comments')
+  .optional()
+  .trim()
+  .isLength({ max: PERK_WORKFLOW.COMMENTS_MAX_LENGTH })
+  .withMessage(`Comments cannot be more than ${PERK_WORKFLOW.COMMENTS_MAX_LENGTH} characters`);
+
+const publishAtValidation = body('publishAt')
+  .optional({ values: 'null' })
+  .isISO8601()
+  .withMessage('Publish time must be a valid date')
+  .toDate();
+
+const unpublishAtValidation = body('unpublishAt')
+  .optional({ values: 'null' })
+  .isISO8601()
+  .withMessage('Unpublish time must be a valid date')
+  .toDate();
+
+const approvePerkValidation = [
+  reviewNotesValidation,
+  reviewCommentsValidation,
+  body('publish')
+    .optional()
+    .isBoolean()
+    .withMessage('Publish must be true or false')
+    .toBoolean(),
+  publishAtValidation,
+  unpublishAtValidation
+];
+
+const schedulePerkValidation = [
+  publishAtValidation,
+  unpublishAtValidation,
+  reviewNotesValidation
+];
+
+const requestRevisionValidation = [
+  body('comments')
+    .notEmpty()
+    .trim()
+    .isLength({ min: 5, max: PERK_WORKFLOW.COMMENTS_MAX_LENGTH })
+    .withMessage(`Comments must be between 5 and ${PERK_WORKFLOW.COMMENTS_MAX_LENGTH} characters`),
+  reviewNotesValidation
+];
+
+const reviewQueueValidation = [
+  query('type').optional().isIn(['submissions', 'changes']).withMessage('Type must be submissions or changes'),
+  query('clientId').optional().isMongoId().withMessage('Invalid client ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// Fields that may be changed when copying a perk (clone or template)
+const perkCopyValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters'),
+  body('markets')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Markets must be a non-empty array'),
+  body('markets.*')
+    .isIn(Object.values(PERK_LOCATIONS))
+    .withMessage(`Market must be one of: ${Object.values(PERK_LOCATIONS).join(', ')}`)
+];
+
+const templateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Template name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Template description cannot be more than 500 characters')
+];
+
+const createTemplateValidation = [
+  body('perkId').isMongoId().withMessage('Valid perk ID is required'),
+  ...templateValidation
+];
+
+const templateIdValidation = [
+  param('templateId').isMongoId().withMessage('Invalid template ID')
+];
+
+const templateListValidation = [
+  query('sourcePerkId').optional().isMongoId().withMessage('Invalid perk ID'),
+  query('search').optional().trim().isLength({ max: 100 }).withMessage('Search cannot be more than 100 characters'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
 const generateSlugValidation = [
   body('title')
     .notEmpty()
@@ -116,6 +247,91 @@ const mongoIdValidation = [
   param('id').isMongoId().withMessage('Invalid perk ID')
 ];
 
+const revisionValidation = [
+  param('revision').isInt({ min: 1 }).withMessage('Invalid revision number')
+];
+
+const generateCodesValidation = [
+  body('count')
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Count must be between 1 and 10000'),
+  body('prefix')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9-]{0,20}$/)
+    .withMessage('Prefix can contain up to 20 letters, numbers and hyphens'),
+  body('length')
+    .optional()
+    .isInt({ min: 6, max: 32 })
+    .withMessage('Length must be between 6 and 32')
+];
+
+const claimCodeValidation = [
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  body('leadId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid lead ID'),
+  body()
+    .custom(value => value.email || value.leadId)
+    .withMessage('Email or lead ID is required')
+];
+
+// Multi-value query params arrive as arrays or comma-separated strings
+const listQuery = (field, check, message) => query(field)
+  .optional()
+  .custom(value => (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean)
+    .every(check))
+  .withMessage(message);
+
+const catalogSearchValidation = [
+  query('q')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Search query cannot be more than 200 characters'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: CATALOG_SEARCH.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${CATALOG_SEARCH.MAX_LIMIT}`),
+  query('sortBy')
+    .optional()
+    .isIn(CATALOG_SEARCH.SORTS)
+    .withMessage(`Sort must be one of: ${CATALOG_SEARCH.SORTS.join(', ')}`),
+  query(['minPrice', 'maxPrice'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a non-negative number'),
+  query(['minDiscount', 'maxDiscount'])
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Discount must be between 0 and 100'),
+  query(['isExclusive', 'isFeatured'])
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Flag filters must be true or false'),
+  query('expiresWithin')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry window must be between 1 and 365 days'),
+  listQuery('categoryId', value => /^[a-f\d]{24}$/i.test(value), 'Invalid category ID'),
+  listQuery('currency', value => ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'SGD'].includes(value.toUpperCase()), 'Invalid currency'),
+  listQuery('redemptionType', value => ['code', 'link', 'email', 'phone', 'visit'].includes(value), 'Invalid redemption type'),
+  listQuery('vendor', value => value.length <= 100, 'Vendor name cannot be more than 100 characters'),
+  listQuery('tag', value => value.length <= 50, 'Tag cannot be more than 50 characters')
+];
+
 const slugValidation = [
   param('slug').matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Invalid slug format')
 ];
@@ -123,24 +339,39 @@ const slugValidation = [
 // PUBLIC ROUTES (No authentication required)
 
 // Get active perks
-router.get('/', perkController.getActivePerks);
+router.get('/',
+  marketMiddleware.resolveMarket,
+  perkController.getActivePerks
+);
 
-// Get perk by ID
-router.get('/:id', 
-  mongoIdValidation,
-  analyticsMiddleware,
-  perkController.getPerkByIdPublic
+// Faceted catalogue search
+router.get('/catalog',
+  rateLimitMiddleware.searchLimiter,
+  marketMiddleware.resolveMarket,
+  catalogSearchValidation,
+  perkController.catalogSearch
 );
 
 // Get featured perks
-router.get('/featured', perkController.getFeaturedPerks);
+router.get('/featured',
+  marketMiddleware.resolveMarket,
+  perkController.getFeaturedPerks
+);
 
 // Search perks
 router.get('/search', 
   rateLimitMiddleware.searchLimiter,
+  marketMiddleware.resolveMarket,
   perkController.searchPerks
 );
 
+// Get perk by ID (declared after the fixed paths above so they aren't taken for IDs)
+router.get('/:id', 
+  mongoIdValidation,
+  analyticsMiddleware,
+  perkController.getPerkByIdPublic
+);
+
 // Get perk by slug
 router.get('/slug/:slug', 
   slugValidation,
@@ -151,9 +382,21 @@ router.get('/slug/:slug',
 // Get perks by category
 router.get('/category/:categoryId', 
   param('categoryId').isMongoId().withMessage('Invalid category ID'),
+  marketMiddleware.resolveMarket,
   perkController.getPerksByCategory
 );
 
+// Get related perks
+router.get('/:id/related',
+  mongoIdValidation,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: RELATED_PERKS.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${RELATED_PERKS.MAX_LIMIT}`),
+  marketMiddleware.resolveMarket,
+  perkController.getRelatedPerks
+);
+
 // Track perk click
 router.post('/:id/click',
   mongoIdValidation,
@@ -161,29 +404,112 @@ router.post('/:id/click',
   perkController.trackClick
 );
 
-// CLIENT ROUTES (Authentication required - Client can edit their own perks)
-router.use(authMiddleware.authenticate);
+// Redeem perk (returns the code, link or instructions)
+router.post('/:id/redeem',
+  mongoIdValidation,
+  rateLimitMiddleware.redemptionLimiter,
+  authMiddleware.optionalAuth,
+  body('email').optional().isEmail().normalizeEmail().withMessage('Valid email is required'),
+  perkController.redeemPerk
+);
 
-// Get client's own perks
-//router.get('/my-perks', perkController.getClientPerks);
+// Client self-service routes are mounted separately (routes/client.js)
+router.use(authMiddleware.authenticate);
 
 // ADMIN ROUTES (Admin only)
 router.use(authMiddleware.adminOnly);
 
 // Get all perks (Admin)
-router.get('/admin/all', perkController.getPerks);
+router.get('/admin/all',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
+  marketMiddleware.resolveMarket,
+  query('workflowState').optional().isIn(Object.values(PERK_WORKFLOW.STATES)).withMessage('Invalid workflow state'),
+  perkController.getPerks
+);
+
+// Editor review queue: submissions and proposed changes, oldest first
+router.get('/admin/workflow/queue',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_APPROVE),
+  reviewQueueValidation,
+  perkController.getReviewQueue
+);
 
 // Get perk statistics
-router.get('/admin/stats', perkController.getPerkStats);
+router.get('/admin/stats',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
+  perkController.getPerkStats
+);
 
 // Get expiring perks
 router.get('/admin/expiring',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
   query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365'),
   perkController.getExpiringSoon
 );
 
+// Bulk import (CSV/JSON file field "file", or JSON body { perks: [] }); add ?dryRun=true to validate only
+router.post('/admin/import',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  rateLimitMiddleware.createLimiter({ max: 10, windowMs: 60 * 1000 }),
+  perkImportController.uploadImportFile,
+  perkImportController.parseImport,
+  validationMiddleware.validateEach('importRows', createPerkValidation),
+  perkImportController.importPerks
+);
+
+// Export catalogue (accepts the same filters as /admin/all)
+router.get('/admin/export',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
+  rateLimitMiddleware.exportLimiter,
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+  perkImportController.exportPerks
+);
+
+// Perk templates (saved perk content that pre-fills new perks)
+router.get('/admin/templates',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
+  templateListValidation,
+  perkTemplateController.getTemplates
+);
+
+// Save a perk as a template
+router.post('/admin/templates',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  createTemplateValidation,
+  perkTemplateController.createTemplate
+);
+
+router.get('/admin/templates/:templateId',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
+  templateIdValidation,
+  perkTemplateController.getTemplateById
+);
+
+router.put('/admin/templates/:templateId',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  templateIdValidation,
+  templateValidation,
+  perkTemplateController.updateTemplate
+);
+
+router.delete('/admin/templates/:templateId',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_DELETE),
+  templateIdValidation,
+  perkTemplateController.deleteTemplate
+);
+
+// Create a draft perk from a template (optionally with a new title or markets)
+router.post('/admin/templates/:templateId/perks',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  rateLimitMiddleware.createLimiter({ max: 50, windowMs: 60 * 1000 }),
+  templateIdValidation,
+  perkCopyValidation,
+  perkTemplateController.createPerkFromTemplate
+);
+
 // Create perk
 router.post('/admin', 
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
   rateLimitMiddleware.createLimiter({ max: 50, windowMs: 60 * 1000 }),
   perkController.uploadFiles,
   createPerkValidation,
@@ -192,12 +518,14 @@ router.post('/admin',
 
 // Get perk by ID (Admin)
 router.get('/admin/:id', 
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
   mongoIdValidation,
   perkController.getPerkById
 );
 
 // Update perk (Admin)
 router.put('/admin/:id', 
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
   mongoIdValidation,
   perkController.uploadFiles,
   createPerkValidation,
@@ -206,6 +534,7 @@ router.put('/admin/:id',
 
 // Update perk SEO (Client can edit SEO for their own perks)
 router.put('/:id/seo',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
   mongoIdValidation,
   updateSEOValidation,
   perkController.updatePerkSEO
@@ -213,31 +542,190 @@ router.put('/:id/seo',
 
 // Delete perk (Admin)
 router.delete('/admin/:id', 
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_DELETE),
   mongoIdValidation,
   perkController.deletePerk
 );
 
-// Approve perk
+// Clone perk into a new draft (shares the source's images)
+router.post('/admin/:id/clone',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  rateLimitMiddleware.createLimiter({ max: 50, windowMs: 60 * 1000 }),
+  mongoIdValidation,
+  perkCopyValidation,
+  perkController.clonePerk
+);
+
+// Submit perk for review
+router.post('/admin/:id/submit',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  mongoIdValidation,
+  perkController.transitionPerk('submit')
+);
+
+// Withdraw perk from review (back to draft)
+router.post('/admin/:id/withdraw',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  mongoIdValidation,
+  perkController.transitionPerk('withdraw')
+);
+
+// Approve perk (publishes now, or schedules it for its start date; publish=false holds it)
 router.post('/admin/:id/approve',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_APPROVE),
   mongoIdValidation,
-  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot be more than 1000 characters'),
+  approvePerkValidation,
   perkController.approvePerk
 );
 
+// Send perk back to the client with comments
+router.post('/admin/:id/request-revision',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_APPROVE),
+  mongoIdValidation,
+  requestRevisionValidation,
+  perkController.transitionPerk('request_revision')
+);
+
 // Reject perk
 router.post('/admin/:id/reject',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_APPROVE),
   mongoIdValidation,
   rejectPerkValidation,
   perkController.rejectPerk
 );
 
+// Schedule an approved perk to go live at publishAt (or its start date)
+router.post('/admin/:id/schedule',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_APPROVE),
+  mongoIdValidation,
+  schedulePerkValidation,
+  perkController.transitionPerk('schedule')
+);
+
+// Publish an approved or scheduled perk now (optionally until unpublishAt)
+router.post('/admin/:id/publish',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_APPROVE),
+  mongoIdValidation,
+  unpublishAtValidation,
+  reviewNotesValidation,
+  perkController.transitionPerk('publish')
+);
+
+// Take a published or scheduled perk off the site (stays approved)
+router.post('/admin/:id/unpublish',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_APPROVE),
+  mongoIdValidation,
+  reviewNotesValidation,
+  perkController.transitionPerk('unpublish')
+);
+
+// Reopen a rejected perk as a draft
+router.post('/admin/:id/reopen',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  mongoIdValidation,
+  perkController.transitionPerk('reopen')
+);
+
+// Revision history
+router.get('/admin/:id/revisions',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
+  mongoIdValidation,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  perkController.getPerkRevisions
+);
+
+// Diff two revisions (omit "to" to compare against the live perk)
+router.get('/admin/:id/revisions/diff',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
+  mongoIdValidation,
+  query('from').isInt({ min: 1 }).withMessage('From must be a revision number'),
+  query('to').optional().isInt({ min: 1 }).withMessage('To must be a revision number'),
+  perkController.diffPerkRevisions
+);
+
+router.get('/admin/:id/revisions/:revision',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
+  mongoIdValidation,
+  revisionValidation,
+  perkController.getPerkRevision
+);
+
+// Restore a revision (goes back through approval)
+router.post('/admin/:id/revisions/:revision/restore',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  mongoIdValidation,
+  revisionValidation,
+  perkController.restorePerkRevision
+);
+
+// Redemptions made through the public endpoint
+router.get('/admin/:id/redemptions',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
+  mongoIdValidation,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  perkController.getPerkRedemptions
+);
+
+// Clicks through the tracked redirect (/go/:slug)
+router.get('/admin/:id/clicks',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
+  mongoIdValidation,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  perkController.getPerkClicks
+);
+
+// Redemption code pool
+router.get('/admin/:id/codes',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_READ),
+  mongoIdValidation,
+  query('status').optional().isIn(['available', 'claimed', 'revoked']).withMessage('Invalid code status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  redemptionCodeController.getCodes
+);
+
+// Upload codes (CSV file field "file", or JSON body { codes: [] })
+router.post('/admin/:id/codes',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  mongoIdValidation,
+  redemptionCodeController.uploadCsv,
+  redemptionCodeController.importCodes
+);
+
+router.post('/admin/:id/codes/generate',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  mongoIdValidation,
+  generateCodesValidation,
+  redemptionCodeController.generateCodes
+);
+
+router.post('/admin/:id/codes/claim',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  mongoIdValidation,
+  claimCodeValidation,
+  redemptionCodeController.claimCode
+);
+
+router.post('/admin/:id/codes/:codeId/revoke',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
+  mongoIdValidation,
+  param('codeId').isMongoId().withMessage('Invalid code ID'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
+  redemptionCodeController.revokeCode
+);
+
 // Utility routes
 router.get('/admin/validate-slug/:slug', 
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
   slugValidation,
   perkController.validateSlug
 );
 
 router.post('/admin/generate-slug',
+  authMiddleware.requirePermission(PERMISSIONS.PERKS_WRITE),
   generateSlugValidation,
   perkController.generateSlug
 );
@@ -0,0 +1,38 @@
+const express = require('express');
+const { query } = require('express-validator');
+const searchController = require('../controllers/searchController');
+const rateLimitMiddleware = require('../middleware/rateLimit');
+const marketMiddleware = require('../middleware/market');
+const { SEARCH_SUGGEST } = require('../utils/constants');
+
+const router = express.Router();
+
+// Validation rules
+const suggestValidation = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: SEARCH_SUGGEST.MIN_QUERY_LENGTH, max: SEARCH_SUGGEST.MAX_QUERY_LENGTH })
+    .withMessage(`Search query must be between ${SEARCH_SUGGEST.MIN_QUERY_LENGTH} and ${SEARCH_SUGGEST.MAX_QUERY_LENGTH} characters`),
+  query('types')
+    .optional()
+    .isString()
+    .custom(value => value.split(',').every(type => SEARCH_SUGGEST.TYPES.includes(type.trim())))
+    .withMessage(`Types must be a comma-separated list of: ${SEARCH_SUGGEST.TYPES.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: SEARCH_SUGGEST.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${SEARCH_SUGGEST.MAX_LIMIT}`)
+];
+
+// PUBLIC ROUTES (No authentication required)
+
+// Typeahead suggestions grouped by type
+router.get('/suggest',
+  rateLimitMiddleware.searchLimiter,
+  marketMiddleware.resolveMarket,
+  suggestValidation,
+  searchController.suggest
+);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const { body, query } = require('express-validator');
 const seoController = require('../controllers/seoController');
 const authMiddleware = require('../middleware/auth');
 const rateLimitMiddleware = require('../middleware/rateLimit');
+const { PERMISSIONS } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -72,10 +73,14 @@ router.use(authMiddleware.authenticate);
 router.use(authMiddleware.adminOnly);
 
 // Get current SEO settings
-router.get('/settings', seoController.getSeoSettings);
+router.get('/settings',
+  authMiddleware.requirePermission(PERMISSIONS.SEO_READ),
+  seoController.getSeoSettings
+);
 
 // Update SEO settings
 router.put('/settings',
+  authMiddleware.requirePermission(PERMISSIONS.SEO_WRITE),
   rateLimitMiddleware.createLimiter({ max: 10, windowMs: 60 * 1000 }),
   seoController.uploadSeoImages,
   seoSettingsValidation,
@@ -84,28 +89,33 @@ router.put('/settings',
 
 // Generate meta tags
 router.post('/meta-tags',
+  authMiddleware.requirePermission(PERMISSIONS.SEO_READ),
   seoController.generateMetaTags
 );
 
 // Generate schema markup
 router.post('/schema-markup',
+  authMiddleware.requirePermission(PERMISSIONS.SEO_READ),
   seoController.generateSchemaMarkup
 );
 
 // SEO analysis
 router.post('/analyze',
+  authMiddleware.requirePermission(PERMISSIONS.SEO_READ),
   pageAnalysisValidation,
   seoController.analyzePage
 );
 
 // Regenerate sitemap
 router.post('/regenerate-sitemap',
+  authMiddleware.requirePermission(PERMISSIONS.SEO_WRITE),
   rateLimitMiddleware.createLimiter({ max: 5, windowMs: 60 * 1000 }),
   seoController.regenerateSitemap
 );
 
 // Regenerate robots.txt
 router.post('/regenerate-robots',
+  authMiddleware.requirePermission(PERMISSIONS.SEO_WRITE),
   rateLimitMiddleware.createLimiter({ max: 5, windowMs: 60 * 1000 }),
   seoController.regenerateRobotsTxt
 );
@@ -0,0 +1,101 @@
+const express = require('express');
+const { body } = require('express-validator');
+const siteSettingsController = require('../controllers/siteSettingsController');
+const authMiddleware = require('../middleware/auth');
+const rateLimitMiddleware = require('../middleware/rateLimit');
+const marketMiddleware = require('../middleware/market');
+const { PERK_LOCATIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Validation rules (nested fields are only checked when sent as JSON)
+const updateSettingsValidation = [
+  body('homepage.hero.headline')
+    .optional()
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('Hero headline cannot be more than 150 characters'),
+  body('homepage.hero.ctaUrl')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isURL({ require_tld: false, require_protocol: false })
+    .withMessage('Hero CTA URL must be a valid URL'),
+  body('homepage.sections.featuredPerks.limit')
+    .optional()
+    .isInt({ min: 1, max: 24 })
+    .withMessage('Featured perks limit must be between 1 and 24'),
+  body('homepage.sections.featuredPerks.marketSlots')
+    .optional()
+    .isArray({ max: Object.values(PERK_LOCATIONS).length })
+    .withMessage('Market slots must be an array with at most one slot per market'),
+  body('homepage.sections.featuredPerks.marketSlots.*.market')
+    .isIn(Object.values(PERK_LOCATIONS))
+    .withMessage(`Market must be one of: ${Object.values(PERK_LOCATIONS).join(', ')}`),
+  body('homepage.sections.featuredPerks.marketSlots.*.perks')
+    .optional()
+    .isArray({ max: 24 })
+    .withMessage('Pinned perks must be an array of at most 24 perk IDs'),
+  body('homepage.sections.featuredPerks.marketSlots.*.perks.*')
+    .isMongoId()
+    .withMessage('Invalid perk ID'),
+  body('homepage.sections.newestPerks.limit')
+    .optional()
+    .isInt({ min: 1, max: 24 })
+    .withMessage('Newest perks limit must be between 1 and 24'),
+  body('homepage.sections.categoryHighlights.selectedCategories')
+    .optional()
+    .isArray()
+    .withMessage('Selected categories must be an array'),
+  body('homepage.sections.categoryHighlights.selectedCategories.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+  body('navigation.header')
+    .optional()
+    .isArray()
+    .withMessage('Header navigation must be an array'),
+  body('navigation.footer.contactInfo.email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('Footer contact email must be valid'),
+  body('email.fromEmail')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('From email must be valid'),
+  body('email.replyTo')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('Reply-to email must be valid'),
+  body('security.requireTwoFactorForAdmins')
+    .optional()
+    .isBoolean()
+    .withMessage('requireTwoFactorForAdmins must be a boolean')
+];
+
+// PUBLIC ROUTES
+
+// Get resolved homepage, navigation and footer
+router.get('/',
+  marketMiddleware.resolveMarket,
+  siteSettingsController.getPublicSettings
+);
+
+// ADMIN ROUTES (Authentication required)
+router.use(authMiddleware.authenticate);
+
+// Get raw site settings
+router.get('/admin',
+  authMiddleware.adminOnly,
+  siteSettingsController.getSettings
+);
+
+// Update site settings (Super Admin only)
+router.put('/admin',
+  authMiddleware.superAdminOnly,
+  rateLimitMiddleware.createLimiter({ max: 10, windowMs: 60 * 1000 }),
+  siteSettingsController.uploadHeroMedia,
+  updateSettingsValidation,
+  siteSettingsController.updateSettings
+);
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const userController = require('../controllers/userController');
+const authMiddleware = require('../middleware/auth');
+const rateLimitMiddleware = require('../middleware/rateLimit');
+const { PERMISSIONS, USER_ROLES, USER_STATUSES } = require('../utils/constants');
+
+const router = express.Router();
+
+// Validation rules
+const createUserValidation = [
+  body('name')
+    .notEmpty()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  body('password')
+    .isLength({ min: 8 })
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+    .withMessage('Password must be at least 8 characters with uppercase, lowercase, number and special character'),
+  body('role')
+    .isIn(Object.values(USER_ROLES))
+    .withMessage('Invalid role'),
+  body('status')
+    .optional()
+    .isIn(Object.values(USER_STATUSES))
+    .withMessage('Invalid status'),
+  body('requirePasswordReset')
+    .optional()
+    .isBoolean()
+    .withMessage('requirePasswordReset must be a boolean')
+];
+
+const inviteUserValidation = [
+  body('name')
+    .notEmpty()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  body('role')
+    .isIn(Object.values(USER_ROLES))
+    .withMessage('Invalid role')
+];
+
+const updateUserValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required')
+];
+
+const changeRoleValidation = [
+  body('role')
+    .isIn(Object.values(USER_ROLES))
+    .withMessage('Invalid role')
+];
+
+const updateStatusValidation = [
+  body('status')
+    .isIn(Object.values(USER_STATUSES))
+    .withMessage('Invalid status')
+];
+
+const updatePermissionsValidation = [
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(Object.values(PERMISSIONS))
+    .withMessage('Unknown permission'),
+  body('deniedPermissions')
+    .optional()
+    .isArray()
+    .withMessage('Denied permissions must be an array'),
+  body('deniedPermissions.*')
+    .isIn(Object.values(PERMISSIONS))
+    .withMessage('Unknown permission')
+];
+
+// MongoDB ID validation
+const mongoIdValidation = [
+  param('id').isMongoId().withMessage('Invalid user ID')
+];
+
+// Query validation
+const userListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('role')
+    .optional()
+    .isIn(Object.values(USER_ROLES))
+    .withMessage('Invalid role'),
+  query('status')
+    .optional()
+    .isIn(Object.values(USER_STATUSES))
+    .withMessage('Invalid status'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot be more than 100 characters')
+];
+
+// ADMIN ROUTES (Super Admin only)
+router.use(authMiddleware.authenticate);
+router.use(authMiddleware.superAdminOnly);
+
+// List users
+router.get('/admin',
+  userListValidation,
+  userController.getUsers
+);
+
+// Get user statistics
+router.get('/admin/stats', userController.getUserStats);
+
+// Permission catalogue and role defaults
+router.get('/admin/permissions', userController.getPermissionCatalogue);
+
+// Create user with a password
+router.post('/admin',
+  createUserValidation,
+  userController.createUser
+);
+
+// Invite user by email (set-password link)
+router.post('/admin/invite',
+  rateLimitMiddleware.createLimiter({ max: 20, windowMs: 60 * 60 * 1000 }),
+  inviteUserValidation,
+  userController.inviteUser
+);
+
+// Get user by ID
+router.get('/admin/:id',
+  mongoIdValidation,
+  userController.getUserById
+);
+
+// Update user details
+router.put('/admin/:id',
+  mongoIdValidation,
+  updateUserValidation,
+  userController.updateUser
+);
+
+// Delete user
+router.delete('/admin/:id',
+  mongoIdValidation,
+  userController.deleteUser
+);
+
+// Resend pending invitation
+router.post('/admin/:id/resend-invite',
+  rateLimitMiddleware.createLimiter({ max: 20, windowMs: 60 * 60 * 1000 }),
+  mongoIdValidation,
+  userController.resendInvitation
+);
+
+// Change role
+router.put('/admin/:id/role',
+  mongoIdValidation,
+  changeRoleValidation,
+  userController.changeRole
+);
+
+// Activate, deactivate or suspend
+router.put('/admin/:id/status',
+  mongoIdValidation,
+  updateStatusValidation,
+  userController.updateStatus
+);
+
+// Force password reset (signs the user out everywhere)
+router.post('/admin/:id/force-password-reset',
+  mongoIdValidation,
+  userController.forcePasswordReset
+);
+
+// Get user permissions
+router.get('/admin/:id/permissions',
+  mongoIdValidation,
+  userController.getUserPermissions
+);
+
+// Replace user permission grants/denials
+router.put('/admin/:id/permissions',
+  mongoIdValidation,
+  updatePermissionsValidation,
+  userController.updateUserPermissions
+);
+
+module.exports = router;
@@ -29,10 +29,29 @@ const blogCategoryRoutes = require('./routes/blogCategories');
 const blogRoutes = require('./routes/blog');
 const dashboardRoutes = require('./routes/dashboard');
 const seoRoutes = require('./routes/seo');
+const partnerRoutes = require('./routes/partners');
+const pageRoutes = require('./routes/pages');
+const siteSettingsRoutes = require('./routes/siteSettings');
+const clientRoutes = require('./routes/client');
+const userRoutes = require('./routes/users');
+const auditRoutes = require('./routes/audit');
+const jobRoutes = require('./routes/jobs');
+const searchRoutes = require('./routes/search');
+const affiliateRoutes = require('./routes/affiliates');
+const goRoutes = require('./routes/go');
+
+// Background jobs
+const schedulerService = require('./services/schedulerService');
+const perkLifecycleService = require('./services/perkLifecycleService');
+const publishingService = require('./services/publishingService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Register scheduled jobs (started once the server is listening)
+perkLifecycleService.registerJobs(schedulerService);
+publishingService.registerJobs(schedulerService);
+
 // Setup global error handlers
 setupGlobalHandlers();
 
@@ -52,6 +71,7 @@ app.use(corsMiddleware.getCorsMiddleware());
 app.use(compression());
 
 // Logging middleware
+app.use(loggingMiddleware.assignRequestId);
 const logger = loggingMiddleware.getLogger();
 if (Array.isArray(logger)) {
   logger.forEach(log => app.use(log));
@@ -98,6 +118,19 @@ app.use(`/api/${apiVersion}/blog-categories`, blogCategoryRoutes);
 app.use(`/api/${apiVersion}/blog`, blogRoutes);
 app.use(`/api/${apiVersion}/dashboard`, dashboardRoutes);
 app.use(`/api/${apiVersion}/seo`, seoRoutes);
+app.use(`/api/${apiVersion}/partners`, partnerRoutes);
+app.use(`/api/${apiVersion}/pages`, pageRoutes);
+app.use(`/api/${apiVersion}/site-settings`, siteSettingsRoutes);
+app.use(`/api/${apiVersion}/client`, clientRoutes);
+app.use(`/api/${apiVersion}/users`, userRoutes);
+app.use(`/api/${apiVersion}/admin/audit`, auditRoutes);
+app.use(`/api/${apiVersion}/admin/jobs`, jobRoutes);
+app.use(`/api/${apiVersion}/search`, searchRoutes);
+app.use(`/api/${apiVersion}/admin/affiliates`, affiliateRoutes);
+
+// Tracked affiliate redirects (outside the API prefix so links stay short)
+app.use('/go', goRoutes);
+
 app.use('/', seoRoutes);
 
 // Health check endpoint
@@ -161,6 +194,16 @@ app.get(`/api/${apiVersion}`, (req, res) => {
       blog: `/api/${apiVersion}/blog`,
       dashboard: `/api/${apiVersion}/dashboard`,
       seo: `/api/${apiVersion}/seo`,
+      partners: `/api/${apiVersion}/partners`,
+      pages: `/api/${apiVersion}/pages`,
+      siteSettings: `/api/${apiVersion}/site-settings`,
+      client: `/api/${apiVersion}/client`,
+      users: `/api/${apiVersion}/users`,
+      audit: `/api/${apiVersion}/admin/audit`,
+      jobs: `/api/${apiVersion}/admin/jobs`,
+      search: `/api/${apiVersion}/search`,
+      affiliates: `/api/${apiVersion}/admin/affiliates`,
+      go: '/go/:slug',
       health: '/health'
     },
     seoEndpoints: {
@@ -182,6 +225,8 @@ app.use(errorHandler);
 const gracefulShutdown = async (signal) => {
   console.log(`${signal} received. Shutting down gracefully...`);
 
+  schedulerService.stop();
+
   server.close(() => {
     console.log('HTTP server closed.');
     database.disconnect().then(() => {
@@ -205,6 +250,8 @@ const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
   console.log(`API Base URL: http://localhost:${PORT}/api/${apiVersion}`);
+
+  schedulerService.start();
 });
 
 // Handle server errors
@@ -0,0 +1,221 @@
+const affiliateProgramRepository = require('../repositories/affiliateProgramRepository');
+const perkClickRepository = require('../repositories/perkClickRepository');
+const perkRepository = require('../repositories/perkRepository');
+const perkService = require('./perkService');
+const botDetection = require('../utils/botDetection');
+const { AppError } = require('../middleware/errorHandler');
+const { AFFILIATE_REDIRECT, ANALYTICS_EVENTS } = require('../utils/constants');
+
+class AffiliateService {
+  // Resolve a tracked redirect, recording the click for human visitors (Public)
+  async resolveRedirect(slug, requestInfo = {}) {
+    try {
+      const perk = await perkRepository.findBySlug(slug);
+      if (!perk || !this.isPublic(perk)) {
+        throw new AppError('Perk not found', 404, 'PERK_NOT_FOUND');
+      }
+
+      const destination = this.getDestination(perk);
+      if (!destination) {
+        throw new AppError('This perk has no redirect destination', 404, 'REDIRECT_TARGET_NOT_FOUND');
+      }
+
+      // Automated traffic is sent on untouched and never counted
+      if (botDetection.isAutomated(requestInfo)) {
+        return { url: destination, tracked: false };
+      }
+
+      const utm = this.pickUtm(requestInfo.query);
+      const program = await affiliateProgramRepository.findActiveByVendor(perk.vendor?.name);
+
+      let click = null;
+      try {
+        click = await perkClickRepository.create({
+          perkId: perk._id,
+          affiliateProgramId: program?._id,
+          utm,
+          referrer: this.truncate(requestInfo.referrer),
+          ipAddress: requestInfo.ipAddress,
+          userAgent: this.truncate(requestInfo.userAgent),
+          clientId: this.truncate(requestInfo.clientId)
+        });
+      } catch (error) {
+        // A lost click record must not block the visitor
+        console.warn('Failed to record click for perk:', perk._id.toString(), error.message);
+      }
+
+      // Counter and analytics (don't await to avoid slowing the redirect)
+      perkService.trackClick(perk._id, ANALYTICS_EVENTS.AFFILIATE_CLICK, requestInfo.clientId, requestInfo.userId);
+
+      const url = program
+        ? this.applyParams(destination, program.params, {
+          clickId: click?._id?.toString() || '',
+          perkId: perk._id.toString(),
+          perkSlug: perk.slug,
+          utmSource: utm.source || '',
+          utmMedium: utm.medium || '',
+          utmCampaign: utm.campaign || ''
+        })
+        : destination;
+
+      return { url, tracked: true };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to resolve redirect', 500, 'REDIRECT_ERROR');
+    }
+  }
+
+  // Get affiliate programs (Admin)
+  async getPrograms(options = {}) {
+    try {
+      const { page = 1, limit = 20, isActive, search } = options;
+
+      const filters = {};
+      if (isActive !== undefined) filters.isActive = isActive;
+      if (search) filters.search = search;
+
+      return await affiliateProgramRepository.findAll(filters, page, limit);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get affiliate programs', 500, 'GET_AFFILIATE_PROGRAMS_ERROR');
+    }
+  }
+
+  // Get affiliate program by ID (Admin)
+  async getProgramById(id) {
+    try {
+      const program = await affiliateProgramRepository.findById(id);
+      if (!program) {
+        throw new AppError('Affiliate program not found', 404, 'AFFILIATE_PROGRAM_NOT_FOUND');
+      }
+      return program;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get affiliate program', 500, 'GET_AFFILIATE_PROGRAM_ERROR');
+    }
+  }
+
+  // Create affiliate program (Admin)
+  async createProgram(programData, userId) {
+    try {
+      this.validatePlaceholders(programData.params);
+
+      return await affiliateProgramRepository.create({
+        ...programData,
+        createdBy: userId,
+        updatedBy: userId
+      });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create affiliate program', 500, 'CREATE_AFFILIATE_PROGRAM_ERROR');
+    }
+  }
+
+  // Update affiliate program (Admin)
+  async updateProgram(id, updateData, userId) {
+    try {
+      this.validatePlaceholders(updateData.params);
+
+      const program = await affiliateProgramRepository.update(id, {
+        ...updateData,
+        updatedBy: userId
+      });
+      if (!program) {
+        throw new AppError('Affiliate program not found', 404, 'AFFILIATE_PROGRAM_NOT_FOUND');
+      }
+      return program;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to update affiliate program', 500, 'UPDATE_AFFILIATE_PROGRAM_ERROR');
+    }
+  }
+
+  // Delete affiliate program (Admin)
+  async deleteProgram(id) {
+    try {
+      const program = await affiliateProgramRepository.delete(id);
+      if (!program) {
+        throw new AppError('Affiliate program not found', 404, 'AFFILIATE_PROGRAM_NOT_FOUND');
+      }
+      return program;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete affiliate program', 500, 'DELETE_AFFILIATE_PROGRAM_ERROR');
+    }
+  }
+
+  // Same visibility rules as the public listings
+  isPublic(perk) {
+    const now = new Date();
+    return perk.status === 'active' &&
+      perk.isVisible &&
+      (!perk.availability?.startDate || perk.availability.startDate <= now) &&
+      (!perk.availability?.endDate || perk.availability.endDate >= now);
+  }
+
+  // Redemption link, falling back to the vendor website
+  getDestination(perk) {
+    const target = perk.redemption?.link || perk.vendor?.website;
+    if (!target) return null;
+
+    const url = /^https?:\/\//i.test(target) ? target : `https://${target}`;
+    try {
+      return new URL(url).toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // UTM values from the redirect query string
+  pickUtm(query = {}) {
+    const utm = {};
+    AFFILIATE_REDIRECT.UTM_PARAMS.forEach(param => {
+      const value = query[param];
+      if (typeof value === 'string' && value.trim()) {
+        utm[param.replace('utm_', '')] = this.truncate(value.trim());
+      }
+    });
+    return utm;
+  }
+
+  // Set vendor parameters on the destination, filling placeholders
+  applyParams(destination, params = [], values = {}) {
+    const url = new URL(destination);
+
+    params.forEach(({ key, value }) => {
+      const resolved = value.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+      url.searchParams.set(key, resolved);
+    });
+
+    return url.toString();
+  }
+
+  // Reject unknown {placeholders} so typos don't leak into vendor URLs
+  validatePlaceholders(params) {
+    if (!Array.isArray(params)) return;
+
+    const unknown = new Set();
+    params.forEach(param => {
+      const matches = String(param?.value || '').match(/\{(\w+)\}/g) || [];
+      matches
+        .map(match => match.slice(1, -1))
+        .filter(name => !AFFILIATE_REDIRECT.PLACEHOLDERS.includes(name))
+        .forEach(name => unknown.add(name));
+    });
+
+    if (unknown.size) {
+      throw new AppError(
+        `Unknown placeholders: ${[...unknown].join(', ')}. Allowed: ${AFFILIATE_REDIRECT.PLACEHOLDERS.join(', ')}`,
+        400,
+        'INVALID_PLACEHOLDER'
+      );
+    }
+  }
+
+  truncate(value) {
+    if (typeof value !== 'string') return undefined;
+    return value.slice(0, AFFILIATE_REDIRECT.MAX_TRACKED_VALUE_LENGTH);
+  }
+}
+
+module.exports = new AffiliateService();
@@ -125,6 +125,9 @@ class AnalyticsService {
         
         case 'PERK_SHARE':
           return await this.trackPerkShare(data, clientId, userId);
+
+        case 'PERK_REDEMPTION':
+          return await this.trackPerkRedemption(data, clientId, userId);
         
         case 'CATEGORY_VIEW':
           return await this.trackCategoryView(data, clientId, userId);
@@ -234,6 +237,17 @@ class AnalyticsService {
     }, clientId, userId);
   }
 
+  async trackPerkRedemption(data, clientId, userId) {
+    return await this.sendEvent('perk_redemption', {
+      content_type: 'perk',
+      item_id: data.perkId,
+      item_name: data.title,
+      item_category: data.category,
+      redemption_type: data.redemptionType,
+      value: data.value || 0
+    }, clientId, userId);
+  }
+
   // Category Events
   async trackCategoryView(data, clientId, userId) {
     return await this.sendEvent('view_item_list', {
@@ -0,0 +1,65 @@
+const auditLogRepository = require('../repositories/auditLogRepository');
+const { AppError } = require('../middleware/errorHandler');
+
+class AuditService {
+  // Get audit entries (Admin)
+  async getAuditLog(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        entityType,
+        entityId,
+        action,
+        actorId,
+        field,
+        requestId,
+        dateFrom,
+        dateTo
+      } = options;
+
+      const filters = {};
+      if (entityType) filters.entityType = entityType;
+      if (entityId) filters.entityId = entityId;
+      if (action) filters.action = action;
+      if (actorId) filters.actorId = actorId;
+      if (field) filters.field = field;
+      if (requestId) filters.requestId = requestId;
+      if (dateFrom) filters.dateFrom = dateFrom;
+      if (dateTo) filters.dateTo = dateTo;
+
+      return await auditLogRepository.findAll(filters, page, limit);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get audit log', 500, 'GET_AUDIT_LOG_ERROR');
+    }
+  }
+
+  // Get a single audit entry (Admin)
+  async getAuditEntryById(id) {
+    try {
+      const entry = await auditLogRepository.findById(id);
+
+      if (!entry) {
+        throw new AppError('Audit entry not found', 404, 'AUDIT_ENTRY_NOT_FOUND');
+      }
+
+      return entry;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get audit entry', 500, 'GET_AUDIT_ENTRY_ERROR');
+    }
+  }
+
+  // Get entity types that have audit entries (Admin)
+  async getEntityTypes() {
+    try {
+      return await auditLogRepository.getEntityTypes();
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get audit entity types', 500, 'GET_AUDIT_LOG_ERROR');
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -1,9 +1,12 @@
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const authRepository = require('../repositories/authRepository');
+const sessionRepository = require('../repositories/sessionRepository');
 const jwtUtils = require('../utils/jwt');
 const passwordUtils = require('../utils/password');
+const permissionUtils = require('../utils/permissions');
 const emailService = require('./emailService');
+const twoFactorService = require('./twoFactorService');
 const { AppError } = require('../middleware/errorHandler');
 const { USER_STATUSES, SECURITY } = require('../utils/constants');
 
@@ -37,61 +40,183 @@ class AuthService {
         throw new AppError('Invalid credentials', 401, 'INVALID_CREDENTIALS');
       }
 
-      // Reset login attempts and update last login
-      await authRepository.updateLastLogin(user._id);
+      // An admin forced a reset (or the invitation was never accepted)
+      if (user.passwordResetRequired) {
+        throw new AppError('A password reset is required. Use the link sent to your email.', 403, 'PASSWORD_RESET_REQUIRED');
+      }
 
-      // Generate tokens
-      const tokens = jwtUtils.generateTokens({
-        id: user._id,
-        email: user.email,
-        role: user.role
-      });
+      // Second step required: enrolled users, or roles the site policy forces to enroll
+      const twoFactorSetupRequired = !user.twoFactorEnabled && await twoFactorService.isRequiredForUser(user);
 
-      // Return user data (password excluded by model transform)
-      return {
-        token: tokens.accessToken,
-        refreshToken: tokens.refreshToken,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          status: user.status,
-          emailVerified: user.emailVerified,
-          avatar: user.avatar,
-          preferences: user.preferences,
-          lastLogin: user.lastLogin
-        },
-        expiresIn: '24h'
-      };
+      if (user.twoFactorEnabled || twoFactorSetupRequired) {
+        return {
+          twoFactorRequired: true,
+          twoFactorSetupRequired,
+          pendingToken: jwtUtils.generateTwoFactorPendingToken(user._id, SECURITY.TWO_FACTOR_PENDING_EXPIRES_IN),
+          expiresIn: SECURITY.TWO_FACTOR_PENDING_EXPIRES_IN
+        };
+      }
+
+      return await this.completeLogin(user, { ipAddress, userAgent });
     } catch (error) {
       if (error instanceof AppError) throw error;
       throw new AppError('Login failed', 500, 'LOGIN_ERROR');
     }
   }
 
-  // Refresh access token
-  async refreshToken(userId) {
+  // Complete login with a TOTP or backup code
+  async verifyTwoFactorLogin(pendingToken, credentials, requestInfo = {}) {
     try {
-      const user = await authRepository.findById(userId);
-      
+      const user = await this.getPendingTwoFactorUser(pendingToken);
+
+      if (!user.twoFactorEnabled) {
+        throw new AppError('Two-factor setup is required before signing in', 400, 'TWO_FACTOR_SETUP_REQUIRED');
+      }
+
+      const isCodeValid = await twoFactorService.verifyCredentials(user, credentials);
+
+      if (!isCodeValid) {
+        await authRepository.incrementLoginAttempts(user._id);
+        throw new AppError('Invalid two-factor code', 401, 'INVALID_TWO_FACTOR_CODE');
+      }
+
+      return await this.completeLogin(user, requestInfo);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Two-factor verification failed', 500, 'TWO_FACTOR_LOGIN_ERROR');
+    }
+  }
+
+  // Start enrollment during login (policy requires 2FA but user has not enrolled)
+  async startTwoFactorSetup(pendingToken) {
+    try {
+      const user = await this.getPendingTwoFactorUser(pendingToken);
+      return await twoFactorService.startEnrollment(user._id);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to start two-factor setup', 500, 'TWO_FACTOR_ENROLL_ERROR');
+    }
+  }
+
+  // Confirm enrollment during login and sign in
+  async confirmTwoFactorSetup(pendingToken, code, requestInfo = {}) {
+    try {
+      const user = await this.getPendingTwoFactorUser(pendingToken);
+      const { backupCodes } = await twoFactorService.confirmEnrollment(user._id, code);
+      user.twoFactorEnabled = true;
+
+      const result = await this.completeLogin(user, requestInfo);
+
+      return { ...result, backupCodes };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to complete two-factor setup', 500, 'TWO_FACTOR_ENROLL_ERROR');
+    }
+  }
+
+  // Resolve the user behind a pending two-factor token
+  async getPendingTwoFactorUser(pendingToken) {
+    let decoded;
+    try {
+      decoded = jwtUtils.verifyPurposeToken(pendingToken, 'two_factor_login');
+    } catch (error) {
+      throw new AppError('Invalid or expired two-factor token', 401, 'INVALID_TWO_FACTOR_TOKEN');
+    }
+
+    const user = await authRepository.findByIdWithTwoFactor(decoded.userId);
+
+    if (!user) {
+      throw new AppError('Invalid or expired two-factor token', 401, 'INVALID_TWO_FACTOR_TOKEN');
+    }
+
+    if (user.isLocked) {
+      throw new AppError('Account is temporarily locked due to too many failed login attempts', 423, 'ACCOUNT_LOCKED');
+    }
+
+    if (user.status !== USER_STATUSES.ACTIVE) {
+      throw new AppError('Account is not active', 403, 'ACCOUNT_INACTIVE');
+    }
+
+    return user;
+  }
+
+  // Finish a successful login: reset attempts, open a session and return tokens
+  async completeLogin(user, requestInfo = {}) {
+    // Reset login attempts and update last login
+    await authRepository.updateLastLogin(user._id);
+
+    // Start a new device session and generate tokens
+    const tokens = await this.createSession(user, requestInfo);
+
+    // Return user data (password excluded by model transform)
+    return {
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      sessionId: tokens.sessionId,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        status: user.status,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        avatar: user.avatar,
+        preferences: user.preferences,
+        lastLogin: user.lastLogin
+      },
+      expiresIn: '24h'
+    };
+  }
+
+  // Refresh access token (rotates the refresh token)
+  async refreshToken(refreshToken, requestInfo = {}) {
+    try {
+      let decoded;
+      try {
+        decoded = jwtUtils.verifyRefreshToken(refreshToken);
+      } catch (error) {
+        throw new AppError('Invalid or expired refresh token', 401, 'INVALID_REFRESH_TOKEN');
+      }
+
+      if (!decoded.sid) {
+        throw new AppError('Invalid or expired refresh token', 401, 'INVALID_REFRESH_TOKEN');
+      }
+
+      const session = await sessionRepository.findByIdWithToken(decoded.sid);
+
+      if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        throw new AppError('Session has been revoked', 401, 'SESSION_REVOKED');
+      }
+
+      // A rotated-out token being replayed means it leaked: end every session for this user
+      const tokenHash = this.hashToken(refreshToken);
+      if (session.tokenHash !== tokenHash) {
+        return await this.handleTokenReuse(session.userId);
+      }
+
+      const user = await authRepository.findById(session.userId);
+
       if (!user) {
-        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+        await sessionRepository.revoke(session._id, 'user_revoked');
+        throw new AppError('User not found', 401, 'USER_NOT_FOUND');
       }
 
       if (user.status !== USER_STATUSES.ACTIVE) {
+        await sessionRepository.revoke(session._id, 'account_suspended');
         throw new AppError('Account is not active', 403, 'ACCOUNT_INACTIVE');
       }
 
-      // Generate new access token
-      const tokens = jwtUtils.generateTokens({
-        id: user._id,
-        email: user.email,
-        role: user.role
-      });
+      // Rotation only succeeds while the token is still current, so a concurrent
+      // refresh with the same token loses and is treated as reuse
+      const tokens = await this.issueTokens(user, session._id, requestInfo, tokenHash);
+      if (!tokens) {
+        return await this.handleTokenReuse(session.userId);
+      }
 
       return {
         token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
         expiresIn: '24h'
       };
     } catch (error) {
@@ -100,6 +225,118 @@ class AuthService {
     }
   }
 
+  // Revoke every session for a user whose refresh token was replayed (always throws)
+  async handleTokenReuse(userId) {
+    await sessionRepository.revokeAllForUser(userId, 'token_reuse');
+    throw new AppError('Refresh token has already been used', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  // Create a device session and issue its first token pair
+  async createSession(user, requestInfo = {}) {
+    const session = await sessionRepository.create({
+      userId: user._id,
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      // Replaced with the refresh token expiry once tokens are issued
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    const tokens = await this.issueTokens(user, session._id, requestInfo);
+
+    return { ...tokens, sessionId: session._id };
+  }
+
+  // Generate access/refresh tokens bound to a session and store the refresh token hash.
+  // When rotating (previousHash given), resolves to null if that token is no longer current
+  async issueTokens(user, sessionId, requestInfo = {}, previousHash = null) {
+    const accessToken = jwtUtils.generateAccessToken({
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId
+    });
+
+    const refreshToken = jwtUtils.generateRefreshToken({
+      id: user._id,
+      sid: sessionId,
+      jti: crypto.randomBytes(16).toString('hex')
+    });
+
+    const session = await sessionRepository.updateToken(
+      sessionId,
+      this.hashToken(refreshToken),
+      jwtUtils.getTokenExpiration(refreshToken),
+      requestInfo,
+      previousHash
+    );
+
+    if (!session && previousHash) return null;
+
+    return { accessToken, refreshToken };
+  }
+
+  // Hash refresh token for storage
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Get active sessions for current user
+  async getSessions(userId, currentSessionId = null) {
+    try {
+      const sessions = await sessionRepository.findActiveByUser(userId);
+
+      return sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+      }));
+    } catch (error) {
+      throw new AppError('Failed to get sessions', 500, 'GET_SESSIONS_ERROR');
+    }
+  }
+
+  // Revoke one of the current user's sessions
+  async revokeSession(userId, sessionId) {
+    try {
+      const session = await sessionRepository.findActiveById(sessionId);
+
+      if (!session || session.userId.toString() !== userId.toString()) {
+        throw new AppError('Session not found', 404, 'SESSION_NOT_FOUND');
+      }
+
+      await sessionRepository.revoke(session._id, 'user_revoked');
+
+      return { message: 'Session revoked successfully' };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to revoke session', 500, 'REVOKE_SESSION_ERROR');
+    }
+  }
+
+  // Revoke every session except the current one
+  async revokeOtherSessions(userId, currentSessionId) {
+    try {
+      const revokedCount = await sessionRepository.revokeAllForUser(userId, 'user_revoked', currentSessionId);
+
+      return { message: 'Other sessions revoked successfully', revokedCount };
+    } catch (error) {
+      throw new AppError('Failed to revoke sessions', 500, 'REVOKE_SESSION_ERROR');
+    }
+  }
+
+  // Revoke all sessions for a user (e.g. account suspension)
+  async revokeAllSessions(userId, reason = 'user_revoked') {
+    try {
+      return await sessionRepository.revokeAllForUser(userId, reason);
+    } catch (error) {
+      throw new AppError('Failed to revoke sessions', 500, 'REVOKE_SESSION_ERROR');
+    }
+  }
+
   // Register new user
   async register(userData) {
     try {
@@ -145,7 +382,7 @@ class AuthService {
   }
 
   // Change password
-  async changePassword(userId, currentPassword, newPassword) {
+  async changePassword(userId, currentPassword, newPassword, currentSessionId = null) {
     try {
       // Find user with password
       const user = await authRepository.findByIdWithPassword(userId);
@@ -178,6 +415,9 @@ class AuthService {
       // Update password
       await authRepository.updatePassword(userId, hashedNewPassword);
 
+      // Sign out every other device
+      await sessionRepository.revokeAllForUser(userId, 'password_change', currentSessionId);
+
       return { message: 'Password changed successfully' };
     } catch (error) {
       if (error instanceof AppError) throw error;
@@ -232,6 +472,17 @@ class AuthService {
       // Update password and clear reset token
       await authRepository.updatePassword(user._id, hashedPassword);
 
+      // Choosing a password through an invitation link accepts it and proves the email
+      if (user.invitation?.invitedAt && !user.invitation.acceptedAt) {
+        await authRepository.update(user._id, {
+          'invitation.acceptedAt': new Date(),
+          emailVerified: true
+        });
+      }
+
+      // Sign out every device
+      await sessionRepository.revokeAllForUser(user._id, 'password_reset');
+
       return { message: 'Password has been reset successfully' };
     } catch (error) {
       if (error instanceof AppError) throw error;
@@ -352,7 +603,7 @@ class AuthService {
         email: user.email,
         name: user.name,
         role: user.role,
-        permissions: user.permissions || []
+        permissions: permissionUtils.resolve(user)
       };
     } catch (error) {
       if (error instanceof AppError) throw error;
@@ -366,14 +617,18 @@ class AuthService {
     }
   }
 
-  // Logout (could implement token blacklisting here)
-  async logout(userId, token) {
+  // Logout (revokes the current session, or all sessions)
+  async logout(userId, sessionId, allDevices = false) {
     try {
       // Update last active time
       await authRepository.update(userId, { lastActive: new Date() });
-      
-      // In a production app, you might want to blacklist the token
-      // For now, we'll just return success
+
+      if (allDevices) {
+        await sessionRepository.revokeAllForUser(userId, 'logout_all');
+      } else if (sessionId) {
+        await sessionRepository.revoke(sessionId, 'logout');
+      }
+
       return { message: 'Logged out successfully' };
     } catch (error) {
       throw new AppError('Logout failed', 500, 'LOGOUT_ERROR');
@@ -40,6 +40,8 @@ class BlogService {
         postData.gallery = galleryData;
       }
 
+      this.applySchedule(postData);
+
       // Set audit fields
       postData.createdBy = userId;
       postData.updatedBy = userId;
@@ -262,6 +264,8 @@ class BlogService {
         }
       }
 
+      this.applySchedule(updateData);
+
       // Set updater
       updateData.updatedBy = userId;
       
@@ -282,6 +286,43 @@ class BlogService {
     }
   }
 
+  // A post scheduled for later stays a draft until the publishing job makes it live
+  applySchedule(data) {
+    if (data.scheduledAt && new Date(data.scheduledAt) > new Date()) {
+      data.status = 'draft';
+    }
+    return data;
+  }
+
+  // Publish drafts whose scheduled time has passed and archive posts past their unpublish time
+  async publishScheduledPosts(now = new Date()) {
+    try {
+      const dueForPublishing = await blogRepository.findDueForPublishing(now);
+      const published = dueForPublishing.length
+        ? await blogRepository.publishScheduled(dueForPublishing.map(post => post._id), now)
+        : 0;
+
+      const dueForUnpublishing = await blogRepository.findDueForUnpublishing(now);
+      const unpublished = dueForUnpublishing.length
+        ? await blogRepository.unpublishScheduled(dueForUnpublishing.map(post => post._id), now)
+        : 0;
+
+      const categoryIds = new Set(
+        [...dueForPublishing, ...dueForUnpublishing]
+          .filter(post => post.categoryId)
+          .map(post => post.categoryId.toString())
+      );
+      for (const categoryId of categoryIds) {
+        await blogCategoryRepository.updateCounters(categoryId);
+      }
+
+      return { published, unpublished, categoriesUpdated: categoryIds.size };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to publish scheduled blog posts', 500, 'BLOG_SCHEDULED_PUBLISHING_ERROR');
+    }
+  }
+
   // Delete blog post
   async deletePost(id, userId) {
     try {
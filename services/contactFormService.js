@@ -0,0 +1,188 @@
+const staticPageRepository = require('../repositories/staticPageRepository');
+const contactSubmissionRepository = require('../repositories/contactSubmissionRepository');
+const emailService = require('./emailService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Per-type limits for submitted values
+const FIELD_MAX_LENGTHS = {
+  text: 500,
+  email: 254,
+  tel: 30,
+  select: 200,
+  textarea: 5000
+};
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+const TEL_PATTERN = /^\+?[0-9\s().-]{6,30}$/;
+
+class ContactFormService {
+  // Submit contact form for a page (Public)
+  async submitContactForm(slug, payload = {}, requestInfo = {}) {
+    try {
+      const { ipAddress, userAgent, referrer, utmParams } = requestInfo;
+
+      const page = await staticPageRepository.findActiveBySlug(slug);
+      if (!page) {
+        throw new AppError('Page not found', 404, 'PAGE_NOT_FOUND');
+      }
+
+      const contactForm = page.contactForm;
+      if (!contactForm?.enabled || !contactForm.fields?.length) {
+        throw new AppError('This page does not accept contact form submissions', 400, 'CONTACT_FORM_DISABLED');
+      }
+
+      const fields = this.validateSubmission(contactForm.fields, payload);
+
+      const emailField = contactForm.fields.find(field => field.type === 'email' && fields[field.name]);
+
+      const submission = await contactSubmissionRepository.create({
+        pageId: page._id,
+        pageSlug: page.slug,
+        fields,
+        email: emailField ? fields[emailField.name] : undefined,
+        emailTo: contactForm.emailTo,
+        source: {
+          referrer,
+          userAgent,
+          ipAddress,
+          utmParameters: utmParams
+        }
+      });
+
+      await this.sendSubmissionEmail(page, submission);
+
+      return {
+        submission,
+        thankYouMessage: contactForm.thankYouMessage || 'Thank you for contacting us. We will get back to you soon.'
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to submit contact form', 500, 'CONTACT_SUBMISSION_ERROR');
+    }
+  }
+
+  // Validate payload against the page's field definitions
+  validateSubmission(fieldDefinitions, payload) {
+    const errors = [];
+    const values = {};
+
+    fieldDefinitions.forEach(field => {
+      if (!field.name) return;
+
+      const rawValue = payload[field.name];
+      const value = rawValue === undefined || rawValue === null ? '' : String(rawValue).trim();
+      const label = field.name;
+
+      if (!value) {
+        if (field.required) {
+          errors.push({ field: field.name, message: `${label} is required` });
+        }
+        return;
+      }
+
+      const type = field.type || 'text';
+      const maxLength = FIELD_MAX_LENGTHS[type] || FIELD_MAX_LENGTHS.text;
+
+      if (value.length > maxLength) {
+        errors.push({ field: field.name, message: `${label} cannot be more than ${maxLength} characters` });
+        return;
+      }
+
+      if (type === 'email' && !EMAIL_PATTERN.test(value)) {
+        errors.push({ field: field.name, message: `${label} must be a valid email address` });
+        return;
+      }
+
+      if (type === 'tel' && !TEL_PATTERN.test(value)) {
+        errors.push({ field: field.name, message: `${label} must be a valid phone number` });
+        return;
+      }
+
+      if (type === 'select' && !(field.options || []).includes(value)) {
+        errors.push({ field: field.name, message: `${label} must be one of: ${(field.options || []).join(', ')}` });
+        return;
+      }
+
+      values[field.name] = type === 'email' ? value.toLowerCase() : value;
+    });
+
+    if (errors.length) {
+      throw new AppError('Invalid input data', 400, 'VALIDATION_ERROR', errors);
+    }
+
+    return values;
+  }
+
+  // Get contact submissions (Admin)
+  async getSubmissions(options = {}) {
+    try {
+      const { page = 1, limit = 20, pageId, status, email, dateFrom, dateTo } = options;
+
+      const filters = {};
+      if (pageId) filters.pageId = pageId;
+      if (status) filters.status = status;
+      if (email) filters.email = email;
+      if (dateFrom) filters.dateFrom = dateFrom;
+      if (dateTo) filters.dateTo = dateTo;
+
+      return await contactSubmissionRepository.findAll(filters, page, limit, true);
+    } catch (error) {
+      throw new AppError('Failed to get contact submissions', 500, 'GET_SUBMISSIONS_ERROR');
+    }
+  }
+
+  // Get contact submission by ID (Admin)
+  async getSubmissionById(id) {
+    try {
+      const submission = await contactSubmissionRepository.findById(id, true);
+
+      if (!submission) {
+        throw new AppError('Contact submission not found', 404, 'SUBMISSION_NOT_FOUND');
+      }
+
+      return submission;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get contact submission', 500, 'GET_SUBMISSION_ERROR');
+    }
+  }
+
+  // Update contact submission status (Admin)
+  async updateSubmissionStatus(id, status) {
+    try {
+      return await contactSubmissionRepository.update(id, { status });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to update contact submission', 500, 'UPDATE_SUBMISSION_ERROR');
+    }
+  }
+
+  // Delete contact submission (Admin)
+  async deleteSubmission(id) {
+    try {
+      return await contactSubmissionRepository.delete(id);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete contact submission', 500, 'DELETE_SUBMISSION_ERROR');
+    }
+  }
+
+  // Email the submission to the page's recipient
+  async sendSubmissionEmail(page, submission) {
+    try {
+      if (!emailService.isConfigured()) return;
+
+      const sent = await emailService.sendContactFormSubmission(page, submission);
+
+      if (sent) {
+        await contactSubmissionRepository.update(submission._id, { emailSent: true });
+        submission.emailSent = true;
+      }
+    } catch (error) {
+      console.error('Error sending contact form email:', error);
+      // Don't throw error as this is not critical for submission
+    }
+  }
+}
+
+module.exports = new ContactFormService();
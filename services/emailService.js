@@ -1,5 +1,6 @@
 const nodemailer = require('nodemailer');
 const emailConfig = require('../config/email');
+const SiteSettings = require('../models/SiteSettings');
 
 class EmailService {
   constructor() {
@@ -13,6 +14,47 @@ class EmailService {
     return !!(process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS);
   }
 
+  // Resolve sender identity from site settings, falling back to env config
+  async getSenderOptions() {
+    try {
+      const settings = await SiteSettings.getInstance();
+      const emailSettings = settings.email || {};
+
+      return {
+        from: {
+          name: emailSettings.fromName || this.defaultOptions.from.name,
+          address: emailSettings.fromEmail || this.defaultOptions.from.address
+        },
+        replyTo: emailSettings.replyTo || this.defaultOptions.replyTo
+      };
+    } catch (error) {
+      console.warn('Could not load email settings, using defaults:', error.message);
+      return this.defaultOptions;
+    }
+  }
+
+  // Check a notification toggle (newLead, newPartner, newBlogComment) in site settings
+  async isNotificationEnabled(type) {
+    try {
+      const settings = await SiteSettings.getInstance();
+      const enabled = settings.email?.notifications?.[type];
+      return enabled !== false;
+    } catch (error) {
+      console.warn('Could not load email notification settings:', error.message);
+      return true;
+    }
+  }
+
+  // Send mail with sender identity resolved at send time
+  async sendMail(mailOptions) {
+    const senderOptions = await this.getSenderOptions();
+
+    return this.transporter.sendMail({
+      ...senderOptions,
+      ...mailOptions
+    });
+  }
+
   // Send email verification
   async sendEmailVerification(email, name, token) {
     if (!this.isConfigured()) {
@@ -23,7 +65,6 @@ class EmailService {
     const verificationUrl = `${process.env.FRONTEND_URL}/verify-email/${token}`;
 
     const mailOptions = {
-      ...this.defaultOptions,
       to: email,
       subject: 'Verify Your Email - Perks Marketplace',
       html: `
@@ -48,7 +89,7 @@ class EmailService {
     };
 
     try {
-      await this.transporter.sendMail(mailOptions);
+      await this.sendMail(mailOptions);
       console.log(`Email verification sent to ${email}`);
     } catch (error) {
       console.error('Error sending email verification:', error);
@@ -66,7 +107,6 @@ class EmailService {
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${token}`;
 
     const mailOptions = {
-      ...this.defaultOptions,
       to: email,
       subject: 'Password Reset Request - Perks Marketplace',
       html: `
@@ -92,7 +132,7 @@ class EmailService {
     };
 
     try {
-      await this.transporter.sendMail(mailOptions);
+      await this.sendMail(mailOptions);
       console.log(`Password reset email sent to ${email}`);
     } catch (error) {
       console.error('Error sending password reset email:', error);
@@ -100,6 +140,184 @@ class EmailService {
     }
   }
 
+  // Send staff invitation with a set-password link
+  async sendUserInvitation(email, name, token, inviterName, role) {
+    if (!this.isConfigured()) {
+      console.log('Email service not configured, skipping user invitation email');
+      return false;
+    }
+
+    // The frontend page posts the new password to /auth/reset-password
+    const setPasswordUrl = `${process.env.FRONTEND_URL}/set-password/${token}`;
+    const roleLabel = role.replace(/_/g, ' ');
+
+    const mailOptions = {
+      to: email,
+      subject: this.templates.userInvitation.subject,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>You're invited!</h2>
+          <p>Hello ${this.escapeHtml(name)},</p>
+          <p>${this.escapeHtml(inviterName)} has invited you to join the Perks Marketplace admin as a <strong>${this.escapeHtml(roleLabel)}</strong>.</p>
+          <p>Click the button below to choose your password and activate your account:</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${setPasswordUrl}" 
+               style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Set Your Password
+            </a>
+          </div>
+          <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+          <p><a href="${setPasswordUrl}">${setPasswordUrl}</a></p>
+          <p>This invitation will expire in 7 days.</p>
+        </div>
+      `
+    };
+
+    try {
+      await this.sendMail(mailOptions);
+      console.log(`User invitation sent to ${email}`);
+      return true;
+    } catch (error) {
+      console.error('Error sending user invitation email:', error);
+      return false;
+    }
+  }
+
+  // Send admin-initiated password reset email
+  async sendAdminPasswordReset(email, name, token) {
+    if (!this.isConfigured()) {
+      console.log('Email service not configured, skipping admin password reset email');
+      return false;
+    }
+
+    const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${token}`;
+
+    const mailOptions = {
+      to: email,
+      subject: `${this.templates.adminPasswordReset.subject} - Perks Marketplace`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Password Reset Required</h2>
+          <p>Hello ${this.escapeHtml(name)},</p>
+          <p>An administrator has required you to reset your password. You have been signed out of all devices and cannot sign in until a new password is set.</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${resetUrl}" 
+               style="background-color: #dc3545; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Reset Password
+            </a>
+          </div>
+          <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+          <p><a href="${resetUrl}">${resetUrl}</a></p>
+          <p>This link will expire in 24 hours.</p>
+        </div>
+      `
+    };
+
+    try {
+      await this.sendMail(mailOptions);
+      console.log(`Admin password reset email sent to ${email}`);
+      return true;
+    } catch (error) {
+      console.error('Error sending admin password reset email:', error);
+      return false;
+    }
+  }
+
+  // Warn the vendor that their perk is about to expire
+  async sendPerkExpiryWarning(perk, expiresAt) {
+    if (!this.isConfigured()) {
+      console.log('Email service not configured, skipping perk expiry warning');
+      return false;
+    }
+
+    const daysLeft = Math.max(0, Math.ceil((new Date(expiresAt) - Date.now()) / (24 * 60 * 60 * 1000)));
+
+    const mailOptions = {
+      to: perk.vendor.email,
+      subject: `${this.templates.perkExpiryWarning.subject} - Perks Marketplace`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>Your perk is expiring soon</h2>
+          <p>Hello ${this.escapeHtml(perk.vendor.name)},</p>
+          <p>Your perk <strong>${this.escapeHtml(perk.title)}</strong> expires on
+            <strong>${new Date(expiresAt).toDateString()}</strong> (${daysLeft} day${daysLeft === 1 ? '' : 's'} from now).</p>
+          <p>After that date it will be taken off the marketplace automatically. If you'd like to extend the offer,
+            reply to this email or update the end date in your client portal.</p>
+        </div>
+      `
+    };
+
+    try {
+      await this.sendMail(mailOptions);
+      console.log(`Perk expiry warning sent to ${perk.vendor.email}`);
+      return true;
+    } catch (error) {
+      console.error('Error sending perk expiry warning:', error);
+      return false;
+    }
+  }
+
+  // Notify the owning client that their perk moved through review
+  async sendPerkWorkflowUpdate(perk, recipient, event) {
+    if (!this.isConfigured()) {
+      console.log('Email service not configured, skipping perk workflow update');
+      return false;
+    }
+
+    const messages = {
+      draft: 'has been moved back to draft. You can keep editing it and submit it for review when it is ready.',
+      submitted: 'has been submitted for review. We will let you know once an editor has looked at it.',
+      needs_revision: 'needs a few changes before it can be approved. Please review the comments below, update the perk and submit it again.',
+      approved: 'has been approved. It will go live once our team publishes it.',
+      scheduled: 'has been approved and is scheduled to go live on',
+      published: 'is now live on the marketplace.',
+      rejected: 'was not approved.',
+      unpublished: 'has been taken off the marketplace. It stays approved and can be published again.'
+    };
+
+    const publishAt = perk.getPublishAt();
+    let message = messages[event.to];
+    if (event.action === 'unpublish') {
+      message = messages.unpublished;
+    } else if (event.to === 'scheduled' && publishAt) {
+      message = `${messages.scheduled} <strong>${new Date(publishAt).toUTCString()}</strong>.`;
+    }
+    const heading = event.changesOnly
+      ? 'Your proposed changes have been reviewed'
+      : 'Your perk has been updated';
+    const changesNote = event.changesOnly
+      ? `<p>Your proposed changes were ${event.action === 'approve' ? 'approved and are now applied' : 'not applied'}.</p>`
+      : `<p>Your perk <strong>${this.escapeHtml(perk.title)}</strong> ${message}</p>`;
+
+    const mailOptions = {
+      to: recipient.email,
+      subject: `${this.templates.perkWorkflowUpdate.subject}: ${perk.title} - Perks Marketplace`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2>${heading}</h2>
+          <p>Hello ${this.escapeHtml(recipient.name)},</p>
+          ${changesNote}
+          ${event.comments ? `
+            <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p><strong>Reviewer comments:</strong></p>
+              <p>${this.escapeHtml(event.comments).replace(/\n/g, '<br>')}</p>
+            </div>
+          ` : ''}
+          <p>You can follow the status of your perks in your client portal.</p>
+        </div>
+      `
+    };
+
+    try {
+      await this.sendMail(mailOptions);
+      console.log(`Perk workflow update sent to ${recipient.email}`);
+      return true;
+    } catch (error) {
+      console.error('Error sending perk workflow update:', error);
+      return false;
+    }
+  }
+
   // Send welcome email (after email verification)
   async sendWelcomeEmail(email, name) {
     if (!this.isConfigured()) {
@@ -107,7 +325,6 @@ class EmailService {
     }
 
     const mailOptions = {
-      ...this.defaultOptions,
       to: email,
       subject: 'Welcome to Perks Marketplace!',
       html: `
@@ -128,7 +345,7 @@ class EmailService {
     };
 
     try {
-      await this.transporter.sendMail(mailOptions);
+      await this.sendMail(mailOptions);
     } catch (error) {
       console.error('Error sending welcome email:', error);
     }
@@ -143,10 +360,14 @@ class EmailService {
       return;
     }
 
+    if (!(await this.isNotificationEnabled('newLead'))) {
+      console.log('New lead notifications disabled in site settings, skipping lead notification');
+      return;
+    }
+
     const adminEmails = process.env.ADMIN_EMAILS ? process.env.ADMIN_EMAILS.split(',') : ['admin@perksmarketplace.com'];
 
     const mailOptions = {
-      ...this.defaultOptions,
       to: adminEmails,
       subject: `New Lead Submission - ${lead.name}`,
       html: `
@@ -199,7 +420,7 @@ class EmailService {
     };
 
     try {
-      await this.transporter.sendMail(mailOptions);
+      await this.sendMail(mailOptions);
       console.log(`Lead notification sent for lead ${lead._id}`);
     } catch (error) {
       console.error('Error sending lead notification:', error);
@@ -214,7 +435,6 @@ class EmailService {
     }
 
     const mailOptions = {
-      ...this.defaultOptions,
       to: lead.email,
       subject: 'Thank you for your interest - Perks Marketplace',
       html: `
@@ -259,7 +479,7 @@ class EmailService {
     };
 
     try {
-      await this.transporter.sendMail(mailOptions);
+      await this.sendMail(mailOptions);
       console.log(`Lead confirmation sent to ${lead.email}`);
     } catch (error) {
       console.error('Error sending lead confirmation:', error);
@@ -273,7 +493,6 @@ class EmailService {
     }
 
     const mailOptions = {
-      ...this.defaultOptions,
       to: assignee.email,
       subject: `Lead Assigned: ${lead.name} - ${lead.company?.name || 'Individual'}`,
       html: `
@@ -313,7 +532,7 @@ class EmailService {
     };
 
     try {
-      await this.transporter.sendMail(mailOptions);
+      await this.sendMail(mailOptions);
       console.log(`Lead assignment notification sent to ${assignee.email}`);
     } catch (error) {
       console.error('Error sending lead assignment notification:', error);
@@ -329,7 +548,6 @@ class EmailService {
     const adminEmails = process.env.ADMIN_EMAILS ? process.env.ADMIN_EMAILS.split(',') : ['admin@perksmarketplace.com'];
 
     const mailOptions = {
-      ...this.defaultOptions,
       to: adminEmails,
       subject: `🎉 Lead Converted: ${lead.name} - ${lead.conversionValue ? `$${lead.conversionValue}` : 'Success!'}`,
       html: `
@@ -365,7 +583,7 @@ class EmailService {
     };
 
     try {
-      await this.transporter.sendMail(mailOptions);
+      await this.sendMail(mailOptions);
       console.log(`Lead conversion notification sent for lead ${lead._id}`);
     } catch (error) {
       console.error('Error sending lead conversion notification:', error);
@@ -379,7 +597,6 @@ class EmailService {
     }
 
     const mailOptions = {
-      ...this.defaultOptions,
       to: assignee.email,
       subject: `⏰ Follow-up Reminder - ${leads.length} lead${leads.length > 1 ? 's' : ''} need${leads.length === 1 ? 's' : ''} attention`,
       html: `
@@ -410,13 +627,160 @@ class EmailService {
     };
 
     try {
-      await this.transporter.sendMail(mailOptions);
+      await this.sendMail(mailOptions);
       console.log(`Follow-up reminder sent to ${assignee.email} for ${leads.length} leads`);
     } catch (error) {
       console.error('Error sending follow-up reminder:', error);
     }
   }
 
+  // Send partner submission notification to admin team
+  async sendPartnerSubmissionNotification(partner) {
+    if (!this.isConfigured()) {
+      console.log('Email service not configured, skipping partner submission notification');
+      return;
+    }
+
+    if (!(await this.isNotificationEnabled('newPartner'))) {
+      console.log('New partner notifications disabled in site settings, skipping partner submission notification');
+      return;
+    }
+
+    const adminEmails = process.env.ADMIN_EMAILS ? process.env.ADMIN_EMAILS.split(',') : ['admin@perksmarketplace.com'];
+
+    const mailOptions = {
+      to: adminEmails,
+      // Form input, so keep it to one line in the subject and escape it in the body
+      subject: `${this.templates.partnerSubmission.subject} - ${String(partner.companyName).replace(/\s+/g, ' ')}`,
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>🤝 New Partner Application</h2>
+
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3>Partner Information</h3>
+          <p><strong>Name:</strong> ${this.escapeHtml(partner.name)}</p>
+          <p><strong>Company:</strong> ${this.escapeHtml(partner.companyName)}</p>
+          <p><strong>Email:</strong> ${this.escapeHtml(partner.email)}</p>
+          <p><strong>Offer Type:</strong> ${this.escapeHtml(partner.offerType)}</p>
+        </div>
+
+        <div style="background-color: #fff3e0; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3>Offer Description</h3>
+          <p>${this.escapeHtml(partner.shortDescription)}</p>
+        </div>
+
+        ${partner.logo?.url ? `<p><img src="${this.escapeHtml(partner.logo.url)}" alt="${this.escapeHtml(partner.companyName)}" style="max-width: 150px;"></p>` : ''}
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.ADMIN_URL}/partners/${this.escapeHtml(partner._id)}"
+             style="background-color: #007bff; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Review Application
+          </a>
+        </div>
+      </div>
+    `
+    };
+
+    try {
+      await this.sendMail(mailOptions);
+      console.log(`Partner submission notification sent for partner ${partner._id}`);
+    } catch (error) {
+      console.error('Error sending partner submission notification:', error);
+    }
+  }
+
+  // Send approval email to partner
+  async sendPartnerApproval(partner) {
+    if (!this.isConfigured()) {
+      return;
+    }
+
+    const mailOptions = {
+      to: partner.email,
+      subject: this.templates.partnerApproval.subject,
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Welcome aboard, ${partner.name}!</h2>
+
+        <p>Great news — your partnership application for <strong>${partner.companyName}</strong> has been approved.</p>
+
+        <div style="background-color: #d4edda; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #28a745;">
+          <h3>What happens next?</h3>
+          <ul>
+            <li>Our editors will prepare your perk listing</li>
+            <li>We'll reach out if we need any additional details or assets</li>
+            <li>You'll be notified once your perk goes live</li>
+          </ul>
+        </div>
+
+        <p>If you have any questions, feel free to reply to this email.</p>
+      </div>
+    `
+    };
+
+    try {
+      await this.sendMail(mailOptions);
+      console.log(`Partner approval email sent to ${partner.email}`);
+    } catch (error) {
+      console.error('Error sending partner approval email:', error);
+    }
+  }
+
+  async sendContactFormSubmission(page, submission) {
+    if (!this.isConfigured()) {
+      console.log('Email service not configured, skipping contact form submission email');
+      return false;
+    }
+
+    const recipients = page.contactForm?.emailTo
+      ? page.contactForm.emailTo.split(',').map(email => email.trim())
+      : (process.env.ADMIN_EMAILS ? process.env.ADMIN_EMAILS.split(',') : ['admin@perksmarketplace.com']);
+
+    const fieldRows = Array.from(submission.fields.entries())
+      .map(([name, value]) => `<p><strong>${this.escapeHtml(name)}:</strong> ${this.escapeHtml(value).replace(/\n/g, '<br>')}</p>`)
+      .join('');
+
+    const mailOptions = {
+      to: recipients,
+      subject: `${this.templates.contactSubmission.subject} - ${page.title}`,
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>✉️ New Contact Form Submission</h2>
+        <p>A visitor submitted the contact form on <strong>${this.escapeHtml(page.title)}</strong> (/${page.slug}).</p>
+
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          ${fieldRows}
+        </div>
+
+        <p style="color: #666; font-size: 12px;">Submitted ${submission.createdAt.toISOString()}</p>
+      </div>
+    `
+    };
+
+    if (submission.email) {
+      mailOptions.replyTo = submission.email;
+    }
+
+    try {
+      await this.sendMail(mailOptions);
+      console.log(`Contact form submission ${submission._id} sent to ${recipients.join(', ')}`);
+      return true;
+    } catch (error) {
+      console.error('Error sending contact form submission email:', error);
+      return false;
+    }
+  }
+
+  // Escape user-provided values before placing them in email HTML
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
 }
 
 module.exports = new EmailService();
\ No newline at end of file
@@ -0,0 +1,339 @@
+const partnerRepository = require('../repositories/partnerRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const uploadService = require('./uploadService');
+const emailService = require('./emailService');
+const perkService = require('./perkService');
+const { AppError } = require('../middleware/errorHandler');
+const { PARTNER_STATUSES, OFFER_TYPE_CATEGORY_SLUGS } = require('../utils/constants');
+
+class PartnerService {
+  // Submit new partner application (public form submission)
+  async submitPartner(partnerData, requestInfo = {}, logoFile = null) {
+    try {
+      const { ipAddress, userAgent, referrer, utmParams } = requestInfo;
+
+      // Prevent duplicate pending applications from the same email
+      const existingSubmission = await partnerRepository.findPendingByEmail(partnerData.email);
+      if (existingSubmission) {
+        throw new AppError(
+          'An application with this email address is already pending review',
+          409,
+          'DUPLICATE_SUBMISSION'
+        );
+      }
+
+      // Handle logo upload
+      if (logoFile) {
+        partnerData.logo = await this.processLogoUpload(logoFile);
+      }
+
+      const partner = await partnerRepository.create({
+        name: partnerData.name,
+        companyName: partnerData.companyName,
+        email: partnerData.email,
+        offerType: partnerData.offerType,
+        shortDescription: partnerData.shortDescription,
+        logo: partnerData.logo,
+        status: PARTNER_STATUSES.PENDING,
+        source: {
+          referrer,
+          userAgent,
+          ipAddress,
+          utmParameters: utmParams
+        }
+      });
+
+      // Notify admin team
+      await this.sendSubmissionNotification(partner);
+
+      return partner;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to submit partner application', 500, 'SUBMIT_PARTNER_ERROR');
+    }
+  }
+
+  // Process logo upload
+  async processLogoUpload(logoFile) {
+    try {
+      const validation = uploadService.validateFile(logoFile, 1048576, ['image/jpeg', 'image/png', 'image/webp']);
+      if (!validation.valid) {
+        throw new AppError(`Logo validation failed: ${validation.errors.join(', ')}`, 400, 'INVALID_IMAGE');
+      }
+
+      const uploadResult = await uploadService.processSingleUpload(logoFile, 'partners', 'logo');
+
+      if (!uploadResult.success) {
+        throw new AppError('Failed to upload logo', 500, 'UPLOAD_FAILED');
+      }
+
+      const { url, publicId } = uploadResult.data;
+
+      return {
+        url,
+        publicId,
+        filename: logoFile.originalname
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to process logo upload', 500, 'IMAGE_PROCESSING_ERROR');
+    }
+  }
+
+  // Get partner submission by ID (Admin)
+  async getPartnerById(id) {
+    try {
+      const partner = await partnerRepository.findById(id, true);
+
+      if (!partner) {
+        throw new AppError('Partner submission not found', 404, 'PARTNER_NOT_FOUND');
+      }
+
+      return partner;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get partner submission', 500, 'GET_PARTNER_ERROR');
+    }
+  }
+
+  // Get all partner submissions (Admin)
+  async getPartners(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status,
+        offerType,
+        email,
+        dateFrom,
+        dateTo,
+        search,
+        sortBy
+      } = options;
+
+      const filters = {};
+      if (status) filters.status = status;
+      if (offerType) filters.offerType = offerType;
+      if (email) filters.email = email;
+      if (dateFrom) filters.dateFrom = dateFrom;
+      if (dateTo) filters.dateTo = dateTo;
+      if (search) filters.search = search;
+      if (sortBy) filters.sortBy = sortBy;
+
+      return await partnerRepository.findAll(filters, page, limit, true);
+    } catch (error) {
+      throw new AppError('Failed to get partner submissions', 500, 'GET_PARTNERS_ERROR');
+    }
+  }
+
+  // Get pending partner submissions (Admin)
+  async getPendingPartners() {
+    try {
+      return await partnerRepository.findPending();
+    } catch (error) {
+      throw new AppError('Failed to get pending partner submissions', 500, 'GET_PENDING_PARTNERS_ERROR');
+    }
+  }
+
+  // Record review notes without changing status (Admin)
+  async reviewPartner(id, adminNotes, reviewerId) {
+    try {
+      const partner = await partnerRepository.findById(id);
+      if (!partner) {
+        throw new AppError('Partner submission not found', 404, 'PARTNER_NOT_FOUND');
+      }
+
+      return await partnerRepository.update(id, {
+        adminNotes,
+        reviewedBy: reviewerId,
+        reviewedAt: new Date()
+      });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to review partner submission', 500, 'REVIEW_PARTNER_ERROR');
+    }
+  }
+
+  // Approve partner submission (Admin)
+  async approvePartner(id, reviewerId, notes = null) {
+    try {
+      const partner = await partnerRepository.findById(id);
+      if (!partner) {
+        throw new AppError('Partner submission not found', 404, 'PARTNER_NOT_FOUND');
+      }
+
+      if (partner.status !== PARTNER_STATUSES.PENDING) {
+        throw new AppError(`Cannot approve a submission that is ${partner.status}`, 400, 'INVALID_PARTNER_STATUS');
+      }
+
+      const approvedPartner = await partnerRepository.approve(id, reviewerId, notes);
+
+      // Let the partner know
+      if (emailService.isConfigured()) {
+        await emailService.sendPartnerApproval(approvedPartner);
+      }
+
+      return approvedPartner;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to approve partner submission', 500, 'APPROVE_PARTNER_ERROR');
+    }
+  }
+
+  // Reject partner submission (Admin)
+  async rejectPartner(id, reviewerId, notes = null) {
+    try {
+      const partner = await partnerRepository.findById(id);
+      if (!partner) {
+        throw new AppError('Partner submission not found', 404, 'PARTNER_NOT_FOUND');
+      }
+
+      if (partner.status !== PARTNER_STATUSES.PENDING) {
+        throw new AppError(`Cannot reject a submission that is ${partner.status}`, 400, 'INVALID_PARTNER_STATUS');
+      }
+
+      return await partnerRepository.reject(id, reviewerId, notes);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to reject partner submission', 500, 'REJECT_PARTNER_ERROR');
+    }
+  }
+
+  // Convert approved partner submission into a draft perk (Admin)
+  async convertToPerk(id, overrides = {}, userId) {
+    try {
+      const partner = await partnerRepository.findById(id);
+      if (!partner) {
+        throw new AppError('Partner submission not found', 404, 'PARTNER_NOT_FOUND');
+      }
+
+      if (partner.status === PARTNER_STATUSES.CONVERTED) {
+        throw new AppError('Partner submission has already been converted to a perk', 409, 'PARTNER_ALREADY_CONVERTED');
+      }
+
+      if (partner.status !== PARTNER_STATUSES.APPROVED) {
+        throw new AppError('Only approved partner submissions can be converted', 400, 'INVALID_PARTNER_STATUS');
+      }
+
+      const categoryId = overrides.categoryId || await this.resolveCategoryForOfferType(partner.offerType);
+
+      const perkData = {
+        title: overrides.title || `${partner.companyName} Exclusive Offer`,
+        shortDescription: overrides.shortDescription || partner.shortDescription.substring(0, 300),
+        categoryId,
+        vendor: {
+          name: partner.companyName,
+          email: partner.email,
+          description: partner.shortDescription.substring(0, 500),
+          ...(overrides.vendor || {})
+        },
+        value: overrides.value || 'To be confirmed',
+        redemption: {
+          type: 'email',
+          instructions: `Contact ${partner.companyName} at ${partner.email} to redeem this offer.`,
+          ...(overrides.redemption || {})
+        },
+        tags: overrides.tags,
+        status: 'draft',
+        isVisible: false,
+        sourcePartnerId: partner._id
+      };
+
+      // Re-use the partner logo (same Cloudinary asset)
+      if (partner.logo?.publicId) {
+        const thumbnailResult = uploadService.generateThumbnail(partner.logo.publicId, 300, 300);
+        perkData.vendor.logo = {
+          url: partner.logo.url,
+          publicId: partner.logo.publicId,
+          thumbnailUrl: thumbnailResult.data.url,
+          uploadedAt: partner.createdAt
+        };
+      }
+
+      // Claim the submission first so a repeated or concurrent request cannot create a second perk
+      const claimed = await partnerRepository.claimForConversion(id);
+      if (!claimed) {
+        throw new AppError('Partner submission has already been converted to a perk', 409, 'PARTNER_ALREADY_CONVERTED');
+      }
+
+      let perk;
+      try {
+        perk = await perkService.createPerk(perkData, userId);
+      } catch (error) {
+        await partnerRepository.releaseConversion(id);
+        throw error;
+      }
+
+      // Link the submission to the new perk
+      const convertedPartner = await partnerRepository.markConverted(id, perk._id, userId);
+
+      return { perk, partner: convertedPartner };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to convert partner submission to perk', 500, 'CONVERT_PARTNER_ERROR');
+    }
+  }
+
+  // Resolve default category for a partner offer type
+  async resolveCategoryForOfferType(offerType) {
+    const slug = OFFER_TYPE_CATEGORY_SLUGS[offerType];
+    const category = slug ? await categoryRepository.findBySlug(slug) : null;
+
+    if (!category) {
+      throw new AppError(
+        `No category found for offer type "${offerType}". Provide a categoryId to convert this submission.`,
+        400,
+        'CATEGORY_NOT_FOUND'
+      );
+    }
+
+    return category._id;
+  }
+
+  // Delete partner submission (Admin)
+  async deletePartner(id) {
+    try {
+      const partner = await partnerRepository.findById(id);
+      if (!partner) {
+        throw new AppError('Partner submission not found', 404, 'PARTNER_NOT_FOUND');
+      }
+
+      // Delete logo from Cloudinary (unless a converted perk still uses it)
+      if (partner.logo?.publicId && !partner.convertedToPerkId) {
+        try {
+          await uploadService.deleteSingleImage(partner.logo.publicId);
+        } catch (error) {
+          console.warn('Failed to delete partner logo:', error.message);
+        }
+      }
+
+      return await partnerRepository.delete(id);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete partner submission', 500, 'DELETE_PARTNER_ERROR');
+    }
+  }
+
+  // Get partner submission statistics (Admin)
+  async getPartnerStats() {
+    try {
+      return await partnerRepository.getStats();
+    } catch (error) {
+      throw new AppError('Failed to get partner statistics', 500, 'GET_PARTNER_STATS_ERROR');
+    }
+  }
+
+  // Send submission notification to admin team
+  async sendSubmissionNotification(partner) {
+    try {
+      if (!emailService.isConfigured()) return;
+
+      await emailService.sendPartnerSubmissionNotification(partner);
+    } catch (error) {
+      console.error('Error sending partner submission notification:', error);
+      // Don't throw error as this is not critical for submission
+    }
+  }
+}
+
+module.exports = new PartnerService();
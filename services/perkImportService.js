@@ -0,0 +1,248 @@
+const perkService = require('./perkService');
+const perkRepository = require('../repositories/perkRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const csvUtils = require('../utils/csv');
+const diffUtils = require('../utils/diff');
+const { AppError } = require('../middleware/errorHandler');
+const { PERK_IMPORT } = require('../utils/constants');
+
+// Leading characters that make Excel or Sheets run a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class PerkImportService {
+  // Turn an uploaded CSV/JSON file or JSON body into perk rows (Admin)
+  async parseRows({ csv = null, json = null, perks = null }) {
+    try {
+      let rows;
+
+      if (csv !== null) {
+        rows = csvUtils.parseObjects(csv).map(row => this.fromCsvRow(row));
+      } else {
+        let data = perks;
+        if (json !== null) {
+          try {
+            data = JSON.parse(json);
+          } catch (error) {
+            throw new AppError('Import file is not valid JSON', 400, 'INVALID_IMPORT_FILE');
+          }
+        }
+        if (data && !Array.isArray(data)) data = data.perks;
+        if (!Array.isArray(data)) {
+          throw new AppError('JSON imports must be an array of perks or { perks: [] }', 400, 'INVALID_IMPORT_FILE');
+        }
+        rows = data.map(row => this.fromJsonRow(row));
+      }
+
+      if (!rows.length) {
+        throw new AppError('The import contains no perks', 400, 'EMPTY_IMPORT');
+      }
+
+      if (rows.length > PERK_IMPORT.MAX_ROWS) {
+        throw new AppError(`A maximum of ${PERK_IMPORT.MAX_ROWS} perks can be imported at once`, 400, 'TOO_MANY_ROWS');
+      }
+
+      return await this.resolveCategories(rows);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to read import', 500, 'PARSE_IMPORT_ERROR');
+    }
+  }
+
+  // Create perks from validated rows, or only report what would happen (Admin)
+  async importRows(rows, rowErrors = [], options = {}, userId) {
+    try {
+      const { dryRun = false } = options;
+      const results = rows.map((row, index) => ({
+        row: index + 1,
+        title: row.title,
+        slug: row.slug,
+        errors: [...(row.importErrors || []), ...(rowErrors[index] || [])]
+      }));
+
+      await this.flagDuplicates(rows, results);
+
+      for (let index = 0; index < rows.length; index++) {
+        const result = results[index];
+
+        if (result.errors.length) {
+          result.status = 'invalid';
+          continue;
+        }
+
+        if (dryRun) {
+          result.status = 'valid';
+          continue;
+        }
+
+        try {
+          const { importErrors, slug, ...perkData } = rows[index];
+          const perk = await perkService.createPerk(perkData, userId);
+          result.status = 'created';
+          result.id = perk._id;
+          result.slug = perk.slug;
+        } catch (error) {
+          result.status = 'failed';
+          result.errors.push({ field: null, message: error.message });
+        }
+      }
+
+      const count = status => results.filter(result => result.status === status).length;
+
+      return {
+        dryRun,
+        summary: {
+          total: results.length,
+          valid: dryRun ? count('valid') : count('created') + count('failed'),
+          invalid: count('invalid'),
+          created: count('created'),
+          failed: count('failed')
+        },
+        rows: results
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to import perks', 500, 'IMPORT_PERKS_ERROR');
+    }
+  }
+
+  // Catalogue export as flat CSV rows or JSON objects (Admin)
+  async exportPerks(filters = {}, format = 'json') {
+    try {
+      const result = await perkService.getPerks({
+        ...filters,
+        page: 1,
+        limit: PERK_IMPORT.MAX_EXPORT,
+        includeRelations: true
+      });
+
+      const rows = result.data.map(perk => this.toExportRow(perk));
+
+      if (format === 'csv') {
+        return csvUtils.stringify(rows.map(row => this.toCsvRow(row)), ['id', 'status', ...PERK_IMPORT.COLUMNS]);
+      }
+
+      return {
+        perks: rows.map(row => diffUtils.unflatten(row)),
+        total: result.pagination.totalItems,
+        truncated: result.pagination.totalItems > rows.length
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to export perks', 500, 'EXPORT_PERKS_ERROR');
+    }
+  }
+
+  // Flat row (dotted keys) for one perk
+  toExportRow(perk) {
+    const plain = diffUtils.normalize(perk);
+    const flat = { id: plain._id, status: plain.status };
+
+    PERK_IMPORT.COLUMNS.forEach(column => {
+      if (column === 'categorySlug') {
+        flat.categorySlug = plain.categoryId?.slug;
+        return;
+      }
+      const value = column.split('.').reduce((node, key) => (node == null ? undefined : node[key]), plain);
+      if (value !== undefined && value !== null) flat[column] = value;
+    });
+
+    return flat;
+  }
+
+  // Join list columns for a CSV cell, and quote text a spreadsheet would read as a formula
+  toCsvRow(row) {
+    const csvRow = { ...row };
+    PERK_IMPORT.LIST_COLUMNS.forEach(column => {
+      if (Array.isArray(csvRow[column])) csvRow[column] = csvRow[column].join(PERK_IMPORT.LIST_SEPARATOR);
+    });
+    Object.keys(csvRow).forEach(column => {
+      if (typeof csvRow[column] === 'string' && FORMULA_PREFIX.test(csvRow[column])) {
+        csvRow[column] = `'${csvRow[column]}`;
+      }
+    });
+    return csvRow;
+  }
+
+  // Convert CSV cells to typed, nested perk data (blank cells are left out)
+  fromCsvRow(row) {
+    const flat = {};
+    const importErrors = [];
+
+    PERK_IMPORT.COLUMNS.forEach(column => {
+      const raw = row[column];
+      if (raw === undefined || String(raw).trim() === '') return;
+      // Drop the quote the export adds before formula characters
+      const value = String(raw).trim().replace(/^'(?=[=+\-@\t\r])/, '');
+
+      if (PERK_IMPORT.NUMBER_COLUMNS.includes(column)) {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+          importErrors.push({ field: column, message: `${column} must be a number` });
+        } else {
+          flat[column] = number;
+        }
+      } else if (PERK_IMPORT.BOOLEAN_COLUMNS.includes(column)) {
+        if (!['true', 'false', '1', '0', 'yes', 'no'].includes(value.toLowerCase())) {
+          importErrors.push({ field: column, message: `${column} must be true or false` });
+        } else {
+          flat[column] = ['true', '1', 'yes'].includes(value.toLowerCase());
+        }
+      } else if (PERK_IMPORT.LIST_COLUMNS.includes(column)) {
+        flat[column] = value.split(PERK_IMPORT.LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+      } else {
+        flat[column] = value;
+      }
+    });
+
+    return { ...diffUtils.unflatten(flat), importErrors };
+  }
+
+  // Keep only importable fields from a JSON perk
+  fromJsonRow(row) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      return { importErrors: [{ field: null, message: 'Each perk must be an object' }] };
+    }
+
+    const paths = [...PERK_IMPORT.COLUMNS, 'categoryId'];
+    return { ...diffUtils.pick(row, paths), importErrors: [] };
+  }
+
+  // Replace categorySlug with categoryId
+  async resolveCategories(rows) {
+    const slugs = [...new Set(rows.map(row => row.categorySlug).filter(Boolean))];
+    const categories = slugs.length ? await categoryRepository.findBySlugs(slugs) : [];
+    const idsBySlug = new Map(categories.map(category => [category.slug, category._id.toString()]));
+
+    rows.forEach(row => {
+      if (row.categorySlug) {
+        const categoryId = idsBySlug.get(row.categorySlug);
+        if (categoryId) {
+          row.categoryId = categoryId;
+        } else {
+          row.importErrors.push({ field: 'categorySlug', message: `Category "${row.categorySlug}" not found` });
+        }
+      }
+      delete row.categorySlug;
+    });
+
+    return rows;
+  }
+
+  // Rows carrying a slug (e.g. a re-imported export) must not match an existing
+  // perk or an earlier row; new slugs are always generated from the title on save
+  async flagDuplicates(rows, results) {
+    const slugs = rows.map(row => row.slug).filter(Boolean);
+    const taken = new Set(slugs.length ? await perkRepository.findExistingSlugs(slugs) : []);
+
+    rows.forEach((row, index) => {
+      if (!row.slug) return;
+
+      if (taken.has(row.slug)) {
+        results[index].errors.push({ field: 'slug', message: `A perk with slug "${row.slug}" already exists` });
+      }
+      taken.add(row.slug);
+    });
+  }
+}
+
+module.exports = new PerkImportService();
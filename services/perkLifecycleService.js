@@ -0,0 +1,155 @@
+const perkRepository = require('../repositories/perkRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const emailService = require('./emailService');
+const perkWorkflowService = require('./perkWorkflowService');
+const { AppError } = require('../middleware/errorHandler');
+const { PERK_LIFECYCLE, PERK_WORKFLOW } = require('../utils/constants');
+
+class PerkLifecycleService {
+  // Register lifecycle jobs with the scheduler
+  registerJobs(scheduler) {
+    scheduler.register('perk-status', PERK_LIFECYCLE.STATUS_JOB_INTERVAL, () => this.updateStatuses());
+    scheduler.register('perk-expiry-warnings', PERK_LIFECYCLE.EXPIRY_WARNING_JOB_INTERVAL, () => this.sendExpiryWarnings());
+  }
+
+  // Days ahead to warn vendors (PERK_EXPIRY_WARNING_DAYS overrides the default)
+  getWarningDays() {
+    return parseInt(process.env.PERK_EXPIRY_WARNING_DAYS) || PERK_LIFECYCLE.EXPIRY_WARNING_DAYS;
+  }
+
+  // Expire perks past their dates and reactivate ones this job expired whose dates were extended
+  async updateStatuses(now = new Date()) {
+    try {
+      const dueForExpiry = await perkRepository.findDueForExpiry(now);
+      const expired = dueForExpiry.length
+        ? await perkRepository.transitionStatus(dueForExpiry.map(perk => perk._id), 'active', 'expired', {
+          'lifecycle.expiredAt': now
+        })
+        : 0;
+
+      const dueForReactivation = await perkRepository.findDueForReactivation(now);
+      const reactivated = dueForReactivation.length
+        ? await perkRepository.transitionStatus(dueForReactivation.map(perk => perk._id), 'expired', 'active', {
+          'lifecycle.activatedAt': now,
+          'lifecycle.expiredAt': null
+        })
+        : 0;
+
+      const categoriesUpdated = await this.updateCategoryCounters([...dueForExpiry, ...dueForReactivation]);
+
+      return { reactivated, expired, categoriesUpdated };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to update perk statuses', 500, 'PERK_LIFECYCLE_ERROR');
+    }
+  }
+
+  // Publish scheduled perks whose time has come and unpublish those past their
+  // unpublish time, emailing each client
+  async publishScheduled(now = new Date()) {
+    try {
+      const { STATES, HISTORY_LIMIT } = PERK_WORKFLOW;
+      const historyEntry = (from, to, action) => ({
+        'workflow.history': { $each: [{ from, to, action, at: now }], $slice: -HISTORY_LIMIT }
+      });
+
+      const dueForPublish = await perkRepository.findDueForActivation(now);
+      const publishIds = dueForPublish.map(perk => perk._id);
+      const published = publishIds.length
+        ? await perkRepository.transitionStatus(publishIds, 'inactive', 'active', {
+          'lifecycle.autoActivate': false,
+          'lifecycle.activatedAt': now,
+          publishedAt: now,
+          'workflow.state': STATES.PUBLISHED,
+          $push: historyEntry(STATES.SCHEDULED, STATES.PUBLISHED, 'publish')
+        })
+        : 0;
+
+      const dueForUnpublish = await perkRepository.findDueForUnpublish(now);
+      const unpublishIds = dueForUnpublish.map(perk => perk._id);
+      const unpublished = unpublishIds.length
+        ? await perkRepository.transitionStatus(unpublishIds, 'active', 'inactive', {
+          'lifecycle.unpublishedAt': now,
+          'workflow.state': STATES.APPROVED,
+          $unset: { 'schedule.unpublishAt': 1 },
+          $push: historyEntry(STATES.PUBLISHED, STATES.APPROVED, 'unpublish')
+        })
+        : 0;
+
+      let notified = 0;
+      if (published) {
+        notified += await perkWorkflowService.notifyScheduled(
+          await perkRepository.findTransitioned(publishIds, 'active', 'lifecycle.activatedAt', now),
+          { action: 'publish', from: STATES.SCHEDULED, to: STATES.PUBLISHED }
+        );
+      }
+      if (unpublished) {
+        notified += await perkWorkflowService.notifyScheduled(
+          await perkRepository.findTransitioned(unpublishIds, 'inactive', 'lifecycle.unpublishedAt', now),
+          { action: 'unpublish', from: STATES.PUBLISHED, to: STATES.APPROVED }
+        );
+      }
+
+      const categoriesUpdated = await this.updateCategoryCounters([...dueForPublish, ...dueForUnpublish]);
+
+      return { published, unpublished, notified, categoriesUpdated };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to publish scheduled perks', 500, 'PERK_SCHEDULED_PUBLISHING_ERROR');
+    }
+  }
+
+  // Refresh counters for the categories of the given perks
+  async updateCategoryCounters(perks) {
+    const categoryIds = new Set(
+      perks
+        .filter(perk => perk.categoryId)
+        .map(perk => perk.categoryId.toString())
+    );
+    for (const categoryId of categoryIds) {
+      await categoryRepository.updateCounters(categoryId);
+    }
+
+    return categoryIds.size;
+  }
+
+  // Email vendors whose perks enter the expiring-soon window (once per expiry date)
+  async sendExpiryWarnings() {
+    try {
+      const days = this.getWarningDays();
+      const perks = await perkRepository.getExpiringSoon(days);
+      const cutoff = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+      let sent = 0;
+
+      for (const perk of perks) {
+        const expiresAt = this.getExpiryDate(perk, cutoff);
+        if (!expiresAt || !perk.vendor?.email) continue;
+
+        // Claimed before sending so concurrent instances don't both email
+        const claimed = await perkRepository.claimExpiryWarning(perk._id, expiresAt);
+        if (!claimed) continue;
+
+        if (await emailService.sendPerkExpiryWarning(perk, expiresAt)) {
+          sent++;
+        }
+      }
+
+      return { checked: perks.length, sent, days };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to send perk expiry warnings', 500, 'PERK_EXPIRY_WARNING_ERROR');
+    }
+  }
+
+  // Earliest of the end and redemption expiry dates within the window
+  getExpiryDate(perk, cutoff) {
+    const now = new Date();
+    const dates = [perk.availability?.endDate, perk.redemption?.expiryDate]
+      .filter(date => date && date >= now && date <= cutoff)
+      .sort((a, b) => a - b);
+
+    return dates[0] || null;
+  }
+}
+
+module.exports = new PerkLifecycleService();
@@ -0,0 +1,152 @@
+const perkRepository = require('../repositories/perkRepository');
+const perkRevisionRepository = require('../repositories/perkRevisionRepository');
+const diffUtils = require('../utils/diff');
+const { AppError } = require('../middleware/errorHandler');
+const { PERK_REVISION_FIELDS } = require('../utils/constants');
+
+class PerkRevisionService {
+  // Editable content of a perk as stored in a revision
+  buildSnapshot(perk) {
+    return diffUtils.pick(diffUtils.normalize(perk), PERK_REVISION_FIELDS);
+  }
+
+  // Store a revision if the content changed since the latest one.
+  // Failures are logged rather than thrown so they never undo the perk write.
+  async record(perk, userId, source, restoredFrom = null) {
+    try {
+      const snapshot = this.buildSnapshot(perk);
+
+      // Retry once if a concurrent write took the next number
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const latest = await perkRevisionRepository.findLatest(perk._id);
+        const changes = latest ? diffUtils.diff(latest.snapshot, snapshot) : [];
+
+        if (latest && !changes.length) return null;
+
+        try {
+          return await perkRevisionRepository.create({
+            perkId: perk._id,
+            revision: latest ? latest.revision + 1 : 1,
+            snapshot,
+            changes,
+            source,
+            restoredFrom,
+            createdBy: userId
+          });
+        } catch (error) {
+          if (error.code !== 'REVISION_EXISTS') throw error;
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.warn('Failed to record perk revision:', perk._id, error.message);
+      return null;
+    }
+  }
+
+  // Store the current state as revision 1 for perks created before revisions existed
+  async ensureBaseline(perk) {
+    try {
+      const latest = await perkRevisionRepository.findLatest(perk._id);
+      if (!latest) {
+        await this.record(perk, perk.updatedBy || perk.createdBy, 'initial');
+      }
+    } catch (error) {
+      console.warn('Failed to record baseline perk revision:', perk._id, error.message);
+    }
+  }
+
+  // Get revisions for a perk (Admin)
+  async getRevisions(perkId, page = 1, limit = 20) {
+    try {
+      await this.getPerk(perkId);
+
+      return await perkRevisionRepository.findByPerk(perkId, page, limit);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get perk revisions', 500, 'GET_PERK_REVISIONS_ERROR');
+    }
+  }
+
+  // Get a single revision with its snapshot (Admin)
+  async getRevision(perkId, revisionNumber) {
+    try {
+      const revision = await perkRevisionRepository.findByNumber(perkId, revisionNumber);
+
+      if (!revision) {
+        throw new AppError('Revision not found', 404, 'REVISION_NOT_FOUND');
+      }
+
+      return revision;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get perk revision', 500, 'GET_PERK_REVISION_ERROR');
+    }
+  }
+
+  // Diff two revisions, or a revision against the live perk when `to` is omitted (Admin)
+  async diffRevisions(perkId, from, to = null) {
+    try {
+      const fromRevision = await this.getRevision(perkId, from);
+
+      let toSnapshot;
+      if (to) {
+        toSnapshot = (await this.getRevision(perkId, to)).snapshot;
+      } else {
+        toSnapshot = this.buildSnapshot(await this.getPerk(perkId));
+      }
+
+      return {
+        from: fromRevision.revision,
+        to: to || 'current',
+        changes: diffUtils.diff(fromRevision.snapshot, toSnapshot)
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to diff perk revisions', 500, 'DIFF_PERK_REVISIONS_ERROR');
+    }
+  }
+
+  // Propose rolling back to an earlier revision; applied when the perk is approved (Admin)
+  async restoreRevision(perkId, revisionNumber, userId) {
+    try {
+      const perk = await this.getPerk(perkId);
+
+      if (perk.hasPendingChanges()) {
+        throw new AppError('Perk already has changes awaiting approval', 409, 'PENDING_CHANGES_EXIST');
+      }
+
+      const revision = await this.getRevision(perkId, revisionNumber);
+      const changes = diffUtils.diff(this.buildSnapshot(perk), revision.snapshot);
+
+      if (!changes.length) {
+        throw new AppError('Perk already matches this revision', 400, 'NO_CHANGES');
+      }
+
+      // Fields missing from the old revision are cleared
+      const flat = {};
+      changes.forEach(change => {
+        flat[change.path] = change.after === undefined ? null : change.after;
+      });
+
+      return await perkRepository.submitPendingChanges(perkId, diffUtils.unflatten(flat), userId, revision.revision);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to restore perk revision', 500, 'RESTORE_PERK_REVISION_ERROR');
+    }
+  }
+
+  // Load perk or fail with 404
+  async getPerk(perkId) {
+    const perk = await perkRepository.findById(perkId);
+
+    if (!perk) {
+      throw new AppError('Perk not found', 404, 'PERK_NOT_FOUND');
+    }
+
+    return perk;
+  }
+}
+
+module.exports = new PerkRevisionService();
@@ -1,9 +1,19 @@
 const perkRepository = require('../repositories/perkRepository');
 const categoryRepository = require('../repositories/categoryRepository');
+const leadRepository = require('../repositories/leadRepository');
 const uploadService = require('./uploadService');
 const slugifyUtils = require('../utils/slugify');
 const { AppError } = require('../middleware/errorHandler');
 const analyticsService = require('./analyticsService');
+const perkRevisionService = require('./perkRevisionService');
+const perkRevisionRepository = require('../repositories/perkRevisionRepository');
+const redemptionCodeRepository = require('../repositories/redemptionCodeRepository');
+const perkRedemptionRepository = require('../repositories/perkRedemptionRepository');
+const perkClickRepository = require('../repositories/perkClickRepository');
+const perkTemplateRepository = require('../repositories/perkTemplateRepository');
+const redemptionCodeService = require('./redemptionCodeService');
+const diffUtils = require('../utils/diff');
+const { CLIENT_EDITABLE_PERK_FIELDS, RELATED_PERKS, PERK_COPY_FIELDS, PERK_STATUSES, PERK_WORKFLOW } = require('../utils/constants');
 
 class PerkService {
   // Create new perk (Admin/Client)
@@ -40,6 +50,14 @@ class PerkService {
         perkData.images.gallery = galleryData;
       }
 
+      // Slugs are generated from the title
+      delete perkData.slug;
+
+      // New perks start as drafts or submitted; the save hook derives the workflow state from that
+      const startAsDraft = perkData.status === PERK_STATUSES.DRAFT;
+      this.omitManagedFields(perkData);
+      if (startAsDraft) perkData.status = PERK_STATUSES.DRAFT;
+
       // Set audit fields
       perkData.createdBy = userId;
       perkData.updatedBy = userId;
@@ -51,6 +69,8 @@ class PerkService {
 
       const perk = await perkRepository.create(perkData);
 
+      await perkRevisionService.record(perk, userId, 'create');
+
       // Update category counters
       if (perk.categoryId) {
         await categoryRepository.updateCounters(perk.categoryId);
@@ -99,6 +119,68 @@ class PerkService {
     }
   }
 
+  // Copy a perk into a new draft with a fresh slug (Admin)
+  async clonePerk(id, userId, overrides = {}) {
+    try {
+      const source = await perkRepository.findById(id);
+      if (!source) {
+        throw new AppError('Perk not found', 404, 'PERK_NOT_FOUND');
+      }
+
+      const perkData = {
+        ...this.getCopyableData(source),
+        ...overrides,
+        status: PERK_STATUSES.DRAFT,
+        clonedFromId: source._id,
+        createdBy: userId,
+        updatedBy: userId
+      };
+      perkData.slug = await this.generateUniqueSlug(perkData.title);
+
+      const perk = await perkRepository.create(perkData);
+
+      await perkRevisionService.record(perk, userId, 'clone');
+
+      if (perk.categoryId) {
+        await categoryRepository.updateCounters(perk.categoryId);
+      }
+
+      return await perkRepository.findById(perk._id, true);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to clone perk', 500, 'CLONE_PERK_ERROR');
+    }
+  }
+
+  // Content, vendor, SEO and image references shared by clones and templates
+  getCopyableData(perk) {
+    return diffUtils.pick(diffUtils.normalize(perk), PERK_COPY_FIELDS);
+  }
+
+  // Delete Cloudinary images that no other perk or template references
+  async deleteUnusedImages(publicIds = [], { perkId = null, templateId = null } = {}) {
+    try {
+      const unused = [];
+      for (const publicId of new Set(publicIds.filter(Boolean))) {
+        const [perkRefs, templateRefs] = await Promise.all([
+          perkRepository.countImageReferences(publicId, perkId),
+          perkTemplateRepository.countImageReferences(publicId, templateId)
+        ]);
+        if (!perkRefs && !templateRefs) unused.push(publicId);
+      }
+
+      if (unused.length) {
+        await uploadService.deleteMultipleImages(unused);
+      }
+
+      return unused;
+    } catch (error) {
+      // Leftover images are harmless; a failed cleanup must not fail the edit
+      console.warn('Failed to delete perk images:', error.message);
+      return [];
+    }
+  }
+
   // Get perk by ID
   async getPerkById(id, includeRelations = false) {
     try {
@@ -133,6 +215,84 @@ class PerkService {
     }
   }
 
+  // Get related perks for a perk detail page (Public)
+  async getRelatedPerks(id, limit = RELATED_PERKS.DEFAULT_LIMIT, market = null) {
+    try {
+      const perk = await this.getPerkByIdPublic(id);
+      const { WEIGHTS } = RELATED_PERKS;
+
+      const categoryId = perk.categoryId ? perk.categoryId.toString() : null;
+      const category = categoryId ? await categoryRepository.findById(categoryId) : null;
+
+      // Category.path lists ancestor IDs, so the last one is the parent
+      const parentId = category && category.path ? category.path.split('/').filter(Boolean).pop() : null;
+      const [siblingIds, coEngaged] = await Promise.all([
+        category && category.level > 0 ? categoryRepository.findSiblingIds(category) : [],
+        leadRepository.findCoEngagedPerks(perk._id, RELATED_PERKS.CO_ENGAGEMENT_LEADS, RELATED_PERKS.CANDIDATE_LIMIT)
+      ]);
+
+      const siblings = new Set(siblingIds.map(siblingId => siblingId.toString()));
+      const sharedEmailsByPerk = new Map(coEngaged.map(item => [item.perkId.toString(), item.sharedEmails]));
+      const tags = new Set(perk.tags || []);
+      const vendorName = perk.vendor && perk.vendor.name ? perk.vendor.name.trim().toLowerCase() : null;
+
+      const candidates = await perkRepository.findRelatedCandidates(perk._id, {
+        tags: [...tags],
+        categoryIds: [categoryId, parentId, ...siblings].filter(Boolean),
+        vendorName,
+        perkIds: [...sharedEmailsByPerk.keys()],
+        market
+      }, RELATED_PERKS.CANDIDATE_LIMIT);
+
+      return candidates
+        .map(candidate => {
+          const reasons = [];
+          let score = 0;
+
+          const sharedTags = (candidate.tags || []).filter(tag => tags.has(tag)).length;
+          if (sharedTags) {
+            score += sharedTags * WEIGHTS.SHARED_TAG;
+            reasons.push('tags');
+          }
+
+          const candidateCategoryId = candidate.categoryId ? (candidate.categoryId._id || candidate.categoryId).toString() : null;
+          if (candidateCategoryId && candidateCategoryId === categoryId) {
+            score += WEIGHTS.SAME_CATEGORY;
+            reasons.push('category');
+          } else if (candidateCategoryId && siblings.has(candidateCategoryId)) {
+            score += WEIGHTS.SIBLING_CATEGORY;
+            reasons.push('sibling_category');
+          } else if (candidateCategoryId && candidateCategoryId === parentId) {
+            score += WEIGHTS.PARENT_CATEGORY;
+            reasons.push('parent_category');
+          }
+
+          if (vendorName && candidate.vendor && candidate.vendor.name && candidate.vendor.name.trim().toLowerCase() === vendorName) {
+            score += WEIGHTS.SAME_VENDOR;
+            reasons.push('vendor');
+          }
+
+          const sharedEmails = sharedEmailsByPerk.get(candidate._id.toString());
+          if (sharedEmails) {
+            score += Math.min(sharedEmails * WEIGHTS.CO_ENGAGEMENT, WEIGHTS.CO_ENGAGEMENT_MAX);
+            reasons.push('co_engagement');
+          }
+
+          return { candidate, score, reasons };
+        })
+        // Stable sort keeps the repository's featured/popularity order for ties
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ candidate, score, reasons }) => ({
+          ...candidate.toJSON(),
+          related: { score, reasons }
+        }));
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get related perks', 500, 'GET_RELATED_PERKS_ERROR');
+    }
+  }
+
   // Get perk by slug (Public)
   async getPerkBySlug(slug, includeRelations = false) {
     try {
@@ -167,11 +327,13 @@ class PerkService {
         isFeatured,
         isExclusive,
         approvalStatus,
+        workflowState,
         vendorEmail,
         dateFrom,
         dateTo,
         search,
         tags,
+        market,
         sortBy,
         includeRelations = false
       } = options;
@@ -184,11 +346,13 @@ class PerkService {
       if (isFeatured !== undefined) filters.isFeatured = isFeatured;
       if (isExclusive !== undefined) filters.isExclusive = isExclusive;
       if (approvalStatus) filters.approvalStatus = approvalStatus;
+      if (workflowState) filters.workflowState = workflowState;
       if (vendorEmail) filters.vendorEmail = vendorEmail;
       if (dateFrom) filters.dateFrom = dateFrom;
       if (dateTo) filters.dateTo = dateTo;
       if (search) filters.search = search;
       if (tags) filters.tags = Array.isArray(tags) ? tags : [tags];
+      if (market) filters.market = market;
       if (sortBy) filters.sortBy = sortBy;
 
       return await perkRepository.findAll(filters, page, limit, includeRelations);
@@ -207,7 +371,8 @@ class PerkService {
         tags,
         isFeatured,
         isExclusive,
-        vendorEmail
+        vendorEmail,
+        market
       } = options;
 
       const filters = {};
@@ -216,6 +381,7 @@ class PerkService {
       if (isFeatured !== undefined) filters.isFeatured = isFeatured;
       if (isExclusive !== undefined) filters.isExclusive = isExclusive;
       if (vendorEmail) filters.vendorEmail = vendorEmail;
+      if (market) filters.market = market;
 
       return await perkRepository.findActivePerks(filters, page, limit);
     } catch (error) {
@@ -224,9 +390,9 @@ class PerkService {
   }
 
   // Get featured perks (Public)
-  async getFeaturedPerks(limit = 10, categoryId = null) {
+  async getFeaturedPerks(limit = 10, categoryId = null, market = null) {
     try {
-      return await perkRepository.getFeaturedPerks(limit, categoryId);
+      return await perkRepository.getFeaturedPerks(limit, categoryId, market);
     } catch (error) {
       throw new AppError('Failed to get featured perks', 500, 'GET_FEATURED_PERKS_ERROR');
     }
@@ -241,10 +407,122 @@ class PerkService {
     }
   }
 
+  // Get own perk with metrics and lead summary (Client)
+  async getClientPerkById(id, clientId) {
+    try {
+      const perk = await this.getOwnedPerk(id, clientId);
+      const leads = await leadRepository.getStatusCountsByPerk(perk._id);
+
+      return {
+        perk,
+        metrics: {
+          ...perk.metrics.toObject(),
+          leadCount: leads.total,
+          leadsByStatus: leads.byStatus,
+          remainingQuantity: perk.remainingQuantity
+        }
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get client perk', 500, 'GET_CLIENT_PERK_ERROR');
+    }
+  }
+
+  // Get leads for own perk (Client)
+  async getClientPerkLeads(id, clientId, options = {}) {
+    try {
+      const { page = 1, limit = 20, status, dateFrom, dateTo } = options;
+
+      const perk = await this.getOwnedPerk(id, clientId);
+
+      const filters = { perkId: perk._id };
+      if (status) filters.status = status;
+      if (dateFrom) filters.dateFrom = dateFrom;
+      if (dateTo) filters.dateTo = dateTo;
+
+      const result = await leadRepository.findAll(filters, page, limit);
+
+      // Only expose contact details, not internal sales data
+      result.data = result.data.map(lead => ({
+        id: lead._id,
+        name: lead.name,
+        email: lead.email,
+        phone: lead.phone,
+        company: lead.company,
+        message: lead.message,
+        status: lead.status,
+        createdAt: lead.createdAt
+      }));
+
+      return result;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get client perk leads', 500, 'GET_CLIENT_PERK_LEADS_ERROR');
+    }
+  }
+
+  // Propose changes to own perk for admin approval (Client)
+  async submitClientChanges(id, changeData, clientId) {
+    try {
+      const perk = await this.getOwnedPerk(id, clientId);
+
+      const changes = this.pickClientEditableFields(changeData);
+      if (!Object.keys(changes).length) {
+        throw new AppError('No editable fields were provided', 400, 'NO_CHANGES');
+      }
+
+      return await perkRepository.submitPendingChanges(perk._id, changes, clientId);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to submit perk changes', 500, 'SUBMIT_PERK_CHANGES_ERROR');
+    }
+  }
+
+  // Load a perk and verify the client owns it
+  async getOwnedPerk(id, clientId) {
+    const perk = await perkRepository.findById(id);
+
+    // Same response for missing and foreign perks so IDs can't be probed
+    if (!perk || !perk.canEditSEO(clientId)) {
+      throw new AppError('Perk not found', 404, 'PERK_NOT_FOUND');
+    }
+
+    return perk;
+  }
+
+  // Drop fields only workflow actions may set: status, review state and publishing window
+  omitManagedFields(data) {
+    Object.keys(data)
+      .filter(key => diffUtils.matchesPath(key.split('[')[0], PERK_WORKFLOW.MANAGED_FIELDS))
+      .forEach(key => delete data[key]);
+
+    return data;
+  }
+
+  // Keep only the fields a client is allowed to change
+  pickClientEditableFields(data = {}) {
+    const changes = {};
+
+    CLIENT_EDITABLE_PERK_FIELDS.forEach(path => {
+      const keys = path.split('.');
+      const value = keys.reduce((obj, key) => (obj == null ? undefined : obj[key]), data);
+      if (value === undefined) return;
+
+      let target = changes;
+      keys.slice(0, -1).forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      target[keys[keys.length - 1]] = value;
+    });
+
+    return changes;
+  }
+
   // Get perks by category (Public)
-  async getPerksByCategory(categoryId, page = 1, limit = 20) {
+  async getPerksByCategory(categoryId, page = 1, limit = 20, market = null) {
     try {
-      return await perkRepository.findByCategoryId(categoryId, page, limit, true);
+      return await perkRepository.findByCategoryId(categoryId, page, limit, true, market);
     } catch (error) {
       throw new AppError('Failed to get perks by category', 500, 'GET_PERKS_BY_CATEGORY_ERROR');
     }
@@ -258,15 +536,13 @@ class PerkService {
         throw new AppError('Perk not found', 404, 'PERK_NOT_FOUND');
       }
 
+      await perkRevisionService.ensureBaseline(perk);
+
       //Handle image uploads and replacements
       if (imageFiles.mainImage) {
         // Delete old main image
         if (perk.images?.main?.publicId) {
-          try {
-            await uploadService.deleteSingleImage(perk.images.main.publicId);
-          } catch (error) {
-            console.warn('Failed to delete old main image:', error.message);
-          }
+          await this.deleteUnusedImages([perk.images.main.publicId], { perkId: perk._id });
         }
 
         const mainImageData = await this.processImageUpload(imageFiles.mainImage);
@@ -280,22 +556,22 @@ class PerkService {
       if (imageFiles.vendorLogo) {
         // Delete old vendor logo
         if (perk.vendor?.logo?.publicId) {
-          try {
-            await uploadService.deleteSingleImage(perk.vendor.logo.publicId);
-          } catch (error) {
-            console.warn('Failed to delete old vendor logo:', error.message);
-          }
+          await this.deleteUnusedImages([perk.vendor.logo.publicId], { perkId: perk._id });
         }
 
         const logoData = await this.processImageUpload(imageFiles.vendorLogo);
         updateData.vendor = { ...updateData.vendor, logo: logoData };
       }
 
+      this.omitManagedFields(updateData);
+
       // Set updater
       updateData.updatedBy = userId;
 
       const updatedPerk = await perkRepository.update(id, updateData);
 
+      await perkRevisionService.record(updatedPerk, userId, 'update');
+
       // Update category counters if category changed
       if (updateData.categoryId && updateData.categoryId !== perk.categoryId) {
         if (perk.categoryId) {
@@ -314,7 +590,16 @@ class PerkService {
   // Update perk SEO (Client only)
   async updatePerkSEO(id, seoData, clientId) {
     try {
-      return await perkRepository.updateSEO(id, seoData, clientId);
+      const perk = await perkRepository.findById(id);
+      if (perk) {
+        await perkRevisionService.ensureBaseline(perk);
+      }
+
+      const updatedPerk = await perkRepository.updateSEO(id, seoData, clientId);
+
+      await perkRevisionService.record(updatedPerk, clientId, 'seo');
+
+      return updatedPerk;
     } catch (error) {
       if (error instanceof AppError) throw error;
       throw new AppError('Failed to update perk SEO', 500, 'UPDATE_SEO_ERROR');
@@ -346,17 +631,16 @@ class PerkService {
         });
       }
 
-      // Delete images from Cloudinary
-      if (imagesToDelete.length > 0) {
-        try {
-          await uploadService.deleteMultipleImages(imagesToDelete);
-        } catch (error) {
-          console.warn('Failed to delete perk images:', error.message);
-        }
-      }
+      // Delete images from Cloudinary (unless a clone or template still uses them)
+      await this.deleteUnusedImages(imagesToDelete, { perkId: perk._id });
 
       const deletedPerk = await perkRepository.delete(id);
 
+      await perkRevisionRepository.deleteByPerk(id);
+      await redemptionCodeRepository.deleteByPerk(id);
+      await perkRedemptionRepository.deleteByPerk(id);
+      await perkClickRepository.deleteByPerk(id);
+
       // Update category counters
       if (deletedPerk.categoryId) {
         await categoryRepository.updateCounters(deletedPerk.categoryId);
@@ -397,23 +681,199 @@ class PerkService {
     }
   }
 
-  // Approve perk (Admin)
-  async approvePerk(id, reviewerId, notes = null) {
+  // Faceted catalogue search (Public)
+  async catalogSearch(filters = {}, options = {}, clientId = null, userId = null) {
+    try {
+      if (filters.q !== undefined) {
+        filters.q = filters.q.trim();
+        if (filters.q.length < 2) {
+          throw new AppError('Search query must be at least 2 characters', 400, 'INVALID_SEARCH_QUERY');
+        }
+      }
+
+      if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+        throw new AppError('Minimum price cannot be greater than maximum price', 400, 'INVALID_PRICE_RANGE');
+      }
+      if (filters.minDiscount !== undefined && filters.maxDiscount !== undefined && filters.minDiscount > filters.maxDiscount) {
+        throw new AppError('Minimum discount cannot be greater than maximum discount', 400, 'INVALID_DISCOUNT_RANGE');
+      }
+
+      const result = await perkRepository.catalogSearch(filters, options);
+
+      // Track search event (browsing without a query is not a search)
+      if (filters.q && analyticsService.isConfigured()) {
+        await analyticsService.trackEvent('SEARCH_PERFORMED', {
+          query: filters.q,
+          resultsCount: result.pagination.totalItems || 0,
+          type: 'perk_catalog'
+        }, {
+          clientId,
+          userId
+        });
+      }
+
+      return result;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to search perk catalogue', 500, 'CATALOG_SEARCH_ERROR');
+    }
+  }
+
+  // Redeem perk (Public)
+  async redeemPerk(id, redeemData = {}, requestInfo = {}) {
+    try {
+      const { email } = redeemData;
+      const { ipAddress, userAgent, referrer, clientId, userId } = requestInfo;
+
+      const perk = await perkRepository.findById(id);
+      if (!perk || perk.status !== 'active' || !perk.isVisible) {
+        throw new AppError('Perk not found', 404, 'PERK_NOT_FOUND');
+      }
+
+      if (!perk.isAvailable) {
+        if (perk.availability.isLimited && !perk.remainingQuantity) {
+          throw new AppError('This perk is no longer available', 409, 'PERK_SOLD_OUT');
+        }
+        throw new AppError('This perk is not currently available', 409, 'PERK_UNAVAILABLE');
+      }
+
+      if (perk.redemption.useCodePool && !email) {
+        throw new AppError('Email is required to redeem this perk', 400, 'EMAIL_REQUIRED');
+      }
+
+      const redemptionData = {
+        perkId: perk._id,
+        email,
+        redemptionType: perk.redemption.type,
+        ipAddress,
+        userAgent,
+        referrer,
+        userId
+      };
+
+      // Record an email's redemption before taking a unit, so repeat requests
+      // (even concurrent ones) hit the unique index instead of using up another
+      let redemption = null;
+      if (email) {
+        try {
+          redemption = await perkRedemptionRepository.create(redemptionData);
+        } catch (error) {
+          if (error.code !== 'ALREADY_REDEEMED') throw error;
+          return await this.getExistingRedemption(perk, email);
+        }
+      }
+
+      let code = null;
+
+      try {
+        if (perk.redemption.useCodePool) {
+          // Reserves the unit and hands out one code atomically
+          const claim = await redemptionCodeService.claimCode(id, { email });
+          if (claim.alreadyClaimed) {
+            // Code handed out outside this endpoint (e.g. to a lead with this email)
+            await perkRedemptionRepository.delete(redemption._id);
+            return this.buildRedemptionDetails(perk, claim.code.code, true);
+          }
+          code = claim.code;
+          await perkRedemptionRepository.setCode(redemption._id, code._id);
+        } else {
+          const reserved = await perkRepository.reserveRedemption(id);
+          if (!reserved) {
+            throw new AppError('This perk is no longer available', 409, 'PERK_SOLD_OUT');
+          }
+        }
+      } catch (error) {
+        if (redemption) await perkRedemptionRepository.delete(redemption._id);
+        throw error;
+      }
+
+      if (!redemption) {
+        await perkRedemptionRepository.create(redemptionData);
+      }
+
+      if (analyticsService.isConfigured()) {
+        await analyticsService.trackEvent('PERK_REDEMPTION', {
+          perkId: id,
+          title: perk.title,
+          category: perk.categoryId?.name,
+          redemptionType: perk.redemption.type,
+          value: perk.discountedPrice?.amount || perk.originalPrice?.amount || 0
+        }, {
+          clientId,
+          userId
+        });
+      }
+
+      return this.buildRedemptionDetails(perk, code ? code.code : perk.redemption.code, false);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to redeem perk', 500, 'REDEEM_PERK_ERROR');
+    }
+  }
+
+  // Details for an email that has already redeemed the perk
+  async getExistingRedemption(perk, email) {
+    if (!perk.redemption.useCodePool) {
+      return this.buildRedemptionDetails(perk, perk.redemption.code, true);
+    }
+
+    const claim = await redemptionCodeRepository.findClaim(perk._id, { email });
+    if (!claim) {
+      // The first request for this email is still claiming its code
+      throw new AppError('This perk is already being redeemed for this email, try again shortly', 409, 'REDEMPTION_IN_PROGRESS');
+    }
+
+    return this.buildRedemptionDetails(perk, claim.code, true);
+  }
+
+  // What the visitor needs to use the perk, by redemption type
+  buildRedemptionDetails(perk, code, alreadyRedeemed) {
+    const { type, instructions, link, limitations, expiryDate } = perk.redemption;
+
+    const details = {
+      perkId: perk._id,
+      title: perk.title,
+      type,
+      instructions,
+      limitations,
+      expiryDate,
+      alreadyRedeemed
+    };
+
+    if (type === 'code') details.code = code;
+    if (type === 'link') details.link = link;
+    if (type === 'email') details.email = perk.vendor.email;
+    if (type === 'phone' || type === 'visit') details.website = perk.vendor.website;
+
+    return details;
+  }
+
+  // Get redemptions for a perk (Admin)
+  async getPerkRedemptions(id, page = 1, limit = 20) {
     try {
-      return await perkRepository.approvePerk(id, reviewerId, notes);
+      await this.getPerkById(id);
+
+      return await perkRedemptionRepository.findByPerk(id, page, limit);
     } catch (error) {
       if (error instanceof AppError) throw error;
-      throw new AppError('Failed to approve perk', 500, 'APPROVE_PERK_ERROR');
+      throw new AppError('Failed to get perk redemptions', 500, 'GET_PERK_REDEMPTIONS_ERROR');
     }
   }
 
-  // Reject perk (Admin)
-  async rejectPerk(id, reviewerId, reason, notes = null) {
+  // Get tracked redirect clicks for a perk (Admin)
+  async getPerkClicks(id, page = 1, limit = 20) {
     try {
-      return await perkRepository.rejectPerk(id, reviewerId, reason, notes);
+      await this.getPerkById(id);
+
+      const [result, sources] = await Promise.all([
+        perkClickRepository.findByPerk(id, page, limit),
+        perkClickRepository.getSourceCounts(id)
+      ]);
+
+      return { ...result, sources };
     } catch (error) {
       if (error instanceof AppError) throw error;
-      throw new AppError('Failed to reject perk', 500, 'REJECT_PERK_ERROR');
+      throw new AppError('Failed to get perk clicks', 500, 'GET_PERK_CLICKS_ERROR');
     }
   }
 
@@ -0,0 +1,132 @@
+const perkTemplateRepository = require('../repositories/perkTemplateRepository');
+const perkRepository = require('../repositories/perkRepository');
+const perkService = require('./perkService');
+const diffUtils = require('../utils/diff');
+const { AppError } = require('../middleware/errorHandler');
+const { PERK_IMAGE_PATHS, PERK_STATUSES } = require('../utils/constants');
+
+// Fields a new perk may change from its template
+const TEMPLATE_OVERRIDE_FIELDS = ['title', 'markets'];
+
+class PerkTemplateService {
+  // Save a perk's content as a reusable template (Admin)
+  async createTemplate(perkId, { name, description }, userId) {
+    try {
+      const perk = await perkRepository.findById(perkId);
+      if (!perk) {
+        throw new AppError('Perk not found', 404, 'PERK_NOT_FOUND');
+      }
+
+      return await perkTemplateRepository.create({
+        name: name || perk.title,
+        description,
+        data: perkService.getCopyableData(perk),
+        sourcePerkId: perk._id,
+        createdBy: userId,
+        updatedBy: userId
+      });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create perk template', 500, 'CREATE_PERK_TEMPLATE_ERROR');
+    }
+  }
+
+  // Get perk templates (Admin)
+  async getTemplates(filters = {}, page = 1, limit = 20) {
+    try {
+      return await perkTemplateRepository.findAll(filters, page, limit);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get perk templates', 500, 'GET_PERK_TEMPLATES_ERROR');
+    }
+  }
+
+  // Get perk template with the data used to pre-fill a new perk (Admin)
+  async getTemplateById(id) {
+    try {
+      const template = await perkTemplateRepository.findById(id);
+      if (!template) {
+        throw new AppError('Perk template not found', 404, 'PERK_TEMPLATE_NOT_FOUND');
+      }
+
+      return template;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get perk template', 500, 'GET_PERK_TEMPLATE_ERROR');
+    }
+  }
+
+  // Rename or describe a template; its perk data is fixed when saved (Admin)
+  async updateTemplate(id, { name, description }, userId) {
+    try {
+      const updateData = { updatedBy: userId };
+      if (name !== undefined) updateData.name = name;
+      if (description !== undefined) updateData.description = description;
+
+      const template = await perkTemplateRepository.update(id, updateData);
+      if (!template) {
+        throw new AppError('Perk template not found', 404, 'PERK_TEMPLATE_NOT_FOUND');
+      }
+
+      return template;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to update perk template', 500, 'UPDATE_PERK_TEMPLATE_ERROR');
+    }
+  }
+
+  // Delete a template, and any images only it still references (Admin)
+  async deleteTemplate(id) {
+    try {
+      const template = await perkTemplateRepository.delete(id);
+      if (!template) {
+        throw new AppError('Perk template not found', 404, 'PERK_TEMPLATE_NOT_FOUND');
+      }
+
+      await perkService.deleteUnusedImages(this.getImageIds(template.data), { templateId: template._id });
+
+      return true;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete perk template', 500, 'DELETE_PERK_TEMPLATE_ERROR');
+    }
+  }
+
+  // Create a draft perk from a template, optionally with a new title or markets (Admin)
+  async createPerkFromTemplate(id, overrides = {}, userId) {
+    try {
+      const template = await perkTemplateRepository.findById(id);
+      if (!template) {
+        throw new AppError('Perk template not found', 404, 'PERK_TEMPLATE_NOT_FOUND');
+      }
+
+      // Only copyable fields are taken from stored data, so nothing can pre-set the review state
+      const perkData = {
+        ...perkService.getCopyableData({ ...template.data, ...diffUtils.pick(overrides, TEMPLATE_OVERRIDE_FIELDS) }),
+        status: PERK_STATUSES.DRAFT,
+        templateId: template._id
+      };
+
+      const perk = await perkService.createPerk(perkData, userId);
+
+      await perkTemplateRepository.recordUsage(template._id);
+
+      return perk;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create perk from template', 500, 'CREATE_PERK_FROM_TEMPLATE_ERROR');
+    }
+  }
+
+  // Cloudinary public IDs referenced by template data
+  getImageIds(data = {}) {
+    return PERK_IMAGE_PATHS.flatMap(path => {
+      const parts = path.split('.');
+      const key = parts.pop();
+      const node = parts.reduce((value, part) => (value == null ? undefined : value[part]), data);
+      return (Array.isArray(node) ? node : [node]).map(item => item?.[key]);
+    }).filter(Boolean);
+  }
+}
+
+module.exports = new PerkTemplateService();
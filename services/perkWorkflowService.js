@@ -0,0 +1,328 @@
+const perkRepository = require('../repositories/perkRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const authRepository = require('../repositories/authRepository');
+const perkRevisionService = require('./perkRevisionService');
+const emailService = require('./emailService');
+const { AppError } = require('../middleware/errorHandler');
+const { PERK_WORKFLOW } = require('../utils/constants');
+
+const { STATES, TRANSITIONS, STATE_FIELDS } = PERK_WORKFLOW;
+
+// Actions taken by an editor rather than the perk's author
+const REVIEW_ACTIONS = ['request_revision', 'approve', 'reject', 'schedule', 'publish', 'unpublish'];
+
+// Actions that may set the publishing window
+const SCHEDULING_ACTIONS = ['approve', 'schedule', 'publish'];
+
+// States in which a perk has been approved and client edits wait as pending changes
+const APPROVED_STATES = [STATES.APPROVED, STATES.SCHEDULED, STATES.PUBLISHED];
+
+class PerkWorkflowService {
+  // Apply a workflow action to a perk (Admin/Client).
+  // Options: comments (shown to the client), notes (internal), publish (false holds an approval),
+  // publishAt/unpublishAt (publishing window; null clears), clientId (restricts the action to the
+  // client's own perk)
+  async transition(id, action, userId, options = {}) {
+    try {
+      const { comments = null, notes = null, publish = true, clientId = null } = options;
+      const schedule = {};
+      if (SCHEDULING_ACTIONS.includes(action)) {
+        if (action !== 'publish') schedule.publishAt = options.publishAt;
+        schedule.unpublishAt = options.unpublishAt;
+      }
+
+      if (!TRANSITIONS[action]) {
+        throw new AppError(`Unknown workflow action: ${action}`, 400, 'INVALID_WORKFLOW_ACTION');
+      }
+
+      const perk = await perkRepository.findById(id);
+
+      // Same response for missing and foreign perks so IDs can't be probed
+      if (!perk || (clientId && !perk.canEditSEO(clientId))) {
+        throw new AppError('Perk not found', 404, 'PERK_NOT_FOUND');
+      }
+
+      if (clientId && !PERK_WORKFLOW.CLIENT_ACTIONS.includes(action)) {
+        throw new AppError('Only editors can perform this action', 403, 'WORKFLOW_ACTION_FORBIDDEN');
+      }
+
+      if (PERK_WORKFLOW.COMMENT_REQUIRED_ACTIONS.includes(action) && !comments) {
+        throw new AppError('Comments are required for this action', 400, 'COMMENTS_REQUIRED');
+      }
+
+      const from = perk.getWorkflowState();
+
+      // Changes proposed for an approved perk are reviewed without moving it
+      if (
+        PERK_WORKFLOW.CHANGE_REVIEW_ACTIONS.includes(action) &&
+        APPROVED_STATES.includes(from) &&
+        perk.hasPendingChanges()
+      ) {
+        return await this.reviewChanges(perk, from, action, userId, { comments, notes });
+      }
+
+      if (!TRANSITIONS[action].includes(from)) {
+        throw new AppError(
+          `Cannot ${action.replace('_', ' ')} a perk that is ${from.replace('_', ' ')}`,
+          409,
+          'INVALID_WORKFLOW_TRANSITION'
+        );
+      }
+
+      const now = new Date();
+      const publishAt = SCHEDULING_ACTIONS.includes(action) ? this.validateSchedule(perk, action, schedule, now) : null;
+
+      // Proposed changes are checked now but only applied once the transition has gone through
+      const applyPending = action === 'approve' && perk.hasPendingChanges();
+      if (applyPending) {
+        await perkRepository.validatePendingChanges(perk);
+      }
+
+      const to = this.resolveTargetState(action, { publish, publishAt, now });
+
+      let updated = await perkRepository.transitionWorkflow(
+        perk._id,
+        { state: from, status: perk.status },
+        this.buildUpdate(perk, action, to, userId, { comments, notes, schedule, now }),
+        { from, to, action, by: userId, comments, at: now }
+      );
+
+      if (!updated) {
+        throw new AppError('Perk was changed by someone else, reload it and try again', 409, 'WORKFLOW_CONFLICT');
+      }
+
+      if (applyPending) {
+        updated = await this.applyChanges(perk, userId) || updated;
+      }
+
+      if (updated.categoryId && (from === STATES.PUBLISHED || to === STATES.PUBLISHED)) {
+        await categoryRepository.updateCounters(updated.categoryId);
+      }
+
+      await this.notifyClient(updated, { action, from, to, comments });
+
+      return updated;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to update perk workflow', 500, 'PERK_WORKFLOW_ERROR');
+    }
+  }
+
+  // Check the publishing window and return when the perk may go live (null if it can go now)
+  validateSchedule(perk, action, schedule, now) {
+    const publishAt = perk.getPublishAt(schedule.publishAt !== undefined ? schedule.publishAt : perk.schedule?.publishAt);
+    const unpublishAt = schedule.unpublishAt !== undefined ? schedule.unpublishAt : perk.schedule?.unpublishAt;
+    // Publishing goes live now whatever the window says
+    const goLive = action !== 'publish' && publishAt && publishAt > now ? publishAt : null;
+
+    if (action === 'schedule' && !goLive) {
+      throw new AppError('A future publish time or start date is required to schedule a perk', 400, 'PUBLISH_TIME_REQUIRED');
+    }
+
+    if (unpublishAt && new Date(unpublishAt) <= (goLive || now)) {
+      throw new AppError('Unpublish time must be after the perk goes live', 400, 'INVALID_SCHEDULE');
+    }
+
+    return goLive;
+  }
+
+  // Where an action takes the perk
+  resolveTargetState(action, { publish = true, publishAt = null } = {}) {
+    switch (action) {
+      case 'submit':
+        return STATES.SUBMITTED;
+      case 'request_revision':
+        return STATES.NEEDS_REVISION;
+      case 'reject':
+        return STATES.REJECTED;
+      case 'unpublish':
+        return STATES.APPROVED;
+      case 'publish':
+        return STATES.PUBLISHED;
+      case 'schedule':
+        return STATES.SCHEDULED;
+      case 'approve':
+        if (!publish) return STATES.APPROVED;
+        return publishAt ? STATES.SCHEDULED : STATES.PUBLISHED;
+      default:
+        // withdraw, reopen
+        return STATES.DRAFT;
+    }
+  }
+
+  // Fields to store for a transition
+  buildUpdate(perk, action, to, userId, { comments, notes, schedule = {}, now }) {
+    const fields = STATE_FIELDS[to];
+    const updateData = {
+      status: fields.status,
+      'approval.status': fields.approvalStatus,
+      'lifecycle.autoActivate': to === STATES.SCHEDULED,
+      updatedBy: userId
+    };
+
+    if (REVIEW_ACTIONS.includes(action)) {
+      updateData['approval.reviewedBy'] = userId;
+      updateData['approval.reviewedAt'] = now;
+    }
+
+    if (schedule.publishAt !== undefined) updateData['schedule.publishAt'] = schedule.publishAt;
+    if (schedule.unpublishAt !== undefined) updateData['schedule.unpublishAt'] = schedule.unpublishAt;
+
+    switch (to) {
+      case STATES.SUBMITTED:
+        updateData['workflow.submittedAt'] = now;
+        updateData['approval.rejectionReason'] = null;
+        break;
+      case STATES.NEEDS_REVISION:
+        updateData['workflow.reviewComments'] = comments;
+        break;
+      case STATES.REJECTED:
+        updateData['workflow.reviewComments'] = comments;
+        updateData['approval.rejectionReason'] = comments;
+        updateData.$unset = { pendingChanges: 1 };
+        break;
+      case STATES.PUBLISHED:
+        updateData['workflow.reviewComments'] = null;
+        updateData['lifecycle.activatedAt'] = now;
+        updateData.publishedAt = now;
+        // Publishing a scheduled perk early brings its start date forward
+        if (perk.availability?.startDate && perk.availability.startDate > now) {
+          updateData['availability.startDate'] = now;
+        }
+        if (perk.schedule?.publishAt && perk.schedule.publishAt > now) {
+          updateData['schedule.publishAt'] = null;
+        }
+        break;
+      case STATES.APPROVED:
+        updateData['workflow.reviewComments'] = null;
+        // Taking a perk down by hand replaces any scheduled unpublish
+        if (action === 'unpublish') updateData['schedule.unpublishAt'] = null;
+        break;
+      case STATES.SCHEDULED:
+        updateData['workflow.reviewComments'] = null;
+        break;
+    }
+
+    if (notes) {
+      updateData.$push = {
+        'approval.notes': {
+          content: notes,
+          addedBy: userId,
+          addedAt: now
+        }
+      };
+    }
+
+    return updateData;
+  }
+
+  // Approve, reject or send back changes proposed for an approved perk. The perk keeps its
+  // state and approval status (scheduling and reactivation rely on it staying approved);
+  // the outcome is kept in the review comments and the history entry
+  async reviewChanges(perk, state, action, userId, { comments, notes }) {
+    const now = new Date();
+    const updateData = {
+      'approval.status': STATE_FIELDS[state].approvalStatus,
+      'approval.reviewedBy': userId,
+      'approval.reviewedAt': now,
+      updatedBy: userId
+    };
+
+    if (action === 'approve') {
+      await perkRepository.validatePendingChanges(perk);
+      updateData['workflow.reviewComments'] = null;
+    } else {
+      updateData['workflow.reviewComments'] = comments;
+      updateData.$unset = { pendingChanges: 1 };
+    }
+
+    if (notes) {
+      updateData.$push = {
+        'approval.notes': {
+          content: notes,
+          addedBy: userId,
+          addedAt: now
+        }
+      };
+    }
+
+    let updated = await perkRepository.transitionWorkflow(
+      perk._id,
+      { state, status: perk.status },
+      updateData,
+      { from: state, to: state, action, by: userId, comments, at: now }
+    );
+
+    if (!updated) {
+      throw new AppError('Perk was changed by someone else, reload it and try again', 409, 'WORKFLOW_CONFLICT');
+    }
+
+    if (action === 'approve') {
+      updated = await this.applyChanges(perk, userId) || updated;
+    }
+
+    await this.notifyClient(updated, { action, from: state, to: state, comments, changesOnly: true });
+
+    return updated;
+  }
+
+  // Apply the reviewed changes (client edits or a revision restore) as a new revision.
+  // Resolves to null if they were replaced by a newer submission in the meantime,
+  // which then waits for its own review
+  async applyChanges(perk, reviewerId) {
+    const { submittedBy, submittedAt, restoredFrom } = perk.pendingChanges;
+
+    await perkRevisionService.ensureBaseline(perk);
+    const updatedPerk = await perkRepository.applyPendingChanges(perk._id, reviewerId, submittedAt);
+    if (!updatedPerk) return null;
+
+    await perkRevisionService.record(
+      updatedPerk,
+      submittedBy || reviewerId,
+      restoredFrom ? 'restore' : 'client_changes',
+      restoredFrom || null
+    );
+
+    return updatedPerk;
+  }
+
+  // Email the owning client (falls back to the vendor contact)
+  async notifyClient(perk, event) {
+    const client = perk.clientId ? await authRepository.findById(perk.clientId) : null;
+    const recipient = client?.email
+      ? { name: client.name, email: client.email }
+      : perk.vendor?.email ? { name: perk.vendor.name, email: perk.vendor.email } : null;
+
+    if (!recipient) return false;
+
+    return emailService.sendPerkWorkflowUpdate(perk, recipient, event);
+  }
+
+  // Tell clients about scheduled publish/unpublish steps (called by the publishing job)
+  async notifyScheduled(perks, event) {
+    let sent = 0;
+
+    for (const perk of perks) {
+      if (await this.notifyClient(perk, event)) sent++;
+    }
+
+    return sent;
+  }
+
+  // Perks waiting for review, oldest first, with counts per state (Admin)
+  async getQueue(filters = {}, page = 1, limit = 20) {
+    try {
+      const [queue, counts] = await Promise.all([
+        perkRepository.findReviewQueue(filters, page, limit),
+        perkRepository.getWorkflowCounts()
+      ]);
+
+      return { ...queue, counts };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get review queue', 500, 'GET_REVIEW_QUEUE_ERROR');
+    }
+  }
+}
+
+module.exports = new PerkWorkflowService();
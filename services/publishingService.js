@@ -0,0 +1,42 @@
+const perkLifecycleService = require('./perkLifecycleService');
+const blogService = require('./blogService');
+const seoService = require('./seoService');
+const { AppError } = require('../middleware/errorHandler');
+const { SCHEDULED_PUBLISHING } = require('../utils/constants');
+
+// Makes editor-scheduled perks and blog posts go live (and come down) on time
+class PublishingService {
+  // Register the publishing job with the scheduler
+  registerJobs(scheduler) {
+    scheduler.register('scheduled-publishing', SCHEDULED_PUBLISHING.JOB_INTERVAL, () => this.publishScheduled());
+  }
+
+  // Apply due publish/unpublish times, then refresh the sitemap if anything changed
+  async publishScheduled(now = new Date()) {
+    try {
+      const perks = await perkLifecycleService.publishScheduled(now);
+      const posts = await blogService.publishScheduledPosts(now);
+
+      const changed = perks.published + perks.unpublished + posts.published + posts.unpublished;
+      const sitemapRegenerated = changed > 0 ? await this.refreshSitemap() : false;
+
+      return { perks, posts, sitemapRegenerated };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to run scheduled publishing', 500, 'SCHEDULED_PUBLISHING_ERROR');
+    }
+  }
+
+  // Regenerate the sitemap (skipped when disabled or not configured)
+  async refreshSitemap() {
+    try {
+      await seoService.regenerateSitemap();
+      return true;
+    } catch (error) {
+      console.warn('Skipped sitemap regeneration after scheduled publishing:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = new PublishingService();
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const perkRepository = require('../repositories/perkRepository');
+const redemptionCodeRepository = require('../repositories/redemptionCodeRepository');
+const leadRepository = require('../repositories/leadRepository');
+const csvUtils = require('../utils/csv');
+const { AppError } = require('../middleware/errorHandler');
+const { REDEMPTION_CODES } = require('../utils/constants');
+
+class RedemptionCodeService {
+  // Add codes from a CSV upload or a list (Admin)
+  async importCodes(perkId, { codes = [], csv = null }, userId) {
+    try {
+      await this.getPerk(perkId);
+
+      let rawCodes = codes;
+      if (csv) {
+        const rows = csvUtils.parse(csv);
+        // Optional header row
+        if (rows.length && rows[0][0] && rows[0][0].trim().toLowerCase() === 'code') {
+          rows.shift();
+        }
+        rawCodes = rows.map(row => row[0]);
+      }
+
+      return await this.addCodes(perkId, rawCodes, userId);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to import redemption codes', 500, 'IMPORT_CODES_ERROR');
+    }
+  }
+
+  // Generate a batch of random codes (Admin)
+  async generateCodes(perkId, { count, prefix = '', length = REDEMPTION_CODES.DEFAULT_LENGTH }, userId) {
+    try {
+      await this.getPerk(perkId);
+
+      const codes = new Set();
+      while (codes.size < count) {
+        codes.add(`${prefix}${this.randomCode(length)}`);
+      }
+
+      return await this.addCodes(perkId, [...codes], userId);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to generate redemption codes', 500, 'GENERATE_CODES_ERROR');
+    }
+  }
+
+  // Get codes with usage summary (Admin)
+  async getCodes(perkId, options = {}) {
+    try {
+      const { page = 1, limit = 50, status, batchId, search } = options;
+
+      await this.getPerk(perkId);
+
+      const filters = {};
+      if (status) filters.status = status;
+      if (batchId) filters.batchId = batchId;
+      if (search) filters.search = search;
+
+      const [result, summary] = await Promise.all([
+        redemptionCodeRepository.findAll(perkId, filters, page, limit),
+        redemptionCodeRepository.getStatusCounts(perkId)
+      ]);
+
+      return { ...result, summary };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get redemption codes', 500, 'GET_CODES_ERROR');
+    }
+  }
+
+  // Revoke a code so it can no longer be handed out or honoured (Admin)
+  async revokeCode(perkId, codeId, userId, reason = null) {
+    try {
+      const code = await redemptionCodeRepository.findById(codeId, perkId);
+
+      if (!code) {
+        throw new AppError('Redemption code not found', 404, 'CODE_NOT_FOUND');
+      }
+
+      if (code.status === 'revoked') {
+        throw new AppError('Redemption code is already revoked', 400, 'CODE_ALREADY_REVOKED');
+      }
+
+      const revoked = await redemptionCodeRepository.revoke(codeId, perkId, userId, reason);
+      if (!revoked) {
+        throw new AppError('Redemption code is already revoked', 400, 'CODE_ALREADY_REVOKED');
+      }
+
+      return revoked;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to revoke redemption code', 500, 'REVOKE_CODE_ERROR');
+    }
+  }
+
+  // Hand out one code to an email or lead, reserving a unit of the perk.
+  // The same email/lead gets its existing code back instead of a second one.
+  async claimCode(perkId, { email, leadId } = {}) {
+    try {
+      if (!email && !leadId) {
+        throw new AppError('An email or lead is required to claim a code', 400, 'CLAIM_TARGET_REQUIRED');
+      }
+
+      const perk = await this.getPerk(perkId);
+
+      if (!perk.redemption?.useCodePool) {
+        throw new AppError('This perk does not use a code pool', 400, 'CODE_POOL_DISABLED');
+      }
+
+      if (leadId) {
+        const lead = await leadRepository.findById(leadId);
+        if (!lead) {
+          throw new AppError('Lead not found', 404, 'LEAD_NOT_FOUND');
+        }
+        email = email || lead.email;
+      }
+
+      const existing = await redemptionCodeRepository.findClaim(perkId, { email, leadId });
+      if (existing) {
+        return { code: existing, alreadyClaimed: true };
+      }
+
+      const reserved = await perkRepository.reserveRedemption(perkId);
+      if (!reserved) {
+        throw new AppError('This perk is no longer available', 409, 'PERK_SOLD_OUT');
+      }
+
+      let code;
+      try {
+        code = await redemptionCodeRepository.claimNext(perkId, { email, leadId });
+      } catch (error) {
+        if (error.code !== 'CODE_ALREADY_CLAIMED') throw error;
+
+        // A concurrent claim for the same email won; hand back its code
+        await perkRepository.releaseRedemption(perkId);
+        const claimed = await redemptionCodeRepository.findClaim(perkId, { email, leadId });
+        if (!claimed) throw error;
+        return { code: claimed, alreadyClaimed: true };
+      }
+      if (!code) {
+        await perkRepository.releaseRedemption(perkId);
+        throw new AppError('No redemption codes are left for this perk', 409, 'CODES_EXHAUSTED');
+      }
+
+      return { code, alreadyClaimed: false };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to claim redemption code', 500, 'CLAIM_CODE_ERROR');
+    }
+  }
+
+  // Clean, de-duplicate and insert codes, then switch the perk to its pool
+  async addCodes(perkId, rawCodes, userId) {
+    const cleaned = [...new Set(
+      rawCodes
+        .map(code => (code == null ? '' : String(code).trim()))
+        .filter(Boolean)
+    )];
+
+    if (!cleaned.length) {
+      throw new AppError('No codes were provided', 400, 'NO_CODES');
+    }
+
+    if (cleaned.length > REDEMPTION_CODES.MAX_UPLOAD) {
+      throw new AppError(`A maximum of ${REDEMPTION_CODES.MAX_UPLOAD} codes can be added at once`, 400, 'TOO_MANY_CODES');
+    }
+
+    const invalid = cleaned.filter(code => code.length > 100);
+    if (invalid.length) {
+      throw new AppError('Codes cannot be more than 100 characters', 400, 'INVALID_CODES', invalid.slice(0, 10));
+    }
+
+    const existing = new Set(await redemptionCodeRepository.findExistingCodes(perkId, cleaned));
+    const batchId = crypto.randomUUID();
+    const newCodes = cleaned.filter(code => !existing.has(code));
+
+    const inserted = newCodes.length
+      ? await redemptionCodeRepository.insertMany(newCodes.map(code => ({
+        perkId,
+        code,
+        batchId,
+        createdBy: userId
+      })))
+      : 0;
+
+    if (inserted > 0) {
+      await perkRepository.setCodePool(perkId, true);
+    }
+
+    return {
+      batchId,
+      received: rawCodes.length,
+      inserted,
+      skipped: cleaned.length - inserted,
+      summary: await redemptionCodeRepository.getStatusCounts(perkId)
+    };
+  }
+
+  // Random code from the unambiguous alphabet
+  randomCode(length) {
+    const alphabet = REDEMPTION_CODES.ALPHABET;
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      code += alphabet[crypto.randomInt(alphabet.length)];
+    }
+    return code;
+  }
+
+  // Load perk or fail with 404
+  async getPerk(perkId) {
+    const perk = await perkRepository.findById(perkId);
+
+    if (!perk) {
+      throw new AppError('Perk not found', 404, 'PERK_NOT_FOUND');
+    }
+
+    return perk;
+  }
+}
+
+module.exports = new RedemptionCodeService();
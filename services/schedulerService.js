@@ -0,0 +1,133 @@
+const database = require('../config/database');
+const auditContext = require('../utils/auditContext');
+const { AppError } = require('../middleware/errorHandler');
+
+// In-process interval scheduler for background jobs. Jobs must be safe to run
+// on several instances at once, since each process runs its own scheduler.
+// Serverless deployments can't keep timers alive between requests, so on Vercel
+// the jobs are triggered by Vercel Cron through GET /admin/jobs/:name/run instead.
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  // Scheduler is on unless disabled (always off in tests and on Vercel, where cron runs the jobs)
+  isEnabled() {
+    return process.env.SCHEDULER_ENABLED !== 'false' && process.env.NODE_ENV !== 'test' && !process.env.VERCEL;
+  }
+
+  // Register a job to run every intervalMs
+  register(name, intervalMs, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      handler,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastResult: null,
+      lastError: null
+    });
+  }
+
+  // Start all registered jobs
+  start() {
+    if (this.started || !this.isEnabled()) return;
+    this.started = true;
+
+    this.jobs.forEach(job => {
+      job.timer = setInterval(() => this.execute(job), job.intervalMs);
+      // Don't keep the process alive just for the scheduler
+      job.timer.unref();
+    });
+
+    // First pass shortly after boot so state is corrected without waiting a full interval
+    setTimeout(() => this.jobs.forEach(job => this.execute(job)), 10 * 1000).unref();
+
+    console.log(`Scheduler started with ${this.jobs.size} jobs`);
+  }
+
+  // Stop all jobs
+  stop() {
+    this.jobs.forEach(job => {
+      clearInterval(job.timer);
+      job.timer = null;
+    });
+    this.started = false;
+  }
+
+  // Run a job now (Admin)
+  async runJob(name) {
+    const job = this.jobs.get(name);
+
+    if (!job) {
+      throw new AppError('Job not found', 404, 'JOB_NOT_FOUND');
+    }
+
+    if (job.running) {
+      throw new AppError('Job is already running', 409, 'JOB_RUNNING');
+    }
+
+    await this.execute(job);
+
+    if (job.lastError) {
+      throw new AppError(`Job failed: ${job.lastError}`, 500, 'JOB_FAILED');
+    }
+
+    return this.describe(job);
+  }
+
+  // Job states (Admin)
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      started: this.started,
+      jobs: [...this.jobs.values()].map(job => this.describe(job))
+    };
+  }
+
+  // Run a job once, skipping if the previous run hasn't finished
+  async execute(job) {
+    if (job.running) return;
+
+    job.running = true;
+    const startedAt = Date.now();
+
+    try {
+      if (!(await database.isHealthy())) {
+        await database.connect();
+      }
+
+      // Writes made by jobs show up in the audit log under a system actor
+      job.lastResult = await auditContext.run(auditContext.forSystem(`scheduler:${job.name}`), () => job.handler());
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`Scheduled job "${job.name}" failed:`, error.message);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date(startedAt);
+      job.lastDurationMs = Date.now() - startedAt;
+    }
+  }
+
+  describe(job) {
+    return {
+      name: job.name,
+      intervalMs: job.intervalMs,
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastDurationMs: job.lastDurationMs,
+      lastResult: job.lastResult,
+      lastError: job.lastError
+    };
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,131 @@
+const perkRepository = require('../repositories/perkRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const blogRepository = require('../repositories/blogRepository');
+const { AppError } = require('../middleware/errorHandler');
+const suggestUtils = require('../utils/suggest');
+const { SEARCH_SUGGEST } = require('../utils/constants');
+
+class SearchService {
+  constructor() {
+    // Short-lived results keyed by query, types, limit and market. Typeahead sends
+    // the same prefixes repeatedly, so this absorbs most of the load.
+    this.cache = new Map();
+  }
+
+  // Typeahead suggestions across perks, vendors, categories, blog and tags (Public)
+  async suggest(query, options = {}) {
+    try {
+      const { types = SEARCH_SUGGEST.TYPES, limit = SEARCH_SUGGEST.DEFAULT_LIMIT, market = null } = options;
+      const normalized = suggestUtils.normalize(query);
+
+      if (normalized.length < SEARCH_SUGGEST.MIN_QUERY_LENGTH) {
+        throw new AppError(
+          `Search query must be at least ${SEARCH_SUGGEST.MIN_QUERY_LENGTH} characters`,
+          400,
+          'INVALID_SEARCH_QUERY'
+        );
+      }
+
+      const cacheKey = `${normalized}|${[...types].sort().join(',')}|${limit}|${market || ''}`;
+      const cached = this.getCached(cacheKey);
+      if (cached) return cached;
+
+      const pattern = suggestUtils.buildPattern(normalized, SEARCH_SUGGEST.FUZZY_MIN_LENGTH);
+      const candidateLimit = limit * SEARCH_SUGGEST.CANDIDATE_MULTIPLIER;
+      const maxTimeMS = SEARCH_SUGGEST.QUERY_TIMEOUT_MS;
+
+      const fetchers = {
+        perks: async () => {
+          const perks = await perkRepository.suggestTitles(pattern, candidateLimit, maxTimeMS, market);
+          return suggestUtils.rank(perks, normalized, perk => perk.title, limit).map(perk => ({
+            id: perk._id,
+            title: perk.title,
+            slug: perk.slug,
+            vendor: perk.vendor?.name
+          }));
+        },
+        vendors: async () => {
+          const vendors = await perkRepository.suggestVendors(pattern, candidateLimit, maxTimeMS, market);
+          return suggestUtils.rank(vendors, normalized, vendor => vendor.name, limit);
+        },
+        categories: async () => {
+          const categories = await categoryRepository.suggest(pattern, candidateLimit, maxTimeMS);
+          return suggestUtils.rank(categories, normalized, category => category.name, limit).map(category => ({
+            id: category._id,
+            name: category.name,
+            slug: category.slug,
+            perkCount: category.perkCount
+          }));
+        },
+        blog: async () => {
+          const posts = await blogRepository.suggestTitles(pattern, candidateLimit, maxTimeMS);
+          return suggestUtils.rank(posts, normalized, post => post.title, limit).map(post => ({
+            id: post._id,
+            title: post.title,
+            slug: post.slug,
+            publishedAt: post.publishedAt
+          }));
+        },
+        tags: async () => {
+          const [perkTags, blogTags] = await Promise.all([
+            perkRepository.suggestTags(pattern, candidateLimit, maxTimeMS, market),
+            blogRepository.suggestTags(pattern, candidateLimit, maxTimeMS)
+          ]);
+
+          // The same tag can be used on perks and posts
+          const counts = new Map();
+          [...perkTags, ...blogTags].forEach(({ tag, count }) => {
+            const key = suggestUtils.normalize(tag);
+            counts.set(key, (counts.get(key) || 0) + count);
+          });
+
+          const tags = [...counts.entries()]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count);
+
+          return suggestUtils.rank(tags, normalized, tag => tag.tag, limit);
+        }
+      };
+
+      const groups = {};
+      await Promise.all(types.map(async type => {
+        groups[type] = await fetchers[type]();
+      }));
+
+      const result = {
+        query: normalized,
+        groups,
+        total: Object.values(groups).reduce((sum, items) => sum + items.length, 0)
+      };
+
+      this.setCached(cacheKey, result);
+      return result;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to fetch search suggestions', 500, 'SEARCH_SUGGEST_ERROR');
+    }
+  }
+
+  getCached(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  setCached(key, value) {
+    // Maps keep insertion order, so the first key is the oldest
+    if (this.cache.size >= SEARCH_SUGGEST.CACHE_MAX_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    this.cache.set(key, { value, expiresAt: Date.now() + SEARCH_SUGGEST.CACHE_TTL_MS });
+  }
+}
+
+module.exports = new SearchService();
@@ -2,7 +2,10 @@ const SeoSetting = require('../models/SeoSetting');
 const uploadService = require('./uploadService');
 const perkRepository = require('../repositories/perkRepository');
 const categoryRepository = require('../repositories/categoryRepository');
+const staticPageRepository = require('../repositories/staticPageRepository');
+const blogRepository = require('../repositories/blogRepository');
 const { AppError } = require('../middleware/errorHandler');
+const { PERK_LOCATIONS, PERK_MARKETS } = require('../utils/constants');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -314,20 +317,23 @@ class SeoService {
                 priority: '1.0'
             });
 
-            // Static pages
-            const staticPages = [
-                { url: '/about', priority: '0.8' },
-                { url: '/contact', priority: '0.8' },
-                { url: '/privacy', priority: '0.5' },
-                { url: '/terms', priority: '0.5' }
-            ];
+            // Static pages (managed through the pages CMS)
+            const staticPagePriorities = {
+                about: '0.8',
+                contact: '0.8',
+                faq: '0.6',
+                custom: '0.6',
+                tos: '0.5',
+                privacy: '0.5'
+            };
 
+            const staticPages = await staticPageRepository.findActive();
             staticPages.forEach(page => {
                 urls.push({
-                    loc: `${siteUrl}${page.url}`,
-                    lastmod: new Date().toISOString(),
+                    loc: `${siteUrl}/${page.slug}`,
+                    lastmod: page.updatedAt.toISOString(),
                     changefreq: changeFreq,
-                    priority: page.priority
+                    priority: staticPagePriorities[page.pageType] || '0.5'
                 });
             });
 
@@ -346,13 +352,41 @@ class SeoService {
 
             // Perks
             if (seoSettings.sitemapSettings.includePerks) {
+                // Market landing pages
+                Object.values(PERK_LOCATIONS)
+                    .filter(market => market !== PERK_LOCATIONS.GLOBAL)
+                    .forEach(market => {
+                        urls.push({
+                            loc: this.marketUrl(`${siteUrl}/perks`, market),
+                            lastmod: new Date().toISOString(),
+                            changefreq: 'daily',
+                            priority: '0.8'
+                        });
+                    });
+
                 const perks = await perkRepository.findAll({ status: 'active', isVisible: true }, 1, 1000);
                 perks.data.forEach(perk => {
+                    const loc = `${siteUrl}/perks/${perk.slug}`;
+
                     urls.push({
-                        loc: `${siteUrl}/perks/${perk.slug}`,
+                        loc,
                         lastmod: perk.updatedAt.toISOString(),
                         changefreq: changeFreq,
-                        priority: perk.isFeatured ? '0.9' : '0.7'
+                        priority: perk.isFeatured ? '0.9' : '0.7',
+                        alternates: this.marketAlternates(loc, perk.markets)
+                    });
+                });
+            }
+
+            // Blog posts
+            if (seoSettings.sitemapSettings.includeBlogPosts) {
+                const { posts } = await blogRepository.findPublishedPosts({}, 1, 1000);
+                posts.forEach(post => {
+                    urls.push({
+                        loc: `${siteUrl}/blog/${post.slug}`,
+                        lastmod: post.updatedAt.toISOString(),
+                        changefreq: changeFreq,
+                        priority: '0.6'
                     });
                 });
             }
@@ -377,14 +411,36 @@ class SeoService {
         }
     }
 
+    // Market-specific variant of a page URL
+    marketUrl(url, market) {
+        return `${url}?market=${PERK_MARKETS.CODES[market]}`;
+    }
+
+    // hreflang alternates for a perk page in each of its markets
+    marketAlternates(loc, markets = []) {
+        const targeted = (markets || []).filter(market => market !== PERK_LOCATIONS.GLOBAL);
+        if (!targeted.length) return [];
+
+        return [
+            ...targeted.map(market => ({
+                hreflang: PERK_MARKETS.HREFLANG[market],
+                href: this.marketUrl(loc, market)
+            })),
+            { hreflang: PERK_MARKETS.HREFLANG[PERK_LOCATIONS.GLOBAL], href: loc }
+        ];
+    }
+
     // Generate XML content for sitemap
     generateSitemapXml(urls) {
         let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
-        xml += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+        xml += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">\n';
 
         urls.forEach(url => {
             xml += '  <url>\n';
             xml += `    <loc>${url.loc}</loc>\n`;
+            (url.alternates || []).forEach(alternate => {
+                xml += `    <xhtml:link rel="alternate" hreflang="${alternate.hreflang}" href="${alternate.href}"/>\n`;
+            });
             xml += `    <lastmod>${url.lastmod}</lastmod>\n`;
             xml += `    <changefreq>${url.changefreq}</changefreq>\n`;
             xml += `    <priority>${url.priority}</priority>\n`;
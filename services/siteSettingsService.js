@@ -0,0 +1,279 @@
+const SiteSettings = require('../models/SiteSettings');
+const perkRepository = require('../repositories/perkRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const uploadService = require('./uploadService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Upper bound for homepage section limits
+const MAX_SECTION_LIMIT = 24;
+
+class SiteSettingsService {
+  // Get raw site settings (Admin)
+  async getSettings() {
+    try {
+      return await SiteSettings.getInstance();
+    } catch (error) {
+      throw new AppError('Failed to get site settings', 500, 'GET_SITE_SETTINGS_ERROR');
+    }
+  }
+
+  // Get resolved homepage, navigation and footer payload (Public)
+  async getPublicSettings(market = null) {
+    try {
+      const settings = await SiteSettings.getInstance();
+      const homepage = settings.homepage || {};
+      const sections = homepage.sections || {};
+
+      const featuredSection = sections.featuredPerks || {};
+      const newestSection = sections.newestPerks || {};
+      const categorySection = sections.categoryHighlights || {};
+
+      const [featuredPerks, newestPerks, categories] = await Promise.all([
+        featuredSection.enabled
+          ? this.resolveFeaturedPerks(featuredSection, this.resolveLimit(featuredSection.limit, 6), market)
+          : [],
+        newestSection.enabled
+          ? perkRepository.getNewestPerks(this.resolveLimit(newestSection.limit, 8), market)
+          : [],
+        categorySection.enabled && categorySection.selectedCategories?.length
+          ? categoryRepository.findActiveByIds(categorySection.selectedCategories)
+          : []
+      ]);
+
+      return {
+        market,
+        homepage: {
+          hero: homepage.hero || {},
+          sections: {
+            featuredPerks: {
+              enabled: !!featuredSection.enabled,
+              title: featuredSection.title,
+              description: featuredSection.description,
+              perks: featuredPerks
+            },
+            newestPerks: {
+              enabled: !!newestSection.enabled,
+              title: newestSection.title,
+              perks: newestPerks
+            },
+            categoryHighlights: {
+              enabled: !!categorySection.enabled,
+              title: categorySection.title,
+              categories
+            }
+          }
+        },
+        navigation: {
+          header: this.sortNavigation(settings.navigation?.header || []),
+          footer: settings.navigation?.footer || {}
+        },
+        seo: {
+          defaultTitle: settings.seo?.defaultTitle,
+          defaultDescription: settings.seo?.defaultDescription,
+          defaultOgImage: settings.seo?.defaultOgImage,
+          gtmId: settings.seo?.gtmId,
+          gaId: settings.seo?.gaId,
+          metaPixelId: settings.seo?.metaPixelId
+        },
+        updatedAt: settings.updatedAt
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get site settings', 500, 'GET_SITE_SETTINGS_ERROR');
+    }
+  }
+
+  // Update site settings (Super Admin)
+  async updateSettings(settingsData, userId, mediaFiles = {}) {
+    try {
+      const updates = this.normalizeSettingsData(settingsData);
+      const current = await SiteSettings.getInstance();
+      const currentHero = current.homepage?.hero || {};
+
+      const hero = {};
+
+      if (mediaFiles.heroImage) {
+        hero.backgroundImage = await this.processImageUpload(mediaFiles.heroImage);
+        await this.deleteAsset(currentHero.backgroundImage?.publicId, 'image');
+      }
+
+      if (mediaFiles.heroVideo) {
+        hero.backgroundVideo = await this.processVideoUpload(mediaFiles.heroVideo);
+        await this.deleteAsset(currentHero.backgroundVideo?.publicId, 'video');
+      }
+
+      if (Object.keys(hero).length) {
+        updates.homepage = {
+          ...updates.homepage,
+          hero: {
+            ...updates.homepage?.hero,
+            ...hero
+          }
+        };
+      }
+
+      return await SiteSettings.updateSettings(updates, userId);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }));
+        throw new AppError('Validation error', 400, 'VALIDATION_ERROR', errors);
+      }
+      throw new AppError('Failed to update site settings', 500, 'UPDATE_SITE_SETTINGS_ERROR');
+    }
+  }
+
+  // Process hero image upload
+  async processImageUpload(imageFile) {
+    try {
+      const validation = uploadService.validateFile(imageFile, 5242880, ['image/jpeg', 'image/png', 'image/webp']);
+      if (!validation.valid) {
+        throw new AppError(`Image validation failed: ${validation.errors.join(', ')}`, 400, 'INVALID_IMAGE');
+      }
+
+      const uploadResult = await uploadService.processSingleUpload(imageFile, 'site', 'banner');
+
+      if (!uploadResult.success) {
+        throw new AppError('Failed to upload image', 500, 'UPLOAD_FAILED');
+      }
+
+      const { url, publicId } = uploadResult.data;
+
+      return {
+        url,
+        publicId,
+        filename: imageFile.originalname
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to process image upload', 500, 'IMAGE_PROCESSING_ERROR');
+    }
+  }
+
+  // Process hero background video upload
+  async processVideoUpload(videoFile) {
+    try {
+      const validation = uploadService.validateFile(videoFile, 20971520, ['video/mp4', 'video/webm', 'video/quicktime']);
+      if (!validation.valid) {
+        throw new AppError(`Video validation failed: ${validation.errors.join(', ')}`, 400, 'INVALID_VIDEO');
+      }
+
+      const uploadResult = await uploadService.processVideoUpload(videoFile, 'site');
+
+      if (!uploadResult.success) {
+        throw new AppError('Failed to upload video', 500, 'UPLOAD_FAILED');
+      }
+
+      const { url, publicId } = uploadResult.data;
+
+      return {
+        url,
+        publicId,
+        filename: videoFile.originalname
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to process video upload', 500, 'VIDEO_PROCESSING_ERROR');
+    }
+  }
+
+  // Delete replaced hero asset from Cloudinary
+  async deleteAsset(publicId, type = 'image') {
+    if (!publicId) return;
+
+    try {
+      if (type === 'video') {
+        await uploadService.deleteSingleVideo(publicId);
+      } else {
+        await uploadService.deleteSingleImage(publicId);
+      }
+    } catch (error) {
+      console.warn(`Failed to delete old hero ${type}:`, error.message);
+    }
+  }
+
+  // Multipart forms send nested objects as JSON strings
+  normalizeSettingsData(settingsData = {}) {
+    const normalized = {};
+
+    ['seo', 'homepage', 'navigation', 'email', 'security'].forEach(field => {
+      let value = settingsData[field];
+      if (value === undefined) return;
+
+      if (typeof value === 'string') {
+        try {
+          value = JSON.parse(value);
+        } catch (error) {
+          throw new AppError(`Invalid JSON in ${field}`, 400, 'INVALID_JSON');
+        }
+      }
+
+      normalized[field] = value;
+    });
+
+    // One slot per market
+    const marketSlots = normalized.homepage?.sections?.featuredPerks?.marketSlots;
+    if (Array.isArray(marketSlots)) {
+      const markets = marketSlots.map(slot => slot && slot.market);
+      if (new Set(markets).size !== markets.length) {
+        throw new AppError('Each market can only have one featured slot', 400, 'DUPLICATE_MARKET_SLOT');
+      }
+    }
+
+    // Uploaded assets are managed through the upload fields only
+    if (normalized.homepage?.hero) {
+      delete normalized.homepage.hero.backgroundImage;
+      delete normalized.homepage.hero.backgroundVideo;
+    }
+    if (normalized.seo) {
+      delete normalized.seo.defaultOgImage;
+    }
+
+    return normalized;
+  }
+
+  // Pinned perks for the market first, then the regular featured perks
+  async resolveFeaturedPerks(section, limit, market = null) {
+    const slot = market ? (section.marketSlots || []).find(item => item.market === market) : null;
+    const pinned = slot && slot.perks.length
+      ? await perkRepository.findPublicByIds(slot.perks.slice(0, limit), market)
+      : [];
+
+    if (pinned.length >= limit) return pinned;
+
+    const pinnedIds = new Set(pinned.map(perk => perk._id.toString()));
+    const featured = await perkRepository.getFeaturedPerks(limit + pinned.length, null, market);
+
+    return [
+      ...pinned,
+      ...featured.filter(perk => !pinnedIds.has(perk._id.toString()))
+    ].slice(0, limit);
+  }
+
+  // Clamp a section limit to a sane range
+  resolveLimit(limit, fallback) {
+    const parsed = parseInt(limit);
+    if (!parsed || parsed < 1) return fallback;
+    return Math.min(parsed, MAX_SECTION_LIMIT);
+  }
+
+  // Sort header navigation (and children) by display order
+  sortNavigation(items) {
+    const byOrder = (a, b) => (a.order || 0) - (b.order || 0);
+
+    return items
+      .map(item => {
+        const plain = item.toObject ? item.toObject() : item;
+        return {
+          ...plain,
+          children: [...(plain.children || [])].sort(byOrder)
+        };
+      })
+      .sort(byOrder);
+  }
+}
+
+module.exports = new SiteSettingsService();
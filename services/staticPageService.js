@@ -0,0 +1,261 @@
+const staticPageRepository = require('../repositories/staticPageRepository');
+const uploadService = require('./uploadService');
+const seoService = require('./seoService');
+const slugifyUtils = require('../utils/slugify');
+const { AppError } = require('../middleware/errorHandler');
+
+class StaticPageService {
+  // Create new static page (Admin)
+  async createPage(pageData, userId, ogImageFile = null) {
+    try {
+      pageData = this.normalizePageData(pageData);
+
+      // Generate slug from title if not provided
+      if (pageData.slug) {
+        if (await staticPageRepository.slugExists(pageData.slug)) {
+          throw new AppError('Page slug already exists', 409, 'SLUG_EXISTS');
+        }
+      } else {
+        pageData.slug = await this.generateUniqueSlug(pageData.title);
+      }
+
+      if (ogImageFile) {
+        pageData.seo = {
+          ...pageData.seo,
+          ogImage: await this.processImageUpload(ogImageFile)
+        };
+      }
+
+      pageData.updatedBy = userId;
+
+      const page = await staticPageRepository.create(pageData);
+
+      await this.refreshSitemap();
+
+      return page;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create page', 500, 'CREATE_PAGE_ERROR');
+    }
+  }
+
+  // Process SEO image upload
+  async processImageUpload(imageFile) {
+    try {
+      const validation = uploadService.validateFile(imageFile, 5242880, ['image/jpeg', 'image/png', 'image/webp']);
+      if (!validation.valid) {
+        throw new AppError(`Image validation failed: ${validation.errors.join(', ')}`, 400, 'INVALID_IMAGE');
+      }
+
+      const uploadResult = await uploadService.processSingleUpload(imageFile, 'pages', 'large');
+
+      if (!uploadResult.success) {
+        throw new AppError('Failed to upload image', 500, 'UPLOAD_FAILED');
+      }
+
+      const { url, publicId } = uploadResult.data;
+
+      return {
+        url,
+        publicId,
+        filename: imageFile.originalname
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to process image upload', 500, 'IMAGE_PROCESSING_ERROR');
+    }
+  }
+
+  // Get page by ID (Admin)
+  async getPageById(id) {
+    try {
+      const page = await staticPageRepository.findById(id, true);
+
+      if (!page) {
+        throw new AppError('Page not found', 404, 'PAGE_NOT_FOUND');
+      }
+
+      return page;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get page', 500, 'GET_PAGE_ERROR');
+    }
+  }
+
+  // Get active page by slug (Public)
+  async getPageBySlug(slug) {
+    try {
+      const page = await staticPageRepository.findActiveBySlug(slug);
+
+      if (!page) {
+        throw new AppError('Page not found', 404, 'PAGE_NOT_FOUND');
+      }
+
+      return page;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get page by slug', 500, 'GET_PAGE_ERROR');
+    }
+  }
+
+  // Get active page by page type (Public)
+  async getPageByType(pageType) {
+    try {
+      const page = await staticPageRepository.findActiveByPageType(pageType);
+
+      if (!page) {
+        throw new AppError('Page not found', 404, 'PAGE_NOT_FOUND');
+      }
+
+      return page;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get page by type', 500, 'GET_PAGE_ERROR');
+    }
+  }
+
+  // Get all pages (Admin)
+  async getPages(options = {}) {
+    try {
+      const { page = 1, limit = 20, status, pageType, search } = options;
+
+      const filters = {};
+      if (status) filters.status = status;
+      if (pageType) filters.pageType = pageType;
+      if (search) filters.search = search;
+
+      return await staticPageRepository.findAll(filters, page, limit, true);
+    } catch (error) {
+      throw new AppError('Failed to get pages', 500, 'GET_PAGES_ERROR');
+    }
+  }
+
+  // Get active pages list (Public)
+  async getActivePages() {
+    try {
+      return await staticPageRepository.findActive();
+    } catch (error) {
+      throw new AppError('Failed to get active pages', 500, 'GET_ACTIVE_PAGES_ERROR');
+    }
+  }
+
+  // Update page (Admin)
+  async updatePage(id, updateData, userId, ogImageFile = null) {
+    try {
+      const page = await staticPageRepository.findById(id);
+      if (!page) {
+        throw new AppError('Page not found', 404, 'PAGE_NOT_FOUND');
+      }
+
+      updateData = this.normalizePageData(updateData);
+
+      if (updateData.slug && updateData.slug !== page.slug) {
+        if (await staticPageRepository.slugExists(updateData.slug, id)) {
+          throw new AppError('Page slug already exists', 409, 'SLUG_EXISTS');
+        }
+      }
+
+      if (ogImageFile) {
+        // Delete old OG image
+        if (page.seo?.ogImage?.publicId) {
+          try {
+            await uploadService.deleteSingleImage(page.seo.ogImage.publicId);
+          } catch (error) {
+            console.warn('Failed to delete old page OG image:', error.message);
+          }
+        }
+
+        updateData.seo = {
+          ...(page.seo?.toObject ? page.seo.toObject() : page.seo),
+          ...updateData.seo,
+          ogImage: await this.processImageUpload(ogImageFile)
+        };
+      }
+
+      updateData.updatedBy = userId;
+
+      const updatedPage = await staticPageRepository.update(id, updateData);
+
+      await this.refreshSitemap();
+
+      return updatedPage;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to update page', 500, 'UPDATE_PAGE_ERROR');
+    }
+  }
+
+  // Delete page (Admin)
+  async deletePage(id) {
+    try {
+      const page = await staticPageRepository.findById(id);
+      if (!page) {
+        throw new AppError('Page not found', 404, 'PAGE_NOT_FOUND');
+      }
+
+      if (page.seo?.ogImage?.publicId) {
+        try {
+          await uploadService.deleteSingleImage(page.seo.ogImage.publicId);
+        } catch (error) {
+          console.warn('Failed to delete page OG image:', error.message);
+        }
+      }
+
+      const deletedPage = await staticPageRepository.delete(id);
+
+      await this.refreshSitemap();
+
+      return deletedPage;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete page', 500, 'DELETE_PAGE_ERROR');
+    }
+  }
+
+  // Generate unique slug
+  async generateUniqueSlug(title, excludeId = null) {
+    try {
+      const baseSlug = slugifyUtils.createSeoSlug(title);
+      let slug = baseSlug;
+      let counter = 1;
+
+      while (await staticPageRepository.slugExists(slug, excludeId)) {
+        slug = `${baseSlug}-${counter}`;
+        counter++;
+      }
+
+      return slug;
+    } catch (error) {
+      throw new AppError('Failed to generate unique slug', 500, 'GENERATE_SLUG_ERROR');
+    }
+  }
+
+  // Multipart forms send nested objects as JSON strings
+  normalizePageData(pageData) {
+    const normalized = { ...pageData };
+
+    ['contactForm', 'seo'].forEach(field => {
+      if (typeof normalized[field] === 'string') {
+        try {
+          normalized[field] = JSON.parse(normalized[field]);
+        } catch (error) {
+          throw new AppError(`Invalid JSON in ${field}`, 400, 'INVALID_JSON');
+        }
+      }
+    });
+
+    return normalized;
+  }
+
+  // Keep sitemap in sync with published pages
+  async refreshSitemap() {
+    try {
+      await seoService.regenerateSitemap();
+    } catch (error) {
+      // Sitemap may be disabled or SEO settings not configured yet
+      console.warn('Skipped sitemap regeneration after page change:', error.message);
+    }
+  }
+}
+
+module.exports = new StaticPageService();
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const authRepository = require('../repositories/authRepository');
+const SiteSettings = require('../models/SiteSettings');
+const totpUtils = require('../utils/totp');
+const { AppError } = require('../middleware/errorHandler');
+const { USER_ROLES, SECURITY } = require('../utils/constants');
+
+class TwoFactorService {
+  // Check whether site policy forces two-factor authentication for this user
+  async isRequiredForUser(user) {
+    try {
+      if (![USER_ROLES.SUPER_ADMIN, USER_ROLES.CONTENT_EDITOR].includes(user.role)) {
+        return false;
+      }
+
+      const settings = await SiteSettings.getInstance();
+      return settings.security?.requireTwoFactorForAdmins === true;
+    } catch (error) {
+      throw new AppError('Failed to check two-factor policy', 500, 'TWO_FACTOR_POLICY_ERROR');
+    }
+  }
+
+  // Get two-factor status for current user
+  async getStatus(userId) {
+    try {
+      const user = await this.getUser(userId);
+
+      return {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        required: await this.isRequiredForUser(user),
+        enrollmentPending: !user.twoFactorEnabled && !!user.twoFactorPendingSecret,
+        backupCodesRemaining: (user.twoFactorBackupCodes || []).filter(code => !code.usedAt).length
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get two-factor status', 500, 'TWO_FACTOR_STATUS_ERROR');
+    }
+  }
+
+  // Start enrollment: generate a secret to be confirmed with a code
+  async startEnrollment(userId) {
+    try {
+      const user = await this.getUser(userId);
+
+      if (user.twoFactorEnabled) {
+        throw new AppError('Two-factor authentication is already enabled', 400, 'TWO_FACTOR_ALREADY_ENABLED');
+      }
+
+      const secret = totpUtils.generateSecret();
+      await authRepository.update(userId, { twoFactorPendingSecret: secret });
+
+      return {
+        secret,
+        otpauthUrl: totpUtils.getOtpauthUrl(secret, user.email)
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to start two-factor enrollment', 500, 'TWO_FACTOR_ENROLL_ERROR');
+    }
+  }
+
+  // Confirm enrollment with a code from the authenticator app
+  async confirmEnrollment(userId, code) {
+    try {
+      const user = await this.getUser(userId);
+
+      if (user.twoFactorEnabled) {
+        throw new AppError('Two-factor authentication is already enabled', 400, 'TWO_FACTOR_ALREADY_ENABLED');
+      }
+
+      if (!user.twoFactorPendingSecret) {
+        throw new AppError('Two-factor enrollment has not been started', 400, 'TWO_FACTOR_ENROLLMENT_NOT_STARTED');
+      }
+
+      const timeStep = totpUtils.verify(user.twoFactorPendingSecret, code);
+      if (timeStep === null) {
+        throw new AppError('Invalid two-factor code', 400, 'INVALID_TWO_FACTOR_CODE');
+      }
+
+      const { codes, hashedCodes } = this.generateBackupCodes();
+
+      await authRepository.update(userId, {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorBackupCodes: hashedCodes,
+        twoFactorLastUsedStep: timeStep,
+        $unset: { twoFactorPendingSecret: 1 }
+      });
+
+      return {
+        enabled: true,
+        backupCodes: codes
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to verify two-factor enrollment', 500, 'TWO_FACTOR_ENROLL_ERROR');
+    }
+  }
+
+  // Disable two-factor authentication (requires password and a valid code)
+  async disable(userId, password, credentials) {
+    try {
+      const user = await authRepository.findByIdWithTwoFactor(userId, true);
+
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+
+      if (!user.twoFactorEnabled) {
+        throw new AppError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+      }
+
+      if (await this.isRequiredForUser(user)) {
+        throw new AppError('Two-factor authentication is required for your role', 403, 'TWO_FACTOR_REQUIRED');
+      }
+
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid) {
+        throw new AppError('Password is incorrect', 400, 'INVALID_PASSWORD');
+      }
+
+      const isCodeValid = await this.verifyCredentials(user, credentials);
+      if (!isCodeValid) {
+        throw new AppError('Invalid two-factor code', 400, 'INVALID_TWO_FACTOR_CODE');
+      }
+
+      await authRepository.update(userId, {
+        twoFactorEnabled: false,
+        $unset: {
+          twoFactorSecret: 1,
+          twoFactorPendingSecret: 1,
+          twoFactorBackupCodes: 1,
+          twoFactorLastUsedStep: 1,
+          twoFactorEnabledAt: 1
+        }
+      });
+
+      return { message: 'Two-factor authentication disabled successfully' };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to disable two-factor authentication', 500, 'TWO_FACTOR_DISABLE_ERROR');
+    }
+  }
+
+  // Replace all backup codes (requires a current authenticator code)
+  async regenerateBackupCodes(userId, code) {
+    try {
+      const user = await this.getUser(userId);
+
+      if (!user.twoFactorEnabled) {
+        throw new AppError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+      }
+
+      const isCodeValid = await this.verifyCredentials(user, { code });
+      if (!isCodeValid) {
+        throw new AppError('Invalid two-factor code', 400, 'INVALID_TWO_FACTOR_CODE');
+      }
+
+      const { codes, hashedCodes } = this.generateBackupCodes();
+      await authRepository.update(userId, { twoFactorBackupCodes: hashedCodes });
+
+      return { backupCodes: codes };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to regenerate backup codes', 500, 'TWO_FACTOR_BACKUP_CODES_ERROR');
+    }
+  }
+
+  // Verify a TOTP code or a one-time backup code for a user loaded with two-factor fields
+  async verifyCredentials(user, { code, backupCode } = {}) {
+    if (code) {
+      const timeStep = totpUtils.verify(user.twoFactorSecret, code);
+      if (timeStep === null) return false;
+
+      // Each code is accepted once
+      return authRepository.claimTwoFactorStep(user._id, timeStep);
+    }
+
+    if (backupCode) {
+      return authRepository.consumeBackupCode(user._id, this.hashBackupCode(backupCode));
+    }
+
+    return false;
+  }
+
+  // Load user with two-factor fields
+  async getUser(userId) {
+    const user = await authRepository.findByIdWithTwoFactor(userId);
+
+    if (!user) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    return user;
+  }
+
+  // Generate plain backup codes (shown once) and their hashes
+  generateBackupCodes() {
+    const codes = [];
+    const hashedCodes = [];
+
+    for (let i = 0; i < SECURITY.TWO_FACTOR_BACKUP_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+
+      codes.push(code);
+      hashedCodes.push({ codeHash: this.hashBackupCode(code) });
+    }
+
+    return { codes, hashedCodes };
+  }
+
+  // Hash backup code (case and dashes are ignored)
+  hashBackupCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -81,6 +81,56 @@ class UploadService {
     }
   }
 
+  /**
+   * Process single video upload
+   */
+  async processVideoUpload(file, folder = 'videos') {
+    try {
+      if (!file) {
+        throw new Error('No file provided');
+      }
+
+      const result = await cloudinaryConfig.uploadVideo(file, folder);
+
+      return {
+        success: true,
+        data: {
+          url: result.url,
+          publicId: result.publicId,
+          format: result.format,
+          width: result.width,
+          height: result.height,
+          duration: result.duration,
+          size: result.size,
+          uploadedAt: result.createdAt
+        }
+      };
+    } catch (error) {
+      throw new Error(`Video upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete single video
+   */
+  async deleteSingleVideo(publicId) {
+    try {
+      if (!publicId) {
+        throw new Error('Public ID is required');
+      }
+
+      const result = await cloudinaryConfig.deleteVideo(publicId);
+
+      return {
+        success: true,
+        message: 'Video deleted successfully',
+        data: result
+      };
+    } catch (error) {
+      throw new Error(`Video delete failed: ${error.message}`);
+    }
+  }
+
   /**
    * Delete multiple images
    */
@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const authRepository = require('../repositories/authRepository');
+const authService = require('./authService');
+const emailService = require('./emailService');
+const paginationUtils = require('../utils/pagination');
+const passwordUtils = require('../utils/password');
+const permissionUtils = require('../utils/permissions');
+const { AppError } = require('../middleware/errorHandler');
+const { USER_ROLES, USER_STATUSES, ROLE_PERMISSIONS, SECURITY } = require('../utils/constants');
+
+class UserService {
+  // Get users with filtering and pagination (Super Admin)
+  async getUsers(options = {}) {
+    try {
+      const { page = 1, limit = 20, role, status, search } = options;
+
+      const filters = { role, status };
+      if (search) {
+        // Treat search input literally
+        filters.search = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+
+      const { users, total } = await authRepository.findAll(page, limit, filters);
+
+      return paginationUtils.createPaginationResponse(users, page, limit, total);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get users', 500, 'GET_USERS_ERROR');
+    }
+  }
+
+  // Get user by ID (Super Admin)
+  async getUserById(userId) {
+    try {
+      const user = await authRepository.findById(userId);
+
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+
+      return user;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get user', 500, 'GET_USER_ERROR');
+    }
+  }
+
+  // Get user statistics (Super Admin)
+  async getUserStats() {
+    try {
+      return await authRepository.getUserStats();
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get user statistics', 500, 'GET_USER_STATS_ERROR');
+    }
+  }
+
+  // Create user with a password set by the admin (Super Admin)
+  async createUser(userData) {
+    try {
+      const passwordValidation = passwordUtils.validatePassword(userData.password);
+      if (!passwordValidation.isValid) {
+        throw new AppError('Password does not meet requirements', 400, 'WEAK_PASSWORD', passwordValidation.errors);
+      }
+
+      const user = await authRepository.create({
+        name: userData.name,
+        email: userData.email,
+        password: userData.password,
+        role: userData.role,
+        status: userData.status || USER_STATUSES.ACTIVE,
+        emailVerified: true,
+        // Make the user choose their own password on first sign-in
+        passwordResetRequired: userData.requirePasswordReset === true
+      });
+
+      if (user.passwordResetRequired) {
+        await this.sendPasswordResetLink(user);
+      }
+
+      return user;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to create user', 500, 'CREATE_USER_ERROR');
+    }
+  }
+
+  // Invite user by email with a set-password link (Super Admin)
+  async inviteUser(userData, admin) {
+    try {
+      const user = await authRepository.create({
+        name: userData.name,
+        email: userData.email,
+        // Unusable placeholder until the invitee sets a password
+        password: crypto.randomBytes(32).toString('hex'),
+        role: userData.role,
+        passwordResetRequired: true,
+        invitation: {
+          invitedBy: admin.id,
+          invitedAt: new Date()
+        }
+      });
+
+      const emailSent = await this.sendInvitation(user, admin.name);
+
+      return { user, emailSent };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to invite user', 500, 'INVITE_USER_ERROR');
+    }
+  }
+
+  // Resend a pending invitation (Super Admin)
+  async resendInvitation(userId, admin) {
+    try {
+      const user = await authRepository.findById(userId);
+
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+
+      if (!user.invitation?.invitedAt || user.invitation.acceptedAt) {
+        throw new AppError('User has no pending invitation', 400, 'NO_PENDING_INVITATION');
+      }
+
+      const emailSent = await this.sendInvitation(user, admin.name);
+
+      return { emailSent };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to resend invitation', 500, 'INVITE_USER_ERROR');
+    }
+  }
+
+  // Update user details (Super Admin)
+  async updateUser(userId, updateData) {
+    try {
+      const allowedFields = ['name', 'email'];
+      const filteredData = {};
+
+      allowedFields.forEach(field => {
+        if (updateData[field] !== undefined) {
+          filteredData[field] = updateData[field];
+        }
+      });
+
+      if (Object.keys(filteredData).length === 0) {
+        throw new AppError('No valid fields to update', 400, 'NO_VALID_FIELDS');
+      }
+
+      return await authRepository.update(userId, filteredData);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to update user', 500, 'UPDATE_USER_ERROR');
+    }
+  }
+
+  // Change user role (Super Admin)
+  async changeRole(userId, role, adminId) {
+    try {
+      const user = await this.getManagedUser(userId, adminId, 'change your own role');
+
+      if (user.role === role) {
+        return user;
+      }
+
+      if (user.role === USER_ROLES.SUPER_ADMIN) {
+        await this.ensureAnotherSuperAdmin(userId);
+      }
+
+      // Per-user grants/denials were tailored to the old role
+      return await authRepository.update(userId, {
+        role,
+        permissions: [],
+        deniedPermissions: []
+      });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to change user role', 500, 'CHANGE_ROLE_ERROR');
+    }
+  }
+
+  // Activate, deactivate or suspend a user (Super Admin)
+  async updateStatus(userId, status, adminId) {
+    try {
+      const user = await this.getManagedUser(userId, adminId, 'change your own status');
+
+      if (status !== USER_STATUSES.ACTIVE && user.role === USER_ROLES.SUPER_ADMIN) {
+        await this.ensureAnotherSuperAdmin(userId);
+      }
+
+      const updatedUser = await authRepository.updateStatus(userId, status);
+
+      // Sign the user out everywhere when they lose access
+      if (status !== USER_STATUSES.ACTIVE) {
+        await authService.revokeAllSessions(userId, 'account_suspended');
+      }
+
+      return updatedUser;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to update user status', 500, 'UPDATE_USER_STATUS_ERROR');
+    }
+  }
+
+  // Force a password reset: sign out everywhere and email a reset link (Super Admin)
+  async forcePasswordReset(userId) {
+    try {
+      const user = await authRepository.findById(userId);
+
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+
+      user.passwordResetRequired = true;
+      const emailSent = await this.sendPasswordResetLink(user);
+
+      await authService.revokeAllSessions(userId, 'password_reset');
+
+      return {
+        message: 'User must reset their password before signing in again',
+        emailSent
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to force password reset', 500, 'FORCE_PASSWORD_RESET_ERROR');
+    }
+  }
+
+  // Delete user (Super Admin)
+  async deleteUser(userId, adminId) {
+    try {
+      const user = await this.getManagedUser(userId, adminId, 'delete your own account');
+
+      if (user.role === USER_ROLES.SUPER_ADMIN) {
+        await this.ensureAnotherSuperAdmin(userId);
+      }
+
+      await authService.revokeAllSessions(userId, 'user_revoked');
+      await authRepository.delete(userId);
+
+      return { message: 'User deleted successfully' };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to delete user', 500, 'DELETE_USER_ERROR');
+    }
+  }
+
+  // Load a user another admin is acting on (admins cannot act on themselves)
+  async getManagedUser(userId, adminId, action) {
+    if (userId.toString() === adminId.toString()) {
+      throw new AppError(`You cannot ${action}`, 400, 'CANNOT_MODIFY_SELF');
+    }
+
+    const user = await authRepository.findById(userId);
+
+    if (!user) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    return user;
+  }
+
+  // Never leave the site without an active super admin
+  async ensureAnotherSuperAdmin(userId) {
+    const remaining = await authRepository.countActiveSuperAdmins(userId);
+
+    if (remaining === 0) {
+      throw new AppError('At least one active super admin is required', 400, 'LAST_SUPER_ADMIN');
+    }
+  }
+
+  // Issue an invitation token and email it
+  async sendInvitation(user, inviterName) {
+    const token = user.createPasswordResetToken(SECURITY.INVITATION_EXPIRES_IN);
+    await user.save();
+
+    return emailService.sendUserInvitation(user.email, user.name, token, inviterName, user.role);
+  }
+
+  // Issue a long-lived reset token and email it
+  async sendPasswordResetLink(user) {
+    const token = user.createPasswordResetToken(SECURITY.ADMIN_PASSWORD_RESET_EXPIRES_IN);
+    await user.save();
+
+    return emailService.sendAdminPasswordReset(user.email, user.name, token);
+  }
+
+  // Get permission catalogue and role defaults (Super Admin)
+  getPermissionCatalogue() {
+    const roleDefaults = {
+      [USER_ROLES.SUPER_ADMIN]: permissionUtils.getRoleDefaults(USER_ROLES.SUPER_ADMIN)
+    };
+
+    Object.keys(ROLE_PERMISSIONS).forEach(role => {
+      roleDefaults[role] = permissionUtils.getRoleDefaults(role);
+    });
+
+    return {
+      permissions: permissionUtils.getAllPermissions(),
+      roleDefaults
+    };
+  }
+
+  // Get a user's permissions (Super Admin)
+  async getUserPermissions(userId) {
+    try {
+      const user = await authRepository.findById(userId);
+
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+
+      return this.formatPermissions(user);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to get user permissions', 500, 'GET_PERMISSIONS_ERROR');
+    }
+  }
+
+  // Replace a user's granted/denied permissions (Super Admin)
+  async updateUserPermissions(userId, permissionData) {
+    try {
+      const user = await authRepository.findById(userId);
+
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+
+      if (user.role === USER_ROLES.SUPER_ADMIN) {
+        throw new AppError('Super admins always have every permission', 400, 'SUPER_ADMIN_PERMISSIONS');
+      }
+
+      const updateData = {};
+
+      ['permissions', 'deniedPermissions'].forEach(field => {
+        if (permissionData[field] === undefined) return;
+
+        const invalid = permissionData[field].filter(permission => !permissionUtils.isValidPermission(permission));
+        if (invalid.length) {
+          throw new AppError('Unknown permissions', 400, 'INVALID_PERMISSIONS', invalid);
+        }
+
+        updateData[field] = [...new Set(permissionData[field])];
+      });
+
+      if (Object.keys(updateData).length === 0) {
+        throw new AppError('No valid fields to update', 400, 'NO_VALID_FIELDS');
+      }
+
+      const updatedUser = await authRepository.update(userId, updateData);
+
+      return this.formatPermissions(updatedUser);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError('Failed to update user permissions', 500, 'UPDATE_PERMISSIONS_ERROR');
+    }
+  }
+
+  // Shape a user's permission breakdown
+  formatPermissions(user) {
+    return {
+      userId: user._id,
+      role: user.role,
+      roleDefaults: permissionUtils.getRoleDefaults(user.role),
+      granted: user.permissions || [],
+      denied: user.deniedPermissions || [],
+      effective: permissionUtils.resolve(user)
+    };
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,48 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Carries the acting user and request metadata through async calls so model
+// hooks can attribute writes without threading req through every layer
+class AuditContext {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  // Build context from an authenticated request
+  fromRequest(req) {
+    return {
+      actor: {
+        userId: req.user.id,
+        email: req.user.email,
+        name: req.user.name,
+        role: req.user.role
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId,
+      method: req.method,
+      path: req.originalUrl
+    };
+  }
+
+  // Build context for background work (jobs, scripts)
+  forSystem(name) {
+    return {
+      actor: {
+        name,
+        role: 'system'
+      }
+    };
+  }
+
+  // Run a function inside a context
+  run(context, fn) {
+    return this.storage.run(context, fn);
+  }
+
+  // Current context (undefined outside audited work)
+  get() {
+    return this.storage.getStore();
+  }
+}
+
+module.exports = new AuditContext();
@@ -0,0 +1,24 @@
+const { AFFILIATE_REDIRECT } = require('./constants');
+
+const BOT_PATTERN = new RegExp(
+  AFFILIATE_REDIRECT.BOT_USER_AGENTS.map(agent => agent.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'),
+  'i'
+);
+
+// Heuristics for requests that shouldn't count as human clicks
+class BotDetectionUtils {
+  isBotUserAgent(userAgent) {
+    // Real browsers always send a user agent
+    if (!userAgent) return true;
+    return BOT_PATTERN.test(userAgent);
+  }
+
+  // Crawlers, link unfurlers, prefetches and HEAD checks
+  isAutomated({ method, userAgent, purpose } = {}) {
+    if (method && method !== 'GET') return true;
+    if (purpose && /prefetch|prerender/i.test(purpose)) return true;
+    return this.isBotUserAgent(userAgent);
+  }
+}
+
+module.exports = new BotDetectionUtils();
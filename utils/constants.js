@@ -3,7 +3,59 @@ const CONSTANTS = {
   // User roles
   USER_ROLES: {
     SUPER_ADMIN: 'super_admin',
-    CONTENT_EDITOR: 'content_editor'
+    CONTENT_EDITOR: 'content_editor',
+    CLIENT: 'client'
+  },
+
+  // Permission catalogue (resource:action)
+  PERMISSIONS: {
+    PERKS_READ: 'perks:read',
+    PERKS_WRITE: 'perks:write',
+    PERKS_DELETE: 'perks:delete',
+    PERKS_APPROVE: 'perks:approve',
+    LEADS_READ: 'leads:read',
+    LEADS_WRITE: 'leads:write',
+    LEADS_DELETE: 'leads:delete',
+    LEADS_EXPORT: 'leads:export',
+    BLOG_READ: 'blog:read',
+    BLOG_WRITE: 'blog:write',
+    BLOG_DELETE: 'blog:delete',
+    CATEGORIES_READ: 'categories:read',
+    CATEGORIES_WRITE: 'categories:write',
+    CATEGORIES_DELETE: 'categories:delete',
+    PAGES_READ: 'pages:read',
+    PAGES_WRITE: 'pages:write',
+    PAGES_DELETE: 'pages:delete',
+    PARTNERS_READ: 'partners:read',
+    PARTNERS_REVIEW: 'partners:review',
+    PARTNERS_DELETE: 'partners:delete',
+    SEO_READ: 'seo:read',
+    SEO_WRITE: 'seo:write',
+    DASHBOARD_READ: 'dashboard:read',
+    DASHBOARD_EXPORT: 'dashboard:export',
+    AUDIT_READ: 'audit:read'
+  },
+
+  // Default permissions per role (super_admin always has every permission)
+  ROLE_PERMISSIONS: {
+    content_editor: [
+      'perks:read',
+      'perks:write',
+      'perks:approve',
+      'leads:read',
+      'leads:write',
+      'blog:read',
+      'blog:write',
+      'categories:read',
+      'categories:write',
+      'pages:read',
+      'pages:write',
+      'partners:read',
+      'partners:review',
+      'seo:read',
+      'dashboard:read'
+    ],
+    client: []
   },
 
   // User statuses
@@ -18,9 +70,146 @@ const CONSTANTS = {
     ACTIVE: 'active',
     INACTIVE: 'inactive',
     DRAFT: 'draft',
+    PENDING: 'pending',
+    REJECTED: 'rejected',
     EXPIRED: 'expired'
   },
 
+  // Editorial review workflow for perks
+  PERK_WORKFLOW: {
+    STATES: {
+      DRAFT: 'draft',
+      SUBMITTED: 'submitted',
+      NEEDS_REVISION: 'needs_revision',
+      APPROVED: 'approved',
+      SCHEDULED: 'scheduled',
+      PUBLISHED: 'published',
+      REJECTED: 'rejected'
+    },
+    // States each action may be taken from
+    TRANSITIONS: {
+      submit: ['draft', 'needs_revision'],
+      withdraw: ['submitted'],
+      request_revision: ['submitted'],
+      approve: ['submitted'],
+      reject: ['submitted'],
+      schedule: ['approved'],
+      publish: ['approved', 'scheduled'],
+      unpublish: ['published', 'scheduled'],
+      reopen: ['rejected']
+    },
+    // Status and approval status stored for each state
+    STATE_FIELDS: {
+      draft: { status: 'draft', approvalStatus: 'pending' },
+      submitted: { status: 'pending', approvalStatus: 'pending' },
+      needs_revision: { status: 'draft', approvalStatus: 'needs_revision' },
+      approved: { status: 'inactive', approvalStatus: 'approved' },
+      scheduled: { status: 'inactive', approvalStatus: 'approved' },
+      published: { status: 'active', approvalStatus: 'approved' },
+      rejected: { status: 'rejected', approvalStatus: 'rejected' }
+    },
+    // Actions a client may take on their own perks
+    CLIENT_ACTIONS: ['submit', 'withdraw'],
+    // Actions that must explain themselves to the client
+    COMMENT_REQUIRED_ACTIONS: ['request_revision', 'reject'],
+    // Review actions that also apply to changes proposed for an approved perk
+    CHANGE_REVIEW_ACTIONS: ['approve', 'reject', 'request_revision'],
+    // Perk fields only workflow actions and scheduled jobs may write
+    MANAGED_FIELDS: ['workflow', 'status', 'approval', 'schedule', 'lifecycle', 'pendingChanges', 'publishedAt'],
+    COMMENTS_MAX_LENGTH: 2000,
+    HISTORY_LIMIT: 50
+  },
+
+  // Perk fields a client (vendor) may propose changes to
+  CLIENT_EDITABLE_PERK_FIELDS: [
+    'title',
+    'shortDescription',
+    'value',
+    'originalPrice',
+    'discountedPrice',
+    'discountPercentage',
+    'vendor.description',
+    'vendor.website',
+    'redemption.instructions',
+    'redemption.code',
+    'redemption.link',
+    'redemption.limitations',
+    'redemption.expiryDate',
+    'availability.endDate',
+    'tags',
+    'features'
+  ],
+
+  // Perk content captured in revisions and restored on rollback
+  // (images are left out: replaced files are deleted from storage)
+  PERK_REVISION_FIELDS: [
+    'title',
+    'slug',
+    'shortDescription',
+    'categoryId',
+    'vendor.name',
+    'vendor.email',
+    'vendor.website',
+    'vendor.description',
+    'value',
+    'originalPrice',
+    'discountedPrice',
+    'discountPercentage',
+    'redemption',
+    'availability.isLimited',
+    'availability.totalQuantity',
+    'availability.startDate',
+    'availability.endDate',
+    'seo',
+    'tags',
+    'features',
+    'markets',
+    'isVisible',
+    'isFeatured',
+    'isExclusive',
+    'priority'
+  ],
+
+  // Perk fields copied by clones and templates (no dates, stats, review state or code pools)
+  PERK_COPY_FIELDS: [
+    'title',
+    'shortDescription',
+    'categoryId',
+    'clientId',
+    'vendor',
+    'value',
+    'originalPrice',
+    'discountedPrice',
+    'discountPercentage',
+    'images',
+    'redemption.type',
+    'redemption.instructions',
+    'redemption.code',
+    'redemption.link',
+    'redemption.limitations',
+    'availability.isLimited',
+    'availability.totalQuantity',
+    'seo.title',
+    'seo.description',
+    'seo.keywords',
+    'seo.ogTitle',
+    'seo.ogDescription',
+    'seo.ogImage',
+    'seo.customMetaTags',
+    'tags',
+    'features',
+    'markets',
+    'isExclusive'
+  ],
+
+  // Where a perk stores Cloudinary public IDs (shared between clones and templates)
+  PERK_IMAGE_PATHS: [
+    'images.main.publicId',
+    'images.gallery.publicId',
+    'vendor.logo.publicId',
+    'seo.ogImage.publicId'
+  ],
+
   // Perk locations
   PERK_LOCATIONS: {
     MALAYSIA: 'Malaysia',
@@ -28,6 +217,24 @@ const CONSTANTS = {
     GLOBAL: 'Global'
   },
 
+  // Market targeting (perks tagged Global are shown in every market)
+  PERK_MARKETS: {
+    HEADER: 'X-Market',
+    QUERY_PARAM: 'market',
+    // Short codes accepted alongside the full names
+    CODES: {
+      Malaysia: 'MY',
+      Singapore: 'SG',
+      Global: 'GLOBAL'
+    },
+    // Sitemap hreflang per market
+    HREFLANG: {
+      Malaysia: 'en-MY',
+      Singapore: 'en-SG',
+      Global: 'x-default'
+    }
+  },
+
   // Redemption methods
   REDEMPTION_METHODS: {
     AFFILIATE_LINK: 'affiliate_link',
@@ -35,6 +242,141 @@ const CONSTANTS = {
     FORM_SUBMISSION: 'form_submission'
   },
 
+  // Faceted catalogue search
+  CATALOG_SEARCH: {
+    SORTS: ['relevance', 'newest', 'ending_soon', 'biggest_discount', 'popular'],
+    // Bucket lower bounds (the last bound caps the final bucket)
+    PRICE_BUCKETS: [0, 10, 50, 100, 500, 1000, Number.MAX_SAFE_INTEGER],
+    DISCOUNT_BUCKETS: [0, 10, 25, 50, 75, 101],
+    // "Ends within N days" facet windows
+    EXPIRY_WINDOWS: [7, 30, 90],
+    VENDOR_FACET_LIMIT: 20,
+    TAG_FACET_LIMIT: 30,
+    MAX_LIMIT: 50
+  },
+
+  // Related perks on the perk detail page
+  RELATED_PERKS: {
+    DEFAULT_LIMIT: 6,
+    MAX_LIMIT: 20,
+    // Candidates scored per request
+    CANDIDATE_LIMIT: 100,
+    // Most recent leads on the perk used to find co-engaged perks
+    CO_ENGAGEMENT_LEADS: 500,
+    WEIGHTS: {
+      SHARED_TAG: 3,
+      SAME_CATEGORY: 5,
+      SIBLING_CATEGORY: 2,
+      PARENT_CATEGORY: 2,
+      SAME_VENDOR: 2,
+      // Per shared lead email, capped
+      CO_ENGAGEMENT: 2,
+      CO_ENGAGEMENT_MAX: 10
+    }
+  },
+
+  // Tracked affiliate redirects (/go/:slug)
+  AFFILIATE_REDIRECT: {
+    UTM_PARAMS: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'],
+    // Placeholders allowed in vendor sub-ID parameter values, e.g. "{clickId}"
+    PLACEHOLDERS: ['clickId', 'perkId', 'perkSlug', 'utmSource', 'utmMedium', 'utmCampaign'],
+    MAX_PARAMS: 10,
+    MAX_TRACKED_VALUE_LENGTH: 500,
+    // User agents that never count as clicks (matched case-insensitively)
+    BOT_USER_AGENTS: [
+      'bot', 'crawl', 'spider', 'slurp', 'facebookexternalhit', 'embedly', 'preview',
+      'headless', 'lighthouse', 'pingdom', 'uptime', 'monitor', 'scrapy', 'curl', 'wget',
+      'python-requests', 'go-http-client', 'okhttp', 'node-fetch', 'axios', 'java/', 'libwww'
+    ]
+  },
+
+  // Typeahead suggestions
+  SEARCH_SUGGEST: {
+    TYPES: ['perks', 'vendors', 'categories', 'blog', 'tags'],
+    MIN_QUERY_LENGTH: 2,
+    MAX_QUERY_LENGTH: 100,
+    // Shorter queries only match word prefixes
+    FUZZY_MIN_LENGTH: 3,
+    DEFAULT_LIMIT: 5,
+    MAX_LIMIT: 10,
+    // Candidates fetched per type before ranking
+    CANDIDATE_MULTIPLIER: 4,
+    QUERY_TIMEOUT_MS: 500,
+    CACHE_TTL_MS: 60 * 1000,
+    CACHE_MAX_ENTRIES: 500
+  },
+
+  // Bulk perk import/export
+  PERK_IMPORT: {
+    MAX_ROWS: 500,
+    MAX_EXPORT: 5000,
+    // Separator for tags/features/markets inside a single CSV cell
+    LIST_SEPARATOR: '|',
+    // CSV columns (dotted paths); categories are referenced by slug
+    COLUMNS: [
+      'slug',
+      'title',
+      'shortDescription',
+      'categorySlug',
+      'vendor.name',
+      'vendor.email',
+      'vendor.website',
+      'vendor.description',
+      'value',
+      'originalPrice.amount',
+      'originalPrice.currency',
+      'discountedPrice.amount',
+      'discountedPrice.currency',
+      'discountPercentage',
+      'redemption.type',
+      'redemption.instructions',
+      'redemption.code',
+      'redemption.link',
+      'redemption.limitations',
+      'redemption.expiryDate',
+      'availability.isLimited',
+      'availability.totalQuantity',
+      'availability.startDate',
+      'availability.endDate',
+      'tags',
+      'features',
+      'markets',
+      'isVisible',
+      'isFeatured',
+      'isExclusive',
+      'priority'
+    ],
+    NUMBER_COLUMNS: [
+      'originalPrice.amount',
+      'discountedPrice.amount',
+      'discountPercentage',
+      'availability.totalQuantity',
+      'priority'
+    ],
+    BOOLEAN_COLUMNS: ['availability.isLimited', 'isVisible', 'isFeatured', 'isExclusive'],
+    LIST_COLUMNS: ['tags', 'features', 'markets']
+  },
+
+  // Scheduled perk lifecycle jobs
+  PERK_LIFECYCLE: {
+    STATUS_JOB_INTERVAL: 5 * 60 * 1000, // 5 minutes
+    EXPIRY_WARNING_JOB_INTERVAL: 60 * 60 * 1000, // 1 hour
+    EXPIRY_WARNING_DAYS: 7
+  },
+
+  // Editor-scheduled publish/unpublish times for perks and blog posts
+  SCHEDULED_PUBLISHING: {
+    JOB_INTERVAL: 60 * 1000 // 1 minute
+  },
+
+  // Single-use redemption code pools
+  REDEMPTION_CODES: {
+    MAX_UPLOAD: 10000,
+    DEFAULT_LENGTH: 10,
+    // No 0/O or 1/I so codes can be read back over the phone
+    ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+  },
+
   // Lead statuses
   LEAD_STATUSES: {
     NEW: 'new',
@@ -75,6 +417,13 @@ const CONSTANTS = {
     LIFESTYLE: 'Lifestyle'
   },
 
+  // Default category slug for each partner offer type (used when converting partners to perks)
+  OFFER_TYPE_CATEGORY_SLUGS: {
+    'SaaS/AI Tools': 'saas-ai-tools',
+    'B2B Services': 'b2b-services',
+    'Lifestyle': 'lifestyle'
+  },
+
   // Static page types
   PAGE_TYPES: {
     ABOUT: 'about',
@@ -282,7 +631,11 @@ const CONSTANTS = {
     PASSWORD_RESET_EXPIRES_IN: '1h',
     EMAIL_VERIFICATION_EXPIRES_IN: '24h',
     MAX_LOGIN_ATTEMPTS: 5,
-    LOCKOUT_DURATION: 15 * 60 * 1000 // 15 minutes
+    LOCKOUT_DURATION: 15 * 60 * 1000, // 15 minutes
+    TWO_FACTOR_PENDING_EXPIRES_IN: '5m',
+    TWO_FACTOR_BACKUP_CODE_COUNT: 10,
+    INVITATION_EXPIRES_IN: 7 * 24 * 60 * 60 * 1000, // 7 days
+    ADMIN_PASSWORD_RESET_EXPIRES_IN: 24 * 60 * 60 * 1000 // 24 hours
   },
 
   // External services
@@ -298,15 +651,32 @@ const CONSTANTS = {
 module.exports = {
   CONSTANTS,
   USER_ROLES: CONSTANTS.USER_ROLES,
+  PERMISSIONS: CONSTANTS.PERMISSIONS,
+  ROLE_PERMISSIONS: CONSTANTS.ROLE_PERMISSIONS,
   USER_STATUSES: CONSTANTS.USER_STATUSES,
   PERK_STATUSES: CONSTANTS.PERK_STATUSES,
+  PERK_WORKFLOW: CONSTANTS.PERK_WORKFLOW,
+  CLIENT_EDITABLE_PERK_FIELDS: CONSTANTS.CLIENT_EDITABLE_PERK_FIELDS,
+  PERK_REVISION_FIELDS: CONSTANTS.PERK_REVISION_FIELDS,
+  PERK_COPY_FIELDS: CONSTANTS.PERK_COPY_FIELDS,
+  PERK_IMAGE_PATHS: CONSTANTS.PERK_IMAGE_PATHS,
   PERK_LOCATIONS: CONSTANTS.PERK_LOCATIONS,
+  PERK_MARKETS: CONSTANTS.PERK_MARKETS,
   REDEMPTION_METHODS: CONSTANTS.REDEMPTION_METHODS,
+  REDEMPTION_CODES: CONSTANTS.REDEMPTION_CODES,
+  PERK_LIFECYCLE: CONSTANTS.PERK_LIFECYCLE,
+  SCHEDULED_PUBLISHING: CONSTANTS.SCHEDULED_PUBLISHING,
+  PERK_IMPORT: CONSTANTS.PERK_IMPORT,
+  CATALOG_SEARCH: CONSTANTS.CATALOG_SEARCH,
+  SEARCH_SUGGEST: CONSTANTS.SEARCH_SUGGEST,
+  RELATED_PERKS: CONSTANTS.RELATED_PERKS,
+  AFFILIATE_REDIRECT: CONSTANTS.AFFILIATE_REDIRECT,
   LEAD_STATUSES: CONSTANTS.LEAD_STATUSES,
   ANALYTICS_EVENTS: CONSTANTS.ANALYTICS_EVENTS,
   BLOG_STATUSES: CONSTANTS.BLOG_STATUSES,
   PARTNER_STATUSES: CONSTANTS.PARTNER_STATUSES,
   OFFER_TYPES: CONSTANTS.OFFER_TYPES,
+  OFFER_TYPE_CATEGORY_SLUGS: CONSTANTS.OFFER_TYPE_CATEGORY_SLUGS,
   PAGE_TYPES: CONSTANTS.PAGE_TYPES,
   HTTP_STATUS: CONSTANTS.HTTP_STATUS,
   ERROR_CODES: CONSTANTS.ERROR_CODES,
@@ -0,0 +1,79 @@
+// Minimal RFC 4180 CSV helpers
+class CsvUtils {
+  // Parse CSV text into an array of rows (arrays of strings)
+  parse(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^﻿/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  // Parse CSV with a header row into objects keyed by column name
+  parseObjects(text) {
+    const [header = [], ...rows] = this.parse(text);
+    const columns = header.map(column => column.trim());
+
+    return rows.map(cells => {
+      const row = {};
+      columns.forEach((column, index) => {
+        if (column) row[column] = cells[index] !== undefined ? cells[index] : '';
+      });
+      return row;
+    });
+  }
+
+  // Quote a value if it contains a separator, quote or newline
+  escape(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Build CSV text from objects, one column per key
+  stringify(rows, columns) {
+    const lines = [columns.map(column => this.escape(column)).join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(column => this.escape(row[column])).join(','));
+    });
+    return lines.join('\r\n');
+  }
+}
+
+module.exports = new CsvUtils();
@@ -0,0 +1,108 @@
+// Field-level diffs between two versions of a document
+class DiffUtils {
+  // Convert a document (mongoose or lean) to plain JSON values
+  normalize(doc) {
+    if (!doc) return {};
+
+    const plain = typeof doc.toObject === 'function'
+      ? doc.toObject({ depopulate: true, virtuals: false, transform: false })
+      : doc;
+
+    return JSON.parse(JSON.stringify(plain));
+  }
+
+  // Flatten nested objects to dotted paths (arrays are compared as a whole)
+  flatten(obj, prefix = '', result = {}) {
+    Object.keys(obj || {}).forEach(key => {
+      const value = obj[key];
+      const path = prefix ? `${prefix}.${key}` : key;
+
+      if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+        this.flatten(value, path, result);
+      } else {
+        result[path] = value;
+      }
+    });
+
+    return result;
+  }
+
+  // Expand dotted paths back into nested objects
+  unflatten(flat = {}) {
+    const result = {};
+
+    Object.keys(flat).forEach(path => {
+      const keys = path.split('.');
+      let target = result;
+      keys.slice(0, -1).forEach(key => {
+        if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+        target = target[key];
+      });
+      target[keys[keys.length - 1]] = flat[path];
+    });
+
+    return result;
+  }
+
+  // Copy only the given dotted paths from an object
+  pick(obj, paths = []) {
+    const flat = {};
+
+    paths.forEach(path => {
+      const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), obj);
+      if (value !== undefined) flat[path] = value;
+    });
+
+    return this.unflatten(flat);
+  }
+
+  // Check a path against a list of paths/prefixes
+  matchesPath(path, paths = []) {
+    return paths.some(candidate => path === candidate || path.startsWith(`${candidate}.`));
+  }
+
+  // Compute changed paths between two documents
+  diff(before, after, options = {}) {
+    const { ignore = [], redact = [] } = options;
+    const beforeFlat = this.flatten(this.normalize(before));
+    const afterFlat = this.flatten(this.normalize(after));
+    const paths = new Set([...Object.keys(beforeFlat), ...Object.keys(afterFlat)]);
+    const changes = [];
+
+    paths.forEach(path => {
+      if (this.matchesPath(path, ignore)) return;
+
+      const oldValue = beforeFlat[path];
+      const newValue = afterFlat[path];
+
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+      if (this.matchesPath(path, redact)) {
+        changes.push({ path, before: '[REDACTED]', after: '[REDACTED]' });
+      } else {
+        changes.push({ path, before: oldValue, after: newValue });
+      }
+    });
+
+    return changes.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  // Plain copy of a document with sensitive paths masked
+  snapshot(doc, redact = []) {
+    const plain = this.normalize(doc);
+
+    redact.forEach(path => {
+      const segments = path.split('.');
+      const last = segments.pop();
+      const parent = segments.reduce((node, key) => (node ? node[key] : undefined), plain);
+
+      if (parent && parent[last] !== undefined) {
+        parent[last] = '[REDACTED]';
+      }
+    });
+
+    return plain;
+  }
+}
+
+module.exports = new DiffUtils();
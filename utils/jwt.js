@@ -151,6 +151,18 @@ class JWTUtils {
     });
   }
 
+  // Generate short-lived JWT for the second login step (two-factor challenge)
+  generateTwoFactorPendingToken(userId, expiresIn = '5m') {
+    const payload = {
+      userId,
+      purpose: 'two_factor_login'
+    };
+
+    return jwt.sign(payload, process.env.JWT_SECRET, { 
+      expiresIn 
+    });
+  }
+
   // Verify special purpose tokens
   verifyPurposeToken(token, expectedPurpose) {
     try {
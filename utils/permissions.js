@@ -0,0 +1,50 @@
+const { USER_ROLES, PERMISSIONS, ROLE_PERMISSIONS } = require('./constants');
+
+class PermissionUtils {
+  // All permissions in the catalogue
+  getAllPermissions() {
+    return Object.values(PERMISSIONS);
+  }
+
+  // Default permissions for a role
+  getRoleDefaults(role) {
+    if (role === USER_ROLES.SUPER_ADMIN) {
+      return this.getAllPermissions();
+    }
+
+    return [...(ROLE_PERMISSIONS[role] || [])];
+  }
+
+  // Check a permission name exists in the catalogue
+  isValidPermission(permission) {
+    return this.getAllPermissions().includes(permission);
+  }
+
+  // Effective permissions: role defaults plus explicit grants, minus explicit denials
+  resolve(user) {
+    if (!user) return [];
+
+    // Super admins cannot be locked out of anything
+    if (user.role === USER_ROLES.SUPER_ADMIN) {
+      return this.getAllPermissions();
+    }
+
+    const denied = new Set(user.deniedPermissions || []);
+    const effective = new Set([
+      ...this.getRoleDefaults(user.role),
+      ...(user.permissions || [])
+    ]);
+
+    return [...effective].filter(permission => !denied.has(permission) && this.isValidPermission(permission));
+  }
+
+  // Check whether an authenticated request user (req.user, already resolved) holds a permission
+  hasPermission(user, permission) {
+    if (!user) return false;
+    if (user.role === USER_ROLES.SUPER_ADMIN) return true;
+
+    return (user.permissions || []).includes(permission);
+  }
+}
+
+module.exports = new PermissionUtils();
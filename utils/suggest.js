@@ -0,0 +1,71 @@
+// Prefix and fuzzy matching for typeahead suggestions
+class SuggestUtils {
+  // Lowercase and collapse whitespace
+  normalize(text) {
+    return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Regex for candidate lookups: a word starting with the query, or (for longer
+  // queries) the query's characters in order with gaps, e.g. "amzn" -> "Amazon"
+  buildPattern(query, fuzzyMinLength) {
+    const normalized = this.normalize(query);
+    const prefix = `(^|[\\s\\-_/&.])${this.escapeRegex(normalized)}`;
+
+    if (normalized.length < fuzzyMinLength) {
+      return new RegExp(prefix, 'i');
+    }
+
+    const fuzzy = normalized
+      .replace(/\s/g, '')
+      .split('')
+      .map(char => this.escapeRegex(char))
+      .join('[^\\n]*?');
+
+    return new RegExp(`${prefix}|${fuzzy}`, 'i');
+  }
+
+  // Rank a candidate against the query (0 = no match)
+  score(text, query) {
+    const candidate = this.normalize(text);
+    const normalized = this.normalize(query);
+
+    if (!candidate || !normalized) return 0;
+    if (candidate === normalized) return 100;
+    if (candidate.startsWith(normalized)) return 90 - Math.min(candidate.length - normalized.length, 30) / 3;
+
+    const wordIndex = candidate.search(new RegExp(`[\\s\\-_/&.]${this.escapeRegex(normalized)}`));
+    if (wordIndex !== -1) return 70 - Math.min(wordIndex, 30) / 3;
+
+    const index = candidate.indexOf(normalized);
+    if (index !== -1) return 50 - Math.min(index, 30) / 3;
+
+    // In-order characters; tighter spans rank higher
+    const needle = normalized.replace(/\s/g, '');
+    let position = -1;
+    let start = -1;
+    for (const char of needle) {
+      position = candidate.indexOf(char, position + 1);
+      if (position === -1) return 0;
+      if (start === -1) start = position;
+    }
+
+    const span = position - start + 1;
+    return Math.max(1, 30 * (needle.length / span) - Math.min(start, 30) / 3);
+  }
+
+  // Score, drop non-matches and keep the best `limit` items
+  rank(items, query, getText, limit) {
+    return items
+      .map(item => ({ item, score: this.score(getText(item), query) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(entry => entry.item);
+  }
+}
+
+module.exports = new SuggestUtils();
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Time-based one-time passwords (RFC 6238) compatible with standard authenticator apps
+class TOTPUtils {
+  constructor() {
+    this.digits = 6;
+    this.period = 30; // seconds
+    this.window = 1; // accept one step either side for clock drift
+    this.issuer = process.env.TOTP_ISSUER || 'Perks Marketplace';
+  }
+
+  // Generate a new base32 secret
+  generateSecret(bytes = 20) {
+    return this.base32Encode(crypto.randomBytes(bytes));
+  }
+
+  // Build the otpauth:// URL used to render the enrollment QR code
+  getOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // Current time step
+  getTimeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / this.period);
+  }
+
+  // Generate the code for a given time step
+  generateCode(secret, timeStep = this.getTimeStep()) {
+    const key = this.base32Decode(secret);
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(timeStep));
+
+    const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  // Verify a code; returns the matched time step or null
+  verify(secret, code, timestamp = Date.now()) {
+    if (!secret || !code) return null;
+
+    const normalized = String(code).replace(/\s+/g, '');
+    if (!new RegExp(`^\\d{${this.digits}}$`).test(normalized)) return null;
+
+    const currentStep = this.getTimeStep(timestamp);
+
+    for (let errorWindow = -this.window; errorWindow <= this.window; errorWindow++) {
+      const step = currentStep + errorWindow;
+      const expected = this.generateCode(secret, step);
+
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  // Base32 encode (RFC 4648, no padding)
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  // Base32 decode (ignores padding, spaces and case)
+  base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character in secret');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+}
+
+module.exports = new TOTPUtils();